@@ -6,6 +6,7 @@
 -- =====================================================
 
 -- Drop tables if they exist (for clean re-runs during development)
+DROP TABLE IF EXISTS boat_position_history CASCADE;  -- Created by 002-position-history.sql
 DROP TABLE IF EXISTS waypoints CASCADE;
 DROP TABLE IF EXISTS routes CASCADE;
 DROP TABLE IF EXISTS boat_states CASCADE;
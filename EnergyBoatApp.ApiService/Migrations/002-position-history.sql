@@ -0,0 +1,35 @@
+-- =====================================================
+-- Migration: 002-position-history.sql
+-- Purpose: Keep a rolling history of boat positions for timeline playback
+-- Feature: historical playback
+-- Created: October 19, 2026
+-- =====================================================
+
+-- Idempotent: runs on every startup after 001-initial-schema.sql, so existing
+-- databases pick up the table without dropping their boat data
+
+-- =====================================================
+-- Table: boat_position_history (Sampled Runtime State)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS boat_position_history (
+    id                      BIGSERIAL PRIMARY KEY,
+    boat_id                 VARCHAR(20) NOT NULL REFERENCES boats(id) ON DELETE CASCADE,
+    recorded_at             TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- Snapshot of boat_states at recorded_at
+    latitude                DOUBLE PRECISION NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+    longitude               DOUBLE PRECISION NOT NULL CHECK (longitude BETWEEN -180 AND 180),
+    heading                 DOUBLE PRECISION NOT NULL CHECK (heading BETWEEN 0 AND 360),
+    energy_level            DOUBLE PRECISION NOT NULL CHECK (energy_level BETWEEN 0 AND 100),
+    status                  VARCHAR(20) NOT NULL CHECK (status IN ('Active', 'Charging', 'Maintenance')),
+    speed                   VARCHAR(50) NOT NULL,
+    area_covered            DOUBLE PRECISION NOT NULL DEFAULT 0 CHECK (area_covered >= 0),
+    current_waypoint_index  INT NOT NULL DEFAULT 0 CHECK (current_waypoint_index >= 0)
+);
+
+-- Playback reads a time window for every boat (or one boat)
+CREATE INDEX IF NOT EXISTS idx_position_history_recorded ON boat_position_history(recorded_at);
+CREATE INDEX IF NOT EXISTS idx_position_history_boat_recorded ON boat_position_history(boat_id, recorded_at);
+
+COMMENT ON TABLE boat_position_history IS 'Rolling history of boat_states samples for timeline playback';
+COMMENT ON COLUMN boat_position_history.recorded_at IS 'When the sample was taken (UTC)';
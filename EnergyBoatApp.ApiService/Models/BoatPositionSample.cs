@@ -0,0 +1,28 @@
+namespace EnergyBoatApp.ApiService.Models;
+
+/// <summary>
+/// Represents a recorded boat state stored in the boat_position_history table.
+/// The simulator samples every boat on a fixed cadence so past positions can be played back.
+/// </summary>
+/// <param name="BoatId">Foreign key reference to boats.id</param>
+/// <param name="RecordedAt">UTC timestamp when the sample was taken</param>
+/// <param name="Latitude">Latitude at that time (-90 to 90 degrees)</param>
+/// <param name="Longitude">Longitude at that time (-180 to 180 degrees)</param>
+/// <param name="Heading">Heading in degrees (0-360, where 0=North)</param>
+/// <param name="EnergyLevel">Battery level percentage (0-100)</param>
+/// <param name="Status">Operational status: Active, Charging, or Maintenance</param>
+/// <param name="Speed">Human-readable speed description (e.g., "12 knots", "Station keeping")</param>
+/// <param name="AreaCovered">Total area surveyed in square kilometers</param>
+/// <param name="CurrentWaypointIndex">Index of the target waypoint in the route (>=0)</param>
+public record BoatPositionSample(
+    string BoatId,
+    DateTime RecordedAt,
+    double Latitude,
+    double Longitude,
+    double Heading,
+    double EnergyLevel,
+    string Status,
+    string Speed,
+    double AreaCovered,
+    int CurrentWaypointIndex
+);
@@ -1,6 +1,9 @@
 using EnergyBoatApp.ApiService.Services;
 using EnergyBoatApp.ApiService.Repositories;
 using EnergyBoatApp.ApiService.Models;
+using System.Text.Json;
+using Microsoft.AspNetCore.Http.Json;
+using Microsoft.Extensions.Options;
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -68,6 +71,118 @@ app.MapGet("/api/boats", async (BoatSimulator simulator, double speed = 1.0) =>
 .WithName("GetBoats")
 .WithOpenApi();
 
+// Server-Sent Events stream of boat states - replaces client-side polling of GetBoats
+// The simulator steps by real elapsed time, so each connection only sets how often it is pushed to
+app.MapGet("/api/boats/stream", async (
+    HttpContext context,
+    BoatSimulator simulator,
+    IOptions<JsonOptions> jsonOptions,
+    CancellationToken cancellationToken,
+    double speed = 1.0) =>
+{
+    context.Response.Headers.ContentType = "text/event-stream";
+    context.Response.Headers.CacheControl = "no-cache";
+    context.Response.Headers.Connection = "keep-alive";
+    context.Response.Headers["X-Accel-Buffering"] = "no"; // Disable nginx response buffering
+
+    // Faster speed = more frequent pushes for smoothness (200ms base, 50ms-2000ms range)
+    var intervalMs = Math.Clamp(200.0 / Math.Sqrt(Math.Max(speed, 0.01)), 50.0, 2000.0);
+    using var timer = new PeriodicTimer(TimeSpan.FromMilliseconds(intervalMs));
+
+    try
+    {
+        // Tell EventSource clients how long to wait before reconnecting after a drop
+        await context.Response.WriteAsync("retry: 2000\n\n", cancellationToken);
+
+        do
+        {
+            var boats = await simulator.GetCurrentBoatStatesAsync(speed);
+            var payload = JsonSerializer.Serialize(boats, jsonOptions.Value.SerializerOptions);
+
+            await context.Response.WriteAsync($"event: boats\ndata: {payload}\n\n", cancellationToken);
+            await context.Response.Body.FlushAsync(cancellationToken);
+        }
+        while (await timer.WaitForNextTickAsync(cancellationToken));
+    }
+    catch (OperationCanceledException)
+    {
+        // Client disconnected - nothing to clean up beyond the timer
+    }
+})
+.WithName("StreamBoats")
+.WithOpenApi();
+
+// Recorded boat states for timeline playback (defaults to the last hour, all boats)
+app.MapGet("/api/boats/history", async (
+    IBoatRepository repository,
+    DateTime? from,
+    DateTime? to,
+    string? boatId) =>
+{
+    var windowEnd = BoatHistory.ToUtc(to ?? DateTime.UtcNow);
+    var windowStart = BoatHistory.ToUtc(from ?? windowEnd - BoatHistory.DefaultWindow);
+
+    var errors = BoatHistory.ValidateWindow(windowStart, windowEnd);
+    if (errors.Count > 0)
+    {
+        return Results.ValidationProblem(errors);
+    }
+
+    if (boatId is not null && await repository.GetBoatByIdAsync(boatId) is null)
+    {
+        return Results.NotFound(new { message = $"Boat {boatId} not found" });
+    }
+
+    var samples = await repository.GetPositionHistoryAsync(windowStart, windowEnd, boatId);
+
+    return Results.Ok(BoatHistory.FromSamples(windowStart, windowEnd, samples));
+})
+.WithName("GetBoatHistory")
+.WithOpenApi();
+
+// Survey route for a single boat - ordered waypoints plus the one currently being sailed to
+app.MapGet("/api/boats/{id}/route", async (string id, IBoatRepository repository) =>
+{
+    var boatData = await repository.GetBoatByIdAsync(id);
+    if (boatData is null)
+    {
+        return Results.NotFound(new { message = $"Boat {id} not found" });
+    }
+
+    var waypoints = await repository.GetWaypointsForBoatAsync(id);
+
+    return Results.Ok(BoatRoute.From(id, boatData.Value.state.CurrentWaypointIndex, waypoints));
+})
+.WithName("GetBoatRoute")
+.WithOpenApi();
+
+// Replace a boat's route - used by the frontend route editor
+app.MapPut("/api/boats/{id}/route", async (string id, UpdateRouteRequest request, IBoatRepository repository) =>
+{
+    var errors = UpdateRouteRequest.Validate(request);
+    if (errors.Count > 0)
+    {
+        return Results.ValidationProblem(errors);
+    }
+
+    if (await repository.GetBoatByIdAsync(id) is null)
+    {
+        return Results.NotFound(new { message = $"Boat {id} not found" });
+    }
+
+    await repository.ReplaceWaypointsAsync(
+        id,
+        request.Waypoints.Select(w => (w.Latitude, w.Longitude)).ToList());
+
+    // Read back so the response reflects the clamped waypoint index
+    var boatData = await repository.GetBoatByIdAsync(id);
+    var waypoints = await repository.GetWaypointsForBoatAsync(id);
+
+    return Results.Ok(BoatRoute.From(id, boatData?.state.CurrentWaypointIndex ?? 0, waypoints));
+})
+.WithName("UpdateBoatRoute")
+.WithOpenApi();
+
 // Reset boats to initial positions
 app.MapPost("/api/boats/reset", async (BoatSimulator simulator) =>
 {
@@ -87,25 +202,55 @@ app.Run();
 // Boat state simulator - now uses database via repository
 class BoatSimulator
 {
+    // Position history cadence and retention (wall clock, independent of connection count)
+    public static readonly TimeSpan HistorySampleInterval = TimeSpan.FromSeconds(5);
+    public static readonly TimeSpan HistoryRetention = TimeSpan.FromHours(24);
+    private static readonly TimeSpan HistoryPruneInterval = TimeSpan.FromMinutes(10);
+
     private readonly IServiceProvider _serviceProvider;
+    private readonly ILogger<BoatSimulator> _logger;
     private readonly Random _random = new();
+    private readonly object _historyLock = new();
+    private readonly SemaphoreSlim _updateLock = new(1, 1);
     private DateTime _lastUpdate = DateTime.UtcNow;
+    private DateTime _lastHistorySample = DateTime.MinValue;
+    private DateTime _lastHistoryPrune = DateTime.MinValue;
+
+    // Simulated seconds per real second at 1x (one second per 200ms, the single-client push cadence)
+    private const double SimulatedSecondsPerSecond = 5.0;
+
+    // Longest real gap stepped in one update, so boats don't jump after a period with no clients
+    private const double MaxElapsedSeconds = 2.0;
 
-    public BoatSimulator(IServiceProvider serviceProvider)
+    public BoatSimulator(IServiceProvider serviceProvider, ILogger<BoatSimulator> logger)
     {
         _serviceProvider = serviceProvider;
+        _logger = logger;
     }
 
     public async Task<IEnumerable<BoatStatus>> GetCurrentBoatStatesAsync(double speedMultiplier = 1.0)
     {
         using var scope = _serviceProvider.CreateScope();
         var repository = scope.ServiceProvider.GetRequiredService<IBoatRepository>();
-        
-        // Load current boat states from database
-        var boatsData = (await repository.GetAllBoatsWithStatesAsync()).ToList();
-        
-        // Update positions based on simulation
-        await UpdateBoatPositionsAsync(boatsData, repository, speedMultiplier);
+        List<(Boat boat, BoatState state)> boatsData;
+
+        // One update at a time - concurrent streams must not step the same loaded states twice
+        await _updateLock.WaitAsync();
+        try
+        {
+            // Load current boat states from database
+            boatsData = (await repository.GetAllBoatsWithStatesAsync()).ToList();
+
+            // Update positions based on simulation
+            await UpdateBoatPositionsAsync(boatsData, repository, speedMultiplier);
+        }
+        finally
+        {
+            _updateLock.Release();
+        }
+
+        // Sample what clients are shown into the playback history
+        await RecordHistoryAsync(boatsData.Select(bd => bd.state).ToList(), repository);
         
         // Convert to response DTOs
         return boatsData.Select(bd => new BoatStatus(
@@ -122,7 +267,8 @@ class BoatSimulator
             bd.state.Speed,
             bd.boat.CrewCount,
             bd.state.Conditions,
-            bd.state.Heading
+            bd.state.Heading,
+            bd.state.CurrentWaypointIndex
         ));
     }
 
@@ -131,10 +277,52 @@ class BoatSimulator
         using var scope = _serviceProvider.CreateScope();
         var repository = scope.ServiceProvider.GetRequiredService<IBoatRepository>();
         
-        await repository.ResetAllBoatsAsync();
-        
-        // Reset the last update time so positions don't jump on next update
-        _lastUpdate = DateTime.UtcNow;
+        // Wait for any in-flight update so it can't write over the reset
+        await _updateLock.WaitAsync();
+        try
+        {
+            await repository.ResetAllBoatsAsync();
+
+            // Reset the last update time so positions don't jump on next update
+            _lastUpdate = DateTime.UtcNow;
+        }
+        finally
+        {
+            _updateLock.Release();
+        }
+    }
+
+    // Records a history sample at most once per HistorySampleInterval, however many streams are open
+    private async Task RecordHistoryAsync(IReadOnlyList<BoatState> states, IBoatRepository repository)
+    {
+        var now = DateTime.UtcNow;
+        bool prune;
+
+        lock (_historyLock)
+        {
+            if (now - _lastHistorySample < HistorySampleInterval)
+                return;
+
+            _lastHistorySample = now;
+            prune = now - _lastHistoryPrune >= HistoryPruneInterval;
+            if (prune)
+                _lastHistoryPrune = now;
+        }
+
+        // History is best effort - never break the live feed over it
+        try
+        {
+            await repository.RecordPositionHistoryAsync(states, now);
+
+            if (prune)
+            {
+                await repository.DeletePositionHistoryBeforeAsync(now - HistoryRetention);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Failed to record position history");
+        }
     }
 
     private async Task UpdateBoatPositionsAsync(List<(Boat boat, BoatState state)> boatsData, IBoatRepository repository, double speedMultiplier = 1.0)
@@ -143,9 +331,9 @@ class BoatSimulator
         var elapsedSeconds = (now - _lastUpdate).TotalSeconds;
         _lastUpdate = now;
 
-        // Use a fixed timestep for consistent movement regardless of polling rate
-        // Simulate 1 second of movement per call, adjusted by speed multiplier
-        var simulatedSeconds = 1.0 * speedMultiplier;
+        // Step by wall-clock time since the last update, adjusted by speed multiplier
+        // Movement is the same however many clients are polling or streaming
+        var simulatedSeconds = Math.Min(elapsedSeconds, MaxElapsedSeconds) * SimulatedSecondsPerSecond * speedMultiplier;
 
         foreach (var (boat, state) in boatsData)
         {
@@ -340,8 +528,139 @@ record BoatStatus(
     string Speed,
     int CrewCount,
     string Conditions,
-    double Heading  // Add heading to the response
+    double Heading,  // Add heading to the response
+    int CurrentWaypointIndex  // Index into GET /api/boats/{id}/route waypoints
+);
+
+// Route response for GET/PUT /api/boats/{id}/route
+record BoatRoute(
+    string BoatId,
+    int CurrentWaypointIndex,
+    IReadOnlyList<RouteWaypoint> Waypoints
+)
+{
+    public static BoatRoute From(string boatId, int currentWaypointIndex, IEnumerable<EnergyBoatApp.ApiService.Models.Waypoint> waypoints) =>
+        new(
+            boatId,
+            currentWaypointIndex,
+            waypoints
+                .OrderBy(w => w.Sequence)
+                .Select(w => new RouteWaypoint(w.Sequence, w.Latitude, w.Longitude))
+                .ToList()
+        );
+}
+
+record RouteWaypoint(int Sequence, double Latitude, double Longitude);
+
+// Response for GET /api/boats/history - samples ordered by time, then boat
+record BoatHistory(
+    DateTime From,
+    DateTime To,
+    int SampleIntervalSeconds,
+    IReadOnlyList<BoatHistorySample> Samples
+)
+{
+    public static readonly TimeSpan DefaultWindow = TimeSpan.FromHours(1);
+
+    public static BoatHistory FromSamples(DateTime from, DateTime to, IEnumerable<BoatPositionSample> samples) =>
+        new(
+            from,
+            to,
+            (int)BoatSimulator.HistorySampleInterval.TotalSeconds,
+            samples
+                .Select(s => new BoatHistorySample(
+                    s.BoatId,
+                    s.RecordedAt,
+                    s.Latitude,
+                    s.Longitude,
+                    s.Heading,
+                    s.Status,
+                    s.EnergyLevel,
+                    s.AreaCovered,
+                    s.Speed,
+                    s.CurrentWaypointIndex))
+                .ToList()
+        );
+
+    // Query strings without an offset are treated as UTC (timestamptz parameters must be UTC)
+    public static DateTime ToUtc(DateTime value) =>
+        value.Kind == DateTimeKind.Unspecified
+            ? DateTime.SpecifyKind(value, DateTimeKind.Utc)
+            : value.ToUniversalTime();
+
+    public static Dictionary<string, string[]> ValidateWindow(DateTime from, DateTime to)
+    {
+        var errors = new Dictionary<string, string[]>();
+
+        if (from >= to)
+        {
+            errors["from"] = ["from must be earlier than to"];
+        }
+        else if (to - from > BoatSimulator.HistoryRetention)
+        {
+            errors["to"] = [$"History window can be at most {BoatSimulator.HistoryRetention.TotalHours:F0} hours"];
+        }
+
+        return errors;
+    }
+}
+
+record BoatHistorySample(
+    string BoatId,
+    DateTime Timestamp,
+    double Latitude,
+    double Longitude,
+    double Heading,
+    string Status,
+    double EnergyLevel,
+    double AreaCovered,
+    string Speed,
+    int CurrentWaypointIndex
 );
 
+// Request body for PUT /api/boats/{id}/route - sequence comes from list order
+record UpdateRouteRequest(IReadOnlyList<Waypoint> Waypoints)
+{
+    public const int MinWaypoints = 1; // A single waypoint keeps a boat on station (see BOAT-004 seed data)
+    public const int MaxWaypoints = 100;
+
+    public static Dictionary<string, string[]> Validate(UpdateRouteRequest? request)
+    {
+        var errors = new Dictionary<string, string[]>();
+
+        if (request?.Waypoints is null || request.Waypoints.Count < MinWaypoints)
+        {
+            errors["waypoints"] = [$"A route needs at least {MinWaypoints} waypoint"];
+            return errors;
+        }
+
+        if (request.Waypoints.Count > MaxWaypoints)
+        {
+            errors["waypoints"] = [$"A route can have at most {MaxWaypoints} waypoints"];
+            return errors;
+        }
+
+        for (var i = 0; i < request.Waypoints.Count; i++)
+        {
+            var waypoint = request.Waypoints[i];
+            if (waypoint is null)
+            {
+                errors[$"waypoints[{i}]"] = ["Waypoint is required"];
+                continue;
+            }
+            if (!double.IsFinite(waypoint.Latitude) || waypoint.Latitude is < -90 or > 90)
+            {
+                errors[$"waypoints[{i}].latitude"] = ["Latitude must be between -90 and 90"];
+            }
+            if (!double.IsFinite(waypoint.Longitude) || waypoint.Longitude is < -180 or > 180)
+            {
+                errors[$"waypoints[{i}].longitude"] = ["Longitude must be between -180 and 180"];
+            }
+        }
+
+        return errors;
+    }
+}
+
 // Make Program class accessible to tests
 public partial class Program { }
@@ -302,6 +302,268 @@ public class BoatRepository : IBoatRepository
         }
     }
 
+    /// <inheritdoc/>
+    public async Task<int> ReplaceWaypointsAsync(string boatId, IReadOnlyList<(double Latitude, double Longitude)> waypoints)
+    {
+        var stopwatch = System.Diagnostics.Stopwatch.StartNew();
+        _logger.LogDebug("ReplaceWaypointsAsync: Starting route replacement for {BoatId} with {Count} waypoints", 
+            boatId, waypoints.Count);
+
+        const string deleteSql = "DELETE FROM waypoints WHERE boat_id = @boatId";
+
+        const string insertSql = @"
+            INSERT INTO waypoints (boat_id, latitude, longitude, sequence)
+            VALUES (@boatId, @latitude, @longitude, @sequence)";
+
+        // Keep the boat sailing toward a waypoint that still exists
+        const string clampIndexSql = @"
+            UPDATE boat_states
+            SET current_waypoint_index = LEAST(current_waypoint_index, @maxIndex),
+                last_updated = @lastUpdated
+            WHERE boat_id = @boatId";
+
+        await using var connection = await _dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+
+        try
+        {
+            await using (var command = connection.CreateCommand())
+            {
+                command.Transaction = transaction;
+                command.CommandText = deleteSql;
+                command.Parameters.AddWithValue("@boatId", boatId);
+                await command.ExecuteNonQueryAsync();
+            }
+
+            for (var sequence = 0; sequence < waypoints.Count; sequence++)
+            {
+                await using var command = connection.CreateCommand();
+                command.Transaction = transaction;
+                command.CommandText = insertSql;
+                command.Parameters.AddWithValue("@boatId", boatId);
+                command.Parameters.AddWithValue("@latitude", waypoints[sequence].Latitude);
+                command.Parameters.AddWithValue("@longitude", waypoints[sequence].Longitude);
+                command.Parameters.AddWithValue("@sequence", sequence);
+                await command.ExecuteNonQueryAsync();
+            }
+
+            await using (var command = connection.CreateCommand())
+            {
+                command.Transaction = transaction;
+                command.CommandText = clampIndexSql;
+                command.Parameters.AddWithValue("@boatId", boatId);
+                command.Parameters.AddWithValue("@maxIndex", Math.Max(0, waypoints.Count - 1));
+                command.Parameters.AddWithValue("@lastUpdated", DateTime.UtcNow);
+                await command.ExecuteNonQueryAsync();
+            }
+
+            await transaction.CommitAsync();
+
+            stopwatch.Stop();
+            var elapsedMs = stopwatch.ElapsedMilliseconds;
+
+            if (elapsedMs > 100)
+            {
+                _logger.LogWarning("ReplaceWaypointsAsync: Slow query detected - {ElapsedMs}ms (threshold: 100ms), wrote {Count} waypoints for {BoatId}", 
+                    elapsedMs, waypoints.Count, boatId);
+            }
+            else
+            {
+                _logger.LogInformation("ReplaceWaypointsAsync: Replaced route for {BoatId} with {Count} waypoints in {ElapsedMs}ms", 
+                    boatId, waypoints.Count, elapsedMs);
+            }
+
+            return waypoints.Count;
+        }
+        catch (NpgsqlException ex)
+        {
+            _logger.LogError(ex, "ReplaceWaypointsAsync: Database error occurred for {BoatId}, rolling back transaction - {ErrorCode}", 
+                boatId, ex.ErrorCode);
+            await transaction.RollbackAsync();
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "ReplaceWaypointsAsync: Unexpected error occurred for {BoatId}, rolling back transaction", boatId);
+            await transaction.RollbackAsync();
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task<int> RecordPositionHistoryAsync(IReadOnlyList<BoatState> states, DateTime recordedAt)
+    {
+        var stopwatch = System.Diagnostics.Stopwatch.StartNew();
+        _logger.LogDebug("RecordPositionHistoryAsync: Recording {Count} samples at {RecordedAt}", states.Count, recordedAt);
+
+        const string sql = @"
+            INSERT INTO boat_position_history 
+                (boat_id, recorded_at, latitude, longitude, heading, energy_level, 
+                 status, speed, area_covered, current_waypoint_index)
+            VALUES 
+                (@boatId, @recordedAt, @latitude, @longitude, @heading, @energyLevel, 
+                 @status, @speed, @areaCovered, @currentWaypointIndex)";
+
+        await using var connection = await _dataSource.OpenConnectionAsync();
+        await using var transaction = await connection.BeginTransactionAsync();
+
+        try
+        {
+            foreach (var state in states)
+            {
+                await using var command = connection.CreateCommand();
+                command.Transaction = transaction;
+                command.CommandText = sql;
+                command.Parameters.AddWithValue("@boatId", state.BoatId);
+                command.Parameters.AddWithValue("@recordedAt", recordedAt);
+                command.Parameters.AddWithValue("@latitude", state.Latitude);
+                command.Parameters.AddWithValue("@longitude", state.Longitude);
+                command.Parameters.AddWithValue("@heading", state.Heading);
+                command.Parameters.AddWithValue("@energyLevel", state.EnergyLevel);
+                command.Parameters.AddWithValue("@status", state.Status);
+                command.Parameters.AddWithValue("@speed", state.Speed);
+                command.Parameters.AddWithValue("@areaCovered", state.AreaCovered);
+                command.Parameters.AddWithValue("@currentWaypointIndex", state.CurrentWaypointIndex);
+                await command.ExecuteNonQueryAsync();
+            }
+
+            await transaction.CommitAsync();
+
+            stopwatch.Stop();
+            var elapsedMs = stopwatch.ElapsedMilliseconds;
+
+            if (elapsedMs > 100)
+            {
+                _logger.LogWarning("RecordPositionHistoryAsync: Slow query detected - {ElapsedMs}ms (threshold: 100ms), wrote {Count} samples", 
+                    elapsedMs, states.Count);
+            }
+            else
+            {
+                _logger.LogDebug("RecordPositionHistoryAsync: Completed in {ElapsedMs}ms, wrote {Count} samples", 
+                    elapsedMs, states.Count);
+            }
+
+            return states.Count;
+        }
+        catch (NpgsqlException ex)
+        {
+            _logger.LogError(ex, "RecordPositionHistoryAsync: Database error occurred, rolling back transaction - {ErrorCode}", 
+                ex.ErrorCode);
+            await transaction.RollbackAsync();
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "RecordPositionHistoryAsync: Unexpected error occurred, rolling back transaction");
+            await transaction.RollbackAsync();
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task<IEnumerable<BoatPositionSample>> GetPositionHistoryAsync(DateTime from, DateTime to, string? boatId = null)
+    {
+        var stopwatch = System.Diagnostics.Stopwatch.StartNew();
+        _logger.LogDebug("GetPositionHistoryAsync: Starting query for {From} - {To}, BoatId={BoatId}", from, to, boatId);
+
+        try
+        {
+            const string sql = @"
+                SELECT boat_id, recorded_at, latitude, longitude, heading, energy_level, 
+                       status, speed, area_covered, current_waypoint_index
+                FROM boat_position_history
+                WHERE recorded_at BETWEEN @from AND @to
+                  AND (@boatId IS NULL OR boat_id = @boatId)
+                ORDER BY recorded_at, boat_id";
+
+            var samples = new List<BoatPositionSample>();
+
+            await using var connection = await _dataSource.OpenConnectionAsync();
+            await using var command = connection.CreateCommand();
+            command.CommandText = sql;
+            command.Parameters.AddWithValue("@from", from);
+            command.Parameters.AddWithValue("@to", to);
+            // Typed explicitly so a null filter still binds as TEXT
+            command.Parameters.Add(new NpgsqlParameter("@boatId", NpgsqlTypes.NpgsqlDbType.Text) { Value = (object?)boatId ?? DBNull.Value });
+
+            await using var reader = await command.ExecuteReaderAsync();
+            while (await reader.ReadAsync())
+            {
+                samples.Add(new BoatPositionSample(
+                    BoatId: reader.GetString(0),
+                    RecordedAt: reader.GetDateTime(1),
+                    Latitude: reader.GetDouble(2),
+                    Longitude: reader.GetDouble(3),
+                    Heading: reader.GetDouble(4),
+                    EnergyLevel: reader.GetDouble(5),
+                    Status: reader.GetString(6),
+                    Speed: reader.GetString(7),
+                    AreaCovered: reader.GetDouble(8),
+                    CurrentWaypointIndex: reader.GetInt32(9)
+                ));
+            }
+
+            stopwatch.Stop();
+            var elapsedMs = stopwatch.ElapsedMilliseconds;
+
+            if (elapsedMs > 100)
+            {
+                _logger.LogWarning("GetPositionHistoryAsync: Slow query detected - {ElapsedMs}ms (threshold: 100ms), returned {Count} samples", 
+                    elapsedMs, samples.Count);
+            }
+            else
+            {
+                _logger.LogDebug("GetPositionHistoryAsync: Completed in {ElapsedMs}ms, returned {Count} samples", 
+                    elapsedMs, samples.Count);
+            }
+
+            return samples;
+        }
+        catch (NpgsqlException ex)
+        {
+            _logger.LogError(ex, "GetPositionHistoryAsync: Database error occurred - {ErrorCode}", ex.ErrorCode);
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "GetPositionHistoryAsync: Unexpected error occurred");
+            throw;
+        }
+    }
+
+    /// <inheritdoc/>
+    public async Task<int> DeletePositionHistoryBeforeAsync(DateTime cutoff)
+    {
+        _logger.LogDebug("DeletePositionHistoryBeforeAsync: Deleting samples recorded before {Cutoff}", cutoff);
+
+        try
+        {
+            const string sql = "DELETE FROM boat_position_history WHERE recorded_at < @cutoff";
+
+            await using var connection = await _dataSource.OpenConnectionAsync();
+            await using var command = connection.CreateCommand();
+            command.CommandText = sql;
+            command.Parameters.AddWithValue("@cutoff", cutoff);
+
+            var rowsAffected = await command.ExecuteNonQueryAsync();
+
+            _logger.LogInformation("DeletePositionHistoryBeforeAsync: Deleted {Count} samples recorded before {Cutoff}", 
+                rowsAffected, cutoff);
+
+            return rowsAffected;
+        }
+        catch (NpgsqlException ex)
+        {
+            _logger.LogError(ex, "DeletePositionHistoryBeforeAsync: Database error occurred - {ErrorCode}", ex.ErrorCode);
+            throw;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "DeletePositionHistoryBeforeAsync: Unexpected error occurred");
+            throw;
+        }
+    }
+
     /// <inheritdoc/>
     public async Task<int> ResetAllBoatsAsync()
     {
@@ -40,6 +40,44 @@ public interface IBoatRepository
     /// <returns>Ordered collection of waypoints for the boat's route</returns>
     Task<IEnumerable<Models.Waypoint>> GetWaypointsForBoatAsync(string boatId);
 
+    /// <summary>
+    /// Replaces a boat's route with a new ordered set of waypoints.
+    /// Called by PUT /api/boats/{id}/route from the frontend route editor.
+    /// Uses transaction for atomicity - the old route stays intact if any insert fails.
+    /// The boat's current waypoint index is clamped so it still points into the new route.
+    /// </summary>
+    /// <param name="boatId">Boat identifier</param>
+    /// <param name="waypoints">New waypoints in sailing order (sequence is assigned from list position)</param>
+    /// <returns>Number of waypoints written</returns>
+    Task<int> ReplaceWaypointsAsync(string boatId, IReadOnlyList<(double Latitude, double Longitude)> waypoints);
+
+    /// <summary>
+    /// Appends one history sample per boat state to boat_position_history.
+    /// Called by the simulator on a fixed cadence (not every tick) to keep the table small.
+    /// Uses transaction for atomicity - a tick is recorded for every boat or none.
+    /// </summary>
+    /// <param name="states">Boat states to record</param>
+    /// <param name="recordedAt">UTC timestamp shared by all samples in this tick</param>
+    /// <returns>Number of samples written</returns>
+    Task<int> RecordPositionHistoryAsync(IReadOnlyList<BoatState> states, DateTime recordedAt);
+
+    /// <summary>
+    /// Retrieves recorded samples in a time window, ordered by time then boat.
+    /// Called by GET /api/boats/history for timeline playback.
+    /// </summary>
+    /// <param name="from">Inclusive window start (UTC)</param>
+    /// <param name="to">Inclusive window end (UTC)</param>
+    /// <param name="boatId">Optional boat filter; all boats when null</param>
+    /// <returns>Samples in chronological order</returns>
+    Task<IEnumerable<BoatPositionSample>> GetPositionHistoryAsync(DateTime from, DateTime to, string? boatId = null);
+
+    /// <summary>
+    /// Deletes history samples older than the cutoff (rolling retention).
+    /// </summary>
+    /// <param name="cutoff">Samples recorded before this UTC time are removed</param>
+    /// <returns>Number of samples deleted</returns>
+    Task<int> DeletePositionHistoryBeforeAsync(DateTime cutoff);
+
     /// <summary>
     /// Resets all boats to their initial states (position, heading, energy, status, waypoint index).
     /// Called by POST /api/boats/reset endpoint.
@@ -4,10 +4,19 @@ namespace EnergyBoatApp.ApiService.Services;
 
 /// <summary>
 /// Background service that ensures the database schema is created on application startup.
-/// Runs the 001-initial-schema.sql migration script idempotently (safe to run multiple times).
+/// Runs the 001-initial-schema.sql migration script idempotently (safe to run multiple times),
+/// then applies later additive migrations (CREATE ... IF NOT EXISTS) on every startup.
 /// </summary>
 public class DatabaseInitializationService : IHostedService
 {
+    private const string InitialSchemaScript = "001-initial-schema.sql";
+
+    // Additive scripts that must be safe to re-run against an existing schema
+    private static readonly string[] AdditiveMigrationScripts =
+    [
+        "002-position-history.sql",
+    ];
+
     private readonly NpgsqlDataSource _dataSource;
     private readonly ILogger<DatabaseInitializationService> _logger;
     private readonly IHostEnvironment _environment;
@@ -31,12 +40,19 @@ public class DatabaseInitializationService : IHostedService
             // Check if tables already exist (idempotent check)
             if (await TablesExistAsync(cancellationToken))
             {
-                _logger.LogInformation("Database schema already exists, skipping initialization");
-                return;
+                _logger.LogInformation("Database schema already exists, skipping initial schema");
+            }
+            else
+            {
+                // Run the schema creation script
+                await RunSchemaMigrationAsync(InitialSchemaScript, cancellationToken);
             }
 
-            // Run the schema creation script
-            await RunSchemaMigrationAsync(cancellationToken);
+            // Additive migrations run every time so existing databases pick up new tables
+            foreach (var script in AdditiveMigrationScripts)
+            {
+                await RunSchemaMigrationAsync(script, cancellationToken);
+            }
 
             _logger.LogInformation("Database initialization completed successfully");
         }
@@ -84,23 +100,24 @@ public class DatabaseInitializationService : IHostedService
     }
 
     /// <summary>
-    /// Runs the 001-initial-schema.sql migration script to create the database schema.
+    /// Runs a migration script from the Migrations folder in a transaction.
     /// </summary>
-    private async Task RunSchemaMigrationAsync(CancellationToken cancellationToken)
+    /// <param name="scriptName">Script file name (e.g., "001-initial-schema.sql")</param>
+    private async Task RunSchemaMigrationAsync(string scriptName, CancellationToken cancellationToken)
     {
-        _logger.LogInformation("Running database schema migration...");
+        _logger.LogInformation("Running database schema migration {ScriptName}...", scriptName);
 
         // Read the SQL script from the Migrations folder
         var migrationScriptPath = Path.Combine(
             AppContext.BaseDirectory,
             "Migrations",
-            "001-initial-schema.sql");
+            scriptName);
 
         if (!File.Exists(migrationScriptPath))
         {
             throw new FileNotFoundException(
                 $"Migration script not found at: {migrationScriptPath}. " +
-                "Ensure 001-initial-schema.sql is copied to output directory.");
+                $"Ensure {scriptName} is copied to output directory.");
         }
 
         var migrationSql = await File.ReadAllTextAsync(migrationScriptPath, cancellationToken);
@@ -119,11 +136,11 @@ public class DatabaseInitializationService : IHostedService
 
             await transaction.CommitAsync(cancellationToken);
 
-            _logger.LogInformation("Database schema created successfully");
+            _logger.LogInformation("Database schema migration {ScriptName} applied successfully", scriptName);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Failed to create database schema, rolling back");
+            _logger.LogError(ex, "Failed to apply database schema migration {ScriptName}, rolling back", scriptName);
             await transaction.RollbackAsync(cancellationToken);
             throw;
         }
@@ -0,0 +1,124 @@
+using System.Net;
+using System.Net.Http.Json;
+using Microsoft.AspNetCore.Mvc.Testing;
+
+namespace EnergyBoatApp.Tests.ContractTests;
+
+/// <summary>
+/// Contract tests for GET /api/boats/history endpoint.
+/// Verifies the payload consumed by the frontend playback timeline.
+/// MUST match exactly - any changes break frontend compatibility.
+/// </summary>
+public class GetBoatHistoryContractTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private readonly HttpClient _client;
+
+    public GetBoatHistoryContractTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_ReturnsSuccess()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/history");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal("application/json", response.Content.Headers.ContentType?.MediaType);
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_DefaultsToLastHour()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/history");
+        var history = await response.Content.ReadFromJsonAsync<BoatHistoryResponse>();
+
+        // Assert
+        Assert.NotNull(history);
+        Assert.Equal(TimeSpan.FromHours(1), history.To - history.From);
+        Assert.True(history.SampleIntervalSeconds > 0);
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_RecordsSamplesFromSimulation()
+    {
+        // Arrange - a simulator tick records one sample per boat
+        await _client.GetAsync("/api/boats");
+
+        // Act
+        var response = await _client.GetAsync("/api/boats/history?boatId=BOAT-001");
+        var history = await response.Content.ReadFromJsonAsync<BoatHistoryResponse>();
+
+        // Assert
+        Assert.NotNull(history);
+        Assert.NotEmpty(history.Samples);
+        Assert.All(history.Samples, sample =>
+        {
+            Assert.Equal("BOAT-001", sample.BoatId);
+            Assert.InRange(sample.Latitude, -90.0, 90.0);
+            Assert.InRange(sample.Longitude, -180.0, 180.0);
+            Assert.InRange(sample.EnergyLevel, 0.0, 100.0);
+            Assert.Contains(sample.Status, new[] { "Active", "Charging", "Maintenance" });
+        });
+        Assert.Equal(
+            history.Samples.OrderBy(s => s.Timestamp).Select(s => s.Timestamp),
+            history.Samples.Select(s => s.Timestamp));
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_InvertedWindow_ReturnsValidationProblem()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/history?from=2026-10-19T10:00:00Z&to=2026-10-19T09:00:00Z");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_WindowBeyondRetention_ReturnsValidationProblem()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/history?from=2026-10-17T00:00:00Z&to=2026-10-19T00:00:00Z");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetBoatHistory_UnknownBoat_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/history?boatId=BOAT-999");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+}
+
+/// <summary>
+/// History response record matching the GET /api/boats/history schema.
+/// Any changes to this record indicate a breaking API change.
+/// </summary>
+public record BoatHistoryResponse(
+    DateTime From,
+    DateTime To,
+    int SampleIntervalSeconds,
+    List<BoatHistorySampleResponse> Samples
+);
+
+public record BoatHistorySampleResponse(
+    string BoatId,
+    DateTime Timestamp,
+    double Latitude,
+    double Longitude,
+    double Heading,
+    string Status,
+    double EnergyLevel,
+    double AreaCovered,
+    string Speed,
+    int CurrentWaypointIndex
+);
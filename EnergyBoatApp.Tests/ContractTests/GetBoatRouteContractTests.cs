@@ -0,0 +1,104 @@
+using System.Net;
+using System.Net.Http.Json;
+using Microsoft.AspNetCore.Mvc.Testing;
+
+namespace EnergyBoatApp.Tests.ContractTests;
+
+/// <summary>
+/// Contract tests for GET /api/boats/{id}/route endpoint.
+/// Verifies the route payload consumed by the frontend route overlay.
+/// MUST match exactly - any changes break frontend compatibility.
+/// </summary>
+public class GetBoatRouteContractTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private readonly HttpClient _client;
+
+    public GetBoatRouteContractTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+    }
+
+    [Fact]
+    public async Task GetBoatRoute_ReturnsSuccess()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/BOAT-001/route");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal("application/json", response.Content.Headers.ContentType?.MediaType);
+    }
+
+    [Fact]
+    public async Task GetBoatRoute_UnknownBoat_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/BOAT-999/route");
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task GetBoatRoute_ReturnsWaypointsInSequenceOrder()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/BOAT-001/route");
+        var route = await response.Content.ReadFromJsonAsync<BoatRouteResponse>();
+
+        // Assert - BOAT-001 is seeded with a 5-waypoint rectangle pattern
+        Assert.NotNull(route);
+        Assert.Equal("BOAT-001", route.BoatId);
+        Assert.Equal(5, route.Waypoints.Count);
+        Assert.Equal(
+            Enumerable.Range(0, route.Waypoints.Count),
+            route.Waypoints.Select(w => w.Sequence));
+    }
+
+    [Fact]
+    public async Task GetBoatRoute_WaypointsHaveValidCoordinates()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/BOAT-001/route");
+        var route = await response.Content.ReadFromJsonAsync<BoatRouteResponse>();
+
+        // Assert
+        Assert.NotNull(route);
+        Assert.All(route.Waypoints, waypoint =>
+        {
+            Assert.InRange(waypoint.Latitude, -90.0, 90.0);
+            Assert.InRange(waypoint.Longitude, -180.0, 180.0);
+        });
+        Assert.Equal(51.5170, route.Waypoints[0].Latitude, precision: 4);
+        Assert.Equal(-0.1278, route.Waypoints[0].Longitude, precision: 4);
+    }
+
+    [Fact]
+    public async Task GetBoatRoute_CurrentWaypointIndexWithinRoute()
+    {
+        // Act
+        var response = await _client.GetAsync("/api/boats/BOAT-003/route");
+        var route = await response.Content.ReadFromJsonAsync<BoatRouteResponse>();
+
+        // Assert
+        Assert.NotNull(route);
+        Assert.NotEmpty(route.Waypoints);
+        Assert.InRange(route.CurrentWaypointIndex, 0, route.Waypoints.Count - 1);
+    }
+}
+
+/// <summary>
+/// Route response record matching the GET /api/boats/{id}/route schema.
+/// Any changes to this record indicate a breaking API change.
+/// </summary>
+public record BoatRouteResponse(
+    string BoatId,
+    int CurrentWaypointIndex,
+    List<RouteWaypointResponse> Waypoints
+);
+
+public record RouteWaypointResponse(
+    int Sequence,
+    double Latitude,
+    double Longitude
+);
@@ -0,0 +1,85 @@
+using System.Net;
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc.Testing;
+
+namespace EnergyBoatApp.Tests.ContractTests;
+
+/// <summary>
+/// Contract tests for GET /api/boats/stream endpoint.
+/// Verifies the Server-Sent Events stream pushes the same BoatStatus payload as GET /api/boats.
+/// </summary>
+public class GetBoatsStreamContractTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+    private readonly HttpClient _client;
+
+    public GetBoatsStreamContractTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+    }
+
+    [Fact]
+    public async Task StreamBoats_ReturnsEventStream()
+    {
+        // Act
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(10));
+        using var response = await _client.GetAsync("/api/boats/stream", HttpCompletionOption.ResponseHeadersRead, cts.Token);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        Assert.Equal("text/event-stream", response.Content.Headers.ContentType?.MediaType);
+    }
+
+    [Fact]
+    public async Task StreamBoats_FirstEventContainsFourBoats()
+    {
+        // Act
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(10));
+        var boats = await ReadFirstBoatsEventAsync("/api/boats/stream", cts.Token);
+
+        // Assert
+        Assert.NotNull(boats);
+        Assert.Equal(4, boats.Count);
+        Assert.All(boats, boat => Assert.Matches(@"^BOAT-\d{3}$", boat.Id));
+    }
+
+    [Theory]
+    [InlineData(0.5)]
+    [InlineData(10.0)]
+    public async Task StreamBoats_WithSpeedParameter_PushesBoats(double speed)
+    {
+        // Act
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(10));
+        var boats = await ReadFirstBoatsEventAsync($"/api/boats/stream?speed={speed}", cts.Token);
+
+        // Assert
+        Assert.NotNull(boats);
+        Assert.Equal(4, boats.Count);
+    }
+
+    /// <summary>
+    /// Reads the stream until the first "boats" event and deserializes its data line.
+    /// </summary>
+    private async Task<List<BoatStatus>?> ReadFirstBoatsEventAsync(string url, CancellationToken cancellationToken)
+    {
+        using var response = await _client.GetAsync(url, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+        await using var stream = await response.Content.ReadAsStreamAsync(cancellationToken);
+        using var reader = new StreamReader(stream);
+
+        var eventName = string.Empty;
+        while (await reader.ReadLineAsync(cancellationToken) is { } line)
+        {
+            if (line.StartsWith("event: "))
+            {
+                eventName = line["event: ".Length..];
+            }
+            else if (line.StartsWith("data: ") && eventName == "boats")
+            {
+                return JsonSerializer.Deserialize<List<BoatStatus>>(line["data: ".Length..], JsonOptions);
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,121 @@
+using System.Net;
+using System.Net.Http.Json;
+using Microsoft.AspNetCore.Mvc.Testing;
+
+namespace EnergyBoatApp.Tests.ContractTests;
+
+/// <summary>
+/// Contract tests for PUT /api/boats/{id}/route endpoint.
+/// Uses BOAT-004 (maintenance, never moves) and restores its seeded route afterwards.
+/// MUST match exactly - any changes break the frontend route editor.
+/// </summary>
+public class PutBoatRouteContractTests : IClassFixture<WebApplicationFactory<Program>>
+{
+    private const string BoatId = "BOAT-004";
+    private static readonly UpdateRouteRequestBody SeededRoute = new([new WaypointInput(51.5090, -0.1390)]);
+
+    private readonly HttpClient _client;
+
+    public PutBoatRouteContractTests(WebApplicationFactory<Program> factory)
+    {
+        _client = factory.CreateClient();
+    }
+
+    [Fact]
+    public async Task UpdateBoatRoute_ReturnsUpdatedRoute()
+    {
+        var request = new UpdateRouteRequestBody([
+            new WaypointInput(51.5090, -0.1390),
+            new WaypointInput(51.5120, -0.1350),
+            new WaypointInput(51.5100, -0.1300),
+        ]);
+
+        try
+        {
+            // Act
+            var response = await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", request);
+            var route = await response.Content.ReadFromJsonAsync<BoatRouteResponse>();
+
+            // Assert
+            Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+            Assert.NotNull(route);
+            Assert.Equal(BoatId, route.BoatId);
+            Assert.Equal(3, route.Waypoints.Count);
+            Assert.Equal(new[] { 0, 1, 2 }, route.Waypoints.Select(w => w.Sequence));
+            Assert.Equal(51.5120, route.Waypoints[1].Latitude, precision: 4);
+            Assert.Equal(-0.1350, route.Waypoints[1].Longitude, precision: 4);
+            Assert.InRange(route.CurrentWaypointIndex, 0, 2);
+        }
+        finally
+        {
+            await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", SeededRoute);
+        }
+    }
+
+    [Fact]
+    public async Task UpdateBoatRoute_IsReturnedByGetBoatRoute()
+    {
+        var request = new UpdateRouteRequestBody([
+            new WaypointInput(51.5090, -0.1390),
+            new WaypointInput(51.5110, -0.1370),
+        ]);
+
+        try
+        {
+            // Act
+            await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", request);
+            var route = await _client.GetFromJsonAsync<BoatRouteResponse>($"/api/boats/{BoatId}/route");
+
+            // Assert
+            Assert.NotNull(route);
+            Assert.Equal(2, route.Waypoints.Count);
+            Assert.Equal(51.5110, route.Waypoints[1].Latitude, precision: 4);
+        }
+        finally
+        {
+            await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", SeededRoute);
+        }
+    }
+
+    [Fact]
+    public async Task UpdateBoatRoute_EmptyRoute_ReturnsBadRequest()
+    {
+        // Act
+        var response = await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", new UpdateRouteRequestBody([]));
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task UpdateBoatRoute_OutOfRangeCoordinates_ReturnsBadRequest()
+    {
+        var request = new UpdateRouteRequestBody([
+            new WaypointInput(51.5090, -0.1390),
+            new WaypointInput(91.0, -0.1390),
+        ]);
+
+        // Act
+        var response = await _client.PutAsJsonAsync($"/api/boats/{BoatId}/route", request);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task UpdateBoatRoute_UnknownBoat_ReturnsNotFound()
+    {
+        // Act
+        var response = await _client.PutAsJsonAsync("/api/boats/BOAT-999/route", SeededRoute);
+
+        // Assert
+        Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
+    }
+}
+
+/// <summary>
+/// Request body for PUT /api/boats/{id}/route - waypoint order defines sequence.
+/// </summary>
+public record UpdateRouteRequestBody(List<WaypointInput> Waypoints);
+
+public record WaypointInput(double Latitude, double Longitude);
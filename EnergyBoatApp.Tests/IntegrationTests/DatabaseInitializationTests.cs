@@ -7,7 +7,7 @@ namespace EnergyBoatApp.Tests.IntegrationTests;
 
 /// <summary>
 /// Integration tests for database initialization.
-/// Verifies that ContosoSeaDB schema is created on startup with all 4 tables, indexes, and constraints.
+/// Verifies that ContosoSeaDB schema is created on startup with all 5 tables, indexes, and constraints.
 /// Per data-model.md specifications.
 /// </summary>
 public class DatabaseInitializationTests : IAsyncLifetime
@@ -39,8 +39,8 @@ public class DatabaseInitializationTests : IAsyncLifetime
         command.CommandText = "SELECT COUNT(*) FROM information_schema.tables WHERE table_schema = 'public'";
         var tableCount = (long)(await command.ExecuteScalarAsync() ?? 0);
 
-        // Assert all 4 tables exist
-        Assert.Equal(4, tableCount);
+        // Assert all 5 tables exist (4 from 001-initial-schema.sql, boat_position_history from 002)
+        Assert.Equal(5, tableCount);
     }
 
     [Fact(Skip = "Will fail until database initialization service (T017) is implemented")]
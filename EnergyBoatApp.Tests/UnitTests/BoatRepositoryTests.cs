@@ -103,7 +103,21 @@ public class BoatRepositoryTests : IAsyncLifetime
                 created_at TIMESTAMP
             );
 
-            CREATE INDEX IF NOT EXISTS idx_waypoints_boat_sequence ON waypoints(boat_id, sequence);";
+            CREATE INDEX IF NOT EXISTS idx_waypoints_boat_sequence ON waypoints(boat_id, sequence);
+
+            CREATE TABLE IF NOT EXISTS boat_position_history (
+                id BIGSERIAL PRIMARY KEY,
+                boat_id TEXT NOT NULL REFERENCES boats(id),
+                recorded_at TIMESTAMPTZ NOT NULL,
+                latitude DOUBLE PRECISION NOT NULL,
+                longitude DOUBLE PRECISION NOT NULL,
+                heading DOUBLE PRECISION NOT NULL,
+                energy_level DOUBLE PRECISION NOT NULL,
+                status TEXT NOT NULL,
+                speed TEXT NOT NULL,
+                area_covered DOUBLE PRECISION NOT NULL,
+                current_waypoint_index INTEGER NOT NULL
+            );";
 
         await using var connection = await _dataSource!.OpenConnectionAsync();
         await using var command = connection.CreateCommand();
@@ -455,6 +469,102 @@ public class BoatRepositoryTests : IAsyncLifetime
 
     #endregion
 
+    #region ReplaceWaypointsAsync Tests
+
+    [Fact]
+    public async Task ReplaceWaypointsAsync_ReplacesRouteInOrder()
+    {
+        // Arrange
+        await SeedTestDataAsync();
+        var newRoute = new List<(double Latitude, double Longitude)>
+        {
+            (51.50, -0.12),
+            (51.49, -0.11),
+        };
+
+        // Act
+        var written = await _repository!.ReplaceWaypointsAsync("TEST-001", newRoute);
+
+        // Assert
+        Assert.Equal(2, written);
+        var waypointList = (await _repository.GetWaypointsForBoatAsync("TEST-001")).ToList();
+        Assert.Equal(2, waypointList.Count);
+        Assert.Equal(0, waypointList[0].Sequence);
+        Assert.Equal(51.50, waypointList[0].Latitude);
+        Assert.Equal(1, waypointList[1].Sequence);
+        Assert.Equal(-0.11, waypointList[1].Longitude);
+    }
+
+    [Fact]
+    public async Task ReplaceWaypointsAsync_ClampsCurrentWaypointIndex()
+    {
+        // Arrange - boat sailing toward waypoint 2 of 3
+        await SeedTestDataAsync();
+        var state = (await _repository!.GetBoatByIdAsync("TEST-001"))!.Value.state;
+        await _repository.UpdateBoatStateAsync(state with { CurrentWaypointIndex = 2 });
+
+        // Act - shrink the route to 2 waypoints
+        await _repository.ReplaceWaypointsAsync("TEST-001", new List<(double Latitude, double Longitude)>
+        {
+            (51.50, -0.12),
+            (51.49, -0.11),
+        });
+
+        // Assert - index now points at the last remaining waypoint
+        var updated = await _repository.GetBoatByIdAsync("TEST-001");
+        Assert.NotNull(updated);
+        Assert.Equal(1, updated.Value.state.CurrentWaypointIndex);
+    }
+
+    #endregion
+
+    #region Position History Tests
+
+    [Fact]
+    public async Task RecordPositionHistoryAsync_SamplesAreReturnedInWindow()
+    {
+        // Arrange
+        await SeedTestDataAsync();
+        var state = (await _repository!.GetBoatByIdAsync("TEST-001"))!.Value.state;
+        var start = new DateTime(2026, 10, 19, 9, 0, 0, DateTimeKind.Utc);
+
+        // Act - three ticks 5 seconds apart, boat moving north
+        for (var i = 0; i < 3; i++)
+        {
+            await _repository.RecordPositionHistoryAsync(
+                new List<BoatState> { state with { Latitude = state.Latitude + i * 0.001 } },
+                start.AddSeconds(i * 5));
+        }
+
+        // Assert - window excludes the last tick
+        var samples = (await _repository.GetPositionHistoryAsync(start, start.AddSeconds(7), "TEST-001")).ToList();
+        Assert.Equal(2, samples.Count);
+        Assert.Equal(start, samples[0].RecordedAt.ToUniversalTime());
+        Assert.Equal(state.Latitude + 0.001, samples[1].Latitude, precision: 6);
+        Assert.Equal("Active", samples[1].Status);
+    }
+
+    [Fact]
+    public async Task DeletePositionHistoryBeforeAsync_RemovesOnlyOlderSamples()
+    {
+        // Arrange
+        await SeedTestDataAsync();
+        var state = (await _repository!.GetBoatByIdAsync("TEST-001"))!.Value.state;
+        var now = new DateTime(2026, 10, 19, 12, 0, 0, DateTimeKind.Utc);
+        await _repository.RecordPositionHistoryAsync(new List<BoatState> { state }, now.AddHours(-25));
+        await _repository.RecordPositionHistoryAsync(new List<BoatState> { state }, now.AddHours(-1));
+
+        // Act
+        var deleted = await _repository.DeletePositionHistoryBeforeAsync(now.AddHours(-24));
+
+        // Assert
+        Assert.Equal(1, deleted);
+        var remaining = await _repository.GetPositionHistoryAsync(now.AddHours(-48), now);
+        Assert.Single(remaining);
+    }
+
+    #endregion
+
     #region ResetAllBoatsAsync Tests
 
     [Fact]
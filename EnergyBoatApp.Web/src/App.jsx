@@ -1,5 +1,21 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import BoatScene from './components/BoatScene';
+import PlaybackTimeline from './components/PlaybackTimeline';
+import AlertTray from './components/AlertTray';
+import FleetToolbar from './components/FleetToolbar';
+import VesselDetailDrawer from './components/VesselDetailDrawer';
+import { subscribeToBoats, getBoatsApiUrl, CONNECTION_MODES } from './services/boatStream';
+import { fetchBoatHistory } from './services/boatHistory';
+import { fetchSites } from './services/sites';
+import { createHistoryTimeline, getBoatsAtTime, PLAYBACK_RATES, PLAYBACK_WINDOWS } from './data/historyTimeline';
+import { loadAlertRules, saveAlertRules, resetAlertRules } from './data/alertRules';
+import { loadGeofences, saveGeofences, resetGeofences, createGeofenceTracker, updateGeofenceTracker, getGeofenceOccupancy } from './data/geofences';
+import { getFleetWeather } from './data/weather';
+import { findNextSunEvent } from './scene/utils/SolarPosition';
+import { createTelemetryRecorder, recordTelemetry, getTelemetrySamples, clearTelemetry } from './data/vesselTelemetry';
+import { loadFleetFilter, saveFleetFilter, arrangeFleet, filterBoats, isFleetFilterActive, getFleetFilterOptions } from './data/fleetFilters';
+import { DEFAULT_SITE, getActiveSite, setActiveSite, isWithinSiteBounds, loadActiveSiteId, saveActiveSiteId } from './data/siteConfig';
+import { createAlertEngine, observeBoats, evaluateAlerts, getVisibleAlerts, acknowledgeAlert, snoozeAlert, getAlertedBoats, ALERT_ENGINE_CONFIG } from './data/alertEngine';
 import './App.css';
 
 // Convert heading degrees to compass direction
@@ -18,50 +34,108 @@ function App() {
   const [resetTrigger, setResetTrigger] = useState(0);
   const [speedMultiplier, setSpeedMultiplier] = useState(1.0); // 0.1x to 10x
   const [simulatedTime, setSimulatedTime] = useState(new Date()); // Simulated time that advances with speed
+  const [connectionMode, setConnectionMode] = useState(CONNECTION_MODES.CONNECTING);
 
-  // Fetch boat data from API
+  // Operating site (dock, bounds, buoys, scale) - the scene waits until it is known
+  const [sites, setSites] = useState([DEFAULT_SITE]);
+  const [site, setSite] = useState(null);
+
+  // History playback - replaces live boats in the scene and dashboard while active
+  const [isPlayback, setIsPlayback] = useState(false);
+  const [playbackWindow, setPlaybackWindow] = useState(PLAYBACK_WINDOWS[1].ms);
+  const [timeline, setTimeline] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(PLAYBACK_RATES[2]);
+  const [isLoadingHistory, setIsLoadingHistory] = useState(false);
+  const [historyError, setHistoryError] = useState(null);
+
+  // Fleet alerts - evaluated against live data only, never against playback
+  const alertEngineRef = useRef(null);
+  if (alertEngineRef.current === null) {
+    alertEngineRef.current = createAlertEngine();
+  }
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+
+  // Per-boat samples of live data for the detail drawer charts
+  const telemetryRecorderRef = useRef(null);
+  if (telemetryRecorderRef.current === null) {
+    telemetryRecorderRef.current = createTelemetryRecorder();
+  }
+  const [closedDetailBoatId, setClosedDetailBoatId] = useState(null); // Selected boat whose drawer was closed
+  const [alerts, setAlerts] = useState([]);
+
+  // Geofence zones and which live boats are inside each
+  const geofenceTrackerRef = useRef(null);
+  if (geofenceTrackerRef.current === null) {
+    geofenceTrackerRef.current = createGeofenceTracker();
+  }
+  const [geofences, setGeofences] = useState([]);
+  const [geofenceOccupancy, setGeofenceOccupancy] = useState({});
+  const [geofenceEvents, setGeofenceEvents] = useState([]);
+
+  // Dashboard search, filters, sorting and grouping (also dims or hides boats in the scene)
+  const [fleetFilter, setFleetFilter] = useState(loadFleetFilter);
+
+  // Load the site list once (the first site is the default); fall back to the built-in site when it can't be read
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchSites()
+      .then((list) => {
+        if (cancelled) return;
+        const storedId = loadActiveSiteId();
+        const initial = list.find(s => s.id === storedId) ?? list[0];
+        console.log(`📍 Operating site: ${initial.name} (${list.length} available)`);
+        setActiveSite(initial);
+        setSites(list);
+        setSite(initial);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.warn('⚠️ Could not load the site list, using the built-in site:', err);
+        setSite(getActiveSite());
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Zones are stored per site, and occupancy starts over with them
+  useEffect(() => {
+    if (!site) return;
+    geofenceTrackerRef.current = createGeofenceTracker();
+    setGeofences(loadGeofences(site));
+  }, [site]);
+
+  // Subscribe to boat data (server push stream, polling fallback)
   useEffect(() => {
-    const fetchBoats = async () => {
-      try {
-        // Use service discovery URL pattern for Aspire
-        const apiUrl = import.meta.env.VITE_API_URL || '/api/boats';
-        // Pass speed multiplier to API for time simulation
-        const urlWithSpeed = `${apiUrl}?speed=${speedMultiplier}`;
-        const response = await fetch(urlWithSpeed);
-        
-        if (!response.ok) {
-          throw new Error('Failed to fetch boat data');
-        }
-        
-        const data = await response.json();
-        console.log('🚢 Fetched boat data:', data.map(b => ({ 
-          id: b.id || b.Id, 
-          lat: b.latitude || b.Latitude, 
-          lon: b.longitude || b.Longitude,
-          status: b.status || b.Status 
+    const unsubscribe = subscribeToBoats({
+      speedMultiplier,
+      onBoats: (data) => {
+        console.log('🚢 Received boat data:', data.map(b => ({ 
+          id: b.id, 
+          lat: b.latitude, 
+          lon: b.longitude,
+          status: b.status 
         })));
+        observeBoats(alertEngineRef.current, data, Date.now());
+        recordTelemetry(telemetryRecorderRef.current, data, Date.now(), speedMultiplier);
         setBoats(data);
         setLoading(false);
+        setError(null);
         setLastUpdate(new Date());
-      } catch (err) {
+      },
+      onError: (err) => {
         setError(err.message);
         setLoading(false);
-      }
-    };
+      },
+      onModeChange: setConnectionMode,
+    });
 
-    fetchBoats();
-    
-    // Adjust polling rate based on speed multiplier
-    // Faster speed = more frequent updates for smoothness
-    // Slower speed = less frequent updates to reduce traffic
-    const baseInterval = 200; // 200ms base (5 Hz)
-    const adjustedInterval = Math.max(50, Math.min(2000, baseInterval / Math.sqrt(speedMultiplier)));
-    
-    console.log(`⚙️ API polling interval: ${adjustedInterval.toFixed(0)}ms (speed: ${speedMultiplier}x)`);
-    
-    const interval = setInterval(fetchBoats, adjustedInterval);
-    return () => clearInterval(interval);
-  }, [speedMultiplier]); // Re-create interval when speed changes
+    return unsubscribe;
+  }, [speedMultiplier]); // Re-subscribe when speed changes
 
   // Simulated time advancement - ticks faster/slower based on speedMultiplier
   useEffect(() => {
@@ -77,10 +151,190 @@ function App() {
     return () => clearInterval(interval);
   }, [speedMultiplier]);
 
+  // Track zone entries and exits for live boats (editing zones re-checks the current fleet)
+  useEffect(() => {
+    const tracker = geofenceTrackerRef.current;
+    const raised = updateGeofenceTracker(tracker, geofences, boats, Date.now());
+    raised.forEach((event) => {
+      console.log(`🗺️ ${event.boatId} ${event.type === 'enter' ? 'entered' : 'left'} geofence ${event.zoneId}`);
+    });
+    setGeofenceOccupancy(getGeofenceOccupancy(tracker, geofences));
+    setGeofenceEvents(tracker.events);
+  }, [boats, geofences]);
+
+  // Evaluate alert rules on new data, and on a timer so stale-data alerts can fire
+  useEffect(() => {
+    const evaluate = () => setAlerts(evaluateAlerts(alertEngineRef.current, alertRules, Date.now(), geofences));
+    evaluate();
+
+    const interval = setInterval(evaluate, ALERT_ENGINE_CONFIG.evaluationInterval);
+    return () => clearInterval(interval);
+  }, [boats, alertRules, geofences]);
+
+  // Load the history window whenever playback starts or the window changes
+  useEffect(() => {
+    if (!isPlayback) {
+      setTimeline(null);
+      setIsPlaying(false);
+      return;
+    }
+
+    let cancelled = false;
+    const to = new Date();
+    const from = new Date(to.getTime() - playbackWindow);
+
+    setIsLoadingHistory(true);
+    setHistoryError(null);
+
+    fetchBoatHistory({ from, to })
+      .then((history) => {
+        if (cancelled) return;
+        const newTimeline = createHistoryTimeline(history);
+        console.log(`⏪ Loaded ${history.samples.length} history samples, ${newTimeline.events.length} events`);
+        setTimeline(newTimeline);
+        setPlaybackTime(newTimeline.start);
+        setIsPlaying(false);
+      })
+      .catch((err) => {
+        if (!cancelled) setHistoryError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoadingHistory(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [isPlayback, playbackWindow]);
+
+  // Playback clock - advances on the same 100ms cadence as simulated time
+  useEffect(() => {
+    if (!isPlaying || !timeline) return;
+
+    const tickInterval = 100;
+    const interval = setInterval(() => {
+      setPlaybackTime(prevTime => Math.min(timeline.end, prevTime + tickInterval * playbackRate));
+    }, tickInterval);
+
+    return () => clearInterval(interval);
+  }, [isPlaying, playbackRate, timeline]);
+
+  // Stop at the end of the recording
+  useEffect(() => {
+    if (isPlaying && timeline && playbackTime >= timeline.end) {
+      setIsPlaying(false);
+    }
+  }, [isPlaying, timeline, playbackTime]);
+
+  // Boats shown everywhere - live data, or the fleet as it was at the playback time
+  const displayedBoats = useMemo(
+    () => (isPlayback && timeline ? getBoatsAtTime(timeline, playbackTime, boats) : boats),
+    [isPlayback, timeline, playbackTime, boats]
+  );
+
+  // Scene weather from live reports (history samples carry no conditions)
+  const fleetWeather = useMemo(() => getFleetWeather(boats), [boats]);
+
+  // Boats to ring in the scene (live view only - history has no alerts)
+  const alertedBoats = useMemo(
+    () => (isPlayback ? {} : getAlertedBoats(alerts)),
+    [isPlayback, alerts]
+  );
+
+  // Dashboard cards after search, filters, sorting and grouping
+  const fleetGroups = useMemo(() => arrangeFleet(displayedBoats, fleetFilter), [displayedBoats, fleetFilter]);
+  const fleetFilterOptions = useMemo(() => getFleetFilterOptions(displayedBoats), [displayedBoats]);
+  const shownBoatCount = fleetGroups.reduce((count, group) => count + group.boats.length, 0);
+
+  // Boats the scene shows normally (null when nothing is filtered out)
+  const sceneFleetFilter = useMemo(() => {
+    if (!isFleetFilterActive(fleetFilter)) return null;
+    return {
+      boatIds: new Set(filterBoats(displayedBoats, fleetFilter).map(boat => boat.id)),
+      mode: fleetFilter.sceneMode,
+    };
+  }, [displayedBoats, fleetFilter]);
+
+  // The simulator only runs one fleet - say so when none of it is inside the selected site
+  const hasNoBoatsInSite = site !== null && displayedBoats.length > 0 &&
+    !displayedBoats.some(boat => isWithinSiteBounds(boat, site));
+
+  // Latest values of the boat shown in the detail drawer
+  const selectedBoatData = displayedBoats.find(boat => boat.id === selectedBoat) ?? null;
+
+  const handleFleetFilterChange = (filter) => {
+    saveFleetFilter(filter);
+    setFleetFilter(filter);
+  };
+
+  const handleAcknowledgeAlert = (alertId) => {
+    acknowledgeAlert(alertEngineRef.current, alertId);
+    setAlerts(getVisibleAlerts(alertEngineRef.current, Date.now()));
+  };
+
+  const handleSnoozeAlert = (alertId, durationMs) => {
+    const now = Date.now();
+    snoozeAlert(alertEngineRef.current, alertId, now + durationMs);
+    setAlerts(getVisibleAlerts(alertEngineRef.current, now));
+  };
+
+  const handleAlertRulesChange = (rules) => {
+    saveAlertRules(rules);
+    setAlertRules(rules);
+  };
+
+  const handleResetAlertRules = () => {
+    console.log('🔔 Alert rules reset to defaults');
+    setAlertRules(resetAlertRules());
+  };
+
+  const handleGeofencesChange = (zones) => {
+    saveGeofences(zones);
+    setGeofences(zones);
+  };
+
+  const handleResetGeofences = () => {
+    console.log('🗺️ Geofences reset to defaults');
+    setGeofences(resetGeofences());
+  };
+
+  // Jump the simulated clock to the next sunrise or sunset at the dock
+  const handleSkipToSunEvent = () => {
+    const event = findNextSunEvent(simulatedTime, site.dock.latitude, site.dock.longitude);
+    if (!event) return;
+    console.log(`${event.type === 'sunset' ? '🌇' : '🌅'} Skipping to ${event.type} at ${new Date(event.time).toLocaleTimeString()}`);
+    setSimulatedTime(new Date(event.time));
+  };
+
+  // Point the app at another operating site (the scene is rebuilt for it)
+  const handleSiteChange = (siteId) => {
+    const next = sites.find(s => s.id === siteId);
+    if (!next || next === site) return;
+    console.log(`📍 Switching to site ${next.name}`);
+    setActiveSite(next);
+    saveActiveSiteId(next.id);
+    setSelectedBoat(null);
+    setSite(next);
+  };
+
+  const handleTogglePlayback = () => {
+    console.log(isPlayback ? '📡 Returning to live data' : '⏪ Entering history playback');
+    setIsPlayback(!isPlayback);
+  };
+
+  const handleTogglePlay = () => {
+    // Play from the start again once the end is reached
+    if (!isPlaying && timeline && playbackTime >= timeline.end) {
+      setPlaybackTime(timeline.start);
+    }
+    setIsPlaying(!isPlaying);
+  };
+
   // Reset scene handler
   const handleResetScene = async () => {
     console.log('🔄 Resetting scene...');
     
+    // 0. Leave history playback so the reset is visible
+    setIsPlayback(false);
+    
     // 1. Reset speed multiplier to 1.0x
     setSpeedMultiplier(1.0);
     
@@ -90,10 +344,12 @@ function App() {
     // 3. Reset selected boat
     setSelectedBoat(null);
     
-    // 4. Call API to reset boats to initial positions
+    // 4. Recorded charts would show the jump back to the start
+    clearTelemetry(telemetryRecorderRef.current);
+    
+    // 5. Call API to reset boats to initial positions
     try {
-      const apiUrl = import.meta.env.VITE_API_URL || '/api/boats';
-      const resetUrl = `${apiUrl}/reset`;
+      const resetUrl = `${getBoatsApiUrl()}/reset`;
       const response = await fetch(resetUrl, { method: 'POST' });
       
       if (response.ok) {
@@ -105,7 +361,7 @@ function App() {
       console.error('❌ Error calling reset API:', err);
     }
     
-    // 5. Trigger BoatScene reset (camera position, day/night)
+    // 6. Trigger BoatScene reset (camera position)
     setResetTrigger(prev => prev + 1);
   };
 
@@ -135,9 +391,21 @@ function App() {
   };
 
   const handleBoatClick = (boat) => {
-    setSelectedBoat(boat.id || boat.Id);
+    setSelectedBoat(boat.id);
+    setClosedDetailBoatId(null); // Clicking the card again reopens its details
   };
 
+  // Selection picked in the 3D view (null when open water is clicked)
+  const handleSelectBoat = (boatId) => {
+    setSelectedBoat(boatId);
+  };
+
+  // Keep the selected card visible when selection comes from the scene
+  useEffect(() => {
+    if (!selectedBoat) return;
+    document.querySelector('.boat-card.selected')?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [selectedBoat]);
+
   return (
     <div className="app">
       <header className="app-header">
@@ -148,38 +416,99 @@ function App() {
             <p className="tagline">Real-time Geo-data Visualization & Fleet Management</p>
           </div>
           <div className="header-stats">
+            {site && (
+              <div className="stat">
+                <span className="stat-label">Operating Site</span>
+                {sites.length > 1 ? (
+                  <select className="site-select" value={site.id} onChange={(e) => handleSiteChange(e.target.value)}>
+                    {sites.map(s => (
+                      <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="site-name">{site.name}</span>
+                )}
+              </div>
+            )}
             <div className="stat">
               <span className="stat-label">Total Vessels</span>
-              <span className="stat-value">{boats.length}</span>
+              <span className="stat-value">{displayedBoats.length}</span>
             </div>
             <div className="stat">
               <span className="stat-label">Active</span>
               <span className="stat-value">
-                {boats.filter(b => (b.status || b.Status) === 'Active').length}
+                {displayedBoats.filter(b => b.status === 'Active').length}
               </span>
             </div>
             <div className="stat">
-              <span className="stat-label">Simulated Time</span>
-              <span className="stat-value">{simulatedTime.toLocaleTimeString()}</span>
+              <span className="stat-label">{isPlayback ? 'Playback Time' : 'Simulated Time'}</span>
+              <span className="stat-value">
+                {isPlayback && timeline ? new Date(playbackTime).toLocaleTimeString() : simulatedTime.toLocaleTimeString()}
+              </span>
             </div>
+            <div className="stat">
+              <span className="stat-label">Data Link</span>
+              <span className={`stat-value connection-${isPlayback ? 'playback' : connectionMode}`} title={`Last update: ${lastUpdate.toLocaleTimeString()}`}>
+                {isPlayback ? 'Playback' : connectionMode === CONNECTION_MODES.STREAMING ? 'Live' : connectionMode === CONNECTION_MODES.POLLING ? 'Polling' : 'Connecting'}
+              </span>
+            </div>
+            <AlertTray
+              alerts={alerts}
+              rules={alertRules}
+              onAcknowledge={handleAcknowledgeAlert}
+              onSnooze={handleSnoozeAlert}
+              onSelectBoat={handleSelectBoat}
+              onRulesChange={handleAlertRulesChange}
+              onResetRules={handleResetAlertRules}
+            />
           </div>
         </div>
       </header>
       
-      {loading && <div className="loading-screen">Loading 3D Environment...</div>}
+      {(loading || !site) && <div className="loading-screen">Loading 3D Environment...</div>}
       {error && <div className="error-message">Error: {error}</div>}
 
-      {!loading && !error && (
+      {!loading && !error && site && (
         <div className="content">
           <div className="scene-container">
             <BoatScene 
-              boats={boats} 
+              key={site.id}
+              boats={displayedBoats} 
               selectedBoatId={selectedBoat} 
+              onSelectBoat={handleSelectBoat}
               onResetScene={handleResetScene}
               resetTrigger={resetTrigger}
               speedMultiplier={speedMultiplier}
               onSpeedChange={handleSpeedChange}
+              isPlayback={isPlayback}
+              onTogglePlayback={handleTogglePlayback}
+              sceneTime={isPlayback && timeline ? playbackTime : simulatedTime.getTime()}
+              onSkipToSunEvent={handleSkipToSunEvent}
+              fleetWeather={fleetWeather}
+              alertedBoats={alertedBoats}
+              geofences={geofences}
+              geofenceOccupancy={geofenceOccupancy}
+              geofenceEvents={geofenceEvents}
+              onGeofencesChange={handleGeofencesChange}
+              onResetGeofences={handleResetGeofences}
+              fleetFilter={sceneFleetFilter}
             />
+            {isPlayback && (
+              <PlaybackTimeline
+                timeline={timeline}
+                time={playbackTime}
+                isPlaying={isPlaying}
+                rate={playbackRate}
+                windowMs={playbackWindow}
+                isLoading={isLoadingHistory}
+                error={historyError}
+                onSeek={setPlaybackTime}
+                onTogglePlay={handleTogglePlay}
+                onRateChange={setPlaybackRate}
+                onWindowChange={setPlaybackWindow}
+                onExit={handleTogglePlayback}
+              />
+            )}
             <div className="scene-overlay">
               <div className="legend">
                 <h3>Status Indicators</h3>
@@ -201,127 +530,160 @@ function App() {
           
           <div className="boat-list">
             <h2>Fleet Status Dashboard</h2>
+            <FleetToolbar
+              filter={fleetFilter}
+              options={fleetFilterOptions}
+              shownCount={shownBoatCount}
+              totalCount={displayedBoats.length}
+              onChange={handleFleetFilterChange}
+            />
+            {selectedBoatData && closedDetailBoatId !== selectedBoat && (
+              <VesselDetailDrawer
+                boat={selectedBoatData}
+                samples={getTelemetrySamples(telemetryRecorderRef.current, selectedBoat)}
+                speedMultiplier={speedMultiplier}
+                isPlayback={isPlayback}
+                onClose={() => setClosedDetailBoatId(selectedBoat)}
+              />
+            )}
             <div className="boat-cards">
-              {boats.map((boat) => {
-                const boatId = boat.id || boat.Id;
-                const isSelected = selectedBoat === boatId;
-                return (
-                  <div 
-                    key={boatId} 
-                    className={`boat-card ${isSelected ? 'selected' : ''}`}
-                    onClick={() => handleBoatClick(boat)}
-                    style={{ cursor: 'pointer' }}
-                  >
-                    <div className="card-header">
-                      <div>
-                        <h3>{boatId}</h3>
-                        <p className="vessel-name">{boat.vesselName || boat.VesselName || 'Survey Vessel'}</p>
-                      </div>
-                      <span 
-                        className="status-indicator"
-                        style={{ backgroundColor: getStatusColor(boat.status || boat.Status) }}
-                      ></span>
-                    </div>
-                    <div className="card-body">
-                      <div className="boat-info-row">
-                        <span className="info-label">Status:</span>
-                        <span className="info-value" style={{ color: getStatusColor(boat.status || boat.Status) }}>
-                          {boat.status || boat.Status}
-                        </span>
-                      </div>
-                      
-                      {(boat.project || boat.Project) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Project:</span>
-                          <span className="info-value project-name">{boat.project || boat.Project}</span>
-                        </div>
-                      )}
-                      
-                      {(boat.surveyType || boat.SurveyType) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Survey Type:</span>
-                          <span className="info-value">{boat.surveyType || boat.SurveyType}</span>
-                        </div>
-                      )}
-                      
-                      <div className="boat-info-row">
-                        <span className="info-label">Energy:</span>
-                        <span className="info-value">
-                          <span style={{ color: getEnergyColor(boat.energyLevel || boat.EnergyLevel) }}>
-                            {((boat.energyLevel || boat.EnergyLevel) ?? 0).toFixed(1)}%
-                          </span>
-                        </span>
-                      </div>
-                      <div className="energy-bar-container">
-                        <div className="energy-bar-label">
-                          <span>Battery</span>
-                          <span>{((boat.energyLevel || boat.EnergyLevel) ?? 0).toFixed(0)}%</span>
-                        </div>
-                        <div className="energy-bar-bg">
-                          <div 
-                            className="energy-bar-fill" 
-                            style={{ 
-                              width: `${(boat.energyLevel || boat.EnergyLevel) ?? 0}%`,
-                              backgroundColor: getEnergyColor(boat.energyLevel || boat.EnergyLevel)
-                            }}
-                          ></div>
-                        </div>
-                      </div>
-                      
-                      {(boat.equipment || boat.Equipment) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Equipment:</span>
-                          <span className="info-value equipment">{boat.equipment || boat.Equipment}</span>
-                        </div>
-                      )}
-                      
-                      {(boat.areaCovered || boat.AreaCovered) !== undefined && (boat.areaCovered || boat.AreaCovered) > 0 && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Area Covered:</span>
-                          <span className="info-value">{(boat.areaCovered || boat.AreaCovered).toFixed(1)} km²</span>
-                        </div>
-                      )}
-                      
-                      {(boat.speed || boat.Speed) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Speed:</span>
-                          <span className="info-value">{boat.speed || boat.Speed}</span>
-                        </div>
-                      )}
-                      
-                      {(boat.heading !== undefined || boat.Heading !== undefined) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Heading:</span>
-                          <span className="info-value">
-                            {headingToCompass(boat.heading || boat.Heading || 0)} ({((boat.heading || boat.Heading) ?? 0).toFixed(0)}°)
-                          </span>
-                        </div>
-                      )}
-                      
-                      {(boat.crewCount || boat.CrewCount) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Crew:</span>
-                          <span className="info-value">{boat.crewCount || boat.CrewCount} personnel</span>
+              {hasNoBoatsInSite && (
+                <div className="site-notice">
+                  No boats are reporting inside {site.name}. The simulated fleet operates in another area.
+                </div>
+              )}
+              {shownBoatCount === 0 && displayedBoats.length > 0 && (
+                <div className="fleet-empty">No boats match the current filters</div>
+              )}
+              {fleetGroups.map(({ project, boats: groupBoats }) => (
+                <div key={project} className="fleet-group">
+                  {project && (
+                    <h4 className="fleet-group-header">
+                      <span>{project}</span>
+                      <span>{groupBoats.length}</span>
+                    </h4>
+                  )}
+                  {groupBoats.map((boat) => {
+                    const boatId = boat.id;
+                    const isSelected = selectedBoat === boatId;
+                    const alertSeverity = alertedBoats[boatId];
+                    return (
+                      <div 
+                        key={boatId} 
+                        className={`boat-card ${isSelected ? 'selected' : ''} ${alertSeverity ? `alerted alerted-${alertSeverity}` : ''}`}
+                        onClick={() => handleBoatClick(boat)}
+                        style={{ cursor: 'pointer' }}
+                      >
+                        <div className="card-header">
+                          <div>
+                            <h3>{boatId}</h3>
+                            <p className="vessel-name">{boat.vesselName}</p>
+                          </div>
+                          <span 
+                            className="status-indicator"
+                            style={{ backgroundColor: getStatusColor(boat.status) }}
+                          ></span>
                         </div>
-                      )}
-                      
-                      {(boat.conditions || boat.Conditions) && (
-                        <div className="boat-info-row">
-                          <span className="info-label">Conditions:</span>
-                          <span className="info-value conditions">{boat.conditions || boat.Conditions}</span>
+                        <div className="card-body">
+                          <div className="boat-info-row">
+                            <span className="info-label">Status:</span>
+                            <span className="info-value" style={{ color: getStatusColor(boat.status) }}>
+                              {boat.status}
+                            </span>
+                          </div>
+                          
+                          {boat.project && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Project:</span>
+                              <span className="info-value project-name">{boat.project}</span>
+                            </div>
+                          )}
+                          
+                          {boat.surveyType && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Survey Type:</span>
+                              <span className="info-value">{boat.surveyType}</span>
+                            </div>
+                          )}
+                          
+                          <div className="boat-info-row">
+                            <span className="info-label">Energy:</span>
+                            <span className="info-value">
+                              <span style={{ color: getEnergyColor(boat.energyLevel) }}>
+                                {boat.energyLevel.toFixed(1)}%
+                              </span>
+                            </span>
+                          </div>
+                          <div className="energy-bar-container">
+                            <div className="energy-bar-label">
+                              <span>Battery</span>
+                              <span>{boat.energyLevel.toFixed(0)}%</span>
+                            </div>
+                            <div className="energy-bar-bg">
+                              <div 
+                                className="energy-bar-fill" 
+                                style={{ 
+                                  width: `${boat.energyLevel}%`,
+                                  backgroundColor: getEnergyColor(boat.energyLevel)
+                                }}
+                              ></div>
+                            </div>
+                          </div>
+                          
+                          {boat.equipment && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Equipment:</span>
+                              <span className="info-value equipment">{boat.equipment}</span>
+                            </div>
+                          )}
+                          
+                          {boat.areaCovered > 0 && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Area Covered:</span>
+                              <span className="info-value">{boat.areaCovered.toFixed(1)} km²</span>
+                            </div>
+                          )}
+                          
+                          {boat.speed && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Speed:</span>
+                              <span className="info-value">{boat.speed}</span>
+                            </div>
+                          )}
+                          
+                          <div className="boat-info-row">
+                            <span className="info-label">Heading:</span>
+                            <span className="info-value">
+                              {headingToCompass(boat.heading)} ({boat.heading.toFixed(0)}°)
+                            </span>
+                          </div>
+                          
+                          {boat.crewCount > 0 && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Crew:</span>
+                              <span className="info-value">{boat.crewCount} personnel</span>
+                            </div>
+                          )}
+                          
+                          {boat.conditions && (
+                            <div className="boat-info-row">
+                              <span className="info-label">Conditions:</span>
+                              <span className="info-value conditions">{boat.conditions}</span>
+                            </div>
+                          )}
+                          
+                          <div className="boat-info-row">
+                            <span className="info-label">Position:</span>
+                            <span className="info-value coordinates">
+                              {Math.abs(boat.latitude).toFixed(4)}°{boat.latitude >= 0 ? 'N' : 'S'}, {Math.abs(boat.longitude).toFixed(4)}°{boat.longitude >= 0 ? 'E' : 'W'}
+                            </span>
+                          </div>
                         </div>
-                      )}
-                      
-                      <div className="boat-info-row">
-                        <span className="info-label">Position:</span>
-                        <span className="info-value coordinates">
-                          {((boat.latitude || boat.Latitude) ?? 0).toFixed(4)}°N, {Math.abs((boat.longitude || boat.Longitude) ?? 0).toFixed(4)}°W
-                        </span>
                       </div>
-                    </div>
-                  </div>
-                );
-              })}
+                    );
+                  })}
+                </div>
+              ))}
             </div>
           </div>
         </div>
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import './AlertTray.css';
+import { ALERT_SEVERITIES, describeAlertRule, validateAlertRule } from '../data/alertRules.js';
+
+const SEVERITY_ICONS = {
+  info: 'ℹ️',
+  warning: '⚠️',
+  critical: '🚨',
+};
+
+const SNOOZE_OPTIONS = [
+  { label: '5 min', ms: 5 * 60 * 1000 },
+  { label: '15 min', ms: 15 * 60 * 1000 },
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+];
+
+/**
+ * The editable number for each rule type (rules without one only toggle and change severity)
+ */
+const getEditableParam = (rule) => {
+  if ('value' in rule.params) return 'value';
+  if ('durationSeconds' in rule.params) return 'durationSeconds';
+  if ('maxAgeSeconds' in rule.params) return 'maxAgeSeconds';
+  return null;
+};
+
+/**
+ * Header bell with a dropdown listing raised alerts and the rule definitions
+ *
+ * @param {Object} props
+ * @param {Array<import('../data/alertEngine.js').FleetAlert>} props.alerts - Visible alerts, most severe first
+ * @param {Array<import('../data/alertRules.js').AlertRule>} props.rules - Current rule definitions
+ * @param {Function} props.onAcknowledge - Called with an alert ID
+ * @param {Function} props.onSnooze - Called with an alert ID and a duration in milliseconds
+ * @param {Function} props.onSelectBoat - Called with the boat ID of a clicked alert
+ * @param {Function} props.onRulesChange - Called with the full, updated rule list
+ * @param {Function} props.onResetRules - Restores the default rules
+ */
+const AlertTray = ({
+  alerts,
+  rules,
+  onAcknowledge,
+  onSnooze,
+  onSelectBoat,
+  onRulesChange,
+  onResetRules,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [tab, setTab] = useState('alerts');
+
+  const unacknowledged = alerts.filter(alert => !alert.acknowledged);
+  const worstSeverity = unacknowledged.reduce(
+    (worst, alert) => (ALERT_SEVERITIES.indexOf(alert.severity) > ALERT_SEVERITIES.indexOf(worst) ? alert.severity : worst),
+    ALERT_SEVERITIES[0]
+  );
+
+  // Apply an edit only if the rule stays valid (e.g. ignore an emptied number field)
+  const updateRule = (ruleId, changes) => {
+    const nextRules = rules.map((rule) => {
+      if (rule.id !== ruleId) return rule;
+      const updated = { ...rule, ...changes, params: { ...rule.params, ...changes.params } };
+      return validateAlertRule(updated).length === 0 ? updated : rule;
+    });
+    onRulesChange(nextRules);
+  };
+
+  return (
+    <div className="alert-tray">
+      <button
+        className={`alert-bell ${unacknowledged.length > 0 ? `alert-bell-${worstSeverity}` : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title="Fleet alerts"
+      >
+        <span className="alert-bell-icon">🔔</span>
+        {unacknowledged.length > 0 && <span className="alert-badge">{unacknowledged.length}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="alert-panel">
+          <div className="alert-tabs">
+            <button className={tab === 'alerts' ? 'active' : ''} onClick={() => setTab('alerts')}>
+              Alerts ({alerts.length})
+            </button>
+            <button className={tab === 'rules' ? 'active' : ''} onClick={() => setTab('rules')}>
+              Rules
+            </button>
+          </div>
+
+          {tab === 'alerts' && (
+            <ul className="alert-list">
+              {alerts.length === 0 && <li className="alert-empty">No active alerts</li>}
+              {alerts.map((alert) => (
+                <li
+                  key={alert.id}
+                  className={`alert-item alert-${alert.severity} ${alert.acknowledged ? 'acknowledged' : ''}`}
+                >
+                  <button className="alert-summary" onClick={() => onSelectBoat(alert.boatId)} title="Select boat">
+                    <span className="alert-icon">{SEVERITY_ICONS[alert.severity]}</span>
+                    <span className="alert-text">
+                      <strong>{alert.boatId}</strong> {alert.message}
+                      <span className="alert-time">since {new Date(alert.raisedAt).toLocaleTimeString()}</span>
+                    </span>
+                  </button>
+                  <div className="alert-actions">
+                    <button onClick={() => onAcknowledge(alert.id)} disabled={alert.acknowledged}>
+                      {alert.acknowledged ? 'Acked' : 'Ack'}
+                    </button>
+                    <select
+                      value=""
+                      onChange={(e) => e.target.value && onSnooze(alert.id, Number(e.target.value))}
+                      title="Hide this alert for a while"
+                    >
+                      <option value="">Snooze…</option>
+                      {SNOOZE_OPTIONS.map(option => (
+                        <option key={option.ms} value={option.ms}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {tab === 'rules' && (
+            <div className="alert-rules">
+              {rules.map((rule) => {
+                const param = getEditableParam(rule);
+                return (
+                  <div key={rule.id} className={`alert-rule ${rule.enabled ? '' : 'disabled'}`}>
+                    <label className="alert-rule-name">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                      />
+                      {rule.name}
+                    </label>
+                    <span className="alert-rule-condition">{describeAlertRule(rule)}</span>
+                    <div className="alert-rule-settings">
+                      {param && (
+                        <input
+                          type="number"
+                          min="0"
+                          value={rule.params[param]}
+                          onChange={(e) => updateRule(rule.id, { params: { [param]: Number(e.target.value) } })}
+                          aria-label={`${rule.name} ${param}`}
+                        />
+                      )}
+                      <select
+                        value={rule.severity}
+                        onChange={(e) => updateRule(rule.id, { severity: e.target.value })}
+                        aria-label={`${rule.name} severity`}
+                      >
+                        {ALERT_SEVERITIES.map(severity => (
+                          <option key={severity} value={severity}>{severity}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                );
+              })}
+              <button className="alert-rules-reset" onClick={onResetRules}>Reset to defaults</button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertTray;
@@ -1,6 +1,10 @@
 import { useEffect, useRef, useState } from 'react';
 import * as THREE from 'three';
 import SceneControls from './SceneControls';
+import RouteEditorPanel from './RouteEditorPanel';
+import GeofencePanel from './GeofencePanel';
+import Minimap from './Minimap';
+import MeasurePanel from './MeasurePanel';
 
 // Scene utilities
 import { CAMERA_INITIAL_POSITION } from '../scene/utils/Constants';
@@ -9,16 +13,32 @@ import { CoordinateConverter } from '../scene/utils/CoordinateConverter';
 
 // Core systems
 import { createScene, createCamera, createRenderer, createResizeHandler, attachResizeListener, removeResizeListener } from '../scene/core/SceneSetup.js';
-import { createLightingSystem } from '../scene/core/LightingSystem.js';
-import { createAnimationLoop, startAnimation } from '../scene/core/AnimationLoop.js';
+import { createLightingSystem, setNightLights, updateSunPosition, updateSunIntensity, updateAmbientIntensity } from '../scene/core/LightingSystem.js';
+import { createAnimationLoop, startAnimation, stopAnimation } from '../scene/core/AnimationLoop.js';
+import { pushSnapshot, pruneSnapshots } from '../scene/core/SnapshotInterpolation.js';
+import { preloadSceneAssets, disposeSceneAssets } from '../scene/core/AssetLoader.js';
 
 // Environment
-import { createOcean } from '../scene/environment/OceanEnvironment.jsx';
-import { createSkySystem, toggleDayNight as toggleDayNightSystem } from '../scene/environment/SkySystem.jsx';
+import { createOcean, setOceanNormals } from '../scene/environment/OceanEnvironment.jsx';
+import { createSkySystem, updateSkyForTime } from '../scene/environment/SkySystem.jsx';
 import { createBoundaryBuoys } from '../scene/environment/NavigationBuoys.jsx';
+import { createWeatherSystem, setWeather, setWeatherDaylight, disposeWeatherSystem } from '../scene/environment/WeatherSystem.js';
+import { WEATHER_PRESETS, WEATHER_MODES, describeWeather } from '../data/weather.js';
+import { FLEET_SCENE_MODES } from '../data/fleetFilters.js';
 
 // Vessels
-import { createBoatModel } from '../scene/vessels/BoatModel.js';
+import { createVesselLOD, createVesselLODSystem, setVesselHighlighted, setVesselFilterState, disposeVesselLODSystem, VESSEL_FILTER_STATES } from '../scene/vessels/VesselLOD.js';
+import { setVesselStatus } from '../scene/vessels/VesselStatus.js';
+
+// Overlays
+import { createTrailSystem, setTrailsVisible, setTrailColorMode, clearTrails, TRAIL_COLOR_MODES } from '../scene/overlays/BoatTrails.js';
+import { createAlertHighlightSystem, setAlertedBoats } from '../scene/overlays/AlertHighlights.js';
+import { createGeofenceSystem, setGeofences, setGeofenceOccupancy, setGeofencesVisible } from '../scene/overlays/GeofenceOverlay.js';
+import { createBoatLabelSystem, setBoatLabels, setBoatLabelsVisible, setSelectedBoatLabel, disposeBoatLabelSystem } from '../scene/overlays/BoatLabels.js';
+import { createRouteSystem, setBoatRoute, setRouteProgress, getBoatRoute, setBoatRouteVisible, removeBoatRoute, setRoutesVisible } from '../scene/overlays/RouteOverlay.js';
+
+// Services
+import { fetchBoatRoute, saveBoatRoute } from '../services/boatRoutes.js';
 
 // Infrastructure  
 import { createCompleteDock } from '../scene/infrastructure/DockStructure.jsx';
@@ -26,14 +46,76 @@ import { createCompleteDock } from '../scene/infrastructure/DockStructure.jsx';
 // Controls
 import { createKeyboardHandlers, attachKeyboardListeners, removeKeyboardListeners } from '../scene/controls/KeyboardControls.js';
 import { createOrbitControls, resetCamera as resetCameraControls } from '../scene/controls/CameraControls.js';
+import { createCameraRig, setCameraMode, resetCameraRig, CAMERA_MODES } from '../scene/controls/CameraModes.js';
+import { createScenePicker, markPickable, setPickingEnabled, disposeScenePicker, PICKABLE_TYPES } from '../scene/controls/ScenePicking.js';
+import { getMinimapView, panCameraTo } from '../scene/controls/MinimapSync.js';
+import { createGeofenceDrawer, startGeofenceDrawing, finishGeofenceDrawing, stopGeofenceDrawing, disposeGeofenceDrawer } from '../scene/controls/GeofenceDrawer.js';
+import { createMeasureTool, startMeasuring, stopMeasuring, addMeasureAnchor, disposeMeasureTool } from '../scene/controls/MeasureTool.js';
+import { createRouteEditor, startRouteEditing, stopRouteEditing, undoRouteEdit, redoRouteEdit, markRouteSaved, disposeRouteEditor, validateRouteDraft } from '../scene/controls/RouteEditor.js';
+
+/**
+ * Tooltip content for the object under the pointer
+ * Boats show live status from the latest data rather than the label captured at creation
+ */
+const renderHoverTooltip = (hoverInfo, boats) => {
+  const boat = hoverInfo.type === PICKABLE_TYPES.BOAT ? boats.find((b) => b.id === hoverInfo.id) : null;
+  if (!boat) {
+    return <strong>{hoverInfo.label}</strong>;
+  }
+
+  return (
+    <>
+      <strong>{boat.vesselName}</strong> ({boat.id})
+      <br />
+      {boat.status} • {boat.energyLevel.toFixed(0)}% energy • {boat.speed}
+    </>
+  );
+};
 
+// Stable defaults so the overlay effects don't re-run every render
+const NO_ALERTED_BOATS = {};
+const NO_GEOFENCES = [];
+const NO_GEOFENCE_OCCUPANCY = {};
+const NO_GEOFENCE_EVENTS = [];
+
+/**
+ * @param {Object} props
+ * @param {Array<import('../data/boatSchema.js').Boat>} props.boats - Parsed boats from boatStream
+ * @param {Function} [props.onSelectBoat] - Called with a boat ID (or null) when picked in the 3D view
+ * @param {boolean} [props.isPlayback] - True when `boats` are replayed history rather than live data
+ * @param {number} [props.sceneTime] - Moment the sky shows (epoch milliseconds; simulated or playback clock)
+ * @param {Function} [props.onSkipToSunEvent] - Advances the simulated clock to the next sunrise or sunset
+ * @param {import('../data/weather.js').Weather} [props.fleetWeather] - Weather combined from live conditions reports
+ * @param {Function} [props.onTogglePlayback] - Switches between live data and history playback
+ * @param {Object<string, string>} [props.alertedBoats] - boatId → severity of unacknowledged alerts to highlight
+ * @param {Array<import('../data/geofences.js').Geofence>} [props.geofences] - Zones to draw
+ * @param {Object<string, Array<string>>} [props.geofenceOccupancy] - zoneId → live boat IDs inside
+ * @param {Array<import('../data/geofences.js').GeofenceEvent>} [props.geofenceEvents] - Recent entries/exits, newest first
+ * @param {Function} [props.onGeofencesChange] - Called with the full zone list after adding, hiding or deleting zones
+ * @param {Function} [props.onResetGeofences] - Restores the default zones
+ * @param {{boatIds: Set<string>, mode: string}|null} [props.fleetFilter] - Boats matching the dashboard filter and how to show
+ *   the rest (a FLEET_SCENE_MODES value); null shows every boat normally
+ */
 const BoatScene = ({ 
   boats = [], 
   selectedBoatId = null, 
+  onSelectBoat,
   onResetScene, 
   resetTrigger = 0,
   speedMultiplier = 1.0,
-  onSpeedChange
+  onSpeedChange,
+  isPlayback = false,
+  onTogglePlayback,
+  sceneTime = Date.now(),
+  onSkipToSunEvent,
+  fleetWeather = WEATHER_PRESETS.calm,
+  alertedBoats = NO_ALERTED_BOATS,
+  geofences = NO_GEOFENCES,
+  geofenceOccupancy = NO_GEOFENCE_OCCUPANCY,
+  geofenceEvents = NO_GEOFENCE_EVENTS,
+  onGeofencesChange,
+  onResetGeofences,
+  fleetFilter = null
 }) => {
   const mountRef = useRef(null);
   const sceneRef = useRef(null);
@@ -42,13 +124,32 @@ const BoatScene = ({
   const controlsRef = useRef(null);
   const skyRef = useRef(null);
   const sunLightRef = useRef(null);
-  const sunRef = useRef(null); // Add sun vector ref for day/night toggle
-  const moonRef = useRef(null); // Add moon ref for day/night toggle
+  const sunRef = useRef(null); // Sun direction, moved by the solar clock
+  const moonRef = useRef(null); // Moon mesh, placed opposite the sun
+  const lightingRef = useRef(null); // Ambient/sun/fill lights from LightingSystem
+  const lightsOnRef = useRef(null); // Whether dock and buoy lamps are currently on
   const rendererRef = useRef(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [isDaytime, setIsDaytime] = useState(true);
+  const [loadProgress, setLoadProgress] = useState({ loaded: 0, total: 0 });
+  const [sunElevation, setSunElevation] = useState(null); // Whole degrees, for the controls
+  const [showTrails, setShowTrails] = useState(true);
+  const [trailColorMode, setTrailColorModeState] = useState(TRAIL_COLOR_MODES.STATUS);
+  const [showRoutes, setShowRoutes] = useState(true);
+  const [showLabels, setShowLabels] = useState(true);
+  const [showGeofences, setShowGeofences] = useState(true);
+  const [weatherMode, setWeatherMode] = useState(WEATHER_MODES.AUTO);
+  const [geofenceDrawState, setGeofenceDrawState] = useState(null); // null when not drawing
+  const [routeEditorState, setRouteEditorState] = useState(null); // null when not editing
+  const [isSavingRoute, setIsSavingRoute] = useState(false);
+  const [routeSaveError, setRouteSaveError] = useState(null);
+  const [measureState, setMeasureState] = useState(null); // null when not measuring
+  const [hoverInfo, setHoverInfo] = useState(null); // { type, id, label, x, y } under the pointer
+  const isEditingRoute = routeEditorState !== null;
+  const isDrawingGeofence = geofenceDrawState !== null;
+  const isMeasuring = measureState !== null;
+  const [cameraMode, setCameraModeState] = useState(CAMERA_MODES.FREE);
   
-  // Store previous boat positions for interpolation
+  // Store timestamped boat snapshots for interpolation (boatId → samples)
   const previousPositionsRef = useRef({});
   
   // Keyboard movement state
@@ -57,6 +158,53 @@ const BoatScene = ({
   // Ocean ref for animation
   const oceanRef = useRef(null);
   
+  // Boat trail system (breadcrumb history)
+  const trailSystemRef = useRef(null);
+  
+  // Fog, rain and sea state
+  const weatherSystemRef = useRef(null);
+  const weather = weatherMode === WEATHER_MODES.AUTO ? fleetWeather : WEATHER_PRESETS[weatherMode];
+  
+  // Pulsing rings around boats with unacknowledged alerts
+  const alertHighlightRef = useRef(null);
+  
+  // Floating ID/name/energy labels above each boat
+  const boatLabelsRef = useRef(null);
+  
+  // Survey route overlay and the boats whose routes have been requested
+  const routeSystemRef = useRef(null);
+  const requestedRoutesRef = useRef(new Set());
+  
+  // Interactive route editor (raycasts onto the ocean)
+  const routeEditorRef = useRef(null);
+  
+  // Geofence zones and the tool for drawing new ones
+  const geofenceSystemRef = useRef(null);
+  const geofenceDrawerRef = useRef(null);
+  const pendingGeofenceRef = useRef(null); // { name, type } of the zone being drawn
+  const geofencesRef = useRef(geofences);
+  const onGeofencesChangeRef = useRef(onGeofencesChange);
+
+  // Range/bearing measurement (fed clicks by the scene picker)
+  const measureToolRef = useRef(null);
+  
+  useEffect(() => {
+    geofencesRef.current = geofences;
+    onGeofencesChangeRef.current = onGeofencesChange;
+  }, [geofences, onGeofencesChange]);
+  
+  // Camera tracking of the selected boat (follow/chase/top-down/bridge)
+  const cameraRigRef = useRef(null);
+  const keepViewOnFreeModeRef = useRef(false); // Set when the chart ends tracking; skips the fly-to
+  
+  // Click/hover picking of boats, dock and buoys
+  const pickerRef = useRef(null);
+  const onSelectBoatRef = useRef(onSelectBoat);
+  
+  useEffect(() => {
+    onSelectBoatRef.current = onSelectBoat;
+  }, [onSelectBoat]);
+  
   // Speed multiplier ref for animation loop (so speed changes work in real-time)
   const speedMultiplierRef = useRef(speedMultiplier);
   
@@ -65,22 +213,165 @@ const BoatScene = ({
     speedMultiplierRef.current = speedMultiplier;
   }, [speedMultiplier]);
 
-  // Toggle day/night cycle using SkySystem module
-  const toggleDayNight = () => {
-    if (!skyRef.current || !sunLightRef.current || !sunRef.current || !moonRef.current || !rendererRef.current) return;
+  // Toggle boat trail visibility
+  const toggleTrails = () => {
+    const newShowTrails = !showTrails;
+    if (trailSystemRef.current) {
+      setTrailsVisible(trailSystemRef.current, newShowTrails);
+    }
+    setShowTrails(newShowTrails);
+  };
 
-    // Use SkySystem module function - it will toggle internally and return new state
-    const newIsDaytime = toggleDayNightSystem(
-      skyRef.current,
-      sunLightRef.current,
-      rendererRef.current,
-      sunRef.current, // Pass the sun vector
-      moonRef.current, // Pass the moon mesh
-      isDaytime // Pass CURRENT state, function will toggle it
-    );
-    
-    // Update React state with the new value returned from toggleDayNightSystem
-    setIsDaytime(newIsDaytime);
+  // Toggle survey route visibility
+  const toggleRoutes = () => {
+    const newShowRoutes = !showRoutes;
+    if (routeSystemRef.current) {
+      setRoutesVisible(routeSystemRef.current, newShowRoutes);
+    }
+    setShowRoutes(newShowRoutes);
+  };
+
+  // Toggle floating vessel labels
+  const toggleLabels = () => {
+    const newShowLabels = !showLabels;
+    if (boatLabelsRef.current) {
+      setBoatLabelsVisible(boatLabelsRef.current, newShowLabels);
+    }
+    setShowLabels(newShowLabels);
+  };
+
+  const toggleGeofences = () => {
+    const newShowGeofences = !showGeofences;
+    if (geofenceSystemRef.current) {
+      setGeofencesVisible(geofenceSystemRef.current, newShowGeofences);
+    }
+    setShowGeofences(newShowGeofences);
+  };
+
+  // Start or stop measuring (clicks set the ends instead of selecting boats)
+  const toggleMeasuring = () => {
+    const measureTool = measureToolRef.current;
+    if (!measureTool) return;
+    if (measureTool.active) {
+      stopMeasuring(measureTool);
+    } else {
+      startMeasuring(measureTool);
+    }
+  };
+
+  // Other tools that own pointer clicks end a measurement
+  const endMeasuring = () => {
+    if (measureToolRef.current?.active) {
+      stopMeasuring(measureToolRef.current);
+    }
+  };
+
+  // Start drawing a zone; it is added once the drawer reports the finished shape
+  const startDrawGeofence = (shape, details) => {
+    if (!geofenceDrawerRef.current) return;
+    endMeasuring();
+    pendingGeofenceRef.current = details;
+    if (!showGeofences) toggleGeofences();
+    startGeofenceDrawing(geofenceDrawerRef.current, shape);
+  };
+
+  const cancelDrawGeofence = () => {
+    if (geofenceDrawerRef.current) {
+      stopGeofenceDrawing(geofenceDrawerRef.current);
+    }
+    pendingGeofenceRef.current = null;
+    setGeofenceDrawState(null);
+  };
+
+  // Start editing the selected boat's route
+  const startEditRoute = () => {
+    const route = routeSystemRef.current && getBoatRoute(routeSystemRef.current, selectedBoatId);
+    if (!routeEditorRef.current || !route) {
+      console.warn(`⚠️ No route loaded for ${selectedBoatId}, cannot edit`);
+      return;
+    }
+
+    endMeasuring();
+    setBoatRouteVisible(routeSystemRef.current, selectedBoatId, false);
+    setRouteSaveError(null);
+    startRouteEditing(routeEditorRef.current, selectedBoatId, route.waypoints);
+  };
+
+  // Leave edit mode, discarding any unsaved draft
+  const finishEditRoute = () => {
+    const boatId = routeEditorRef.current?.boatId;
+    if (boatId === null || boatId === undefined) return;
+
+    stopRouteEditing(routeEditorRef.current);
+    setBoatRouteVisible(routeSystemRef.current, boatId, true);
+    setRouteEditorState(null);
+    setRouteSaveError(null);
+  };
+
+  const cancelEditRoute = () => {
+    if (routeEditorState?.dirty && !window.confirm('Discard unsaved route changes?')) return;
+    finishEditRoute();
+  };
+
+  // Validate and persist the draft route
+  const saveRoute = async () => {
+    const { boatId, waypoints } = routeEditorState;
+    const problem = validateRouteDraft(waypoints);
+    if (problem) {
+      setRouteSaveError(problem);
+      return;
+    }
+
+    setIsSavingRoute(true);
+    setRouteSaveError(null);
+    try {
+      const savedRoute = await saveBoatRoute(boatId, waypoints);
+      setBoatRoute(routeSystemRef.current, boatId, savedRoute);
+      markRouteSaved(routeEditorRef.current);
+      console.log(`💾 Saved route for ${boatId} (${savedRoute.waypoints.length} waypoints)`);
+      finishEditRoute();
+    } catch (err) {
+      console.error(`❌ Failed to save route for ${boatId}:`, err);
+      setRouteSaveError(err.message);
+    } finally {
+      setIsSavingRoute(false);
+    }
+  };
+
+  // Switch camera mode for the selected boat
+  const changeCameraMode = (mode) => {
+    setCameraModeState(mode);
+  };
+
+  // Chart overlay: read the scene each redraw, and move the orbit target when clicked
+  const getChartView = () => {
+    if (!cameraRef.current || !controlsRef.current) return null;
+    return getMinimapView({
+      camera: cameraRef.current,
+      controls: controlsRef.current,
+      boatMeshes: boatMeshesRef.current,
+      routeSystem: routeSystemRef.current,
+    });
+  };
+
+  const panToChartPoint = (x, z) => {
+    if (!cameraRef.current || !controlsRef.current) return;
+    // Tracking modes would pull the target straight back to the boat, so drop to free orbit
+    // without the usual fly-to-selection
+    if (cameraMode !== CAMERA_MODES.FREE) {
+      keepViewOnFreeModeRef.current = true;
+      setCameraMode(cameraRigRef.current, CAMERA_MODES.FREE, selectedBoatId);
+      changeCameraMode(CAMERA_MODES.FREE);
+    }
+    panCameraTo(cameraRef.current, controlsRef.current, x, z);
+  };
+
+  // Switch trail coloring between status and energy level
+  const changeTrailColorMode = (colorMode) => {
+    if (trailSystemRef.current) {
+      setTrailColorMode(trailSystemRef.current, colorMode, boatMeshesRef.current);
+    }
+    setTrailColorModeState(colorMode);
   };
 
   useEffect(() => {
@@ -105,21 +396,43 @@ const BoatScene = ({
     const controls = createOrbitControls(camera, renderer.domElement);
     controlsRef.current = controls;
 
+    // Camera rig tracks the selected boat in non-free camera modes
+    const cameraRig = createCameraRig(camera, controls);
+    cameraRigRef.current = cameraRig;
+
     // Create sky system with sun
     const { sky, sunLight, sun, moon } = createSkySystem(scene);
     skyRef.current = sky;
     sunLightRef.current = sunLight;
-    sunRef.current = sun; // Store sun vector for day/night toggle
-    moonRef.current = moon; // Store moon mesh for day/night toggle
+    sunRef.current = sun;
+    moonRef.current = moon;
 
     // Create lighting system
     const lightingSystem = createLightingSystem(scene, sun);
+    lightingRef.current = lightingSystem;
 
     // Create animated ocean
     const ocean = createOcean(scene, sun, speedMultiplier);
     scene.add(ocean);
     oceanRef.current = ocean;
 
+    // Bundled textures replace the procedural stand-ins once loaded; the overlay stays up until then
+    let sceneAssets = null;
+    let isUnmounted = false;
+    preloadSceneAssets({ onProgress: setLoadProgress }).then((assets) => {
+      if (isUnmounted) {
+        disposeSceneAssets(assets);
+        return;
+      }
+      sceneAssets = assets;
+      setOceanNormals(ocean, assets.waterNormals).dispose();
+      setIsLoading(false);
+    });
+
+    // Create weather (fog and rain; drives the ocean and boat motion each frame)
+    const weatherSystem = createWeatherSystem(scene, ocean);
+    weatherSystemRef.current = weatherSystem;
+
     // Create navigation buoys at boundaries
     const buoys = createBoundaryBuoys(scene);
 
@@ -127,6 +440,101 @@ const BoatScene = ({
     const dock = createCompleteDock();
     scene.add(dock);
 
+    // Create level-of-detail rendering (distant boats share one instanced icon layer)
+    const vesselLOD = createVesselLODSystem(scene);
+
+    // Create boat trails
+    const trailSystem = createTrailSystem(scene);
+    trailSystemRef.current = trailSystem;
+
+    // Create geofence zones (drawn under everything else on the water)
+    const geofenceSystem = createGeofenceSystem(scene);
+    geofenceSystemRef.current = geofenceSystem;
+    setGeofences(geofenceSystem, geofencesRef.current);
+
+    // Create alert highlights (rings are added as alerts are raised)
+    const alertHighlightSystem = createAlertHighlightSystem(scene);
+    alertHighlightRef.current = alertHighlightSystem;
+
+    // Create survey route overlay (routes are loaded as boats appear)
+    const routeSystem = createRouteSystem(scene);
+    routeSystemRef.current = routeSystem;
+
+    // Create vessel labels (faded when the dock or another boat is in front)
+    const boatLabels = createBoatLabelSystem(scene, {
+      domElement: renderer.domElement,
+      getOccluders: () => [...Object.values(boatMeshesRef.current).filter(Boolean), dock],
+    });
+    boatLabelsRef.current = boatLabels;
+
+    // Create route editor (idle until a route edit is started)
+    const routeEditor = createRouteEditor({
+      scene,
+      camera,
+      domElement: renderer.domElement,
+      ocean,
+      controls,
+      onChange: setRouteEditorState,
+    });
+    routeEditorRef.current = routeEditor;
+
+    // Create geofence drawer (idle until a zone is started from the panel)
+    const geofenceDrawer = createGeofenceDrawer({
+      scene,
+      camera,
+      domElement: renderer.domElement,
+      ocean,
+      onChange: setGeofenceDrawState,
+      onComplete: (geometry) => {
+        const details = pendingGeofenceRef.current;
+        pendingGeofenceRef.current = null;
+        if (!details) return;
+        const zone = { id: `zone-${Date.now().toString(36)}`, ...details, visible: true, ...geometry };
+        console.log(`🗺️ Added geofence ${zone.name} (${zone.shape})`);
+        onGeofencesChangeRef.current?.([...geofencesRef.current, zone]);
+      },
+    });
+    geofenceDrawerRef.current = geofenceDrawer;
+
+    // Create measuring tool (idle until started from the controls)
+    const measureTool = createMeasureTool({
+      scene,
+      camera,
+      domElement: renderer.domElement,
+      ocean,
+      onChange: setMeasureState,
+    });
+    measureToolRef.current = measureTool;
+
+    // Click-to-select picking (boats are tagged as they are created)
+    markPickable(dock, { type: PICKABLE_TYPES.DOCK, id: 'dock', label: 'Operations Dock' });
+    buoys.forEach((buoy, index) => {
+      markPickable(buoy, { type: PICKABLE_TYPES.BUOY, id: `buoy-${index + 1}`, label: `Boundary Buoy ${index + 1}` });
+    });
+
+    const picker = createScenePicker({
+      camera,
+      domElement: renderer.domElement,
+      getTargets: () => [...Object.values(boatMeshesRef.current).filter(boatMesh => boatMesh?.visible), vesselLOD.icons, dock, ...buoys],
+      onHover: (pickable, position) => {
+        setHoverInfo(pickable ? { ...pickable, ...position } : null);
+      },
+      onPick: (pickable, event, root) => {
+        // While measuring, clicks set the ends of the measurement instead
+        if (measureTool.active) {
+          addMeasureAnchor(measureTool, pickable, event, root);
+          return;
+        }
+        // Boats select; open water clears the selection; dock and buoys only show tooltips
+        if (!pickable) {
+          onSelectBoatRef.current?.(null);
+        } else if (pickable.type === PICKABLE_TYPES.BOAT) {
+          onSelectBoatRef.current?.(pickable.id);
+        }
+      },
+    });
+    pickerRef.current = picker;
+
     // ========================================
     // KEYBOARD CONTROLS
     // ========================================
@@ -134,8 +542,6 @@ const BoatScene = ({
     const { handleKeyDown, handleKeyUp } = createKeyboardHandlers(keysPressed);
     attachKeyboardListeners(handleKeyDown, handleKeyUp);
 
-    setIsLoading(false);
-
     // ========================================
     // ANIMATION LOOP
     // ========================================
@@ -147,6 +553,14 @@ const BoatScene = ({
       controls,
       ocean,
       boatMeshes: boatMeshesRef.current,
+      boatSnapshots: previousPositionsRef.current,
+      trailSystem,
+      alertHighlightSystem,
+      cameraRig,
+      weatherSystem,
+      vesselLOD,
+      boatLabels,
+      measureTool,
       keysPressed,
       speedMultiplierRef,
     });
@@ -165,8 +579,18 @@ const BoatScene = ({
     // ========================================
     
     return () => {
+      isUnmounted = true;
+      stopAnimation(animate);
+      if (sceneAssets) disposeSceneAssets(sceneAssets);
       removeResizeListener(handleResize);
       removeKeyboardListeners(handleKeyDown, handleKeyUp);
+      disposeRouteEditor(routeEditor);
+      disposeGeofenceDrawer(geofenceDrawer);
+      disposeMeasureTool(measureTool);
+      disposeScenePicker(picker);
+      disposeWeatherSystem(weatherSystem);
+      disposeVesselLODSystem(vesselLOD);
+      disposeBoatLabelSystem(boatLabels);
       if (mountRef.current && renderer.domElement) {
         mountRef.current.removeChild(renderer.domElement);
       }
@@ -193,18 +617,20 @@ const BoatScene = ({
 
     console.log('🚢 Updating boats, count:', boats.length, 'boats:', boats);
 
+    const receivedAt = performance.now();
+    const activeIds = new Set();
+
     boats.forEach((boat) => {
-      const boatId = boat.id || boat.Id;
-      const latitude = boat.latitude || boat.Latitude;
-      const longitude = boat.longitude || boat.Longitude;
-      const status = boat.status || boat.Status;
+      const { id: boatId, latitude, longitude, status, heading } = boat;
+      activeIds.add(boatId);
 
       let boatMesh = boatMeshesRef.current[boatId];
 
       if (!boatMesh) {
-        // Use the new createBoatModel function
-        boatMesh = createBoatModel(boat); 
+        // Full/mid detail levels share geometry and materials across the fleet
+        boatMesh = createVesselLOD(boat);
         boatMesh.name = `boat-${boatId}`;
+        markPickable(boatMesh, { type: PICKABLE_TYPES.BOAT, id: boatId, label: boat.vesselName });
         sceneRef.current.add(boatMesh);
         boatMeshesRef.current[boatId] = boatMesh;
         console.log(`✅ Created boat ${boatId}`);
@@ -212,38 +638,157 @@ const BoatScene = ({
 
       // Update boat's status and data for use in animation loop
       boatMesh.userData.status = status;
+      boatMesh.userData.energyLevel = boat.energyLevel;
+      boatMesh.userData.speedKnots = boat.speedKnots; // ETA in the measuring tool
+      // Recolor hull, beacon and solar panels (crossfades when the status changes)
+      setVesselStatus(boatMesh, status, boat.energyLevel, receivedAt);
       
-      // Update boat position
-      if (latitude !== undefined && longitude !== undefined) {
-        // Standard positioning for all boats now
-        const boatLatLon = { latitude, longitude };
-        const boatPos = CoordinateConverter.latLonToScene(boatLatLon);
-        
-        boatMesh.position.x = boatPos.x;
-        boatMesh.position.y = 0; // Model origin is at water level
-        boatMesh.position.z = boatPos.z;
-        
-        // Apply rotation based on heading from API
-        const heading = boat.heading || boat.Heading || 0;
+      // Record snapshot - the animation loop tweens position and heading toward it
+      const boatPos = CoordinateConverter.latLonToScene({ latitude, longitude });
+      const isNewBoat = !previousPositionsRef.current[boatId];
+      pushSnapshot(previousPositionsRef.current, boatId, { x: boatPos.x, z: boatPos.z, heading }, receivedAt);
+
+      if (isNewBoat) {
+        // Place new boats immediately so they don't appear at the origin for a frame
+        boatMesh.position.set(boatPos.x, 0, boatPos.z); // Model origin is at water level
         boatMesh.rotation.y = headingToRotation(heading);
-        console.log(`🚢 Positioned boat ${boatId} at:`, { x: boatPos.x.toFixed(2), z: boatPos.z.toFixed(2) }, 'heading:', heading, 'rotation:', boatMesh.rotation.y.toFixed(2));
+      }
+
+      // Load the boat's route once, then follow progress from live data
+      if (!requestedRoutesRef.current.has(boatId)) {
+        requestedRoutesRef.current.add(boatId);
+        fetchBoatRoute(boatId)
+          .then((route) => {
+            if (!routeSystemRef.current || !requestedRoutesRef.current.has(boatId)) return;
+            setBoatRoute(routeSystemRef.current, boatId, route);
+            console.log(`🗺️ Loaded route for ${boatId} (${route.waypoints.length} waypoints)`);
+          })
+          .catch((err) => {
+            console.error(`❌ Failed to load route for ${boatId}:`, err);
+          });
+      }
+      setRouteProgress(routeSystemRef.current, boatId, boat.currentWaypointIndex);
+    });
+
+    pruneSnapshots(previousPositionsRef.current, activeIds);
+    setBoatLabels(boatLabelsRef.current, boats);
+
+    // Drop routes for boats no longer reported
+    requestedRoutesRef.current.forEach((boatId) => {
+      if (!activeIds.has(boatId)) {
+        requestedRoutesRef.current.delete(boatId);
+        removeBoatRoute(routeSystemRef.current, boatId);
       }
     });
   }, [boats]);
 
+  // Sun, moon, sky and lamps follow the scene clock
+  useEffect(() => {
+    if (!skyRef.current || !rendererRef.current || !lightingRef.current) return;
+
+    const sky = updateSkyForTime(
+      { sky: skyRef.current, sun: sunRef.current, sunLight: sunLightRef.current, moon: moonRef.current },
+      rendererRef.current,
+      oceanRef.current,
+      sceneTime
+    );
+
+    const lighting = lightingRef.current;
+    updateSunPosition(lighting.sun, sky.lightDirection);
+    updateSunIntensity(lighting.sun, sunLightRef.current.intensity);
+    updateAmbientIntensity(lighting.ambient, sky.ambientIntensity);
+
+    if (sky.lightsOn !== lightsOnRef.current) {
+      console.log(sky.lightsOn ? '🌆 Dusk - switching on navigation and dock lights' : '🌅 Dawn - switching off navigation and dock lights');
+      setNightLights(sceneRef.current, sky.lightsOn);
+      lightsOnRef.current = sky.lightsOn;
+    }
+
+    if (weatherSystemRef.current) {
+      setWeatherDaylight(weatherSystemRef.current, sky.daylight);
+    }
+
+    setSunElevation(Math.round(sky.elevation));
+  }, [sceneTime]);
+
+  // Weather blends towards the fleet's reports or the chosen preset
+  useEffect(() => {
+    if (weatherSystemRef.current) {
+      setWeather(weatherSystemRef.current, weather);
+    }
+  }, [weather]);
+
+  // The route editor and geofence drawer own pointer clicks while they are active
+  useEffect(() => {
+    if (pickerRef.current) {
+      setPickingEnabled(pickerRef.current, !isEditingRoute && !isDrawingGeofence);
+    }
+  }, [isEditingRoute, isDrawingGeofence]);
+
+  // Redraw zones when they are added, hidden or deleted
+  useEffect(() => {
+    if (geofenceSystemRef.current) {
+      setGeofences(geofenceSystemRef.current, geofences);
+    }
+  }, [geofences]);
+
+  // Brighten zones that have boats inside (also after zones are rebuilt)
+  useEffect(() => {
+    if (geofenceSystemRef.current) {
+      setGeofenceOccupancy(geofenceSystemRef.current, geofenceOccupancy);
+    }
+  }, [geofences, geofenceOccupancy]);
+
+  // Selecting another boat abandons an in-progress route edit
+  useEffect(() => {
+    const editingBoatId = routeEditorRef.current?.boatId;
+    if (editingBoatId !== null && editingBoatId !== undefined && editingBoatId !== selectedBoatId) {
+      finishEditRoute();
+    }
+  }, [selectedBoatId]);
+
+  // Dim or hide boats outside the dashboard filter (the selected boat always shows normally)
+  useEffect(() => {
+    const hiddenState = fleetFilter?.mode === FLEET_SCENE_MODES.HIDE ? VESSEL_FILTER_STATES.HIDDEN : VESSEL_FILTER_STATES.DIMMED;
+    Object.entries(boatMeshesRef.current).forEach(([boatId, boatMesh]) => {
+      if (!boatMesh) return;
+      const matches = !fleetFilter || fleetFilter.boatIds.has(boatId) || boatId === selectedBoatId;
+      setVesselFilterState(boatMesh, matches ? VESSEL_FILTER_STATES.MATCH : hiddenState);
+    });
+  }, [boats, fleetFilter, selectedBoatId]);
+
+  // Ring the boats that have unacknowledged alerts
+  useEffect(() => {
+    if (alertHighlightRef.current) {
+      setAlertedBoats(alertHighlightRef.current, alertedBoats);
+    }
+  }, [alertedBoats]);
+
+  // Switching between live and recorded data: old trails belong to the other timeline,
+  // and routes are not editable while looking at the past
+  useEffect(() => {
+    if (trailSystemRef.current) {
+      clearTrails(trailSystemRef.current);
+    }
+    if (isPlayback && routeEditorRef.current?.boatId) {
+      finishEditRoute();
+    }
+  }, [isPlayback]);
+
   // Handle boat selection and camera focus
   useEffect(() => {
+    if (cameraRigRef.current) {
+      setCameraMode(cameraRigRef.current, cameraMode, selectedBoatId);
+    }
+    if (boatLabelsRef.current) {
+      setSelectedBoatLabel(boatLabelsRef.current, selectedBoatId);
+    }
+
     if (!selectedBoatId || !boatMeshesRef.current[selectedBoatId] || !cameraRef.current || !controlsRef.current) {
-      // Reset all boats to normal scale
+      // Reset all boats to normal scale and materials
       Object.values(boatMeshesRef.current).forEach((boatMesh) => {
         if (boatMesh) {
-          boatMesh.scale.set(1, 1, 1);
-          // Reset emissive for all lights
-          boatMesh.traverse((child) => {
-            if (child.isMesh && child.material.emissive) {
-              child.material.emissiveIntensity = child.userData.originalEmissive || 0.3;
-            }
-          });
+          setVesselHighlighted(boatMesh, false);
         }
       });
       return;
@@ -251,30 +796,18 @@ const BoatScene = ({
 
     const selectedBoat = boatMeshesRef.current[selectedBoatId];
     
-    // Highlight selected boat
+    // Highlight selected boat (scaled up, glowing copies of the shared materials)
     Object.entries(boatMeshesRef.current).forEach(([id, boatMesh]) => {
-      if (id === selectedBoatId) {
-        // Scale up and add glow to selected boat
-        boatMesh.scale.set(1.3, 1.3, 1.3);
-        boatMesh.traverse((child) => {
-          if (child.isMesh && child.material.emissive) {
-            if (!child.userData.originalEmissive) {
-              child.userData.originalEmissive = child.material.emissiveIntensity;
-            }
-            child.material.emissiveIntensity = 1.5;
-          }
-        });
-      } else {
-        // Normal scale for other boats
-        boatMesh.scale.set(1, 1, 1);
-        boatMesh.traverse((child) => {
-          if (child.isMesh && child.material.emissive) {
-            child.material.emissiveIntensity = child.userData.originalEmissive || 0.3;
-          }
-        });
-      }
+      setVesselHighlighted(boatMesh, id === selectedBoatId);
     });
 
+    // Tracking modes take over the camera from here
+    if (cameraMode !== CAMERA_MODES.FREE) return;
+    if (keepViewOnFreeModeRef.current) {
+      keepViewOnFreeModeRef.current = false;
+      return;
+    }
+
     // Smoothly move camera to focus on selected boat
     const targetPosition = selectedBoat.position.clone();
     const camera = cameraRef.current;
@@ -304,7 +837,7 @@ const BoatScene = ({
     };
     
     animateCamera();
-  }, [selectedBoatId]);
+  }, [selectedBoatId, cameraMode]);
 
   // Handle reset trigger from parent
   useEffect(() => {
@@ -322,13 +855,19 @@ const BoatScene = ({
       );
     }
     
-    // Reset to daytime - check current state and toggle if needed
-    // Use setTimeout to avoid state update during render
-    setTimeout(() => {
-      if (!isDaytime) {
-        toggleDayNight(); // This will toggle from night to day and update all lighting
-      }
-    }, 0);
+    // Back to free orbit so the reset camera position sticks
+    if (cameraRigRef.current) {
+      resetCameraRig(cameraRigRef.current);
+    }
+    setCameraModeState(CAMERA_MODES.FREE);
+    
+    // Back to the weather the fleet reports
+    setWeatherMode(WEATHER_MODES.AUTO);
+    
+    // Clear trail history - boats jump back to their start positions
+    if (trailSystemRef.current) {
+      clearTrails(trailSystemRef.current);
+    }
   }, [resetTrigger]); // Only depend on resetTrigger to avoid infinite loops
 
   return (
@@ -364,14 +903,103 @@ const BoatScene = ({
           textShadow: '2px 2px 4px rgba(0,0,0,0.8)'
         }}>
           Loading 3D Environment...
+          {loadProgress.total > 0 && (
+            <div style={{ marginTop: '10px', fontSize: '14px', textAlign: 'center' }}>
+              <div style={{ height: '4px', background: 'rgba(255, 255, 255, 0.3)', borderRadius: '2px', overflow: 'hidden' }}>
+                <div style={{
+                  width: `${(loadProgress.loaded / loadProgress.total) * 100}%`,
+                  height: '100%',
+                  background: 'white',
+                  transition: 'width 0.2s'
+                }} />
+              </div>
+              Assets {loadProgress.loaded} / {loadProgress.total}
+            </div>
+          )}
+        </div>
+      )}
+      {hoverInfo && (
+        <div style={{
+          position: 'absolute',
+          left: hoverInfo.x + 14,
+          top: hoverInfo.y + 14,
+          padding: '6px 10px',
+          background: 'rgba(0, 0, 0, 0.8)',
+          color: 'white',
+          borderRadius: '6px',
+          fontSize: '12px',
+          lineHeight: 1.4,
+          pointerEvents: 'none',
+          whiteSpace: 'nowrap',
+          zIndex: 1001
+        }}>
+          {renderHoverTooltip(hoverInfo, boats)}
         </div>
       )}
       <SceneControls 
-        isDaytime={isDaytime}
-        onToggleDayNight={toggleDayNight}
+        sunElevation={sunElevation}
+        onSkipToSunEvent={onSkipToSunEvent}
+        showTrails={showTrails}
+        onToggleTrails={toggleTrails}
+        trailColorMode={trailColorMode}
+        onTrailColorModeChange={changeTrailColorMode}
+        showRoutes={showRoutes}
+        showLabels={showLabels}
+        onToggleLabels={toggleLabels}
+        onToggleRoutes={toggleRoutes}
+        showGeofences={showGeofences}
+        onToggleGeofences={toggleGeofences}
+        weatherMode={weatherMode}
+        onWeatherModeChange={setWeatherMode}
+        weatherSummary={describeWeather(weather)}
+        canEditRoute={Boolean(selectedBoatId) && !isPlayback && !isDrawingGeofence}
+        isEditingRoute={isEditingRoute}
+        onEditRoute={startEditRoute}
+        canMeasure={!isEditingRoute && !isDrawingGeofence}
+        isMeasuring={isMeasuring}
+        onToggleMeasure={toggleMeasuring}
+        cameraMode={cameraMode}
+        onCameraModeChange={changeCameraMode}
+        hasSelectedBoat={Boolean(selectedBoatId)}
         onResetScene={onResetScene}
         speedMultiplier={speedMultiplier}
         onSpeedChange={onSpeedChange}
+        isPlayback={isPlayback}
+        onTogglePlayback={onTogglePlayback}
+      />
+      {routeEditorState && (
+        <RouteEditorPanel
+          editorState={routeEditorState}
+          isSaving={isSavingRoute}
+          saveError={routeSaveError}
+          onUndo={() => undoRouteEdit(routeEditorRef.current)}
+          onRedo={() => redoRouteEdit(routeEditorRef.current)}
+          onSave={saveRoute}
+          onCancel={cancelEditRoute}
+        />
+      )}
+      {measureState && (
+        <MeasurePanel
+          measureState={measureState}
+          onClose={toggleMeasuring}
+        />
+      )}
+      <Minimap
+        getView={getChartView}
+        onPanTo={panToChartPoint}
+        selectedBoatId={selectedBoatId}
+      />
+      <GeofencePanel
+        geofences={geofences}
+        occupancy={geofenceOccupancy}
+        events={geofenceEvents}
+        drawState={geofenceDrawState}
+        canDraw={!isEditingRoute}
+        onStartDrawing={startDrawGeofence}
+        onFinishDrawing={() => finishGeofenceDrawing(geofenceDrawerRef.current)}
+        onCancelDrawing={cancelDrawGeofence}
+        onGeofencesChange={onGeofencesChange}
+        onResetGeofences={onResetGeofences}
       />
     </div>
   );
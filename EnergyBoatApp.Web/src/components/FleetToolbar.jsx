@@ -0,0 +1,152 @@
+import React from 'react';
+import './FleetToolbar.css';
+import {
+  FILTER_ANY,
+  FLEET_SCENE_MODES,
+  FLEET_SORT_FIELDS,
+  DEFAULT_FLEET_FILTER,
+  isFleetFilterActive,
+} from '../data/fleetFilters.js';
+
+/**
+ * Search, filter, sort and grouping controls for the fleet dashboard
+ *
+ * @param {Object} props
+ * @param {import('../data/fleetFilters.js').FleetFilter} props.filter - Current filter
+ * @param {{statuses: Array<string>, projects: Array<string>, surveyTypes: Array<string>}} props.options - Values for the selects
+ * @param {number} props.shownCount - Boats matching the filter
+ * @param {number} props.totalCount - Boats in the fleet
+ * @param {Function} props.onChange - Called with the full, updated filter
+ */
+const FleetToolbar = ({ filter, options, shownCount, totalCount, onChange }) => {
+  const isFiltered = isFleetFilterActive(filter);
+
+  const update = (changes) => {
+    onChange({ ...filter, ...changes });
+  };
+
+  // Keep the range ordered whichever end is edited
+  const updateEnergy = (key, value) => {
+    const level = Math.min(100, Math.max(0, Number(value) || 0));
+    const energyMin = key === 'energyMin' ? level : Math.min(filter.energyMin, level);
+    const energyMax = key === 'energyMax' ? level : Math.max(filter.energyMax, level);
+    update({ energyMin, energyMax });
+  };
+
+  // Sorting and grouping are kept; only the narrowing filters are cleared
+  const clearFilters = () => {
+    const { query, status, project, surveyType, energyMin, energyMax } = DEFAULT_FLEET_FILTER;
+    update({ query, status, project, surveyType, energyMin, energyMax });
+  };
+
+  const renderSelect = (key, label, values) => (
+    <select
+      className="fleet-select"
+      value={filter[key]}
+      onChange={(e) => update({ [key]: e.target.value })}
+      aria-label={label}
+    >
+      <option value={FILTER_ANY}>All {label.toLowerCase()}</option>
+      {/* Keep a selected value that no boat reports right now */}
+      {[...new Set([...values, filter[key]].filter(Boolean))].map(value => (
+        <option key={value} value={value}>{value}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="fleet-toolbar">
+      <input
+        type="search"
+        className="fleet-search"
+        placeholder="Search ID or vessel name"
+        value={filter.query}
+        onChange={(e) => update({ query: e.target.value })}
+        aria-label="Search boats"
+      />
+
+      <div className="fleet-toolbar-row">
+        {renderSelect('status', 'Statuses', options.statuses)}
+        {renderSelect('project', 'Projects', options.projects)}
+        {renderSelect('surveyType', 'Survey types', options.surveyTypes)}
+      </div>
+
+      <div className="fleet-toolbar-row">
+        <label className="fleet-energy">
+          Energy
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={filter.energyMin}
+            onChange={(e) => updateEnergy('energyMin', e.target.value)}
+            aria-label="Minimum energy"
+          />
+          –
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={filter.energyMax}
+            onChange={(e) => updateEnergy('energyMax', e.target.value)}
+            aria-label="Maximum energy"
+          />
+          %
+        </label>
+      </div>
+
+      <div className="fleet-toolbar-row">
+        <label className="fleet-sort">
+          Sort
+          <select
+            className="fleet-select"
+            value={filter.sortField}
+            onChange={(e) => update({ sortField: e.target.value })}
+          >
+            {Object.entries(FLEET_SORT_FIELDS).map(([field, { label }]) => (
+              <option key={field} value={field}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          className="fleet-sort-direction"
+          onClick={() => update({ sortDirection: filter.sortDirection === 'asc' ? 'desc' : 'asc' })}
+          title={filter.sortDirection === 'asc' ? 'Ascending - click for descending' : 'Descending - click for ascending'}
+        >
+          {filter.sortDirection === 'asc' ? '▲' : '▼'}
+        </button>
+        <label className="fleet-group-toggle">
+          <input
+            type="checkbox"
+            checked={filter.groupByProject}
+            onChange={(e) => update({ groupByProject: e.target.checked })}
+          />
+          Group by project
+        </label>
+      </div>
+
+      <div className="fleet-toolbar-row fleet-toolbar-footer">
+        <span className="fleet-count">
+          {isFiltered ? `${shownCount} of ${totalCount} boats` : `${totalCount} boats`}
+        </span>
+        <label className="fleet-scene-mode">
+          In scene
+          <select
+            className="fleet-select"
+            value={filter.sceneMode}
+            onChange={(e) => update({ sceneMode: e.target.value })}
+            title="How vessels outside the filter are shown in the 3D view"
+          >
+            <option value={FLEET_SCENE_MODES.DIM}>Dim others</option>
+            <option value={FLEET_SCENE_MODES.HIDE}>Hide others</option>
+          </select>
+        </label>
+        <button className="fleet-clear" onClick={clearFilters} disabled={!isFiltered}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FleetToolbar;
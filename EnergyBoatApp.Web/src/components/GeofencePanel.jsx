@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import './GeofencePanel.css';
+import { GEOFENCE_TYPES, GEOFENCE_TYPE_LABELS, GEOFENCE_SHAPES } from '../data/geofences.js';
+import { GEOFENCE_OVERLAY_CONFIG } from '../scene/overlays/GeofenceOverlay.js';
+
+const RECENT_EVENT_COUNT = 5;
+
+const toCssColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+/**
+ * Zone list with live occupancy, plus the controls for drawing new zones
+ *
+ * @param {Object} props
+ * @param {Array<import('../data/geofences.js').Geofence>} props.geofences - Current zones
+ * @param {Object<string, Array<string>>} props.occupancy - zoneId → boat IDs inside
+ * @param {Array<import('../data/geofences.js').GeofenceEvent>} props.events - Recent entries/exits, newest first
+ * @param {Object|null} props.drawState - Progress reported by the GeofenceDrawer module (null when idle)
+ * @param {boolean} props.canDraw - False while another scene tool owns pointer clicks
+ * @param {Function} props.onStartDrawing - Called with (shape, { name, type }) to start drawing a zone
+ * @param {Function} props.onFinishDrawing - Closes the polygon being drawn
+ * @param {Function} props.onCancelDrawing - Abandons the zone being drawn
+ * @param {Function} props.onGeofencesChange - Called with the full, updated zone list
+ * @param {Function} props.onResetGeofences - Restores the default zones
+ */
+const GeofencePanel = ({
+  geofences,
+  occupancy,
+  events,
+  drawState = null,
+  canDraw = true,
+  onStartDrawing,
+  onFinishDrawing,
+  onCancelDrawing,
+  onGeofencesChange,
+  onResetGeofences,
+}) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [newName, setNewName] = useState('');
+  const [newType, setNewType] = useState(GEOFENCE_TYPES.EXCLUSION);
+
+  const zoneNames = Object.fromEntries(geofences.map(zone => [zone.id, zone.name]));
+  const isDrawing = drawState !== null;
+
+  const startDrawing = (shape) => {
+    const name = newName.trim() || `${GEOFENCE_TYPE_LABELS[newType]} ${geofences.length + 1}`;
+    onStartDrawing(shape, { name, type: newType });
+    setNewName('');
+  };
+
+  const toggleZoneVisible = (zoneId) => {
+    onGeofencesChange(geofences.map(zone => (zone.id === zoneId ? { ...zone, visible: !zone.visible } : zone)));
+  };
+
+  const deleteZone = (zoneId) => {
+    onGeofencesChange(geofences.filter(zone => zone.id !== zoneId));
+  };
+
+  return (
+    <div className={`geofence-panel ${isOpen ? '' : 'collapsed'}`}>
+      <button className="geofence-header" onClick={() => setIsOpen(!isOpen)}>
+        <span>🗺️ Geofences</span>
+        <span className="geofence-toggle">{isOpen ? '▾' : '▸'}</span>
+      </button>
+
+      {isOpen && (
+        <>
+          <ul className="geofence-list">
+            {geofences.length === 0 && <li className="geofence-empty">No zones defined</li>}
+            {geofences.map((zone) => {
+              const boatIds = occupancy[zone.id] ?? [];
+              return (
+                <li key={zone.id} className={`geofence-zone ${zone.visible ? '' : 'hidden-zone'}`}>
+                  <span
+                    className="geofence-swatch"
+                    style={{ backgroundColor: toCssColor(GEOFENCE_OVERLAY_CONFIG.colors[zone.type]) }}
+                  ></span>
+                  <div className="geofence-zone-info">
+                    <span className="geofence-zone-name">{zone.name}</span>
+                    <span className="geofence-zone-occupancy">
+                      {boatIds.length === 0 ? 'Empty' : boatIds.join(', ')}
+                    </span>
+                  </div>
+                  <span className="geofence-count" title={`${boatIds.length} boat(s) inside`}>{boatIds.length}</span>
+                  <button onClick={() => toggleZoneVisible(zone.id)} title={zone.visible ? 'Hide zone' : 'Show zone'}>
+                    {zone.visible ? '👁️' : '🚫'}
+                  </button>
+                  <button onClick={() => deleteZone(zone.id)} title="Delete zone">✕</button>
+                </li>
+              );
+            })}
+          </ul>
+
+          {isDrawing ? (
+            <div className="geofence-drawing">
+              <span className="geofence-hint">
+                {drawState.shape === GEOFENCE_SHAPES.CIRCLE
+                  ? drawState.pointCount === 0 ? 'Click the water to place the center' : 'Click again to set the radius'
+                  : `${drawState.pointCount} point${drawState.pointCount === 1 ? '' : 's'} • Enter or double-click to finish`}
+              </span>
+              <div className="geofence-actions">
+                {drawState.shape === GEOFENCE_SHAPES.POLYGON && (
+                  <button onClick={onFinishDrawing} disabled={!drawState.canFinish}>Finish</button>
+                )}
+                <button onClick={onCancelDrawing}>Cancel</button>
+              </div>
+            </div>
+          ) : (
+            <div className="geofence-new">
+              <input
+                type="text"
+                placeholder="New zone name"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+              />
+              <select value={newType} onChange={(e) => setNewType(e.target.value)}>
+                {Object.values(GEOFENCE_TYPES).map(type => (
+                  <option key={type} value={type}>{GEOFENCE_TYPE_LABELS[type]}</option>
+                ))}
+              </select>
+              <div className="geofence-actions">
+                <button onClick={() => startDrawing(GEOFENCE_SHAPES.POLYGON)} disabled={!canDraw}>▱ Polygon</button>
+                <button onClick={() => startDrawing(GEOFENCE_SHAPES.CIRCLE)} disabled={!canDraw}>◯ Circle</button>
+                <button onClick={onResetGeofences} title="Restore the default zones">Reset</button>
+              </div>
+            </div>
+          )}
+
+          {events.length > 0 && (
+            <ul className="geofence-events">
+              {events.slice(0, RECENT_EVENT_COUNT).map(event => (
+                <li key={`${event.boatId}-${event.zoneId}-${event.type}-${event.time}`}>
+                  {event.type === 'enter' ? '➡️' : '⬅️'} {event.boatId} {event.type === 'enter' ? 'entered' : 'left'}{' '}
+                  {zoneNames[event.zoneId] ?? event.zoneId}
+                  <span className="geofence-event-time">{new Date(event.time).toLocaleTimeString()}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default GeofencePanel;
@@ -0,0 +1,54 @@
+import React from 'react';
+import './MeasurePanel.css';
+import { formatMeasureDistance, formatMeasureBearing, formatMeasureDuration } from '../scene/controls/MeasureTool.js';
+
+/**
+ * Readout for the range/bearing tool
+ * Values update live while the measured vessels move.
+ *
+ * @param {Object} props
+ * @param {Object} props.measureState - State reported by the MeasureTool module ({ anchors, reading })
+ * @param {Function} props.onClose - Stops measuring
+ */
+const MeasurePanel = ({ measureState, onClose }) => {
+  const { anchors, reading } = measureState;
+  const [from, to] = anchors;
+
+  return (
+    <div className="measure-panel">
+      <div className="measure-header">
+        <span className="measure-title">📏 Measure</span>
+        <button className="measure-close" onClick={onClose} title="Stop measuring (Esc)">✕</button>
+      </div>
+
+      {!from && <div className="measure-prompt">Click a vessel, the dock, a buoy or open water</div>}
+      {from && !to && <div className="measure-prompt">From <strong>{from.label}</strong> - click the second point</div>}
+
+      {to && (
+        <>
+          <div className="measure-route">{from.label} → {to.label}</div>
+          {reading && (
+            <dl className="measure-values">
+              <dt>Distance</dt>
+              <dd>{formatMeasureDistance(reading.distanceMeters)}</dd>
+              <dt>Bearing</dt>
+              <dd>{formatMeasureBearing(reading.bearing)}</dd>
+              <dt>ETA</dt>
+              <dd>
+                {reading.eta
+                  ? `${formatMeasureDuration(reading.eta.seconds)} (${reading.eta.boatId} at ${reading.eta.speedKnots} kn)`
+                  : 'No vessel under way'}
+              </dd>
+            </dl>
+          )}
+        </>
+      )}
+
+      <div className="measure-hint">
+        Vessel ends follow the boat • Click again to start over • Esc to stop
+      </div>
+    </div>
+  );
+};
+
+export default MeasurePanel;
@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from 'react';
+import './Minimap.css';
+import { getChartBounds } from '../scene/controls/MinimapSync.js';
+import { getBoatColor } from '../scene/utils/BoatHelpers.js';
+import { ROUTE_CONFIG } from '../scene/overlays/RouteOverlay.js';
+
+const CHART_WIDTH = 240;      // CSS pixels; the height follows the operating area's shape
+const REDRAW_INTERVAL = 100;  // ms - the chart doesn't need the full frame rate
+const BOAT_SIZE = 6;
+
+/**
+ * Chart projection for the active site's operating area
+ */
+const getChartLayout = () => {
+  const bounds = getChartBounds();
+  const scale = CHART_WIDTH / (bounds.maxX - bounds.minX); // Pixels per scene unit
+  return { bounds, scale, height: Math.round((bounds.maxZ - bounds.minZ) * scale) };
+};
+
+const toCssColor = (hex) => `#${hex.toString(16).padStart(6, '0')}`;
+
+/**
+ * Draws one frame of the chart
+ */
+const drawChart = (context, { bounds, scale }, view, selectedBoatId) => {
+  const toChart = (x, z) => [(x - bounds.minX) * scale, (z - bounds.minZ) * scale];
+  const { width, height } = context.canvas;
+  context.clearRect(0, 0, width, height);
+
+  // Operating area between the boundary buoys
+  context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+  context.setLineDash([4, 4]);
+  const [left, top] = toChart(Math.min(...view.buoys.map(b => b.x)), Math.min(...view.buoys.map(b => b.z)));
+  const [right, bottom] = toChart(Math.max(...view.buoys.map(b => b.x)), Math.max(...view.buoys.map(b => b.z)));
+  context.strokeRect(left, top, right - left, bottom - top);
+  context.setLineDash([]);
+
+  view.routes.forEach(({ points, activeIndex }) => {
+    context.strokeStyle = toCssColor(ROUTE_CONFIG.lineColor);
+    context.globalAlpha = 0.6;
+    context.beginPath();
+    points.forEach(({ x, z }, i) => {
+      const [px, py] = toChart(x, z);
+      if (i === 0) context.moveTo(px, py);
+      else context.lineTo(px, py);
+    });
+    context.closePath(); // Boats loop back to the first waypoint
+    context.stroke();
+    context.globalAlpha = 1;
+
+    if (activeIndex !== null && points[activeIndex]) {
+      const [px, py] = toChart(points[activeIndex].x, points[activeIndex].z);
+      context.fillStyle = toCssColor(ROUTE_CONFIG.activeColor);
+      context.beginPath();
+      context.arc(px, py, 2.5, 0, Math.PI * 2);
+      context.fill();
+    }
+  });
+
+  // Dock (scene origin, rotated like the 3D model)
+  const [dockX, dockY] = toChart(view.dock.x, view.dock.z);
+  context.save();
+  context.translate(dockX, dockY);
+  context.rotate(-view.dock.rotation);
+  context.fillStyle = '#8B7355';
+  context.fillRect(-6, -3, 12, 6);
+  context.restore();
+
+  view.buoys.forEach(({ x, z }) => {
+    const [px, py] = toChart(x, z);
+    context.fillStyle = '#FFD600';
+    context.beginPath();
+    context.arc(px, py, 3, 0, Math.PI * 2);
+    context.fill();
+  });
+
+  // Camera footprint and orbit target
+  if (view.footprint.length) {
+    context.fillStyle = 'rgba(255, 255, 255, 0.12)';
+    context.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    context.beginPath();
+    view.footprint.forEach(({ x, z }, i) => {
+      const [px, py] = toChart(x, z);
+      if (i === 0) context.moveTo(px, py);
+      else context.lineTo(px, py);
+    });
+    context.closePath();
+    context.fill();
+    context.stroke();
+  }
+  if (view.target) {
+    const [px, py] = toChart(view.target.x, view.target.z);
+    context.strokeStyle = '#FFFFFF';
+    context.beginPath();
+    context.moveTo(px - 4, py);
+    context.lineTo(px + 4, py);
+    context.moveTo(px, py - 4);
+    context.lineTo(px, py + 4);
+    context.stroke();
+  }
+
+  // Boats as heading arrows (bow is +X, rotation.y turns it toward -Z)
+  view.boats.forEach(({ id, x, z, yaw, status, dimmed }) => {
+    const [px, py] = toChart(x, z);
+    const selected = id === selectedBoatId;
+    const size = selected ? BOAT_SIZE * 1.4 : BOAT_SIZE;
+    context.save();
+    context.globalAlpha = dimmed ? 0.35 : 1; // Outside the fleet filter
+    context.translate(px, py);
+    context.rotate(-yaw);
+    context.fillStyle = toCssColor(getBoatColor(status));
+    context.strokeStyle = selected ? '#FFFFFF' : 'rgba(0, 0, 0, 0.6)';
+    context.lineWidth = selected ? 2 : 1;
+    context.beginPath();
+    context.moveTo(size, 0);
+    context.lineTo(-size * 0.7, size * 0.6);
+    context.lineTo(-size * 0.35, 0);
+    context.lineTo(-size * 0.7, -size * 0.6);
+    context.closePath();
+    context.fill();
+    context.stroke();
+    context.restore();
+  });
+  context.lineWidth = 1;
+};
+
+/**
+ * Top-down chart of the operating area synchronized with the 3D camera
+ * Shows boats with their headings, routes, buoys, the dock and what the camera
+ * currently sees; clicking or dragging moves the camera's orbit target.
+ *
+ * @param {Object} props
+ * @param {Function} props.getView - Returns the current chart view (getMinimapView in MinimapSync.js)
+ * @param {Function} props.onPanTo - Called with (x, z) in scene coordinates to move the orbit target
+ * @param {string|null} [props.selectedBoatId] - Boat drawn highlighted
+ */
+const Minimap = ({ getView, onPanTo, selectedBoatId = null }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  // The site is fixed for the life of the scene (switching sites remounts it)
+  const [layout] = useState(getChartLayout);
+  const canvasRef = useRef(null);
+  const draggingRef = useRef(false);
+
+  // Latest props for the redraw loop
+  const propsRef = useRef({ getView, selectedBoatId });
+  useEffect(() => {
+    propsRef.current = { getView, selectedBoatId };
+  }, [getView, selectedBoatId]);
+
+  useEffect(() => {
+    if (!isOpen || !canvasRef.current) return undefined;
+
+    const canvas = canvasRef.current;
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = CHART_WIDTH * pixelRatio;
+    canvas.height = layout.height * pixelRatio;
+    const context = canvas.getContext('2d');
+
+    let frameId = null;
+    let lastDraw = -Infinity;
+    const redraw = (now) => {
+      frameId = requestAnimationFrame(redraw);
+      if (now - lastDraw < REDRAW_INTERVAL) return;
+      lastDraw = now;
+
+      const view = propsRef.current.getView();
+      if (!view) return;
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      drawChart(context, layout, view, propsRef.current.selectedBoatId);
+    };
+    frameId = requestAnimationFrame(redraw);
+
+    return () => cancelAnimationFrame(frameId);
+  }, [isOpen, layout]);
+
+  const panToPointer = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = layout.bounds.minX + (e.clientX - rect.left) * (CHART_WIDTH / rect.width) / layout.scale;
+    const z = layout.bounds.minZ + (e.clientY - rect.top) * (layout.height / rect.height) / layout.scale;
+    onPanTo(x, z);
+  };
+
+  const handlePointerDown = (e) => {
+    draggingRef.current = true;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    panToPointer(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (draggingRef.current) panToPointer(e);
+  };
+
+  const handlePointerUp = (e) => {
+    draggingRef.current = false;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+  };
+
+  return (
+    <div className={`minimap ${isOpen ? '' : 'collapsed'}`}>
+      <button className="minimap-header" onClick={() => setIsOpen(!isOpen)}>
+        <span>🧭 Chart</span>
+        <span className="minimap-toggle">{isOpen ? '▾' : '▸'}</span>
+      </button>
+      {isOpen && (
+        <canvas
+          ref={canvasRef}
+          className="minimap-canvas"
+          style={{ width: CHART_WIDTH, height: layout.height }}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={handlePointerUp}
+          title="Click or drag to move the camera"
+        />
+      )}
+    </div>
+  );
+};
+
+export default Minimap;
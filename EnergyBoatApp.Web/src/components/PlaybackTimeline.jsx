@@ -0,0 +1,110 @@
+import React from 'react';
+import './PlaybackTimeline.css';
+import { HISTORY_EVENT_TYPES, PLAYBACK_RATES, PLAYBACK_WINDOWS, findAdjacentEvent } from '../data/historyTimeline.js';
+
+const EVENT_ICONS = {
+  [HISTORY_EVENT_TYPES.STATUS_CHANGE]: '🔁',
+  [HISTORY_EVENT_TYPES.LOW_BATTERY]: '🪫',
+};
+
+/**
+ * Timeline scrubber shown while replaying recorded boat states
+ *
+ * @param {Object} props
+ * @param {Object|null} props.timeline - State from createHistoryTimeline (null while loading)
+ * @param {number} props.time - Current playback time (epoch milliseconds)
+ * @param {boolean} props.isPlaying - Whether the clock is running
+ * @param {number} props.rate - Playback rate (1 = real time)
+ * @param {number} props.windowMs - Length of the loaded history window
+ * @param {boolean} props.isLoading - True while the history request is in flight
+ * @param {string|null} props.error - Error from the last history request
+ */
+const PlaybackTimeline = ({
+  timeline,
+  time,
+  isPlaying,
+  rate,
+  windowMs,
+  isLoading = false,
+  error = null,
+  onSeek,
+  onTogglePlay,
+  onRateChange,
+  onWindowChange,
+  onExit,
+}) => {
+  const hasRange = timeline && timeline.end > timeline.start;
+  const span = hasRange ? timeline.end - timeline.start : 1;
+  const toPercent = (t) => `${((t - timeline.start) / span) * 100}%`;
+
+  const jumpToEvent = (direction) => {
+    const event = findAdjacentEvent(timeline, time, direction);
+    if (event) onSeek(event.time);
+  };
+
+  return (
+    <div className="playback-timeline">
+      <div className="playback-header">
+        <span className="playback-title">⏪ History playback</span>
+        <span className="playback-time">
+          {hasRange ? new Date(time).toLocaleString() : isLoading ? 'Loading history…' : 'No recorded history in this window'}
+        </span>
+        <button className="playback-exit" onClick={onExit} title="Return to live data">● Live</button>
+      </div>
+
+      <div className="playback-track">
+        {hasRange && timeline.events.map((event) => (
+          <button
+            key={`${event.boatId}-${event.type}-${event.time}`}
+            className={`playback-event playback-event-${event.type}`}
+            style={{ left: toPercent(event.time) }}
+            onClick={() => onSeek(event.time)}
+            title={`${new Date(event.time).toLocaleTimeString()} – ${event.label}`}
+          >
+            {EVENT_ICONS[event.type]}
+          </button>
+        ))}
+        <input
+          type="range"
+          className="playback-scrubber"
+          min={hasRange ? timeline.start : 0}
+          max={hasRange ? timeline.end : 1}
+          step={1000}
+          value={hasRange ? time : 0}
+          disabled={!hasRange}
+          onChange={(e) => onSeek(Number(e.target.value))}
+        />
+      </div>
+
+      <div className="playback-actions">
+        <button onClick={() => jumpToEvent(-1)} disabled={!hasRange} title="Previous event">⏮</button>
+        <button className="playback-play" onClick={onTogglePlay} disabled={!hasRange} title={isPlaying ? 'Pause' : 'Play'}>
+          {isPlaying ? '⏸' : '▶'}
+        </button>
+        <button onClick={() => jumpToEvent(1)} disabled={!hasRange} title="Next event">⏭</button>
+
+        <label className="playback-option">
+          Rate
+          <select value={rate} onChange={(e) => onRateChange(Number(e.target.value))}>
+            {PLAYBACK_RATES.map((value) => (
+              <option key={value} value={value}>{value}x</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="playback-option">
+          Window
+          <select value={windowMs} onChange={(e) => onWindowChange(Number(e.target.value))} disabled={isLoading}>
+            {PLAYBACK_WINDOWS.map(({ label, ms }) => (
+              <option key={ms} value={ms}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && <div className="playback-error">⚠️ {error}</div>}
+    </div>
+  );
+};
+
+export default PlaybackTimeline;
@@ -0,0 +1,47 @@
+import React from 'react';
+import './RouteEditorPanel.css';
+import { pathLengthMeters, METERS_PER_NAUTICAL_MILE } from '../data/geodesy.js';
+
+/**
+ * Toolbar shown while a boat's route is being edited in the scene
+ *
+ * @param {Object} props
+ * @param {Object} props.editorState - State reported by the RouteEditor module
+ * @param {boolean} props.isSaving - True while the save request is in flight
+ * @param {string|null} props.saveError - Error from the last save attempt
+ */
+const RouteEditorPanel = ({ editorState, isSaving = false, saveError = null, onUndo, onRedo, onSave, onCancel }) => {
+  const { boatId, waypoints, canUndo, canRedo, dirty, error } = editorState;
+  const message = saveError || error;
+  const loopNauticalMiles = pathLengthMeters(waypoints, true) / METERS_PER_NAUTICAL_MILE; // Boats loop back to the first waypoint
+
+  return (
+    <div className="route-editor-panel">
+      <div className="route-editor-header">
+        <span className="route-editor-title">✏️ Editing route: {boatId}</span>
+        <span className="route-editor-count">
+          {waypoints.length} waypoint{waypoints.length === 1 ? '' : 's'}
+          {waypoints.length > 1 && ` • ${loopNauticalMiles.toFixed(1)} nm loop`}
+          {dirty && <span className="route-editor-dirty"> • unsaved</span>}
+        </span>
+      </div>
+
+      <div className="route-editor-actions">
+        <button onClick={onUndo} disabled={!canUndo || isSaving} title="Undo (Ctrl+Z)">↶ Undo</button>
+        <button onClick={onRedo} disabled={!canRedo || isSaving} title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+        <button className="route-editor-save" onClick={onSave} disabled={!dirty || isSaving}>
+          {isSaving ? 'Saving…' : '💾 Save'}
+        </button>
+        <button onClick={onCancel} disabled={isSaving}>Cancel</button>
+      </div>
+
+      {message && <div className="route-editor-error">⚠️ {message}</div>}
+
+      <div className="route-editor-hint">
+        Click water to add • Click a leg to insert • Drag to move • Right-click or Delete to remove
+      </div>
+    </div>
+  );
+};
+
+export default RouteEditorPanel;
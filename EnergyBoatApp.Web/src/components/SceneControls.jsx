@@ -1,7 +1,39 @@
 import React from 'react';
 import './SceneControls.css';
+import { CAMERA_MODES, CAMERA_MODE_LABELS } from '../scene/controls/CameraModes.js';
+import { WEATHER_MODES, WEATHER_MODE_LABELS } from '../data/weather.js';
 
-const SceneControls = ({ isDaytime, onToggleDayNight, onResetScene, speedMultiplier = 1.0, onSpeedChange }) => {
+const SceneControls = ({
+  sunElevation = null,
+  onSkipToSunEvent,
+  onResetScene,
+  speedMultiplier = 1.0,
+  onSpeedChange,
+  showTrails = true,
+  onToggleTrails,
+  trailColorMode = 'status',
+  onTrailColorModeChange,
+  showRoutes = true,
+  onToggleRoutes,
+  showLabels = true,
+  onToggleLabels,
+  showGeofences = true,
+  onToggleGeofences,
+  weatherMode = WEATHER_MODES.AUTO,
+  onWeatherModeChange,
+  weatherSummary = '',
+  canEditRoute = false,
+  isEditingRoute = false,
+  onEditRoute,
+  canMeasure = true,
+  isMeasuring = false,
+  onToggleMeasure,
+  cameraMode = CAMERA_MODES.FREE,
+  onCameraModeChange,
+  hasSelectedBoat = false,
+  isPlayback = false,
+  onTogglePlayback,
+}) => {
   const handleSpeedChange = (e) => {
     const value = parseFloat(e.target.value);
     onSpeedChange(value);
@@ -15,15 +47,20 @@ const SceneControls = ({ isDaytime, onToggleDayNight, onResetScene, speedMultipl
     return 'Very Fast';
   };
 
+  const isSunUp = sunElevation === null || sunElevation > 0;
+
   return (
     <div className="scene-controls">
       <button 
         className="control-button day-night-toggle" 
-        onClick={onToggleDayNight}
-        title={isDaytime ? "Switch to Night" : "Switch to Day"}
+        onClick={onSkipToSunEvent}
+        disabled={isPlayback || !onSkipToSunEvent}
+        title={sunElevation === null
+          ? 'Skip to the next sunrise or sunset'
+          : `Sun ${sunElevation}° above horizon - skip to ${isSunUp ? 'sunset' : 'sunrise'}`}
       >
-        <span className="icon">{isDaytime ? '🌙' : '☀️'}</span>
-        <span className="label">{isDaytime ? 'Night' : 'Day'}</span>
+        <span className="icon">{isSunUp ? '🌇' : '🌅'}</span>
+        <span className="label">{isSunUp ? 'Sunset' : 'Sunrise'}</span>
       </button>
       
       <button 
@@ -35,6 +72,36 @@ const SceneControls = ({ isDaytime, onToggleDayNight, onResetScene, speedMultipl
         <span className="label">Reset</span>
       </button>
 
+      <button 
+        className="control-button route-edit-button" 
+        onClick={onEditRoute}
+        disabled={!canEditRoute || isEditingRoute}
+        title={canEditRoute ? "Edit the selected vessel's route" : "Select a vessel to edit its route"}
+      >
+        <span className="icon">✏️</span>
+        <span className="label">{isEditingRoute ? 'Editing…' : 'Edit Route'}</span>
+      </button>
+
+      <button 
+        className={`control-button measure-button ${isMeasuring ? 'active' : ''}`}
+        onClick={onToggleMeasure}
+        disabled={!canMeasure && !isMeasuring}
+        title={isMeasuring ? 'Stop measuring (Esc)' : 'Measure distance, bearing and ETA between vessels or points'}
+      >
+        <span className="icon">📏</span>
+        <span className="label">{isMeasuring ? 'Measuring' : 'Measure'}</span>
+      </button>
+
+      <button 
+        className={`control-button playback-button ${isPlayback ? 'active' : ''}`}
+        onClick={onTogglePlayback}
+        disabled={isEditingRoute}
+        title={isPlayback ? 'Return to live data' : 'Replay recorded boat positions'}
+      >
+        <span className="icon">{isPlayback ? '📡' : '⏪'}</span>
+        <span className="label">{isPlayback ? 'Go Live' : 'Playback'}</span>
+      </button>
+
       <div className="speed-control">
         <div className="speed-header">
           <span className="speed-icon">⚡</span>
@@ -56,6 +123,93 @@ const SceneControls = ({ isDaytime, onToggleDayNight, onResetScene, speedMultipl
         </div>
       </div>
       
+      <div className="layer-control">
+        <div className="layer-header">
+          <span className="layer-icon">🎥</span>
+          <span className="layer-title">Camera</span>
+        </div>
+        <select
+          className="layer-select"
+          value={cameraMode}
+          onChange={(e) => onCameraModeChange(e.target.value)}
+          title={hasSelectedBoat ? 'Camera mode for the selected vessel' : 'Select a vessel to track it'}
+        >
+          {Object.values(CAMERA_MODES).map((mode) => (
+            <option key={mode} value={mode} disabled={mode !== CAMERA_MODES.FREE && !hasSelectedBoat}>
+              {CAMERA_MODE_LABELS[mode]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="layer-control">
+        <div className="layer-header">
+          <span className="layer-icon">🌦️</span>
+          <span className="layer-title">Weather</span>
+        </div>
+        <select
+          className="layer-select"
+          value={weatherMode}
+          onChange={(e) => onWeatherModeChange(e.target.value)}
+          title="Use the conditions vessels report, or preview other weather"
+        >
+          {Object.values(WEATHER_MODES).map((mode) => (
+            <option key={mode} value={mode}>{WEATHER_MODE_LABELS[mode]}</option>
+          ))}
+        </select>
+        <span className="weather-summary">{weatherSummary}</span>
+      </div>
+
+      <div className="layer-control">
+        <div className="layer-header">
+          <span className="layer-icon">🗺️</span>
+          <span className="layer-title">Scene Layers</span>
+        </div>
+        <label className="layer-row" title="Show where each vessel has been">
+          <input
+            type="checkbox"
+            checked={showTrails}
+            onChange={onToggleTrails}
+          />
+          <span>Track trails</span>
+        </label>
+        {showTrails && (
+          <select
+            className="layer-select"
+            value={trailColorMode}
+            onChange={(e) => onTrailColorModeChange(e.target.value)}
+            title="Trail coloring"
+          >
+            <option value="status">Color by status</option>
+            <option value="energy">Color by energy</option>
+          </select>
+        )}
+        <label className="layer-row" title="Show survey routes and each vessel's next waypoint">
+          <input
+            type="checkbox"
+            checked={showRoutes}
+            onChange={onToggleRoutes}
+          />
+          <span>Survey routes</span>
+        </label>
+        <label className="layer-row" title="Show ID, name, energy and speed above each vessel">
+          <input
+            type="checkbox"
+            checked={showLabels}
+            onChange={onToggleLabels}
+          />
+          <span>Vessel labels</span>
+        </label>
+        <label className="layer-row" title="Show geofence zones on the water">
+          <input
+            type="checkbox"
+            checked={showGeofences}
+            onChange={onToggleGeofences}
+          />
+          <span>Geofences</span>
+        </label>
+      </div>
+      
       <div className="keyboard-hint">
         <p>🎮 <strong>Camera Controls:</strong></p>
         <p>WASD / Arrow Keys - Move camera</p>
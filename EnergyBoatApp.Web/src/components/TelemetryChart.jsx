@@ -0,0 +1,85 @@
+import React from 'react';
+import './TelemetryChart.css';
+
+const WIDTH = 300;
+const HEIGHT = 80;
+const PADDING = { top: 6, right: 4, bottom: 6, left: 4 };
+
+/**
+ * Small time-series line chart for the vessel detail drawer
+ * Every chart in the drawer shares one time axis so their shapes line up.
+ *
+ * @param {Object} props
+ * @param {string} props.title - Chart heading
+ * @param {Array<{time: number, value: number}>} props.points - Samples, oldest first
+ * @param {number} props.start - Left edge of the time axis (epoch milliseconds)
+ * @param {number} props.end - Right edge of the time axis (epoch milliseconds)
+ * @param {Function} props.formatValue - Formats a value with its unit
+ * @param {string} props.color - Line color
+ * @param {number} [props.min] - Fixed bottom of the value axis (defaults to the data minimum)
+ * @param {number} [props.max] - Fixed top of the value axis (defaults to the data maximum)
+ * @param {{value: number, label: string}} [props.reference] - Dashed horizontal line (e.g. a threshold)
+ * @param {string} [props.emptyText] - Shown instead of the chart when there are fewer than two points
+ */
+const TelemetryChart = ({
+  title,
+  points,
+  start,
+  end,
+  formatValue,
+  color,
+  min,
+  max,
+  reference = null,
+  emptyText = 'Collecting samples…',
+}) => {
+  const latest = points[points.length - 1];
+  const values = points.map(point => point.value);
+  const low = min ?? Math.min(...values, reference?.value ?? Infinity);
+  let high = max ?? Math.max(...values, reference?.value ?? -Infinity);
+  if (high - low < 1e-6) high = low + 1; // Flat series still get a visible line
+
+  const toX = time => PADDING.left + ((time - start) / Math.max(1, end - start)) * (WIDTH - PADDING.left - PADDING.right);
+  const toY = value => HEIGHT - PADDING.bottom - ((value - low) / (high - low)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <div className="telemetry-chart">
+      <div className="telemetry-chart-header">
+        <span className="telemetry-chart-title">{title}</span>
+        <span className="telemetry-chart-value">{latest ? formatValue(latest.value) : '—'}</span>
+      </div>
+      {points.length < 2 ? (
+        <div className="telemetry-chart-empty">{emptyText}</div>
+      ) : (
+        <svg className="telemetry-chart-plot" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+          {reference && reference.value >= low && reference.value <= high && (
+            <line
+              className="telemetry-chart-reference"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={toY(reference.value)}
+              y2={toY(reference.value)}
+            >
+              <title>{reference.label}</title>
+            </line>
+          )}
+          <polyline
+            fill="none"
+            stroke={color}
+            strokeWidth="2"
+            vectorEffect="non-scaling-stroke"
+            points={points.map(point => `${toX(point.time).toFixed(1)},${toY(point.value).toFixed(1)}`).join(' ')}
+          />
+        </svg>
+      )}
+      {points.length >= 2 && (
+        <div className="telemetry-chart-range">
+          <span>{formatValue(Math.min(...values))} min</span>
+          <span>{formatValue(Math.max(...values))} max</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TelemetryChart;
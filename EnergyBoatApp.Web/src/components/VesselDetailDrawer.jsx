@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import './VesselDetailDrawer.css';
+import TelemetryChart from './TelemetryChart';
+import { fetchBoatRoute } from '../services/boatRoutes.js';
+import {
+  CHARGING_THRESHOLD,
+  CHARGE_RESUME_LEVEL,
+  VESSEL_TELEMETRY_CONFIG,
+  getTelemetrySeries,
+  getWaypointDistanceSeries,
+  getEnergyTrend,
+} from '../data/vesselTelemetry.js';
+import { formatMeasureDuration } from '../scene/controls/MeasureTool.js';
+
+const CHART_COLORS = {
+  energy: '#2E7D32',
+  speed: '#0A4C8C',
+  area: '#E84E0F',
+  waypoint: '#7B1FA2',
+};
+
+/**
+ * One line describing where the energy level is heading
+ */
+const describeTrend = (trend) => {
+  if (!trend) return 'Measuring charge/drain rate…';
+  const rate = `${Math.abs(trend.ratePerMinute).toFixed(2)} %/min`;
+  if (trend.direction === 'draining') {
+    return trend.minutesToThreshold !== null
+      ? `Draining ${rate} • ${CHARGING_THRESHOLD}% charging threshold in ${formatMeasureDuration(trend.minutesToThreshold * 60)}`
+      : `Draining ${rate} • below the ${CHARGING_THRESHOLD}% charging threshold`;
+  }
+  if (trend.direction === 'charging') {
+    return trend.minutesToResume !== null
+      ? `Charging ${rate} • back to work at ${CHARGE_RESUME_LEVEL}% in ${formatMeasureDuration(trend.minutesToResume * 60)}`
+      : `Charging ${rate}`;
+  }
+  return 'Energy steady';
+};
+
+/**
+ * Drawer with time-series charts for the selected boat
+ * Charts are built from samples the client has recorded since the page
+ * loaded (see data/vesselTelemetry.js); the route is fetched once per boat
+ * for the distance to the next waypoint.
+ *
+ * @param {Object} props
+ * @param {import('../data/boatSchema.js').Boat} props.boat - Selected boat (latest values)
+ * @param {Array<import('../data/vesselTelemetry.js').TelemetrySample>} props.samples - Recorded samples, oldest first
+ * @param {number} props.speedMultiplier - Current simulation speed (rates depend on it)
+ * @param {boolean} [props.isPlayback] - True while the dashboard shows history (charts stay live)
+ * @param {Function} props.onClose - Closes the drawer
+ */
+const VesselDetailDrawer = ({ boat, samples, speedMultiplier, isPlayback = false, onClose }) => {
+  const [loadedRoute, setLoadedRoute] = useState(null);
+  const boatId = boat.id;
+  const route = loadedRoute?.boatId === boatId ? loadedRoute : null; // Ignore the previous boat's route while loading
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBoatRoute(boatId)
+      .then((loaded) => {
+        if (!cancelled) setLoadedRoute(loaded);
+      })
+      .catch((err) => {
+        console.error(`❌ Failed to load route for ${boatId}:`, err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [boatId]);
+
+  const start = samples[0]?.time ?? 0;
+  const end = samples[samples.length - 1]?.time ?? 0;
+  const trend = getEnergyTrend(samples);
+  const windowMinutes = Math.round((end - start) / 60000);
+
+  return (
+    <aside className="vessel-drawer">
+      <div className="vessel-drawer-header">
+        <div>
+          <h3>{boat.vesselName}</h3>
+          <span className="vessel-drawer-subtitle">{boat.id} • {boat.status}</span>
+        </div>
+        <button className="vessel-drawer-close" onClick={onClose} title="Close details">✕</button>
+      </div>
+
+      <div className={`vessel-drawer-trend trend-${trend?.direction ?? 'unknown'}`}>
+        {describeTrend(trend)}
+      </div>
+
+      <div className="vessel-drawer-charts">
+        <TelemetryChart
+          title="Energy level"
+          points={getTelemetrySeries(samples, 'energyLevel')}
+          start={start}
+          end={end}
+          min={0}
+          max={100}
+          reference={{ value: CHARGING_THRESHOLD, label: `${CHARGING_THRESHOLD}% charging threshold` }}
+          formatValue={value => `${value.toFixed(1)}%`}
+          color={CHART_COLORS.energy}
+        />
+        <TelemetryChart
+          title="Speed"
+          points={getTelemetrySeries(samples, 'speedKnots')}
+          start={start}
+          end={end}
+          min={0}
+          formatValue={value => `${value.toFixed(1)} kn`}
+          color={CHART_COLORS.speed}
+        />
+        <TelemetryChart
+          title="Area covered"
+          points={getTelemetrySeries(samples, 'areaCovered')}
+          start={start}
+          end={end}
+          formatValue={value => `${value.toFixed(2)} km²`}
+          color={CHART_COLORS.area}
+        />
+        <TelemetryChart
+          title="Distance to next waypoint"
+          points={route ? getWaypointDistanceSeries(samples, route) : []}
+          start={start}
+          end={end}
+          min={0}
+          formatValue={value => `${value.toFixed(2)} nm`}
+          color={CHART_COLORS.waypoint}
+          emptyText={route ? 'Collecting samples…' : 'Loading route…'}
+        />
+      </div>
+
+      <div className="vessel-drawer-footer">
+        {isPlayback && <span>Charts show live data, not the playback. </span>}
+        Last {windowMinutes < 1 ? '< 1' : windowMinutes} min of live samples (keeps {VESSEL_TELEMETRY_CONFIG.maxAge / 60000} min)
+        {' • '}rates at {speedMultiplier}x simulation speed
+      </div>
+    </aside>
+  );
+};
+
+export default VesselDetailDrawer;
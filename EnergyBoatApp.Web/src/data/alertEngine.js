@@ -0,0 +1,255 @@
+/**
+ * Alert Engine
+ *
+ * Client-side evaluation of alert rules against live boats. The engine keeps
+ * a little per-boat memory (last update, status changes, recent positions) so
+ * rules can look at more than the latest snapshot, and tracks acknowledge and
+ * snooze state for each raised alert. Alerts clear themselves when their
+ * condition no longer holds.
+ */
+
+import { ALERT_RULE_TYPES, ALERT_SEVERITIES, describeAlertRule } from './alertRules.js';
+import { isInsideGeofence } from './geofences.js';
+import { distanceMeters } from './geodesy.js';
+import { isWithinSiteBounds } from './siteConfig.js';
+
+/**
+ * Engine tuning
+ */
+export const ALERT_ENGINE_CONFIG = {
+  evaluationInterval: 1000,             // ms between re-evaluations without new data (stale-data rule)
+  positionSampleInterval: 1000,         // ms between remembered positions (stopped-boat rule)
+  maxPositionHistory: 10 * 60 * 1000,   // ms of positions kept per boat
+};
+
+/**
+ * @typedef {Object} FleetAlert
+ * @property {string} id - `${ruleId}:${boatId}`
+ * @property {string} ruleId - Rule that raised it
+ * @property {string} boatId - Offending boat
+ * @property {string} severity - One of ALERT_SEVERITIES
+ * @property {string} message - Display text
+ * @property {number} raisedAt - When the condition started (epoch milliseconds)
+ * @property {boolean} acknowledged - Seen by the user; stays listed but no longer highlighted
+ */
+
+/**
+ * Creates an empty engine
+ *
+ * @returns {Object} Engine state
+ */
+export function createAlertEngine() {
+  return {
+    boats: {},      // boatId → { boat, lastSeen, statusChangedFrom, positions }
+    alerts: {},     // alertId → FleetAlert
+    snoozes: {},    // alertId → epoch ms until which the alert is hidden
+  };
+}
+
+/**
+ * Records a batch of live boats
+ *
+ * @param {Object} engine - State from createAlertEngine
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats just received
+ * @param {number} now - Receive time (epoch milliseconds)
+ */
+export function observeBoats(engine, boats, now) {
+  boats.forEach((boat) => {
+    const entry = engine.boats[boat.id];
+
+    if (!entry) {
+      // First sighting - no transition can be inferred yet
+      engine.boats[boat.id] = {
+        boat,
+        lastSeen: now,
+        statusChangedFrom: null,
+        positions: [{ latitude: boat.latitude, longitude: boat.longitude, time: now }],
+      };
+      return;
+    }
+
+    if (boat.status !== entry.boat.status) {
+      entry.statusChangedFrom = entry.boat.status;
+    }
+
+    const lastPosition = entry.positions[entry.positions.length - 1];
+    if (now - lastPosition.time >= ALERT_ENGINE_CONFIG.positionSampleInterval) {
+      entry.positions.push({ latitude: boat.latitude, longitude: boat.longitude, time: now });
+      while (now - entry.positions[0].time > ALERT_ENGINE_CONFIG.maxPositionHistory) {
+        entry.positions.shift();
+      }
+    }
+
+    entry.boat = boat;
+    entry.lastSeen = now;
+  });
+}
+
+/**
+ * Checks one rule against one boat
+ *
+ * @returns {string|null} Alert message when the condition holds, otherwise null
+ */
+function checkRule(rule, entry, now, geofences) {
+  const { boat } = entry;
+  const { params } = rule;
+
+  switch (rule.type) {
+    case ALERT_RULE_TYPES.THRESHOLD: {
+      const value = boat[params.field];
+      if (typeof value !== 'number') return null;
+      const triggered = params.operator === 'below' ? value < params.value : value > params.value;
+      return triggered ? `${rule.name}: ${value.toFixed(1)} (${describeAlertRule(rule)})` : null;
+    }
+
+    case ALERT_RULE_TYPES.STATUS_TRANSITION:
+      return boat.status === params.toStatus && entry.statusChangedFrom && entry.statusChangedFrom !== params.toStatus
+        ? `${entry.statusChangedFrom} → ${boat.status}`
+        : null;
+
+    case ALERT_RULE_TYPES.STOPPED: {
+      if (boat.status !== 'Active') return null;
+      const windowStart = now - params.durationSeconds * 1000;
+      const { positions } = entry;
+      // Need positions covering the whole window before judging
+      if (positions.length === 0 || positions[0].time > windowStart) return null;
+      const recent = positions.filter(position => position.time >= windowStart);
+      const moved = recent.some(position => distanceMeters(position, boat) >= params.minDistanceMeters);
+      return moved ? null : `Active but stationary for ${params.durationSeconds}s`;
+    }
+
+    case ALERT_RULE_TYPES.GEOFENCE_EXIT: {
+      return isWithinSiteBounds(boat) ? null : `Outside operating area at ${boat.latitude.toFixed(4)}, ${boat.longitude.toFixed(4)}`;
+    }
+
+    case ALERT_RULE_TYPES.GEOFENCE_ENTRY: {
+      const zone = geofences.find(z => z.type === params.zoneType && isInsideGeofence(z, boat));
+      return zone ? `Inside ${zone.name}` : null;
+    }
+
+    case ALERT_RULE_TYPES.STALE_DATA: {
+      const ageSeconds = (now - entry.lastSeen) / 1000;
+      return ageSeconds > params.maxAgeSeconds ? `No update for ${Math.round(ageSeconds)}s` : null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Re-evaluates every enabled rule for every known boat
+ * Call after observeBoats() and on a timer (stale-data alerts need time to pass without updates).
+ *
+ * @param {Object} engine - State from createAlertEngine
+ * @param {Array<import('./alertRules.js').AlertRule>} rules - Rule definitions
+ * @param {number} now - Evaluation time (epoch milliseconds)
+ * @param {Array<import('./geofences.js').Geofence>} [geofences] - Zones for geofence-entry rules
+ * @returns {Array<FleetAlert>} Visible (non-snoozed) alerts, most severe first
+ */
+export function evaluateAlerts(engine, rules, now, geofences = []) {
+  const stillActive = new Set();
+
+  rules.filter(rule => rule.enabled).forEach((rule) => {
+    Object.entries(engine.boats).forEach(([boatId, entry]) => {
+      const message = checkRule(rule, entry, now, geofences);
+      if (!message) return;
+
+      const id = `${rule.id}:${boatId}`;
+      stillActive.add(id);
+
+      const existing = engine.alerts[id];
+      if (existing) {
+        existing.message = message;
+        existing.severity = rule.severity;
+      } else {
+        engine.alerts[id] = {
+          id,
+          ruleId: rule.id,
+          boatId,
+          severity: rule.severity,
+          message,
+          raisedAt: now,
+          acknowledged: false,
+        };
+      }
+    });
+  });
+
+  // Conditions that cleared (or rules that were disabled) drop their alerts
+  Object.keys(engine.alerts).forEach((id) => {
+    if (!stillActive.has(id)) delete engine.alerts[id];
+  });
+  Object.entries(engine.snoozes).forEach(([id, until]) => {
+    if (until <= now) delete engine.snoozes[id];
+  });
+
+  return getVisibleAlerts(engine, now);
+}
+
+/**
+ * Lists alerts that are not snoozed, most severe and most recent first
+ *
+ * @param {Object} engine - State from createAlertEngine
+ * @param {number} now - Current time (epoch milliseconds)
+ * @returns {Array<FleetAlert>} Copies safe to put in React state
+ */
+export function getVisibleAlerts(engine, now) {
+  return Object.values(engine.alerts)
+    .filter(alert => !(engine.snoozes[alert.id] > now))
+    .map(alert => ({ ...alert }))
+    .sort((a, b) =>
+      ALERT_SEVERITIES.indexOf(b.severity) - ALERT_SEVERITIES.indexOf(a.severity) || b.raisedAt - a.raisedAt
+    );
+}
+
+/**
+ * Marks an alert as seen
+ *
+ * @param {Object} engine - State from createAlertEngine
+ * @param {string} alertId - Alert to acknowledge
+ */
+export function acknowledgeAlert(engine, alertId) {
+  if (engine.alerts[alertId]) {
+    engine.alerts[alertId].acknowledged = true;
+  }
+}
+
+/**
+ * Hides an alert for a while; it reappears afterwards if the condition still holds
+ *
+ * @param {Object} engine - State from createAlertEngine
+ * @param {string} alertId - Alert to snooze
+ * @param {number} until - Epoch milliseconds when the alert may show again
+ */
+export function snoozeAlert(engine, alertId, until) {
+  engine.snoozes[alertId] = until;
+}
+
+/**
+ * Highest unacknowledged severity per boat, for scene highlighting
+ *
+ * @param {Array<FleetAlert>} alerts - Visible alerts
+ * @returns {Object<string, string>} boatId → severity
+ */
+export function getAlertedBoats(alerts) {
+  const byBoat = {};
+  alerts.filter(alert => !alert.acknowledged).forEach((alert) => {
+    const current = byBoat[alert.boatId];
+    if (!current || ALERT_SEVERITIES.indexOf(alert.severity) > ALERT_SEVERITIES.indexOf(current)) {
+      byBoat[alert.boatId] = alert.severity;
+    }
+  });
+  return byBoat;
+}
+
+export default {
+  ALERT_ENGINE_CONFIG,
+  createAlertEngine,
+  observeBoats,
+  evaluateAlerts,
+  getVisibleAlerts,
+  acknowledgeAlert,
+  snoozeAlert,
+  getAlertedBoats,
+};
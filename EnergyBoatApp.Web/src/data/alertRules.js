@@ -0,0 +1,261 @@
+/**
+ * Alert Rules Model
+ *
+ * Rule definitions for the fleet alert engine, the built-in defaults, and
+ * local persistence. Rules are plain JSON so users can tune thresholds in the
+ * alert tray; anything unreadable in storage falls back to the defaults.
+ */
+
+import { BOAT_STATUSES } from './boatSchema.js';
+import { GEOFENCE_TYPES, GEOFENCE_TYPE_LABELS } from './geofences.js';
+
+/**
+ * Kinds of rules the engine understands
+ */
+export const ALERT_RULE_TYPES = {
+  THRESHOLD: 'threshold',                 // Numeric boat field crosses a value
+  STATUS_TRANSITION: 'statusTransition',  // Boat enters a status
+  STOPPED: 'stopped',                     // Active boat has not moved for a while
+  GEOFENCE_EXIT: 'geofenceExit',          // Boat outside the active site's bounds
+  GEOFENCE_ENTRY: 'geofenceEntry',        // Boat inside a user geofence of a given type
+  STALE_DATA: 'staleData',                // No update received for a boat
+};
+
+/**
+ * Alert severities, lowest first
+ */
+export const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * localStorage key for user rule definitions
+ */
+export const ALERT_RULES_STORAGE_KEY = 'energyboat.alertRules';
+
+/**
+ * @typedef {Object} AlertRule
+ * @property {string} id - Stable identifier (alert IDs are built from it)
+ * @property {string} name - Display name
+ * @property {string} type - One of ALERT_RULE_TYPES
+ * @property {boolean} enabled - Disabled rules are not evaluated
+ * @property {string} severity - One of ALERT_SEVERITIES
+ * @property {Object} params - Type-specific settings (see DEFAULT_ALERT_RULES)
+ */
+
+/**
+ * Rules shipped with the app
+ * @type {Array<AlertRule>}
+ */
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'low-energy',
+    name: 'Low energy',
+    type: ALERT_RULE_TYPES.THRESHOLD,
+    enabled: true,
+    severity: 'warning',
+    params: { field: 'energyLevel', operator: 'below', value: 30 },
+  },
+  {
+    id: 'critical-energy',
+    name: 'Critical energy',
+    type: ALERT_RULE_TYPES.THRESHOLD,
+    enabled: true,
+    severity: 'critical',
+    params: { field: 'energyLevel', operator: 'below', value: 20 },
+  },
+  {
+    id: 'entered-maintenance',
+    name: 'Entered maintenance',
+    type: ALERT_RULE_TYPES.STATUS_TRANSITION,
+    enabled: true,
+    severity: 'critical',
+    params: { toStatus: 'Maintenance' },
+  },
+  {
+    id: 'unexpected-stop',
+    name: 'Stopped unexpectedly',
+    type: ALERT_RULE_TYPES.STOPPED,
+    enabled: true,
+    severity: 'warning',
+    params: { durationSeconds: 30, minDistanceMeters: 5 },
+  },
+  {
+    id: 'left-operating-area',
+    name: 'Left operating area',
+    type: ALERT_RULE_TYPES.GEOFENCE_EXIT,
+    enabled: true,
+    severity: 'critical',
+    params: {},
+  },
+  {
+    id: 'entered-exclusion-zone',
+    name: 'Entered exclusion zone',
+    type: ALERT_RULE_TYPES.GEOFENCE_ENTRY,
+    enabled: true,
+    severity: 'critical',
+    params: { zoneType: GEOFENCE_TYPES.EXCLUSION },
+  },
+  {
+    id: 'stale-data',
+    name: 'Stale data',
+    type: ALERT_RULE_TYPES.STALE_DATA,
+    enabled: true,
+    severity: 'info',
+    params: { maxAgeSeconds: 15 },
+  },
+];
+
+/**
+ * Numeric fields a threshold rule may watch
+ */
+export const THRESHOLD_FIELDS = {
+  energyLevel: { label: 'Energy (%)', min: 0, max: 100 },
+  speedKnots: { label: 'Speed (knots)', min: 0, max: 50 },
+  areaCovered: { label: 'Area covered (km²)', min: 0, max: Infinity },
+};
+
+/**
+ * Checks a rule definition, returning the problems found
+ *
+ * @param {*} rule - Candidate rule (e.g. read back from storage)
+ * @returns {Array<string>} Problems (empty when the rule is usable)
+ */
+export function validateAlertRule(rule) {
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+  const problems = [];
+  const params = rule.params ?? {};
+
+  if (typeof rule.id !== 'string' || rule.id === '') problems.push('id must be a non-empty string');
+  if (typeof rule.name !== 'string') problems.push('name must be a string');
+  if (!Object.values(ALERT_RULE_TYPES).includes(rule.type)) problems.push(`unknown rule type ${JSON.stringify(rule.type)}`);
+  if (!ALERT_SEVERITIES.includes(rule.severity)) problems.push(`unknown severity ${JSON.stringify(rule.severity)}`);
+
+  const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+  switch (rule.type) {
+    case ALERT_RULE_TYPES.THRESHOLD: {
+      const field = THRESHOLD_FIELDS[params.field];
+      if (!field) problems.push(`unknown threshold field ${JSON.stringify(params.field)}`);
+      if (params.operator !== 'below' && params.operator !== 'above') problems.push('operator must be "below" or "above"');
+      if (typeof params.value !== 'number' || !Number.isFinite(params.value)) {
+        problems.push('value must be a finite number');
+      } else if (field && (params.value < field.min || params.value > field.max)) {
+        problems.push(`value must be between ${field.min} and ${field.max}`);
+      }
+      break;
+    }
+    case ALERT_RULE_TYPES.STATUS_TRANSITION:
+      if (!BOAT_STATUSES.includes(params.toStatus)) problems.push(`toStatus must be one of ${BOAT_STATUSES.join(', ')}`);
+      break;
+    case ALERT_RULE_TYPES.STOPPED:
+      if (!isPositive(params.durationSeconds)) problems.push('durationSeconds must be > 0');
+      if (!isPositive(params.minDistanceMeters)) problems.push('minDistanceMeters must be > 0');
+      break;
+    case ALERT_RULE_TYPES.GEOFENCE_ENTRY:
+      if (!Object.values(GEOFENCE_TYPES).includes(params.zoneType)) problems.push(`unknown zone type ${JSON.stringify(params.zoneType)}`);
+      break;
+    case ALERT_RULE_TYPES.STALE_DATA:
+      if (!isPositive(params.maxAgeSeconds)) problems.push('maxAgeSeconds must be > 0');
+      break;
+    default:
+      break;
+  }
+
+  return problems;
+}
+
+/**
+ * Loads rule definitions from localStorage
+ * Invalid entries are dropped with a warning; missing or unreadable storage yields the defaults.
+ *
+ * @returns {Array<AlertRule>} Rules to evaluate
+ */
+export function loadAlertRules() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(ALERT_RULES_STORAGE_KEY));
+  } catch (err) {
+    console.warn('⚠️ Stored alert rules are unreadable, using defaults:', err);
+    return structuredClone(DEFAULT_ALERT_RULES);
+  }
+
+  if (!Array.isArray(stored)) {
+    return structuredClone(DEFAULT_ALERT_RULES);
+  }
+
+  return stored.filter((rule) => {
+    const problems = validateAlertRule(rule);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Ignoring stored alert rule ${rule?.id ?? '(no id)'}: ${problems.join('; ')}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Persists rule definitions to localStorage
+ *
+ * @param {Array<AlertRule>} rules - Rules to store
+ */
+export function saveAlertRules(rules) {
+  try {
+    localStorage.setItem(ALERT_RULES_STORAGE_KEY, JSON.stringify(rules));
+  } catch (err) {
+    // Private browsing or quota - rules still apply for this session
+    console.warn('⚠️ Could not save alert rules:', err);
+  }
+}
+
+/**
+ * Clears stored rules so the defaults apply again
+ *
+ * @returns {Array<AlertRule>} A fresh copy of the defaults
+ */
+export function resetAlertRules() {
+  try {
+    localStorage.removeItem(ALERT_RULES_STORAGE_KEY);
+  } catch (err) {
+    console.warn('⚠️ Could not clear stored alert rules:', err);
+  }
+  return structuredClone(DEFAULT_ALERT_RULES);
+}
+
+/**
+ * Describes a rule's condition for the rules list
+ *
+ * @param {AlertRule} rule - Rule to describe
+ * @returns {string} Human-readable condition
+ */
+export function describeAlertRule(rule) {
+  const { params } = rule;
+  switch (rule.type) {
+    case ALERT_RULE_TYPES.THRESHOLD:
+      return `${THRESHOLD_FIELDS[params.field]?.label ?? params.field} ${params.operator} ${params.value}`;
+    case ALERT_RULE_TYPES.STATUS_TRANSITION:
+      return `Status changes to ${params.toStatus}`;
+    case ALERT_RULE_TYPES.STOPPED:
+      return `Active but moved < ${params.minDistanceMeters} m in ${params.durationSeconds} s`;
+    case ALERT_RULE_TYPES.GEOFENCE_EXIT:
+      return 'Outside the operating area';
+    case ALERT_RULE_TYPES.GEOFENCE_ENTRY:
+      return `Inside any ${GEOFENCE_TYPE_LABELS[params.zoneType]?.toLowerCase() ?? params.zoneType}`;
+    case ALERT_RULE_TYPES.STALE_DATA:
+      return `No update for ${params.maxAgeSeconds} s`;
+    default:
+      return rule.type;
+  }
+}
+
+export default {
+  ALERT_RULE_TYPES,
+  ALERT_SEVERITIES,
+  ALERT_RULES_STORAGE_KEY,
+  DEFAULT_ALERT_RULES,
+  THRESHOLD_FIELDS,
+  validateAlertRule,
+  loadAlertRules,
+  saveAlertRules,
+  resetAlertRules,
+  describeAlertRule,
+};
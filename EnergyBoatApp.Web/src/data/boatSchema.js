@@ -0,0 +1,437 @@
+/**
+ * Boat Data Model
+ *
+ * Single client-side model for the API's BoatStatus record. Every component
+ * consumes boats produced here instead of reading `boat.x || boat.X` itself.
+ * Handles both camelCase and PascalCase payloads, keeps legitimate zero
+ * values, and reports malformed payloads to telemetry.
+ */
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+
+/**
+ * @typedef {'Active' | 'Charging' | 'Maintenance'} BoatStatusValue
+ */
+
+/**
+ * @typedef {Object} Boat
+ * @property {string} id - Unique boat identifier (e.g., "BOAT-001")
+ * @property {number} latitude - Latitude (-90 to 90 degrees)
+ * @property {number} longitude - Longitude (-180 to 180 degrees)
+ * @property {BoatStatusValue} status - Operational status
+ * @property {number} energyLevel - Battery level percentage (0-100)
+ * @property {string} vesselName - Vessel display name
+ * @property {string} surveyType - Type of survey operation
+ * @property {string} project - Current project assignment
+ * @property {string} equipment - Installed survey equipment
+ * @property {number} areaCovered - Area surveyed in square kilometers
+ * @property {string} speed - Human-readable speed (e.g., "12 knots", "Station keeping")
+ * @property {number} speedKnots - Numeric speed derived from `speed` (0 when station keeping)
+ * @property {number} crewCount - Crew members on board
+ * @property {string} conditions - Environmental conditions
+ * @property {number} heading - Heading in degrees (0-360, 0 = North)
+ * @property {number|null} currentWaypointIndex - Target waypoint in the boat's route (null when unknown)
+ */
+
+/**
+ * @typedef {Object} RouteWaypoint
+ * @property {number} sequence - Order index in the route (0-based)
+ * @property {number} latitude - Waypoint latitude
+ * @property {number} longitude - Waypoint longitude
+ */
+
+/**
+ * @typedef {Object} BoatRoute
+ * @property {string} boatId - Boat the route belongs to
+ * @property {number} currentWaypointIndex - Waypoint the boat is sailing toward
+ * @property {Array<RouteWaypoint>} waypoints - Waypoints ordered by sequence (route loops back to the first)
+ */
+
+/**
+ * @typedef {Object} BoatHistorySample
+ * @property {string} boatId - Boat the sample belongs to
+ * @property {number} timestamp - When the sample was recorded (epoch milliseconds)
+ * @property {number} latitude - Latitude at that time
+ * @property {number} longitude - Longitude at that time
+ * @property {number} heading - Heading in degrees (0-360)
+ * @property {BoatStatusValue} status - Operational status
+ * @property {number} energyLevel - Battery level percentage (0-100)
+ * @property {number} areaCovered - Area surveyed in square kilometers
+ * @property {string} speed - Human-readable speed
+ * @property {number} currentWaypointIndex - Target waypoint in the boat's route
+ */
+
+/**
+ * @typedef {Object} BoatHistory
+ * @property {number} from - Window start (epoch milliseconds)
+ * @property {number} to - Window end (epoch milliseconds)
+ * @property {number} sampleIntervalSeconds - Recording cadence on the API
+ * @property {Array<BoatHistorySample>} samples - Samples ordered by timestamp
+ */
+
+export const BOAT_STATUSES = ['Active', 'Charging', 'Maintenance'];
+
+/**
+ * Field schema for BoatStatus (mirrors the C# record in Program.cs)
+ * Required fields reject the boat when invalid; optional fields fall back to their default.
+ */
+export const BOAT_SCHEMA = {
+  id: { type: 'string', required: true },
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+  status: { type: 'string', required: true, oneOf: BOAT_STATUSES },
+  energyLevel: { type: 'number', required: true, min: 0, max: 100 },
+  vesselName: { type: 'string', default: 'Survey Vessel' },
+  surveyType: { type: 'string', default: '' },
+  project: { type: 'string', default: '' },
+  equipment: { type: 'string', default: '' },
+  areaCovered: { type: 'number', min: 0, default: 0 },
+  speed: { type: 'string', default: '' },
+  crewCount: { type: 'number', integer: true, min: 0, default: 0 },
+  conditions: { type: 'string', default: '' },
+  heading: { type: 'number', min: 0, max: 360, default: 0 },
+  currentWaypointIndex: { type: 'number', integer: true, min: 0, default: null },
+};
+
+/**
+ * Field schema for a waypoint in GET /api/boats/{id}/route
+ */
+export const ROUTE_WAYPOINT_SCHEMA = {
+  sequence: { type: 'number', required: true, integer: true, min: 0 },
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+};
+
+/**
+ * Field schema for a sample in GET /api/boats/history
+ */
+export const HISTORY_SAMPLE_SCHEMA = {
+  boatId: { type: 'string', required: true },
+  latitude: { type: 'number', required: true, min: -90, max: 90 },
+  longitude: { type: 'number', required: true, min: -180, max: 180 },
+  heading: { type: 'number', min: 0, max: 360, default: 0 },
+  status: { type: 'string', required: true, oneOf: BOAT_STATUSES },
+  energyLevel: { type: 'number', required: true, min: 0, max: 100 },
+  areaCovered: { type: 'number', min: 0, default: 0 },
+  speed: { type: 'string', default: '' },
+  currentWaypointIndex: { type: 'number', integer: true, min: 0, default: 0 },
+};
+
+/**
+ * Raised when a payload cannot be turned into a Boat
+ */
+export class BoatValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array<{field: string, message: string}>} issues - Individual field problems
+   * @param {*} payload - The offending raw payload
+   */
+  constructor(message, issues = [], payload = null) {
+    super(message);
+    this.name = 'BoatValidationError';
+    this.issues = issues;
+    this.payload = payload;
+  }
+}
+
+/**
+ * Reads a field accepting both camelCase and PascalCase keys
+ * Uses `??` so 0, false and '' are kept as real values
+ */
+function readField(raw, field) {
+  const pascal = field.charAt(0).toUpperCase() + field.slice(1);
+  return raw[field] ?? raw[pascal];
+}
+
+/**
+ * Validates a single value against its field rule
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateValue(value, rule) {
+  if (value === undefined || value === null) {
+    return rule.required ? 'is missing' : null;
+  }
+  if (rule.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value))) {
+    return `must be a finite number (got ${JSON.stringify(value)})`;
+  }
+  if (rule.type === 'string' && typeof value !== 'string') {
+    return `must be a string (got ${typeof value})`;
+  }
+  if (rule.type === 'string' && rule.required && value.trim() === '') {
+    return 'must not be empty';
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return `must be an integer (got ${value})`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be >= ${rule.min} (got ${value})`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be <= ${rule.max} (got ${value})`;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return `must be one of ${rule.oneOf.join(', ')} (got ${JSON.stringify(value)})`;
+  }
+  return null;
+}
+
+/**
+ * Parses the numeric knots out of the API's human-readable speed string
+ *
+ * @param {string} speed - e.g. "12 knots", "Station keeping"
+ * @returns {number} Speed in knots (0 when not moving or unparseable)
+ */
+export function parseSpeedKnots(speed) {
+  const match = /(-?\d+(?:\.\d+)?)\s*(?:knots?|kn|kts?)\b/i.exec(speed || '');
+  return match ? parseFloat(match[1]) : 0;
+}
+
+/**
+ * Parses and validates a raw API payload into a Boat
+ *
+ * @param {Object} raw - Raw BoatStatus object from the API
+ * @returns {{boat: Boat, issues: Array<{field: string, message: string}>}} Boat plus non-fatal issues
+ * @throws {BoatValidationError} When the payload is not an object or a required field is invalid
+ */
+export function parseBoat(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new BoatValidationError('Boat payload must be an object', [], raw);
+  }
+
+  const boat = {};
+  const issues = [];
+  let fatal = false;
+
+  Object.entries(BOAT_SCHEMA).forEach(([field, rule]) => {
+    const value = readField(raw, field);
+    const problem = validateValue(value, rule);
+
+    if (problem) {
+      issues.push({ field, message: `${field} ${problem}` });
+      if (rule.required) fatal = true;
+      boat[field] = rule.default;
+    } else {
+      boat[field] = value ?? rule.default;
+    }
+  });
+
+  if (fatal) {
+    const id = typeof boat.id === 'string' ? boat.id : 'unknown boat';
+    throw new BoatValidationError(
+      `Invalid payload for ${id}: ${issues.map(issue => issue.message).join('; ')}`,
+      issues,
+      raw
+    );
+  }
+
+  boat.speedKnots = parseSpeedKnots(boat.speed);
+
+  return { boat, issues };
+}
+
+/**
+ * Parses a list payload, dropping boats that fail validation
+ *
+ * @param {*} data - Raw response body (expected: array of BoatStatus)
+ * @returns {{boats: Array<Boat>, errors: Array<BoatValidationError>}} Valid boats and every problem found
+ */
+export function parseBoatList(data) {
+  if (!Array.isArray(data)) {
+    return {
+      boats: [],
+      errors: [new BoatValidationError('Boat list payload must be an array', [], data)],
+    };
+  }
+
+  const boats = [];
+  const errors = [];
+
+  data.forEach((raw) => {
+    try {
+      const { boat, issues } = parseBoat(raw);
+      boats.push(boat);
+      if (issues.length > 0) {
+        errors.push(new BoatValidationError(
+          `Recovered payload for ${boat.id}: ${issues.map(issue => issue.message).join('; ')}`,
+          issues,
+          raw
+        ));
+      }
+    } catch (err) {
+      if (!(err instanceof BoatValidationError)) throw err;
+      errors.push(err);
+    }
+  });
+
+  return { boats, errors };
+}
+
+/**
+ * Parses and validates a GET /api/boats/{id}/route payload
+ * Routes are all-or-nothing: a single bad waypoint would draw a misleading path.
+ *
+ * @param {Object} raw - Raw route response from the API
+ * @returns {BoatRoute} Route with waypoints sorted by sequence
+ * @throws {BoatValidationError} When the payload or any waypoint is invalid
+ */
+export function parseBoatRoute(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new BoatValidationError('Route payload must be an object', [], raw);
+  }
+
+  const boatId = readField(raw, 'boatId');
+  const currentWaypointIndex = readField(raw, 'currentWaypointIndex');
+  const rawWaypoints = readField(raw, 'waypoints');
+  const issues = [];
+
+  const idProblem = validateValue(boatId, { type: 'string', required: true });
+  if (idProblem) issues.push({ field: 'boatId', message: `boatId ${idProblem}` });
+
+  const indexProblem = validateValue(currentWaypointIndex, { type: 'number', required: true, integer: true, min: 0 });
+  if (indexProblem) issues.push({ field: 'currentWaypointIndex', message: `currentWaypointIndex ${indexProblem}` });
+
+  if (!Array.isArray(rawWaypoints)) {
+    issues.push({ field: 'waypoints', message: 'waypoints must be an array' });
+  }
+
+  const waypoints = (Array.isArray(rawWaypoints) ? rawWaypoints : []).map((rawWaypoint, i) => {
+    const waypoint = {};
+    Object.entries(ROUTE_WAYPOINT_SCHEMA).forEach(([field, rule]) => {
+      const value = rawWaypoint && typeof rawWaypoint === 'object' ? readField(rawWaypoint, field) : undefined;
+      const problem = validateValue(value, rule);
+      if (problem) issues.push({ field: `waypoints[${i}].${field}`, message: `waypoints[${i}].${field} ${problem}` });
+      waypoint[field] = value;
+    });
+    return waypoint;
+  });
+
+  if (issues.length > 0) {
+    const id = typeof boatId === 'string' ? boatId : 'unknown boat';
+    throw new BoatValidationError(
+      `Invalid route for ${id}: ${issues.map(issue => issue.message).join('; ')}`,
+      issues,
+      raw
+    );
+  }
+
+  waypoints.sort((a, b) => a.sequence - b.sequence);
+
+  return { boatId, currentWaypointIndex, waypoints };
+}
+
+/**
+ * Parses a GET /api/boats/history payload
+ * Unlike routes, bad samples are dropped individually - one gap does not spoil playback.
+ *
+ * @param {Object} raw - Raw history response from the API
+ * @returns {{history: BoatHistory, errors: Array<BoatValidationError>}} History plus every dropped sample
+ * @throws {BoatValidationError} When the window or sample list itself is invalid
+ */
+export function parseBoatHistory(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new BoatValidationError('History payload must be an object', [], raw);
+  }
+
+  const from = Date.parse(readField(raw, 'from'));
+  const to = Date.parse(readField(raw, 'to'));
+  const rawSamples = readField(raw, 'samples');
+
+  if (!Number.isFinite(from) || !Number.isFinite(to) || !Array.isArray(rawSamples)) {
+    throw new BoatValidationError(
+      'History payload needs a valid from/to window and a samples array',
+      [{ field: 'samples', message: 'samples must be an array' }],
+      raw
+    );
+  }
+
+  const samples = [];
+  const errors = [];
+
+  rawSamples.forEach((rawSample, i) => {
+    const sample = {};
+    const issues = [];
+
+    if (!rawSample || typeof rawSample !== 'object') {
+      issues.push({ field: `samples[${i}]`, message: `samples[${i}] must be an object` });
+    } else {
+      Object.entries(HISTORY_SAMPLE_SCHEMA).forEach(([field, rule]) => {
+        const value = readField(rawSample, field);
+        const problem = validateValue(value, rule);
+        if (problem && rule.required) {
+          issues.push({ field: `samples[${i}].${field}`, message: `samples[${i}].${field} ${problem}` });
+        }
+        sample[field] = problem ? rule.default : (value ?? rule.default);
+      });
+
+      sample.timestamp = Date.parse(readField(rawSample, 'timestamp'));
+      if (!Number.isFinite(sample.timestamp)) {
+        issues.push({ field: `samples[${i}].timestamp`, message: `samples[${i}].timestamp must be an ISO date` });
+      }
+    }
+
+    if (issues.length > 0) {
+      errors.push(new BoatValidationError(
+        `Dropped history sample: ${issues.map(issue => issue.message).join('; ')}`,
+        issues,
+        rawSample
+      ));
+      return;
+    }
+
+    samples.push(sample);
+  });
+
+  samples.sort((a, b) => a.timestamp - b.timestamp);
+
+  return {
+    history: {
+      from,
+      to,
+      sampleIntervalSeconds: readField(raw, 'sampleIntervalSeconds') ?? 0,
+      samples,
+    },
+    errors,
+  };
+}
+
+/**
+ * Reports malformed boat payloads as error spans and console warnings
+ * Spans are exported through the provider set up by telemetry.js (initTelemetry in main.jsx);
+ * the warning is the local fallback when the telemetry endpoint is unavailable.
+ *
+ * @param {Array<BoatValidationError>} errors - Errors returned by parseBoatList
+ * @param {string} source - Where the payload came from (e.g. "stream", "polling")
+ */
+export function reportBoatValidationErrors(errors, source) {
+  if (errors.length === 0) return;
+
+  const tracer = trace.getTracer('energyboat-web');
+  errors.forEach((error) => {
+    console.warn('⚠️ Malformed boat payload:', error.message);
+
+    const span = tracer.startSpan('boat.payload.invalid', {
+      attributes: {
+        'boat.payload.source': source,
+        'boat.payload.issue_count': error.issues.length,
+        'boat.payload.fields': error.issues.map(issue => issue.field).join(','),
+      },
+    });
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+    span.end();
+  });
+}
+
+export default {
+  BOAT_STATUSES,
+  BOAT_SCHEMA,
+  ROUTE_WAYPOINT_SCHEMA,
+  HISTORY_SAMPLE_SCHEMA,
+  BoatValidationError,
+  parseSpeedKnots,
+  parseBoat,
+  parseBoatList,
+  parseBoatRoute,
+  parseBoatHistory,
+  reportBoatValidationErrors,
+};
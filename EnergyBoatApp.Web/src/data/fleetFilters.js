@@ -0,0 +1,281 @@
+/**
+ * Fleet Filter Model
+ *
+ * Filtering, searching, sorting and grouping for the fleet dashboard. A filter
+ * is plain JSON (so it can be remembered between visits) and is applied to
+ * parsed boats from boatSchema; the same match decides which vessels the 3D
+ * scene dims or hides.
+ */
+
+import { BOAT_STATUSES } from './boatSchema.js';
+
+/**
+ * localStorage key for the last used dashboard filter
+ */
+export const FLEET_FILTER_STORAGE_KEY = 'energyboat.fleetFilter';
+
+/**
+ * Value of a select that matches every boat
+ */
+export const FILTER_ANY = '';
+
+/**
+ * How the scene shows vessels that don't match the filter
+ */
+export const FLEET_SCENE_MODES = {
+  DIM: 'dim',       // Drawn as muted icons
+  HIDE: 'hide',     // Removed from the scene, labels and chart
+};
+
+/**
+ * Fields the dashboard can sort by, with their labels and value types
+ */
+export const FLEET_SORT_FIELDS = {
+  id: { label: 'Boat ID', type: 'string' },
+  vesselName: { label: 'Vessel name', type: 'string' },
+  status: { label: 'Status', type: 'string' },
+  project: { label: 'Project', type: 'string' },
+  surveyType: { label: 'Survey type', type: 'string' },
+  energyLevel: { label: 'Energy', type: 'number' },
+  speedKnots: { label: 'Speed', type: 'number' },
+  heading: { label: 'Heading', type: 'number' },
+  areaCovered: { label: 'Area covered', type: 'number' },
+  crewCount: { label: 'Crew', type: 'number' },
+};
+
+/**
+ * Group heading for boats without a project
+ */
+export const UNASSIGNED_PROJECT = 'Unassigned';
+
+/**
+ * @typedef {Object} FleetFilter
+ * @property {string} query - Free text matched against boat ID and vessel name
+ * @property {string} status - One of BOAT_STATUSES, or FILTER_ANY
+ * @property {string} project - Project name, or FILTER_ANY
+ * @property {string} surveyType - Survey type, or FILTER_ANY
+ * @property {number} energyMin - Lowest energy level shown (0-100)
+ * @property {number} energyMax - Highest energy level shown (0-100)
+ * @property {string} sortField - Key of FLEET_SORT_FIELDS
+ * @property {'asc'|'desc'} sortDirection - Sort order
+ * @property {boolean} groupByProject - Whether the list is split into project groups
+ * @property {string} sceneMode - One of FLEET_SCENE_MODES
+ */
+
+/**
+ * Filter that shows every boat in ID order
+ * @type {FleetFilter}
+ */
+export const DEFAULT_FLEET_FILTER = {
+  query: '',
+  status: FILTER_ANY,
+  project: FILTER_ANY,
+  surveyType: FILTER_ANY,
+  energyMin: 0,
+  energyMax: 100,
+  sortField: 'id',
+  sortDirection: 'asc',
+  groupByProject: false,
+  sceneMode: FLEET_SCENE_MODES.DIM,
+};
+
+/**
+ * Checks a filter, returning the problems found
+ *
+ * @param {*} filter - Candidate filter (e.g. from storage)
+ * @returns {Array<string>} Problems (empty when the filter is usable)
+ */
+export function validateFleetFilter(filter) {
+  if (!filter || typeof filter !== 'object') return ['filter must be an object'];
+
+  const problems = [];
+  ['query', 'project', 'surveyType'].forEach((key) => {
+    if (typeof filter[key] !== 'string') problems.push(`${key} must be a string`);
+  });
+  if (filter.status !== FILTER_ANY && !BOAT_STATUSES.includes(filter.status)) {
+    problems.push(`status must be empty or one of ${BOAT_STATUSES.join(', ')}`);
+  }
+  if (!Number.isFinite(filter.energyMin) || !Number.isFinite(filter.energyMax) || filter.energyMin > filter.energyMax) {
+    problems.push('energyMin and energyMax must be numbers with energyMin <= energyMax');
+  }
+  if (!FLEET_SORT_FIELDS[filter.sortField]) problems.push(`unknown sortField ${filter.sortField}`);
+  if (!['asc', 'desc'].includes(filter.sortDirection)) problems.push('sortDirection must be asc or desc');
+  if (typeof filter.groupByProject !== 'boolean') problems.push('groupByProject must be a boolean');
+  if (!Object.values(FLEET_SCENE_MODES).includes(filter.sceneMode)) problems.push(`unknown sceneMode ${filter.sceneMode}`);
+
+  return problems;
+}
+
+/**
+ * Whether a filter narrows the fleet (sorting and grouping alone don't)
+ *
+ * @param {FleetFilter} filter - Filter to check
+ * @returns {boolean} True when some boats may be filtered out
+ */
+export function isFleetFilterActive(filter) {
+  return filter.query.trim() !== ''
+    || filter.status !== FILTER_ANY
+    || filter.project !== FILTER_ANY
+    || filter.surveyType !== FILTER_ANY
+    || filter.energyMin > DEFAULT_FLEET_FILTER.energyMin
+    || filter.energyMax < DEFAULT_FLEET_FILTER.energyMax;
+}
+
+/**
+ * Checks a boat against a filter
+ *
+ * @param {import('./boatSchema.js').Boat} boat - Boat to check
+ * @param {FleetFilter} filter - Filter to apply
+ * @returns {boolean} True when the boat matches
+ */
+export function matchesFleetFilter(boat, filter) {
+  const query = filter.query.trim().toLowerCase();
+  if (query && !boat.id.toLowerCase().includes(query) && !boat.vesselName.toLowerCase().includes(query)) {
+    return false;
+  }
+  if (filter.status !== FILTER_ANY && boat.status !== filter.status) return false;
+  if (filter.project !== FILTER_ANY && boat.project !== filter.project) return false;
+  if (filter.surveyType !== FILTER_ANY && boat.surveyType !== filter.surveyType) return false;
+  return boat.energyLevel >= filter.energyMin && boat.energyLevel <= filter.energyMax;
+}
+
+/**
+ * Boats that match a filter, in their original order
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats to filter
+ * @param {FleetFilter} filter - Filter to apply
+ * @returns {Array<import('./boatSchema.js').Boat>} Matching boats
+ */
+export function filterBoats(boats, filter) {
+  return boats.filter(boat => matchesFleetFilter(boat, filter));
+}
+
+/**
+ * Sorts boats by a field (a new array; ties fall back to the boat ID)
+ * Text compares case-insensitively with numbers in order ("BOAT-2" before "BOAT-10").
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats to sort
+ * @param {string} sortField - Key of FLEET_SORT_FIELDS
+ * @param {'asc'|'desc'} [sortDirection] - Sort order
+ * @returns {Array<import('./boatSchema.js').Boat>} Sorted boats
+ */
+export function sortBoats(boats, sortField, sortDirection = 'asc') {
+  const { type } = FLEET_SORT_FIELDS[sortField] ?? FLEET_SORT_FIELDS.id;
+  const direction = sortDirection === 'desc' ? -1 : 1;
+  const compareText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+  return [...boats].sort((a, b) => {
+    const order = type === 'number'
+      ? (a[sortField] ?? 0) - (b[sortField] ?? 0)
+      : compareText(String(a[sortField] ?? ''), String(b[sortField] ?? ''));
+    return order * direction || compareText(a.id, b.id);
+  });
+}
+
+/**
+ * Splits boats into project groups, keeping their order within each group
+ * Groups are ordered by project name, with unassigned boats last.
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats (already sorted)
+ * @returns {Array<{project: string, boats: Array<import('./boatSchema.js').Boat>}>} Groups
+ */
+export function groupBoatsByProject(boats) {
+  const groups = new Map();
+  boats.forEach((boat) => {
+    const project = boat.project || UNASSIGNED_PROJECT;
+    if (!groups.has(project)) groups.set(project, []);
+    groups.get(project).push(boat);
+  });
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (a === UNASSIGNED_PROJECT) - (b === UNASSIGNED_PROJECT) || a.localeCompare(b))
+    .map(([project, projectBoats]) => ({ project, boats: projectBoats }));
+}
+
+/**
+ * Applies a filter's search, filters, sort and grouping to the fleet
+ * Ungrouped results come back as a single group with an empty project name.
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats to show
+ * @param {FleetFilter} filter - Filter to apply
+ * @returns {Array<{project: string, boats: Array<import('./boatSchema.js').Boat>}>} Groups to render
+ */
+export function arrangeFleet(boats, filter) {
+  const sorted = sortBoats(filterBoats(boats, filter), filter.sortField, filter.sortDirection);
+  return filter.groupByProject ? groupBoatsByProject(sorted) : [{ project: '', boats: sorted }];
+}
+
+/**
+ * Distinct values in the fleet for the filter selects
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats currently reported
+ * @returns {{statuses: Array<string>, projects: Array<string>, surveyTypes: Array<string>}} Sorted options
+ */
+export function getFleetFilterOptions(boats) {
+  const distinct = key => [...new Set(boats.map(boat => boat[key]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+  return {
+    statuses: BOAT_STATUSES,
+    projects: distinct('project'),
+    surveyTypes: distinct('surveyType'),
+  };
+}
+
+/**
+ * Reads the last used filter from localStorage
+ *
+ * @returns {FleetFilter} Stored filter, or the default when none is usable
+ */
+export function loadFleetFilter() {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(FLEET_FILTER_STORAGE_KEY));
+  } catch (err) {
+    console.warn('⚠️ Stored fleet filter is unreadable, showing every boat:', err);
+    return { ...DEFAULT_FLEET_FILTER };
+  }
+
+  if (stored === null) {
+    return { ...DEFAULT_FLEET_FILTER };
+  }
+
+  const filter = { ...DEFAULT_FLEET_FILTER, ...stored };
+  const problems = validateFleetFilter(filter);
+  if (problems.length > 0) {
+    console.warn(`⚠️ Ignoring stored fleet filter: ${problems.join('; ')}`);
+    return { ...DEFAULT_FLEET_FILTER };
+  }
+  return filter;
+}
+
+/**
+ * Remembers the dashboard filter for the next visit
+ *
+ * @param {FleetFilter} filter - Filter to store
+ */
+export function saveFleetFilter(filter) {
+  try {
+    localStorage.setItem(FLEET_FILTER_STORAGE_KEY, JSON.stringify(filter));
+  } catch (err) {
+    // Private browsing or quota - the filter still applies for this session
+    console.warn('⚠️ Could not save the fleet filter:', err);
+  }
+}
+
+export default {
+  FLEET_FILTER_STORAGE_KEY,
+  FILTER_ANY,
+  FLEET_SCENE_MODES,
+  FLEET_SORT_FIELDS,
+  UNASSIGNED_PROJECT,
+  DEFAULT_FLEET_FILTER,
+  validateFleetFilter,
+  isFleetFilterActive,
+  matchesFleetFilter,
+  filterBoats,
+  sortBoats,
+  groupBoatsByProject,
+  arrangeFleet,
+  getFleetFilterOptions,
+  loadFleetFilter,
+  saveFleetFilter,
+};
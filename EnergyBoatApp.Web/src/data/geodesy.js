@@ -0,0 +1,251 @@
+/**
+ * Geodesy
+ *
+ * WGS84 helpers shared by the scene and the UI: a local east/north/up (ENU)
+ * projection around a fixed origin, and true ellipsoidal distance and bearing
+ * between positions. The projection is what CoordinateConverter uses to place
+ * everything relative to the dock; distances are in meters or nautical miles.
+ */
+
+/**
+ * WGS84 ellipsoid
+ */
+export const WGS84 = {
+  a: 6378137,                 // Semi-major axis (m)
+  f: 1 / 298.257223563,       // Flattening
+};
+WGS84.b = WGS84.a * (1 - WGS84.f);
+WGS84.e2 = WGS84.f * (2 - WGS84.f); // First eccentricity squared
+
+export const METERS_PER_NAUTICAL_MILE = 1852;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Earth-centered, earth-fixed coordinates of a position on the ellipsoid (height 0)
+ */
+function geodeticToEcef(latitude, longitude, height = 0) {
+  const lat = toRadians(latitude);
+  const lon = toRadians(longitude);
+  const sinLat = Math.sin(lat);
+  const n = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinLat * sinLat); // Prime vertical radius
+  return {
+    x: (n + height) * Math.cos(lat) * Math.cos(lon),
+    y: (n + height) * Math.cos(lat) * Math.sin(lon),
+    z: (n * (1 - WGS84.e2) + height) * sinLat,
+  };
+}
+
+/**
+ * Position of ECEF coordinates (iterative; converges to sub-millimeter in a few steps)
+ */
+function ecefToGeodetic({ x, y, z }) {
+  const p = Math.hypot(x, y);
+  const lon = Math.atan2(y, x);
+  let lat = Math.atan2(z, p * (1 - WGS84.e2));
+  for (let i = 0; i < 5; i++) {
+    const sinLat = Math.sin(lat);
+    const n = WGS84.a / Math.sqrt(1 - WGS84.e2 * sinLat * sinLat);
+    const height = p / Math.cos(lat) - n;
+    lat = Math.atan2(z, p * (1 - WGS84.e2 * n / (n + height)));
+  }
+  return { latitude: toDegrees(lat), longitude: toDegrees(lon) };
+}
+
+/**
+ * Creates a local tangent-plane projection around an origin
+ * East and north are meters along the ground plane at the origin; positions on
+ * the ellipsoid map onto the plane (height dropped) and back within millimeters
+ * across a fleet-sized area.
+ *
+ * @param {{latitude: number, longitude: number}} origin - Projection origin (maps to 0, 0)
+ * @returns {{origin: Object, toLocal: Function, toGeodetic: Function}} Projection
+ */
+export function createEnuProjection(origin) {
+  const lat = toRadians(origin.latitude);
+  const lon = toRadians(origin.longitude);
+  const sinLat = Math.sin(lat);
+  const cosLat = Math.cos(lat);
+  const sinLon = Math.sin(lon);
+  const cosLon = Math.cos(lon);
+  const center = geodeticToEcef(origin.latitude, origin.longitude);
+
+  // ECEF offset from the origin rotated into east/north (up is dropped)
+  const project = ({ x, y, z }) => {
+    const dx = x - center.x;
+    const dy = y - center.y;
+    const dz = z - center.z;
+    return {
+      east: -sinLon * dx + cosLon * dy,
+      north: -sinLat * cosLon * dx - sinLat * sinLon * dy + cosLat * dz,
+    };
+  };
+
+  // Point on the tangent plane in ECEF
+  const unproject = (east, north) => ({
+    x: center.x - sinLon * east - sinLat * cosLon * north,
+    y: center.y + cosLon * east - sinLat * sinLon * north,
+    z: center.z + cosLat * north,
+  });
+
+  /**
+   * Projects a position onto the plane
+   *
+   * @param {{latitude: number, longitude: number}} position - Position to project
+   * @returns {{east: number, north: number}} Meters from the origin
+   */
+  const toLocal = ({ latitude, longitude }) => project(geodeticToEcef(latitude, longitude));
+
+  /**
+   * Position on the ellipsoid that projects to a point on the plane
+   * Drops the plane point onto the ellipsoid, then nudges it until it projects
+   * back within a micrometer.
+   *
+   * @param {number} east - Meters east of the origin
+   * @param {number} north - Meters north of the origin
+   * @returns {{latitude: number, longitude: number}} Position
+   */
+  const toGeodetic = (east, north) => {
+    let aimEast = east;
+    let aimNorth = north;
+    let position = ecefToGeodetic(unproject(aimEast, aimNorth));
+    for (let i = 0; i < 5; i++) {
+      const local = toLocal(position);
+      const errorEast = east - local.east;
+      const errorNorth = north - local.north;
+      if (Math.hypot(errorEast, errorNorth) < 1e-6) break;
+      aimEast += errorEast;
+      aimNorth += errorNorth;
+      position = ecefToGeodetic(unproject(aimEast, aimNorth));
+    }
+    return position;
+  };
+
+  return { origin: { ...origin }, toLocal, toGeodetic };
+}
+
+/**
+ * Vincenty's inverse formula on WGS84
+ * Returns null when it doesn't converge (nearly antipodal points).
+ */
+function vincentyInverse(a, b) {
+  const { f } = WGS84;
+  const L = toRadians(b.longitude - a.longitude);
+  const U1 = Math.atan((1 - f) * Math.tan(toRadians(a.latitude)));
+  const U2 = Math.atan((1 - f) * Math.tan(toRadians(b.latitude)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+
+  let lambda = L;
+  for (let i = 0; i < 200; i++) {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    const sinSigma = Math.hypot(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda);
+    if (sinSigma === 0) return { distance: 0, bearing: 0 }; // Same point
+
+    const cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+    const sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+    const cos2Alpha = 1 - sinAlpha * sinAlpha;
+    const cos2SigmaM = cos2Alpha === 0 ? 0 : cosSigma - 2 * sinU1 * sinU2 / cos2Alpha; // 0 on the equator
+    const C = f / 16 * cos2Alpha * (4 + f * (4 - 3 * cos2Alpha));
+    const previous = lambda;
+    lambda = L + (1 - C) * f * sinAlpha *
+      (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+
+    if (Math.abs(lambda - previous) < 1e-12) {
+      const uSq = cos2Alpha * (WGS84.a * WGS84.a - WGS84.b * WGS84.b) / (WGS84.b * WGS84.b);
+      const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+      const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+      const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+        B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+      const bearing = Math.atan2(cosU2 * Math.sin(lambda), cosU1 * sinU2 - sinU1 * cosU2 * Math.cos(lambda));
+      return {
+        distance: WGS84.b * A * (sigma - deltaSigma),
+        bearing: (toDegrees(bearing) + 360) % 360,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Great-circle fallback on a sphere of the mean earth radius
+ */
+function haversine(a, b) {
+  const radius = (2 * WGS84.a + WGS84.b) / 3;
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const dLat = lat2 - lat1;
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  const bearing = Math.atan2(Math.sin(dLon) * Math.cos(lat2), Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon));
+  return {
+    distance: 2 * radius * Math.asin(Math.min(1, Math.sqrt(h))),
+    bearing: (toDegrees(bearing) + 360) % 360,
+  };
+}
+
+/**
+ * Ground distance between two positions on the WGS84 ellipsoid
+ *
+ * @param {{latitude: number, longitude: number}} a - First position
+ * @param {{latitude: number, longitude: number}} b - Second position
+ * @returns {number} Distance in meters
+ */
+export function distanceMeters(a, b) {
+  return (vincentyInverse(a, b) ?? haversine(a, b)).distance;
+}
+
+/**
+ * Ground distance between two positions in nautical miles
+ *
+ * @param {{latitude: number, longitude: number}} a - First position
+ * @param {{latitude: number, longitude: number}} b - Second position
+ * @returns {number} Distance in nautical miles
+ */
+export function distanceNauticalMiles(a, b) {
+  return distanceMeters(a, b) / METERS_PER_NAUTICAL_MILE;
+}
+
+/**
+ * Initial true bearing from one position to another
+ *
+ * @param {{latitude: number, longitude: number}} from - Start position
+ * @param {{latitude: number, longitude: number}} to - End position
+ * @returns {number} Bearing in degrees (0-360, 0 = North, 90 = East)
+ */
+export function bearingDegrees(from, to) {
+  return (vincentyInverse(from, to) ?? haversine(from, to)).bearing;
+}
+
+/**
+ * Length of a path through positions in meters
+ *
+ * @param {Array<{latitude: number, longitude: number}>} positions - Path vertices
+ * @param {boolean} [closed=false] - Include the leg from the last position back to the first
+ * @returns {number} Length in meters
+ */
+export function pathLengthMeters(positions, closed = false) {
+  let length = 0;
+  for (let i = 1; i < positions.length; i++) {
+    length += distanceMeters(positions[i - 1], positions[i]);
+  }
+  if (closed && positions.length > 2) {
+    length += distanceMeters(positions[positions.length - 1], positions[0]);
+  }
+  return length;
+}
+
+export default {
+  WGS84,
+  METERS_PER_NAUTICAL_MILE,
+  createEnuProjection,
+  distanceMeters,
+  distanceNauticalMiles,
+  bearingDegrees,
+  pathLengthMeters,
+};
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  METERS_PER_NAUTICAL_MILE,
+  createEnuProjection,
+  distanceMeters,
+  distanceNauticalMiles,
+  bearingDegrees,
+} from './geodesy.js';
+import { DEFAULT_SITE } from './siteConfig.js';
+
+const dms = (degrees, minutes, seconds) => Math.sign(degrees) * (Math.abs(degrees) + minutes / 60 + seconds / 3600);
+
+// Vincenty's (1975) worked example, Flinders Peak to Buninyong
+const FLINDERS_PEAK = { latitude: dms(-37, 57, 3.72030), longitude: dms(144, 25, 29.52440) };
+const BUNINYONG = { latitude: dms(-37, 39, 10.15610), longitude: dms(143, 55, 35.38390) };
+
+describe('createEnuProjection', () => {
+  const { dock, bounds } = DEFAULT_SITE;
+  const projection = createEnuProjection(dock);
+  const corners = [
+    { latitude: bounds.minLat, longitude: bounds.minLon },
+    { latitude: bounds.minLat, longitude: bounds.maxLon },
+    { latitude: bounds.maxLat, longitude: bounds.minLon },
+    { latitude: bounds.maxLat, longitude: bounds.maxLon },
+  ];
+
+  it('maps the origin to 0, 0', () => {
+    const { east, north } = projection.toLocal(dock);
+    assert.ok(Math.abs(east) < 1e-6);
+    assert.ok(Math.abs(north) < 1e-6);
+  });
+
+  it('round-trips the dock and the bounds corners within a micrometer', () => {
+    [dock, ...corners].forEach((position) => {
+      const { east, north } = projection.toLocal(position);
+      const back = projection.toGeodetic(east, north);
+      assert.ok(distanceMeters(position, back) < 1e-6, `${position.latitude}, ${position.longitude}`);
+    });
+  });
+
+  it('places the bounds corners on the expected side of the dock', () => {
+    const [southwest, , , northeast] = corners.map(corner => projection.toLocal(corner));
+    assert.ok(southwest.east < 0 && southwest.north < 0);
+    assert.ok(northeast.east > 0 && northeast.north > 0);
+  });
+
+  it('keeps plane distances close to ground distances across the site', () => {
+    corners.forEach((corner) => {
+      const { east, north } = projection.toLocal(corner);
+      assert.ok(Math.abs(Math.hypot(east, north) - distanceMeters(dock, corner)) < 0.05);
+    });
+  });
+});
+
+describe('distanceMeters', () => {
+  it('matches Vincenty\'s Flinders Peak to Buninyong example', () => {
+    assert.ok(Math.abs(distanceMeters(FLINDERS_PEAK, BUNINYONG) - 54972.271) < 1e-3);
+  });
+
+  it('matches one degree along the equator and along a meridian', () => {
+    const origin = { latitude: 0, longitude: 0 };
+    assert.ok(Math.abs(distanceMeters(origin, { latitude: 0, longitude: 1 }) - 111319.491) < 1e-3);
+    assert.ok(Math.abs(distanceMeters(origin, { latitude: 1, longitude: 0 }) - 110574.389) < 1e-3);
+  });
+
+  it('measures 0.01 degrees of longitude at 51.5N as 694.4 m', () => {
+    const distance = distanceMeters({ latitude: 51.5, longitude: 0 }, { latitude: 51.5, longitude: 0.01 });
+    assert.ok(Math.abs(distance - 694.405) < 1e-3);
+  });
+
+  it('is zero for the same position and symmetric', () => {
+    assert.equal(distanceMeters(FLINDERS_PEAK, FLINDERS_PEAK), 0);
+    assert.ok(Math.abs(distanceMeters(FLINDERS_PEAK, BUNINYONG) - distanceMeters(BUNINYONG, FLINDERS_PEAK)) < 1e-6);
+  });
+});
+
+describe('distanceNauticalMiles', () => {
+  it('converts with 1852 m per nautical mile', () => {
+    assert.equal(METERS_PER_NAUTICAL_MILE, 1852);
+    assert.ok(Math.abs(distanceNauticalMiles(FLINDERS_PEAK, BUNINYONG) - 54972.271 / 1852) < 1e-6);
+  });
+});
+
+describe('bearingDegrees', () => {
+  it('matches Vincenty\'s Flinders Peak to Buninyong example', () => {
+    assert.ok(Math.abs(bearingDegrees(FLINDERS_PEAK, BUNINYONG) - dms(306, 52, 5.37)) < 1e-5);
+  });
+
+  it('is just short of due east along a parallel at 51.5N', () => {
+    const bearing = bearingDegrees({ latitude: 51.5, longitude: 0 }, { latitude: 51.5, longitude: 0.01 });
+    assert.ok(Math.abs(bearing - 89.99609) < 1e-5);
+  });
+
+  it('gives the cardinal directions from the equator', () => {
+    const origin = { latitude: 0, longitude: 0 };
+    assert.ok(Math.abs(bearingDegrees(origin, { latitude: 1, longitude: 0 }) - 0) < 1e-9);
+    assert.ok(Math.abs(bearingDegrees(origin, { latitude: 0, longitude: 1 }) - 90) < 1e-9);
+    assert.ok(Math.abs(bearingDegrees(origin, { latitude: -1, longitude: 0 }) - 180) < 1e-9);
+    assert.ok(Math.abs(bearingDegrees(origin, { latitude: 0, longitude: -1 }) - 270) < 1e-9);
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Geofence Model
+ *
+ * User-defined zones on the water (exclusion zones, survey areas, dock
+ * approaches), the defaults for each site, local persistence, and per-boat
+ * entry/exit tracking. Zones are polygons or circles in lat/lon; circles are
+ * measured in meters so they stay round on the ground.
+ */
+
+import { createEnuProjection, distanceMeters } from './geodesy.js';
+import { DEFAULT_SITE, getActiveSite } from './siteConfig.js';
+
+/**
+ * Purpose of a zone (drives its color and which alerts it can raise)
+ */
+export const GEOFENCE_TYPES = {
+  EXCLUSION: 'exclusion',         // Boats must stay out
+  SURVEY: 'survey',               // Where survey work is expected
+  DOCK_APPROACH: 'dockApproach',  // Slow-speed area around the dock
+};
+
+/**
+ * Display names for GEOFENCE_TYPES
+ */
+export const GEOFENCE_TYPE_LABELS = {
+  [GEOFENCE_TYPES.EXCLUSION]: 'Exclusion zone',
+  [GEOFENCE_TYPES.SURVEY]: 'Survey area',
+  [GEOFENCE_TYPES.DOCK_APPROACH]: 'Dock approach',
+};
+
+/**
+ * Zone geometry kinds
+ */
+export const GEOFENCE_SHAPES = {
+  POLYGON: 'polygon',
+  CIRCLE: 'circle',
+};
+
+/**
+ * localStorage key for user zone definitions (other sites append their ID)
+ */
+export const GEOFENCES_STORAGE_KEY = 'energyboat.geofences';
+
+/**
+ * Tracker tuning
+ */
+export const GEOFENCE_CONFIG = {
+  maxEvents: 50,             // Entry/exit events kept for the panel
+  circleSegments: 64,        // Points used to outline a circle
+  dockApproachRadius: 400,   // Meters around the dock for the default approach zone
+};
+
+/**
+ * @typedef {Object} Geofence
+ * @property {string} id - Stable identifier
+ * @property {string} name - Display name
+ * @property {string} type - One of GEOFENCE_TYPES
+ * @property {string} shape - One of GEOFENCE_SHAPES
+ * @property {boolean} visible - Drawn in the scene (zones are evaluated either way)
+ * @property {Array<{latitude: number, longitude: number}>} [points] - Polygon vertices (shape 'polygon')
+ * @property {{latitude: number, longitude: number}} [center] - Circle center (shape 'circle')
+ * @property {number} [radiusMeters] - Circle radius (shape 'circle')
+ */
+
+/**
+ * @typedef {Object} GeofenceEvent
+ * @property {string} type - 'enter' or 'exit'
+ * @property {string} zoneId - Zone crossed
+ * @property {string} boatId - Boat that crossed it
+ * @property {number} time - When it was detected (epoch milliseconds)
+ */
+
+/**
+ * Zones a site starts with: a dock approach circle plus the site's own zones
+ * Site zones that fail validation are skipped with a warning.
+ *
+ * @param {import('./siteConfig.js').OperatingSite} [site] - Site (defaults to the active site)
+ * @returns {Array<Geofence>} Fresh copies of the default zones
+ */
+export function getDefaultGeofences(site = getActiveSite()) {
+  const dockApproach = {
+    id: 'dock-approach',
+    name: 'Dock Approach',
+    type: GEOFENCE_TYPES.DOCK_APPROACH,
+    shape: GEOFENCE_SHAPES.CIRCLE,
+    visible: true,
+    center: { latitude: site.dock.latitude, longitude: site.dock.longitude },
+    radiusMeters: GEOFENCE_CONFIG.dockApproachRadius,
+  };
+
+  const siteZones = (site.geofences ?? []).filter((zone) => {
+    const problems = validateGeofence(zone);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Ignoring geofence ${zone?.id ?? '(no id)'} of site ${site.id}: ${problems.join('; ')}`);
+      return false;
+    }
+    return true;
+  });
+
+  return structuredClone([dockApproach, ...siteZones]);
+}
+
+/**
+ * Storage key for a site's zones (the built-in site keeps the original key)
+ */
+function getStorageKey(site) {
+  return site.id === DEFAULT_SITE.id ? GEOFENCES_STORAGE_KEY : `${GEOFENCES_STORAGE_KEY}.${site.id}`;
+}
+
+/**
+ * Even-odd ray test in lat/lon (zones are small enough to treat degrees as planar)
+ */
+function isInsidePolygon(points, { latitude, longitude }) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.latitude > latitude) !== (b.latitude > latitude) &&
+      longitude < ((b.longitude - a.longitude) * (latitude - a.latitude)) / (b.latitude - a.latitude) + a.longitude) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Checks whether a position lies inside a zone
+ *
+ * @param {Geofence} zone - Zone to test
+ * @param {{latitude: number, longitude: number}} position - Position to test
+ * @returns {boolean} True when inside
+ */
+export function isInsideGeofence(zone, position) {
+  if (zone.shape === GEOFENCE_SHAPES.CIRCLE) {
+    return distanceMeters(zone.center, position) <= zone.radiusMeters;
+  }
+  return isInsidePolygon(zone.points, position);
+}
+
+/**
+ * Outline of a zone as lat/lon points (circles are approximated by a polygon)
+ *
+ * @param {Geofence} zone - Zone to outline
+ * @returns {Array<{latitude: number, longitude: number}>} Outline, not closed
+ */
+export function getGeofenceOutline(zone) {
+  if (zone.shape !== GEOFENCE_SHAPES.CIRCLE) return zone.points;
+
+  const { circleSegments } = GEOFENCE_CONFIG;
+  const { center, radiusMeters } = zone;
+  const projection = createEnuProjection(center); // Ground plane around the center, in meters
+
+  return Array.from({ length: circleSegments }, (_, i) => {
+    const angle = (i / circleSegments) * Math.PI * 2;
+    return projection.toGeodetic(Math.cos(angle) * radiusMeters, Math.sin(angle) * radiusMeters);
+  });
+}
+
+/**
+ * Checks a zone definition, returning the problems found
+ *
+ * @param {*} zone - Candidate zone (e.g. read back from storage)
+ * @returns {Array<string>} Problems (empty when the zone is usable)
+ */
+export function validateGeofence(zone) {
+  if (!zone || typeof zone !== 'object') return ['zone must be an object'];
+
+  const problems = [];
+  const isPosition = (p) => p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude);
+
+  if (typeof zone.id !== 'string' || zone.id === '') problems.push('id must be a non-empty string');
+  if (typeof zone.name !== 'string' || zone.name.trim() === '') problems.push('name must be a non-empty string');
+  if (!Object.values(GEOFENCE_TYPES).includes(zone.type)) problems.push(`unknown zone type ${JSON.stringify(zone.type)}`);
+  if (typeof zone.visible !== 'boolean') problems.push('visible must be a boolean');
+
+  if (zone.shape === GEOFENCE_SHAPES.POLYGON) {
+    if (!Array.isArray(zone.points) || zone.points.length < 3) {
+      problems.push('a polygon needs at least 3 points');
+    } else if (!zone.points.every(isPosition)) {
+      problems.push('polygon points must have numeric latitude and longitude');
+    }
+  } else if (zone.shape === GEOFENCE_SHAPES.CIRCLE) {
+    if (!isPosition(zone.center)) problems.push('circle center must have numeric latitude and longitude');
+    if (!(Number.isFinite(zone.radiusMeters) && zone.radiusMeters > 0)) problems.push('radiusMeters must be > 0');
+  } else {
+    problems.push(`unknown shape ${JSON.stringify(zone.shape)}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Loads a site's zone definitions from localStorage
+ * Invalid entries are dropped with a warning; missing or unreadable storage yields the defaults.
+ *
+ * @param {import('./siteConfig.js').OperatingSite} [site] - Site (defaults to the active site)
+ * @returns {Array<Geofence>} Zones to draw and evaluate
+ */
+export function loadGeofences(site = getActiveSite()) {
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(getStorageKey(site)));
+  } catch (err) {
+    console.warn('⚠️ Stored geofences are unreadable, using defaults:', err);
+    return getDefaultGeofences(site);
+  }
+
+  if (!Array.isArray(stored)) {
+    return getDefaultGeofences(site);
+  }
+
+  return stored.filter((zone) => {
+    const problems = validateGeofence(zone);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Ignoring stored geofence ${zone?.id ?? '(no id)'}: ${problems.join('; ')}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Persists a site's zone definitions to localStorage
+ *
+ * @param {Array<Geofence>} zones - Zones to store
+ * @param {import('./siteConfig.js').OperatingSite} [site] - Site (defaults to the active site)
+ */
+export function saveGeofences(zones, site = getActiveSite()) {
+  try {
+    localStorage.setItem(getStorageKey(site), JSON.stringify(zones));
+  } catch (err) {
+    // Private browsing or quota - zones still apply for this session
+    console.warn('⚠️ Could not save geofences:', err);
+  }
+}
+
+/**
+ * Clears a site's stored zones so the defaults apply again
+ *
+ * @param {import('./siteConfig.js').OperatingSite} [site] - Site (defaults to the active site)
+ * @returns {Array<Geofence>} A fresh copy of the defaults
+ */
+export function resetGeofences(site = getActiveSite()) {
+  try {
+    localStorage.removeItem(getStorageKey(site));
+  } catch (err) {
+    console.warn('⚠️ Could not clear stored geofences:', err);
+  }
+  return getDefaultGeofences(site);
+}
+
+/**
+ * Creates an empty occupancy tracker
+ *
+ * @returns {Object} Tracker state
+ */
+export function createGeofenceTracker() {
+  return {
+    inside: {},   // boatId → Set of zone IDs the boat was last seen in
+    events: [],   // Most recent GeofenceEvent first
+  };
+}
+
+/**
+ * Tests every boat against every zone and records entries and exits
+ * A boat's first sighting sets its occupancy without raising events. Zones
+ * that were deleted produce no exit events.
+ *
+ * @param {Object} tracker - State from createGeofenceTracker
+ * @param {Array<Geofence>} zones - Current zones
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Live boats
+ * @param {number} now - Detection time (epoch milliseconds)
+ * @returns {Array<GeofenceEvent>} Events raised by this update
+ */
+export function updateGeofenceTracker(tracker, zones, boats, now) {
+  const zoneIds = new Set(zones.map(zone => zone.id));
+  const raised = [];
+
+  boats.forEach((boat) => {
+    const current = new Set(zones.filter(zone => isInsideGeofence(zone, boat)).map(zone => zone.id));
+    const previous = tracker.inside[boat.id];
+
+    if (previous) {
+      current.forEach((zoneId) => {
+        if (!previous.has(zoneId)) raised.push({ type: 'enter', zoneId, boatId: boat.id, time: now });
+      });
+      previous.forEach((zoneId) => {
+        if (!current.has(zoneId) && zoneIds.has(zoneId)) raised.push({ type: 'exit', zoneId, boatId: boat.id, time: now });
+      });
+    }
+
+    tracker.inside[boat.id] = current;
+  });
+
+  if (raised.length > 0) {
+    tracker.events = [...[...raised].reverse(), ...tracker.events].slice(0, GEOFENCE_CONFIG.maxEvents);
+  }
+
+  return raised;
+}
+
+/**
+ * Lists the boats currently inside each zone
+ *
+ * @param {Object} tracker - State from createGeofenceTracker
+ * @param {Array<Geofence>} zones - Current zones
+ * @returns {Object<string, Array<string>>} zoneId → sorted boat IDs
+ */
+export function getGeofenceOccupancy(tracker, zones) {
+  const occupancy = Object.fromEntries(zones.map(zone => [zone.id, []]));
+  Object.entries(tracker.inside).forEach(([boatId, zoneIds]) => {
+    zoneIds.forEach((zoneId) => occupancy[zoneId]?.push(boatId));
+  });
+  Object.values(occupancy).forEach(boatIds => boatIds.sort());
+  return occupancy;
+}
+
+export default {
+  GEOFENCE_TYPES,
+  GEOFENCE_TYPE_LABELS,
+  GEOFENCE_SHAPES,
+  GEOFENCES_STORAGE_KEY,
+  GEOFENCE_CONFIG,
+  getDefaultGeofences,
+  isInsideGeofence,
+  getGeofenceOutline,
+  validateGeofence,
+  loadGeofences,
+  saveGeofences,
+  resetGeofences,
+  createGeofenceTracker,
+  updateGeofenceTracker,
+  getGeofenceOccupancy,
+};
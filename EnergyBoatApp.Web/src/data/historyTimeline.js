@@ -0,0 +1,219 @@
+/**
+ * History Timeline Model
+ *
+ * Turns a parsed BoatHistory into per-boat tracks that can be sampled at any
+ * moment, and finds the events worth jumping to on the timeline (status
+ * changes and low-battery transitions). Playback feeds the result of
+ * getBoatsAtTime() to BoatScene in place of the live Boat array.
+ */
+
+import { parseSpeedKnots } from './boatSchema.js';
+import { lerpHeading } from '../scene/core/SnapshotInterpolation.js';
+
+/**
+ * Kinds of timeline events
+ */
+export const HISTORY_EVENT_TYPES = {
+  STATUS_CHANGE: 'statusChange',
+  LOW_BATTERY: 'lowBattery',
+};
+
+/**
+ * Timeline tuning
+ */
+export const TIMELINE_CONFIG = {
+  lowBatteryThreshold: 20,   // % - matches the simulator's switch to solar charging
+  maxGapIntervals: 3,        // Samples further apart than this many intervals are not interpolated
+};
+
+/**
+ * Playback speeds offered on the timeline (1 = real time)
+ */
+export const PLAYBACK_RATES = [1, 10, 60, 300];
+
+/**
+ * History windows offered on the timeline (the API keeps 24 hours)
+ */
+export const PLAYBACK_WINDOWS = [
+  { label: '15 min', ms: 15 * 60 * 1000 },
+  { label: '1 hour', ms: 60 * 60 * 1000 },
+  { label: '6 hours', ms: 6 * 60 * 60 * 1000 },
+  { label: '24 hours', ms: 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * @typedef {Object} HistoryEvent
+ * @property {string} type - One of HISTORY_EVENT_TYPES
+ * @property {string} boatId - Boat the event happened to
+ * @property {number} time - When it was recorded (epoch milliseconds)
+ * @property {string} label - Short description for tooltips
+ */
+
+/**
+ * Finds the last sample at or before a time (binary search)
+ *
+ * @returns {number} Index into the track, or -1 when the boat has no sample yet
+ */
+function findSampleIndex(track, time) {
+  let low = 0;
+  let high = track.length - 1;
+  let found = -1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (track[mid].timestamp <= time) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Scans each track for status changes and low-battery transitions
+ *
+ * @param {Object<string, Array>} tracks - Samples per boat, ordered by time
+ * @returns {Array<HistoryEvent>} Events ordered by time
+ */
+export function findHistoryEvents(tracks) {
+  const events = [];
+  const { lowBatteryThreshold } = TIMELINE_CONFIG;
+
+  Object.entries(tracks).forEach(([boatId, track]) => {
+    for (let i = 1; i < track.length; i++) {
+      const previous = track[i - 1];
+      const sample = track[i];
+
+      if (sample.status !== previous.status) {
+        events.push({
+          type: HISTORY_EVENT_TYPES.STATUS_CHANGE,
+          boatId,
+          time: sample.timestamp,
+          label: `${boatId}: ${previous.status} → ${sample.status}`,
+        });
+      }
+
+      if (previous.energyLevel >= lowBatteryThreshold && sample.energyLevel < lowBatteryThreshold) {
+        events.push({
+          type: HISTORY_EVENT_TYPES.LOW_BATTERY,
+          boatId,
+          time: sample.timestamp,
+          label: `${boatId}: battery below ${lowBatteryThreshold}%`,
+        });
+      }
+    }
+  });
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Builds a timeline from a parsed history payload
+ *
+ * @param {import('./boatSchema.js').BoatHistory} history - Parsed GET /api/boats/history response
+ * @returns {Object} Timeline with per-boat tracks, bounds and events
+ */
+export function createHistoryTimeline(history) {
+  const tracks = {};
+  history.samples.forEach((sample) => {
+    (tracks[sample.boatId] ??= []).push(sample);
+  });
+
+  const { samples } = history;
+  const hasSamples = samples.length > 0;
+
+  return {
+    from: history.from,
+    to: history.to,
+    // Playable range is where samples exist, not the requested window
+    start: hasSamples ? samples[0].timestamp : history.from,
+    end: hasSamples ? samples[samples.length - 1].timestamp : history.from,
+    sampleIntervalMs: history.sampleIntervalSeconds * 1000,
+    tracks,
+    events: findHistoryEvents(tracks),
+  };
+}
+
+/**
+ * Reconstructs the fleet at a moment in the timeline
+ * Positions, heading and energy are interpolated between samples; status and
+ * other discrete fields step at the earlier sample. Vessel metadata (name,
+ * project, crew...) is not recorded, so it is taken from the live boats.
+ *
+ * @param {Object} timeline - State from createHistoryTimeline
+ * @param {number} time - Playback time (epoch milliseconds)
+ * @param {Array<import('./boatSchema.js').Boat>} liveBoats - Current boats, used for metadata
+ * @returns {Array<import('./boatSchema.js').Boat>} Boats as they were at `time`
+ */
+export function getBoatsAtTime(timeline, time, liveBoats) {
+  const liveById = Object.fromEntries(liveBoats.map(boat => [boat.id, boat]));
+  const maxGap = timeline.sampleIntervalMs * TIMELINE_CONFIG.maxGapIntervals;
+  const boats = [];
+
+  Object.entries(timeline.tracks).forEach(([boatId, track]) => {
+    const index = findSampleIndex(track, time);
+    if (index === -1) return; // Not recorded yet at this time
+
+    const sample = track[index];
+    const next = track[index + 1];
+    const canInterpolate = next && (maxGap === 0 || next.timestamp - sample.timestamp <= maxGap);
+    const t = canInterpolate ? (time - sample.timestamp) / (next.timestamp - sample.timestamp) : 0;
+    const lerp = (a, b) => a + (b - a) * t;
+
+    boats.push({
+      vesselName: 'Survey Vessel',
+      surveyType: '',
+      project: '',
+      equipment: '',
+      crewCount: 0,
+      conditions: '',
+      ...liveById[boatId],
+      id: boatId,
+      latitude: canInterpolate ? lerp(sample.latitude, next.latitude) : sample.latitude,
+      longitude: canInterpolate ? lerp(sample.longitude, next.longitude) : sample.longitude,
+      heading: canInterpolate ? lerpHeading(sample.heading, next.heading, t) : sample.heading,
+      energyLevel: canInterpolate ? lerp(sample.energyLevel, next.energyLevel) : sample.energyLevel,
+      areaCovered: canInterpolate ? lerp(sample.areaCovered, next.areaCovered) : sample.areaCovered,
+      status: sample.status,
+      speed: sample.speed,
+      speedKnots: parseSpeedKnots(sample.speed),
+      currentWaypointIndex: sample.currentWaypointIndex,
+    });
+  });
+
+  return boats.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Finds the nearest event strictly before or after a time
+ *
+ * @param {Object} timeline - State from createHistoryTimeline
+ * @param {number} time - Current playback time (epoch milliseconds)
+ * @param {number} direction - 1 for the next event, -1 for the previous one
+ * @returns {HistoryEvent|null} Adjacent event, or null at either end
+ */
+export function findAdjacentEvent(timeline, time, direction) {
+  const { events } = timeline;
+  if (direction > 0) {
+    return events.find(event => event.time > time) ?? null;
+  }
+  for (let i = events.length - 1; i >= 0; i--) {
+    // Small tolerance so "previous" skips the event we are parked on
+    if (events[i].time < time - 1) return events[i];
+  }
+  return null;
+}
+
+export default {
+  HISTORY_EVENT_TYPES,
+  TIMELINE_CONFIG,
+  PLAYBACK_RATES,
+  PLAYBACK_WINDOWS,
+  findHistoryEvents,
+  createHistoryTimeline,
+  getBoatsAtTime,
+  findAdjacentEvent,
+};
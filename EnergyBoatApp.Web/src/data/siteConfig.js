@@ -0,0 +1,222 @@
+/**
+ * Site Configuration Model
+ *
+ * Describes the operating area the frontend is pointed at: dock position and
+ * orientation, the bounds boats are expected to stay in, boundary buoys, scene
+ * scale and the site's default zones. Sites are plain JSON (see
+ * public/sites.json) so a harbour can be added without code changes. One site
+ * is active at a time; scene and data modules read it through getActiveSite().
+ */
+
+/**
+ * localStorage key for the last selected site ID
+ */
+export const SITE_STORAGE_KEY = 'energyboat.siteId';
+
+/**
+ * @typedef {Object} OperatingSite
+ * @property {string} id - Stable identifier
+ * @property {string} name - Display name
+ * @property {{latitude: number, longitude: number, rotationDegrees: number}} dock - Dock position (scene origin) and yaw
+ * @property {{minLat: number, maxLat: number, minLon: number, maxLon: number}} bounds - Operating area
+ * @property {Array<{latitude: number, longitude: number}>} buoys - Boundary buoy positions
+ * @property {number} metersPerSceneUnit - Ground distance covered by one scene unit
+ * @property {Array<Object>} [geofences] - Default zones besides the dock approach (see data/geofences.js)
+ */
+
+/**
+ * Last-resort fallback, used only when the site list can't be read
+ * public/sites.json is the source of truth (the first site there is the
+ * default); this copy of its Thames entry exists so the app still starts
+ * without it. Keep the two in step when the Thames site changes.
+ * @type {OperatingSite}
+ */
+export const DEFAULT_SITE = {
+  id: 'thames-demo',
+  name: 'Thames Demo Area',
+  dock: { latitude: 51.5100, longitude: -0.1350, rotationDegrees: 45 },
+  bounds: { minLat: 51.48, maxLat: 51.53, minLon: -0.16, maxLon: -0.09 },
+  buoys: [
+    { latitude: 51.48, longitude: -0.16 },   // Southwest
+    { latitude: 51.48, longitude: -0.09 },   // Southeast
+    { latitude: 51.53, longitude: -0.16 },   // Northwest
+    { latitude: 51.53, longitude: -0.09 },   // Northeast
+  ],
+  metersPerSceneUnit: 55.66, // Matches the original 2000 units per degree of latitude
+  geofences: [
+    {
+      id: 'ne-survey-block',
+      name: 'NE Survey Block',
+      type: 'survey',
+      shape: 'polygon',
+      visible: true,
+      points: [
+        { latitude: 51.5150, longitude: -0.1420 },
+        { latitude: 51.5270, longitude: -0.1420 },
+        { latitude: 51.5270, longitude: -0.0980 },
+        { latitude: 51.5150, longitude: -0.0980 },
+      ],
+    },
+    {
+      id: 'cable-crossing',
+      name: 'Cable Crossing',
+      type: 'exclusion',
+      shape: 'polygon',
+      visible: true,
+      points: [
+        { latitude: 51.4880, longitude: -0.1550 },
+        { latitude: 51.4940, longitude: -0.1500 },
+        { latitude: 51.4920, longitude: -0.1430 },
+        { latitude: 51.4860, longitude: -0.1480 },
+      ],
+    },
+  ],
+};
+
+let activeSite = DEFAULT_SITE;
+
+/**
+ * Checks a site definition, returning the problems found
+ * Zones are checked when they are used (see getDefaultGeofences).
+ *
+ * @param {*} site - Candidate site (e.g. from sites.json)
+ * @returns {Array<string>} Problems (empty when the site is usable)
+ */
+export function validateSite(site) {
+  if (!site || typeof site !== 'object') return ['site must be an object'];
+
+  const problems = [];
+  const isPosition = (p) => p && Number.isFinite(p.latitude) && Number.isFinite(p.longitude);
+  const { dock, bounds } = site;
+
+  if (typeof site.id !== 'string' || site.id === '') problems.push('id must be a non-empty string');
+  if (typeof site.name !== 'string' || site.name.trim() === '') problems.push('name must be a non-empty string');
+
+  if (!isPosition(dock)) {
+    problems.push('dock must have numeric latitude and longitude');
+  } else if (!Number.isFinite(dock.rotationDegrees)) {
+    problems.push('dock.rotationDegrees must be a number');
+  }
+
+  if (!bounds || !['minLat', 'maxLat', 'minLon', 'maxLon'].every((key) => Number.isFinite(bounds[key]))) {
+    problems.push('bounds must have numeric minLat, maxLat, minLon and maxLon');
+  } else if (bounds.minLat >= bounds.maxLat || bounds.minLon >= bounds.maxLon) {
+    problems.push('bounds minimums must be below their maximums');
+  } else if (isPosition(dock) && !isWithinSiteBounds(dock, site)) {
+    problems.push('dock must be inside bounds');
+  }
+
+  if (!Array.isArray(site.buoys) || !site.buoys.every(isPosition)) {
+    problems.push('buoys must be a list of positions with numeric latitude and longitude');
+  }
+  if (!(Number.isFinite(site.metersPerSceneUnit) && site.metersPerSceneUnit > 0)) {
+    problems.push('metersPerSceneUnit must be > 0');
+  }
+  if (site.geofences !== undefined && !Array.isArray(site.geofences)) {
+    problems.push('geofences must be a list when present');
+  }
+
+  return problems;
+}
+
+/**
+ * Reads a site list payload (an array, or an object with a `sites` array)
+ * Invalid sites are dropped with a warning.
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Array<OperatingSite>} Usable sites
+ * @throws {Error} When the payload holds no usable site
+ */
+export function parseSites(data) {
+  const entries = Array.isArray(data) ? data : data?.sites;
+  if (!Array.isArray(entries)) {
+    throw new Error('Site list must be an array or an object with a sites array');
+  }
+
+  const sites = entries.filter((site) => {
+    const problems = validateSite(site);
+    if (problems.length > 0) {
+      console.warn(`⚠️ Ignoring site ${site?.id ?? '(no id)'}: ${problems.join('; ')}`);
+      return false;
+    }
+    return true;
+  });
+
+  if (sites.length === 0) {
+    throw new Error('Site list contains no usable site');
+  }
+  return sites;
+}
+
+/**
+ * Site the scene and data modules currently work in
+ *
+ * @returns {OperatingSite} Active site
+ */
+export function getActiveSite() {
+  return activeSite;
+}
+
+/**
+ * Makes a site active
+ * Modules read the active site when they are called, so anything already
+ * built for the previous site (the 3D scene, zone trackers) must be rebuilt.
+ *
+ * @param {OperatingSite} site - Site to activate
+ */
+export function setActiveSite(site) {
+  activeSite = site;
+}
+
+/**
+ * Checks whether a position lies inside a site's operating area
+ *
+ * @param {{latitude: number, longitude: number}} position - Position to check
+ * @param {OperatingSite} [site] - Site to check against (defaults to the active site)
+ * @returns {boolean} True when inside the site bounds
+ */
+export function isWithinSiteBounds({ latitude, longitude }, site = activeSite) {
+  const { bounds } = site;
+  return latitude >= bounds.minLat && latitude <= bounds.maxLat &&
+    longitude >= bounds.minLon && longitude <= bounds.maxLon;
+}
+
+/**
+ * Reads the last selected site ID from localStorage
+ *
+ * @returns {string|null} Site ID, or null when none was stored
+ */
+export function loadActiveSiteId() {
+  try {
+    return localStorage.getItem(SITE_STORAGE_KEY);
+  } catch (err) {
+    console.warn('⚠️ Could not read the stored site:', err);
+    return null;
+  }
+}
+
+/**
+ * Remembers the selected site for the next visit
+ *
+ * @param {string} siteId - Site ID to store
+ */
+export function saveActiveSiteId(siteId) {
+  try {
+    localStorage.setItem(SITE_STORAGE_KEY, siteId);
+  } catch (err) {
+    // Private browsing or quota - the site still applies for this session
+    console.warn('⚠️ Could not save the selected site:', err);
+  }
+}
+
+export default {
+  SITE_STORAGE_KEY,
+  DEFAULT_SITE,
+  validateSite,
+  parseSites,
+  getActiveSite,
+  setActiveSite,
+  isWithinSiteBounds,
+  loadActiveSiteId,
+  saveActiveSiteId,
+};
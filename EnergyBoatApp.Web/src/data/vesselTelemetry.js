@@ -0,0 +1,210 @@
+/**
+ * Vessel Telemetry Model
+ *
+ * Short per-boat history built on the client from live updates, for the
+ * vessel detail charts. Samples are thinned to a fixed interval and kept for a
+ * limited time; trends are fitted to the samples since the boat last changed
+ * status or simulation speed, so a charge/drain rate never mixes two regimes.
+ */
+
+import { distanceNauticalMiles } from './geodesy.js';
+
+/**
+ * Energy level below which the simulator sends a boat to charge (Program.cs)
+ */
+export const CHARGING_THRESHOLD = 20;
+
+/**
+ * Energy level at which the simulator puts a charging boat back to work (Program.cs)
+ */
+export const CHARGE_RESUME_LEVEL = 75;
+
+/**
+ * Recorder tuning
+ */
+export const VESSEL_TELEMETRY_CONFIG = {
+  sampleInterval: 2000,             // ms between kept samples per boat
+  maxAge: 30 * 60 * 1000,           // ms of samples kept per boat
+  trendWindow: 3 * 60 * 1000,       // ms of recent samples a rate is fitted to
+  minTrendSpan: 10 * 1000,          // ms the fitted samples must cover before a rate is given
+  steadyRate: 0.01,                 // %/min below which energy counts as steady
+};
+
+/**
+ * @typedef {Object} TelemetrySample
+ * @property {number} time - Receive time (epoch milliseconds)
+ * @property {string} status - Operational status
+ * @property {number} energyLevel - Battery level percentage
+ * @property {number} speedKnots - Numeric speed
+ * @property {number} areaCovered - Area surveyed in square kilometers
+ * @property {number} latitude - Latitude
+ * @property {number} longitude - Longitude
+ * @property {number|null} currentWaypointIndex - Waypoint the boat was heading to
+ * @property {number} speedMultiplier - Simulation speed when received
+ */
+
+/**
+ * @typedef {Object} EnergyTrend
+ * @property {'charging'|'draining'|'steady'} direction - Where the energy level is heading
+ * @property {number} ratePerMinute - Fitted change in % per minute (wall clock, at the current simulation speed)
+ * @property {number|null} minutesToThreshold - Time until CHARGING_THRESHOLD while draining (null otherwise)
+ * @property {number|null} minutesToResume - Time until CHARGE_RESUME_LEVEL while charging (null otherwise)
+ */
+
+/**
+ * Creates an empty recorder
+ *
+ * @returns {Object} Recorder state
+ */
+export function createTelemetryRecorder() {
+  return {
+    boats: {},    // boatId → Array<TelemetrySample>, oldest first
+  };
+}
+
+/**
+ * Records a batch of live boats
+ *
+ * @param {Object} recorder - State from createTelemetryRecorder
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Boats just received
+ * @param {number} now - Receive time (epoch milliseconds)
+ * @param {number} [speedMultiplier] - Simulation speed the boats were requested at
+ */
+export function recordTelemetry(recorder, boats, now, speedMultiplier = 1) {
+  const { sampleInterval, maxAge } = VESSEL_TELEMETRY_CONFIG;
+
+  boats.forEach((boat) => {
+    const samples = recorder.boats[boat.id] ?? (recorder.boats[boat.id] = []);
+    const last = samples[samples.length - 1];
+    // Always keep a status change, even inside the sample interval
+    if (last && now - last.time < sampleInterval && last.status === boat.status) return;
+
+    samples.push({
+      time: now,
+      status: boat.status,
+      energyLevel: boat.energyLevel,
+      speedKnots: boat.speedKnots,
+      areaCovered: boat.areaCovered,
+      latitude: boat.latitude,
+      longitude: boat.longitude,
+      currentWaypointIndex: boat.currentWaypointIndex,
+      speedMultiplier,
+    });
+  });
+
+  // Forget old samples, and boats that stopped reporting
+  Object.entries(recorder.boats).forEach(([boatId, samples]) => {
+    while (samples.length > 0 && now - samples[0].time > maxAge) {
+      samples.shift();
+    }
+    if (samples.length === 0) delete recorder.boats[boatId];
+  });
+}
+
+/**
+ * Recorded samples for one boat
+ *
+ * @param {Object} recorder - State from createTelemetryRecorder
+ * @param {string} boatId - Boat to look up
+ * @returns {Array<TelemetrySample>} Samples, oldest first (empty when none)
+ */
+export function getTelemetrySamples(recorder, boatId) {
+  return recorder.boats[boatId] ?? [];
+}
+
+/**
+ * Forgets every sample (e.g. after the fleet is reset)
+ *
+ * @param {Object} recorder - State from createTelemetryRecorder
+ */
+export function clearTelemetry(recorder) {
+  recorder.boats = {};
+}
+
+/**
+ * One field of the samples as chart points
+ *
+ * @param {Array<TelemetrySample>} samples - Samples, oldest first
+ * @param {string} field - Numeric sample field (e.g. 'energyLevel')
+ * @returns {Array<{time: number, value: number}>} Points
+ */
+export function getTelemetrySeries(samples, field) {
+  return samples.map(sample => ({ time: sample.time, value: sample[field] }));
+}
+
+/**
+ * Distance from each sample to the waypoint the boat was heading to
+ * Samples without a known waypoint are skipped.
+ *
+ * @param {Array<TelemetrySample>} samples - Samples, oldest first
+ * @param {import('./boatSchema.js').BoatRoute} route - The boat's route
+ * @returns {Array<{time: number, value: number}>} Points in nautical miles
+ */
+export function getWaypointDistanceSeries(samples, route) {
+  return samples
+    .filter(sample => route.waypoints[sample.currentWaypointIndex])
+    .map(sample => ({
+      time: sample.time,
+      value: distanceNauticalMiles(sample, route.waypoints[sample.currentWaypointIndex]),
+    }));
+}
+
+/**
+ * Fits the recent energy rate and projects when the simulator's thresholds are reached
+ *
+ * @param {Array<TelemetrySample>} samples - Samples, oldest first
+ * @returns {EnergyTrend|null} Trend, or null until enough samples are recorded
+ */
+export function getEnergyTrend(samples) {
+  const { trendWindow, minTrendSpan, steadyRate } = VESSEL_TELEMETRY_CONFIG;
+  const latest = samples[samples.length - 1];
+  if (!latest) return null;
+
+  // Walk back over the current regime (same status and simulation speed) within the window
+  let first = samples.length - 1;
+  while (first > 0) {
+    const previous = samples[first - 1];
+    if (previous.status !== latest.status || previous.speedMultiplier !== latest.speedMultiplier) break;
+    if (latest.time - previous.time > trendWindow) break;
+    first--;
+  }
+  const recent = samples.slice(first);
+  if (latest.time - recent[0].time < minTrendSpan) return null;
+
+  // Least-squares slope of energy over time (minutes from the first sample)
+  const points = recent.map(sample => ({ x: (sample.time - recent[0].time) / 60000, y: sample.energyLevel }));
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const ratePerMinute = variance > 0 ? covariance / variance : 0;
+
+  let direction = 'steady';
+  if (ratePerMinute > steadyRate) direction = 'charging';
+  if (ratePerMinute < -steadyRate) direction = 'draining';
+
+  const energy = latest.energyLevel;
+  return {
+    direction,
+    ratePerMinute,
+    minutesToThreshold: direction === 'draining' && energy > CHARGING_THRESHOLD
+      ? (energy - CHARGING_THRESHOLD) / -ratePerMinute
+      : null,
+    minutesToResume: direction === 'charging' && latest.status === 'Charging' && energy < CHARGE_RESUME_LEVEL
+      ? (CHARGE_RESUME_LEVEL - energy) / ratePerMinute
+      : null,
+  };
+}
+
+export default {
+  CHARGING_THRESHOLD,
+  CHARGE_RESUME_LEVEL,
+  VESSEL_TELEMETRY_CONFIG,
+  createTelemetryRecorder,
+  recordTelemetry,
+  getTelemetrySamples,
+  clearTelemetry,
+  getTelemetrySeries,
+  getWaypointDistanceSeries,
+  getEnergyTrend,
+};
@@ -0,0 +1,120 @@
+/**
+ * Vessel Type Model
+ *
+ * Decides what kind of vessel a boat is and which survey equipment it carries
+ * from the API metadata (`surveyType`, `vesselName`, `equipment`, `crewCount`).
+ * The API has no explicit type field, so this works from keywords; the scene
+ * (scene/vessels/VesselRegistry.js) turns the result into a 3D model.
+ */
+
+/**
+ * Hull types the scene can build
+ */
+export const VESSEL_TYPES = {
+  SURVEY: 'survey',
+  CREW_TRANSFER: 'crewTransfer',
+  UNCREWED: 'uncrewed',
+  TUG: 'tug',
+};
+
+/**
+ * Display names for vessel types
+ */
+export const VESSEL_TYPE_LABELS = {
+  [VESSEL_TYPES.SURVEY]: 'Survey vessel',
+  [VESSEL_TYPES.CREW_TRANSFER]: 'Crew transfer vessel',
+  [VESSEL_TYPES.UNCREWED]: 'ROV / USV',
+  [VESSEL_TYPES.TUG]: 'Tug',
+};
+
+/**
+ * Equipment with a visible attachment on the model
+ */
+export const EQUIPMENT_TYPES = {
+  MULTIBEAM: 'multibeam',
+  MAGNETOMETER: 'magnetometer',
+  A_FRAME: 'aFrame',
+};
+
+/**
+ * Display names for equipment attachments
+ */
+export const EQUIPMENT_LABELS = {
+  [EQUIPMENT_TYPES.MULTIBEAM]: 'Multibeam sonar',
+  [EQUIPMENT_TYPES.MAGNETOMETER]: 'Magnetometer towfish',
+  [EQUIPMENT_TYPES.A_FRAME]: 'A-frame',
+};
+
+/**
+ * Largest crew that, with no survey equipment, marks a boat as a crew transfer vessel
+ */
+export const CREW_TRANSFER_MAX_CREW = 4;
+
+// Checked in order against the vessel name and survey type
+const TYPE_KEYWORDS = [
+  [/\b(?:USV|ASV|uncrewed|unmanned|autonomous)\b/i, VESSEL_TYPES.UNCREWED],
+  [/\b(?:crew transfer|CTV|personnel transfer)\b/i, VESSEL_TYPES.CREW_TRANSFER],
+  [/\b(?:tug|towing|anchor handling)\b/i, VESSEL_TYPES.TUG],
+];
+
+// Every match counts; ROV, coring and sampling work need a stern A-frame to launch and recover
+const EQUIPMENT_KEYWORDS = [
+  [/\b(?:multibeam|echo ?sounder|side-?scan|MBES)\b/i, EQUIPMENT_TYPES.MULTIBEAM],
+  [/\b(?:magnetometer|gradiometer|towfish)\b/i, EQUIPMENT_TYPES.MAGNETOMETER],
+  [/\b(?:ROV|A-?frame|CPT|seabed sampling|grab samplers?|vibrocorer|coring)\b/i, EQUIPMENT_TYPES.A_FRAME],
+];
+
+/**
+ * Equipment attachments named in a free-text equipment list
+ *
+ * @param {string} text - Equipment text (e.g. "ROV, Side-scan Sonar")
+ * @returns {Array<string>} EQUIPMENT_TYPES values in EQUIPMENT_KEYWORDS order, without duplicates
+ */
+export function parseEquipment(text) {
+  if (!text) return [];
+  return EQUIPMENT_KEYWORDS
+    .filter(([pattern]) => pattern.test(text))
+    .map(([, equipment]) => equipment);
+}
+
+/**
+ * @typedef {Object} VesselVariant
+ * @property {string} type - One of VESSEL_TYPES
+ * @property {Array<string>} equipment - EQUIPMENT_TYPES values
+ */
+
+/**
+ * Classifies a boat from its metadata
+ * Keywords in the name or survey type win; otherwise a crew of 0 means an
+ * uncrewed vehicle, and a small crew with no survey equipment a crew transfer
+ * vessel. Everything else is a survey vessel.
+ *
+ * @param {import('./boatSchema.js').Boat} boat - Parsed boat
+ * @returns {VesselVariant} Vessel type and equipment
+ */
+export function classifyVessel(boat) {
+  const equipment = parseEquipment(boat.equipment);
+  const description = `${boat.vesselName ?? ''} ${boat.surveyType ?? ''}`;
+
+  const keywordType = TYPE_KEYWORDS.find(([pattern]) => pattern.test(description));
+  let type = VESSEL_TYPES.SURVEY;
+  if (keywordType) {
+    type = keywordType[1];
+  } else if (boat.crewCount === 0) {
+    type = VESSEL_TYPES.UNCREWED;
+  } else if (boat.crewCount <= CREW_TRANSFER_MAX_CREW && equipment.length === 0) {
+    type = VESSEL_TYPES.CREW_TRANSFER;
+  }
+
+  return { type, equipment };
+}
+
+/**
+ * Stable key for a variant (same key, same model)
+ *
+ * @param {VesselVariant} variant - Result of classifyVessel
+ * @returns {string} e.g. "survey:multibeam+magnetometer"
+ */
+export function getVariantKey(variant) {
+  return `${variant.type}:${variant.equipment.join('+')}`;
+}
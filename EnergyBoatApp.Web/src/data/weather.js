@@ -0,0 +1,247 @@
+/**
+ * Weather Model
+ *
+ * Structured sea state, wind and visibility for the scene. The API only sends
+ * free text per boat (`conditions`, e.g. "Moderate seas, 2m swell"), so this
+ * module parses those reports, combines them into one fleet-wide picture, and
+ * provides presets for previewing other weather.
+ */
+
+/**
+ * @typedef {Object} Weather
+ * @property {number} seaState - Douglas sea scale (0 glassy - 9 phenomenal)
+ * @property {number} waveHeight - Significant wave height in meters
+ * @property {number} windSpeed - Wind speed in knots
+ * @property {number} windDirection - Compass bearing the wind blows FROM (degrees)
+ * @property {number} visibility - Visibility in kilometers
+ * @property {number} rain - Rain intensity (0 none - 1 heavy)
+ */
+
+/**
+ * Typical wave height (m) for each Douglas sea state
+ */
+export const SEA_STATE_WAVE_HEIGHTS = [0, 0.05, 0.3, 0.9, 1.9, 3.2, 5, 7.5, 11.5, 14];
+
+/**
+ * Sea state names, indexed by Douglas sea state
+ */
+export const SEA_STATE_LABELS = [
+  'Glassy', 'Calm', 'Smooth', 'Slight', 'Moderate', 'Rough', 'Very rough', 'High', 'Very high', 'Phenomenal',
+];
+
+/**
+ * Typical wind (knots) that raises each sea state, used when a report gives no wind
+ */
+const SEA_STATE_WIND_SPEEDS = [0, 3, 8, 13, 18, 24, 30, 40, 50, 60];
+
+/**
+ * Beaufort force to mid-range wind speed (knots)
+ */
+const BEAUFORT_WIND_SPEEDS = [0, 2, 5, 8.5, 13.5, 19, 24.5, 30.5, 37, 44, 51.5, 59.5, 64];
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Presets for the weather selector
+ * @type {Object<string, Weather>}
+ */
+export const WEATHER_PRESETS = {
+  calm: { seaState: 1, waveHeight: 0.05, windSpeed: 3, windDirection: 225, visibility: 20, rain: 0 },
+  moderate: { seaState: 4, waveHeight: 1.9, windSpeed: 18, windDirection: 225, visibility: 10, rain: 0 },
+  rough: { seaState: 5, waveHeight: 3.2, windSpeed: 26, windDirection: 240, visibility: 5, rain: 0.5 },
+  storm: { seaState: 7, waveHeight: 7.5, windSpeed: 45, windDirection: 250, visibility: 1.5, rain: 1 },
+  fog: { seaState: 2, waveHeight: 0.3, windSpeed: 4, windDirection: 180, visibility: 0.3, rain: 0 },
+};
+
+/**
+ * Where the scene's weather comes from: the fleet's reports or a preset
+ */
+export const WEATHER_MODES = {
+  AUTO: 'auto',
+  CALM: 'calm',
+  MODERATE: 'moderate',
+  ROUGH: 'rough',
+  STORM: 'storm',
+  FOG: 'fog',
+};
+
+/**
+ * Display names for the weather selector
+ */
+export const WEATHER_MODE_LABELS = {
+  [WEATHER_MODES.AUTO]: 'From vessel reports',
+  [WEATHER_MODES.CALM]: 'Calm',
+  [WEATHER_MODES.MODERATE]: 'Moderate seas',
+  [WEATHER_MODES.ROUGH]: 'Rough, showers',
+  [WEATHER_MODES.STORM]: 'Storm',
+  [WEATHER_MODES.FOG]: 'Fog',
+};
+
+// Checked in order, so "very rough" wins over "rough"
+const SEA_STATE_KEYWORDS = [
+  [/\bglassy\b/i, 0],
+  [/\bphenomenal\b/i, 9],
+  [/\bvery high (?:seas?|waves?)\b/i, 8],
+  [/\bhigh (?:seas?|waves?)\b/i, 7],
+  [/\bvery rough\b/i, 6],
+  [/\brough\b/i, 5],
+  [/\bmoderate (?:seas?|waves?|swell)\b/i, 4],
+  [/\bslight (?:seas?|waves?|swell)\b/i, 3],
+  [/\bsmooth\b/i, 2],
+  [/\bcalm\b/i, 1],
+];
+
+const VISIBILITY_KEYWORDS = [
+  [/\bdense fog\b/i, 0.1],
+  [/\bfog(?:gy)?\b/i, 0.3],
+  [/\bvery poor visibility\b/i, 0.5],
+  [/\bpoor visibility\b/i, 1],
+  [/\b(?:mist|misty|haze|hazy)\b/i, 3],
+  [/\bmoderate visibility\b/i, 4],
+  [/\bgood visibility\b/i, 10],
+  [/\bexcellent visibility\b/i, 20],
+];
+
+const RAIN_KEYWORDS = [
+  [/\b(?:heavy rain|thunderstorms?|squalls?)\b/i, 1],
+  [/\brain\b/i, 0.6],
+  [/\bshowers?\b/i, 0.5],
+  [/\bdrizzle\b/i, 0.3],
+];
+
+/**
+ * First matching value from a keyword table
+ */
+function matchKeyword(table, text) {
+  const entry = table.find(([pattern]) => pattern.test(text));
+  return entry ? entry[1] : undefined;
+}
+
+/**
+ * Douglas sea state for a wave height
+ */
+function seaStateForWaveHeight(waveHeight) {
+  const index = SEA_STATE_WAVE_HEIGHTS.findIndex(height => height >= waveHeight);
+  return index === -1 ? SEA_STATE_WAVE_HEIGHTS.length - 1 : index;
+}
+
+/**
+ * Parses a free-text conditions report
+ * Only what the text mentions is returned; "Charging via solar panels" gives null.
+ *
+ * @param {string} text - Conditions text (e.g. "Moderate seas, 2m swell, SW wind 15 knots")
+ * @returns {Partial<Weather>|null} Fields found in the text, or null when it says nothing about the weather
+ */
+export function parseConditions(text) {
+  if (!text) return null;
+  const report = {};
+
+  const seaState = matchKeyword(SEA_STATE_KEYWORDS, text);
+  if (seaState !== undefined) report.seaState = seaState;
+
+  const waves = /(\d+(?:\.\d+)?)\s*(?:m|meters?|metres?)\s+(?:swell|waves?|seas?)\b/i.exec(text);
+  if (waves) report.waveHeight = parseFloat(waves[1]);
+
+  const wind = /(\d+(?:\.\d+)?)\s*(?:knots?|kn|kts?)\s+(?:winds?|breeze|gusts?)\b/i.exec(text)
+    ?? /\bwinds?\s+(?:[A-Z]{1,3}\s+)?(\d+(?:\.\d+)?)\s*(?:knots?|kn|kts?)\b/i.exec(text);
+  const beaufort = /\bforce\s+(\d{1,2})\b/i.exec(text);
+  if (wind) {
+    report.windSpeed = parseFloat(wind[1]);
+  } else if (beaufort) {
+    report.windSpeed = BEAUFORT_WIND_SPEEDS[Math.min(parseInt(beaufort[1], 10), BEAUFORT_WIND_SPEEDS.length - 1)];
+  }
+
+  // Compass points are matched case-sensitively so "new" or "sew" never count
+  const direction = /\b(N|NNE|NE|ENE|E|ESE|SE|SSE|S|SSW|SW|WSW|W|WNW|NW|NNW)\s+(?:winds?|breeze)\b/.exec(text)
+    ?? /\b[Ww]inds?\s+(N|NNE|NE|ENE|E|ESE|SE|SSE|S|SSW|SW|WSW|W|WNW|NW|NNW)\b/.exec(text);
+  if (direction) report.windDirection = COMPASS_POINTS.indexOf(direction[1]) * 22.5;
+
+  const visibilityDistance = /\bvisibility\s+(\d+(?:\.\d+)?)\s*(km|nm)\b/i.exec(text);
+  if (visibilityDistance) {
+    const value = parseFloat(visibilityDistance[1]);
+    report.visibility = visibilityDistance[2].toLowerCase() === 'nm' ? value * 1.852 : value;
+  } else {
+    const visibility = matchKeyword(VISIBILITY_KEYWORDS, text);
+    if (visibility !== undefined) report.visibility = visibility;
+  }
+
+  const rain = matchKeyword(RAIN_KEYWORDS, text);
+  if (rain !== undefined) report.rain = rain;
+
+  return Object.keys(report).length > 0 ? report : null;
+}
+
+/**
+ * Fills the gaps in a partial report
+ * Sea state and wave height are derived from each other, wind from the sea
+ * state; anything else comes from the fallback.
+ *
+ * @param {Partial<Weather>} report - Parsed or user-supplied fields
+ * @param {Weather} [fallback] - Values for fields that cannot be derived
+ * @returns {Weather} Complete weather
+ */
+export function normalizeWeather(report, fallback = WEATHER_PRESETS.calm) {
+  const weather = { ...fallback, ...report };
+
+  if (report.seaState === undefined && report.waveHeight !== undefined) {
+    weather.seaState = seaStateForWaveHeight(report.waveHeight);
+  } else if (report.waveHeight === undefined && report.seaState !== undefined) {
+    weather.waveHeight = SEA_STATE_WAVE_HEIGHTS[report.seaState];
+  }
+
+  if (report.windSpeed === undefined && (report.seaState !== undefined || report.waveHeight !== undefined)) {
+    weather.windSpeed = SEA_STATE_WIND_SPEEDS[weather.seaState];
+  }
+
+  return weather;
+}
+
+/**
+ * Combines every boat's conditions report into one picture for the scene
+ * The worst report wins for each field: roughest sea, strongest wind (and its
+ * direction), lowest visibility, heaviest rain.
+ *
+ * @param {Array<import('./boatSchema.js').Boat>} boats - Current boats
+ * @param {Weather} [fallback] - Weather when no boat reports any
+ * @returns {Weather} Fleet weather
+ */
+export function getFleetWeather(boats, fallback = WEATHER_PRESETS.calm) {
+  const reports = boats.map(boat => parseConditions(boat.conditions)).filter(Boolean);
+  if (reports.length === 0) return fallback;
+
+  const combined = {};
+  const worst = (field, pick) => {
+    const values = reports.map(report => report[field]).filter(value => value !== undefined);
+    if (values.length > 0) combined[field] = pick(...values);
+  };
+
+  worst('seaState', Math.max);
+  worst('waveHeight', Math.max);
+  worst('windSpeed', Math.max);
+  worst('visibility', Math.min);
+  worst('rain', Math.max);
+
+  const windiest = reports
+    .filter(report => report.windDirection !== undefined)
+    .sort((a, b) => (b.windSpeed ?? 0) - (a.windSpeed ?? 0))[0];
+  if (windiest) combined.windDirection = windiest.windDirection;
+
+  return normalizeWeather(combined, fallback);
+}
+
+/**
+ * One-line summary for the scene controls
+ *
+ * @param {Weather} weather - Weather to describe
+ * @returns {string} e.g. "Moderate · 1.9 m · SW 18 kn · vis 10 km"
+ */
+export function describeWeather(weather) {
+  const parts = [
+    SEA_STATE_LABELS[weather.seaState] ?? `Sea state ${weather.seaState}`,
+    `${weather.waveHeight.toFixed(1)} m`,
+    `${COMPASS_POINTS[Math.round(weather.windDirection / 22.5) % 16]} ${Math.round(weather.windSpeed)} kn`,
+    `vis ${weather.visibility < 1 ? weather.visibility.toFixed(1) : Math.round(weather.visibility)} km`,
+  ];
+  if (weather.rain > 0) parts.push(weather.rain >= 0.8 ? 'heavy rain' : 'rain');
+  return parts.join(' · ');
+}
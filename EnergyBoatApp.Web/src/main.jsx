@@ -1,6 +1,10 @@
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initTelemetry } from './telemetry.js'
+
+// Spans started before the provider registers (or when the API has no OTLP endpoint) are dropped
+initTelemetry()
 
 createRoot(document.getElementById('root')).render(
   <App />
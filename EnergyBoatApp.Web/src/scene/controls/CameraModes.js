@@ -0,0 +1,207 @@
+/**
+ * CameraModes Module
+ *
+ * Keeps the camera on the selected vessel while it sails. Each frame the
+ * OrbitControls target is moved to the boat mesh and the camera is carried
+ * along, so orbiting and zooming still adjust the offset:
+ *   - free: plain orbit, nothing is tracked
+ *   - follow: world-space offset, camera keeps its compass direction
+ *   - chase: offset is relative to the boat's heading (stays behind the stern)
+ *   - topDown: looks straight down, zoom sets the height
+ *   - bridge: first-person view from the wheelhouse looking over the bow
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Available camera modes
+ */
+export const CAMERA_MODES = {
+  FREE: 'free',
+  FOLLOW: 'follow',
+  CHASE: 'chase',
+  TOP_DOWN: 'topDown',
+  BRIDGE: 'bridge',
+};
+
+/**
+ * Display labels for SceneControls
+ */
+export const CAMERA_MODE_LABELS = {
+  [CAMERA_MODES.FREE]: 'Free orbit',
+  [CAMERA_MODES.FOLLOW]: 'Follow',
+  [CAMERA_MODES.CHASE]: 'Chase',
+  [CAMERA_MODES.TOP_DOWN]: 'Top-down',
+  [CAMERA_MODES.BRIDGE]: 'Bridge view',
+};
+
+/**
+ * Per-mode starting offsets and transition tuning
+ * Boat local frame: bow points along +X, Y is up
+ */
+export const CAMERA_MODE_CONFIG = {
+  followOffset: new THREE.Vector3(15, 12, 15),     // World space
+  chaseOffset: new THREE.Vector3(-22, 9, 0),       // Boat local - behind and above the stern
+  topDownHeight: 45,
+  bridgeEye: new THREE.Vector3(-0.2, 4.0, 0),      // Boat local - wheelhouse window
+  bridgeLookAhead: new THREE.Vector3(20, 2.0, 0),  // Boat local - point ahead of the bow (within maxPolarAngle)
+  transitionDuration: 800,                         // ms to blend into a new mode
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Creates the camera rig state
+ *
+ * @param {THREE.Camera} camera - Scene camera
+ * @param {Object} controls - OrbitControls instance
+ * @returns {Object} Camera rig state
+ */
+export function createCameraRig(camera, controls) {
+  return {
+    camera,
+    controls,
+    mode: CAMERA_MODES.FREE,
+    boatId: null,
+    offset: new THREE.Vector3(),   // Camera offset from target (world or boat-local depending on mode)
+    lastYaw: 0,
+    transitionStart: 0,
+    defaultControls: {
+      enabled: controls.enabled,
+      enableRotate: controls.enableRotate,
+      enablePan: controls.enablePan,
+      minDistance: controls.minDistance,
+    },
+  };
+}
+
+/**
+ * Applies the OrbitControls restrictions a mode needs
+ */
+function configureControls(rig) {
+  const { controls, defaultControls, mode } = rig;
+  Object.assign(controls, defaultControls);
+
+  if (mode === CAMERA_MODES.FREE) return;
+
+  // Target is driven by the rig - panning would just fight it
+  controls.enablePan = false;
+
+  if (mode === CAMERA_MODES.TOP_DOWN) {
+    controls.enableRotate = false;
+  } else if (mode === CAMERA_MODES.BRIDGE) {
+    controls.enabled = false;
+  }
+}
+
+/**
+ * Switches camera mode and/or tracked boat
+ *
+ * @param {Object} rig - State from createCameraRig
+ * @param {string} mode - One of CAMERA_MODES
+ * @param {string|null} boatId - Boat to track (FREE is used when null)
+ */
+export function setCameraMode(rig, mode, boatId) {
+  const nextMode = boatId ? mode : CAMERA_MODES.FREE;
+  if (rig.mode === nextMode && rig.boatId === boatId) return;
+
+  rig.mode = nextMode;
+  rig.boatId = boatId;
+  rig.transitionStart = performance.now();
+
+  switch (nextMode) {
+    case CAMERA_MODES.FOLLOW:
+      rig.offset.copy(CAMERA_MODE_CONFIG.followOffset);
+      break;
+    case CAMERA_MODES.CHASE:
+      rig.offset.copy(CAMERA_MODE_CONFIG.chaseOffset);
+      break;
+    case CAMERA_MODES.TOP_DOWN:
+      rig.offset.set(0, CAMERA_MODE_CONFIG.topDownHeight, 0.01);
+      break;
+    default:
+      rig.offset.set(0, 0, 0);
+  }
+
+  configureControls(rig);
+}
+
+/**
+ * Blend factor for easing into a newly selected mode
+ */
+function transitionAlpha(rig, now) {
+  const progress = (now - rig.transitionStart) / CAMERA_MODE_CONFIG.transitionDuration;
+  if (progress >= 1) return 1;
+  // Ease toward the goal each frame; reaches it when the transition ends
+  return Math.max(0.08, progress * progress);
+}
+
+/**
+ * Moves camera and target to track the selected boat
+ * Should be called once per frame from the animation loop, before controls.update()
+ *
+ * @param {Object} rig - State from createCameraRig
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ */
+export function updateCameraRig(rig, boatMeshes, now) {
+  if (rig.mode === CAMERA_MODES.FREE) return;
+
+  const boatMesh = boatMeshes[rig.boatId];
+  if (!boatMesh) return;
+
+  const { camera, controls } = rig;
+  const alpha = transitionAlpha(rig, now);
+  const yaw = boatMesh.rotation.y;
+  const boatPosition = new THREE.Vector3(boatMesh.position.x, 0, boatMesh.position.z);
+
+  if (rig.mode === CAMERA_MODES.BRIDGE) {
+    const eye = CAMERA_MODE_CONFIG.bridgeEye.clone().applyAxisAngle(UP, yaw).add(boatPosition);
+    eye.y += boatMesh.position.y; // Ride the heaving hull
+    const lookAt = CAMERA_MODE_CONFIG.bridgeLookAhead.clone().applyAxisAngle(UP, yaw).add(boatPosition);
+    camera.position.lerp(eye, alpha);
+    controls.target.lerp(lookAt, alpha);
+    rig.lastYaw = yaw;
+    return;
+  }
+
+  // Once settled, pick up any orbit/zoom the user made since last frame
+  if (alpha === 1) {
+    const currentOffset = camera.position.clone().sub(controls.target);
+    if (rig.mode === CAMERA_MODES.CHASE) {
+      currentOffset.applyAxisAngle(UP, -rig.lastYaw);
+    }
+    rig.offset.copy(currentOffset);
+  }
+
+  const worldOffset = rig.offset.clone();
+  if (rig.mode === CAMERA_MODES.CHASE) {
+    worldOffset.applyAxisAngle(UP, yaw);
+  } else if (rig.mode === CAMERA_MODES.TOP_DOWN) {
+    // Zoom changes height only; keep looking straight down
+    worldOffset.set(0, Math.max(controls.minDistance, worldOffset.length()), 0.01);
+  }
+
+  controls.target.lerp(boatPosition, alpha);
+  camera.position.lerp(boatPosition.clone().add(worldOffset), alpha);
+  rig.lastYaw = yaw;
+}
+
+/**
+ * Returns to free orbit (used on scene reset)
+ *
+ * @param {Object} rig - State from createCameraRig
+ */
+export function resetCameraRig(rig) {
+  setCameraMode(rig, CAMERA_MODES.FREE, null);
+}
+
+export default {
+  CAMERA_MODES,
+  CAMERA_MODE_LABELS,
+  CAMERA_MODE_CONFIG,
+  createCameraRig,
+  setCameraMode,
+  updateCameraRig,
+  resetCameraRig,
+};
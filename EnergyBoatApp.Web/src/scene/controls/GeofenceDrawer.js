@@ -0,0 +1,303 @@
+/**
+ * GeofenceDrawer Module
+ *
+ * Draws a new geofence on the ocean surface. Pointer events are raycast onto
+ * the still-water plane and converted back to lat/lon:
+ *   - Polygon: click to add vertices, Enter (or double-click) to finish,
+ *     Backspace to remove the last vertex
+ *   - Circle: click the center, then click again to set the radius
+ *   - Escape cancels
+ * The finished shape is handed to the caller, which names and stores it.
+ */
+
+import * as THREE from 'three';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { GEOFENCE_SHAPES, getGeofenceOutline } from '../../data/geofences.js';
+import { distanceMeters } from '../../data/geodesy.js';
+import { intersectOceanPlane } from '../environment/OceanWaves.js';
+
+/**
+ * Drawer configuration
+ */
+export const GEOFENCE_DRAWER_CONFIG = {
+  height: 0.3,              // Same level as the route editor draft
+  color: 0xFFFFFF,
+  vertexRadius: 0.6,
+  minPolygonPoints: 3,
+  minRadiusMeters: 20,
+  minVertexSpacingMeters: 5,
+  clickTolerance: 5,        // Pointer travel (px) above which a press counts as a camera drag
+};
+
+/**
+ * Reports drawer state to the owner
+ */
+function emitChange(drawer) {
+  drawer.onChange?.(drawer.shape === null ? null : {
+    shape: drawer.shape,
+    pointCount: drawer.points.length,
+    canFinish: drawer.shape === GEOFENCE_SHAPES.POLYGON && drawer.points.length >= GEOFENCE_DRAWER_CONFIG.minPolygonPoints,
+  });
+}
+
+/**
+ * Disposes and removes all draft visuals
+ */
+function clearDraft(drawer) {
+  drawer.group.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+  drawer.group.clear();
+}
+
+/**
+ * Lat/lon position to a draft-height scene point
+ */
+function toScenePoint(position) {
+  const { x, z } = CoordinateConverter.latLonToScene(position);
+  return new THREE.Vector3(x, GEOFENCE_DRAWER_CONFIG.height, z);
+}
+
+/**
+ * Redraws vertices and the outline, including the rubber band to the pointer
+ */
+function rebuildDraft(drawer) {
+  clearDraft(drawer);
+  if (drawer.shape === null || drawer.points.length === 0) return;
+
+  const { color, vertexRadius } = GEOFENCE_DRAWER_CONFIG;
+  const lineMaterial = new THREE.LineBasicMaterial({ color, depthWrite: false });
+
+  drawer.points.forEach((position) => {
+    const vertex = new THREE.Mesh(
+      new THREE.SphereGeometry(vertexRadius, 12, 8),
+      new THREE.MeshBasicMaterial({ color })
+    );
+    vertex.position.copy(toScenePoint(position));
+    drawer.group.add(vertex);
+  });
+
+  let outline = null;
+  if (drawer.shape === GEOFENCE_SHAPES.POLYGON) {
+    outline = drawer.hover ? [...drawer.points, drawer.hover] : drawer.points;
+  } else if (drawer.hover) {
+    outline = getGeofenceOutline({
+      shape: GEOFENCE_SHAPES.CIRCLE,
+      center: drawer.points[0],
+      radiusMeters: Math.max(distanceMeters(drawer.points[0], drawer.hover), 1),
+    });
+  }
+
+  if (outline && outline.length > 1) {
+    const line = new THREE.LineLoop(new THREE.BufferGeometry().setFromPoints(outline.map(toScenePoint)), lineMaterial);
+    line.renderOrder = 3;
+    drawer.group.add(line);
+  } else {
+    lineMaterial.dispose();
+  }
+}
+
+/**
+ * Raycasts onto the ocean and converts the hit to lat/lon
+ *
+ * @returns {{latitude: number, longitude: number}|null} Hit position
+ */
+function raycastOcean(drawer, event) {
+  const rect = drawer.domElement.getBoundingClientRect();
+  drawer.pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  drawer.raycaster.setFromCamera(drawer.pointer, drawer.camera);
+
+  const hit = intersectOceanPlane(drawer.raycaster, drawer.ocean);
+  return hit ? CoordinateConverter.sceneToLatLon(hit.x, hit.z) : null;
+}
+
+/**
+ * Hands the finished shape to the owner and goes idle
+ */
+function complete(drawer, geometry) {
+  const { onComplete } = drawer;
+  stopGeofenceDrawing(drawer);
+  emitChange(drawer);
+  onComplete?.(geometry);
+}
+
+/**
+ * Finishes the polygon being drawn, if it has enough vertices
+ *
+ * @param {Object} drawer - State from createGeofenceDrawer
+ */
+export function finishGeofenceDrawing(drawer) {
+  if (drawer.shape !== GEOFENCE_SHAPES.POLYGON || drawer.points.length < GEOFENCE_DRAWER_CONFIG.minPolygonPoints) return;
+  complete(drawer, { shape: GEOFENCE_SHAPES.POLYGON, points: drawer.points });
+}
+
+/**
+ * Creates pointer and keyboard handlers bound to a drawer
+ */
+function createDrawerHandlers(drawer) {
+  const handlePointerDown = (event) => {
+    if (drawer.shape === null || event.button !== 0) return;
+    drawer.press = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerMove = (event) => {
+    if (drawer.shape === null || drawer.points.length === 0) return;
+    drawer.hover = raycastOcean(drawer, event);
+    rebuildDraft(drawer);
+  };
+
+  const handlePointerUp = (event) => {
+    const { press } = drawer;
+    drawer.press = null;
+    if (!press || drawer.shape === null || event.button !== 0) return;
+
+    // Ignore presses that turned into a camera orbit
+    if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > GEOFENCE_DRAWER_CONFIG.clickTolerance) return;
+
+    const hit = raycastOcean(drawer, event);
+    if (!hit) return;
+
+    if (drawer.shape === GEOFENCE_SHAPES.CIRCLE && drawer.points.length === 1) {
+      const radiusMeters = distanceMeters(drawer.points[0], hit);
+      if (radiusMeters >= GEOFENCE_DRAWER_CONFIG.minRadiusMeters) {
+        complete(drawer, { shape: GEOFENCE_SHAPES.CIRCLE, center: drawer.points[0], radiusMeters: Math.round(radiusMeters) });
+      }
+      return;
+    }
+
+    // The second click of a double-click lands on the vertex just added
+    const last = drawer.points[drawer.points.length - 1];
+    if (last && distanceMeters(last, hit) < GEOFENCE_DRAWER_CONFIG.minVertexSpacingMeters) return;
+
+    drawer.points = [...drawer.points, hit];
+    rebuildDraft(drawer);
+    emitChange(drawer);
+  };
+
+  const handleDoubleClick = () => {
+    finishGeofenceDrawing(drawer);
+  };
+
+  const handleKeyDown = (event) => {
+    if (drawer.shape === null) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName)) return;
+
+    if (event.key === 'Escape') {
+      stopGeofenceDrawing(drawer);
+      emitChange(drawer);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      finishGeofenceDrawing(drawer);
+    } else if (event.key === 'Backspace' && drawer.points.length > 0) {
+      event.preventDefault();
+      drawer.points = drawer.points.slice(0, -1);
+      rebuildDraft(drawer);
+      emitChange(drawer);
+    }
+  };
+
+  return { handlePointerDown, handlePointerMove, handlePointerUp, handleDoubleClick, handleKeyDown };
+}
+
+/**
+ * Creates a geofence drawer and attaches its input listeners
+ * The drawer is idle until startGeofenceDrawing is called.
+ *
+ * @param {Object} params - Drawer dependencies
+ * @param {THREE.Scene} params.scene - The Three.js scene
+ * @param {THREE.Camera} params.camera - Camera used for raycasting
+ * @param {HTMLElement} params.domElement - The renderer's DOM element
+ * @param {THREE.Mesh} params.ocean - Ocean mesh (clicks land on its still-water plane)
+ * @param {Function} params.onChange - Called with drawing progress (null when idle)
+ * @param {Function} params.onComplete - Called with the finished { shape, points } or { shape, center, radiusMeters }
+ * @returns {Object} Geofence drawer state
+ */
+export function createGeofenceDrawer({ scene, camera, domElement, ocean, onChange, onComplete }) {
+  const group = new THREE.Group();
+  group.name = 'geofence-drawer';
+  scene.add(group);
+
+  const drawer = {
+    scene,
+    camera,
+    domElement,
+    ocean,
+    onChange,
+    onComplete,
+    group,
+    raycaster: new THREE.Raycaster(),
+    pointer: new THREE.Vector2(),
+    shape: null,
+    points: [],
+    hover: null,
+    press: null,
+  };
+
+  drawer.handlers = createDrawerHandlers(drawer);
+  const { handlePointerDown, handlePointerMove, handlePointerUp, handleDoubleClick, handleKeyDown } = drawer.handlers;
+
+  domElement.addEventListener('pointerdown', handlePointerDown);
+  domElement.addEventListener('pointermove', handlePointerMove);
+  domElement.addEventListener('pointerup', handlePointerUp);
+  domElement.addEventListener('dblclick', handleDoubleClick);
+  window.addEventListener('keydown', handleKeyDown);
+
+  return drawer;
+}
+
+/**
+ * Starts drawing a new zone
+ *
+ * @param {Object} drawer - State from createGeofenceDrawer
+ * @param {string} shape - One of GEOFENCE_SHAPES
+ */
+export function startGeofenceDrawing(drawer, shape) {
+  drawer.shape = shape;
+  drawer.points = [];
+  drawer.hover = null;
+  clearDraft(drawer);
+  emitChange(drawer);
+}
+
+/**
+ * Stops drawing and removes the draft
+ *
+ * @param {Object} drawer - State from createGeofenceDrawer
+ */
+export function stopGeofenceDrawing(drawer) {
+  drawer.shape = null;
+  drawer.points = [];
+  drawer.hover = null;
+  drawer.press = null;
+  clearDraft(drawer);
+}
+
+/**
+ * Removes listeners and draft visuals
+ *
+ * @param {Object} drawer - State from createGeofenceDrawer
+ */
+export function disposeGeofenceDrawer(drawer) {
+  const { handlePointerDown, handlePointerMove, handlePointerUp, handleDoubleClick, handleKeyDown } = drawer.handlers;
+  drawer.domElement.removeEventListener('pointerdown', handlePointerDown);
+  drawer.domElement.removeEventListener('pointermove', handlePointerMove);
+  drawer.domElement.removeEventListener('pointerup', handlePointerUp);
+  drawer.domElement.removeEventListener('dblclick', handleDoubleClick);
+  window.removeEventListener('keydown', handleKeyDown);
+
+  stopGeofenceDrawing(drawer);
+  drawer.scene.remove(drawer.group);
+}
+
+export default {
+  GEOFENCE_DRAWER_CONFIG,
+  createGeofenceDrawer,
+  startGeofenceDrawing,
+  finishGeofenceDrawing,
+  stopGeofenceDrawing,
+  disposeGeofenceDrawer,
+};
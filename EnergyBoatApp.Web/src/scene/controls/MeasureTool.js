@@ -0,0 +1,404 @@
+/**
+ * MeasureTool Module
+ *
+ * Range and bearing between two points in the scene. While measuring, clicks
+ * from the scene picker set the ends: a vessel (the end follows the boat), the
+ * dock or a buoy, or any point on open water. The line, its end markers and a
+ * label with distance, bearing and ETA are updated every frame, so a
+ * measurement between moving boats stays live.
+ *   - Click two points; a third click starts a new measurement
+ *   - Escape stops measuring
+ */
+
+import * as THREE from 'three';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { PICKABLE_TYPES } from './ScenePicking.js';
+import { distanceMeters, bearingDegrees, METERS_PER_NAUTICAL_MILE } from '../../data/geodesy.js';
+import { intersectOceanPlane } from '../environment/OceanWaves.js';
+
+/**
+ * Measurement configuration (label sizes in screen pixels)
+ */
+export const MEASURE_TOOL_CONFIG = {
+  height: 0.5,              // Line height above the water
+  color: 0xFFEB3B,
+  markerRadius: 0.5,
+  labelCanvasWidth: 320,
+  labelCanvasHeight: 96,
+  labelPixelHeight: 54,
+  labelClearance: 1.5,      // Label raised above the line's midpoint
+  refreshInterval: 250,     // ms between readout updates (label and panel)
+};
+
+/**
+ * What a measurement end is attached to
+ */
+export const MEASURE_ANCHOR_TYPES = {
+  BOAT: 'boat',             // Follows a vessel
+  POINT: 'point',           // Fixed position (dock, buoy or open water)
+};
+
+const KNOTS_TO_METERS_PER_SECOND = METERS_PER_NAUTICAL_MILE / 3600;
+
+/**
+ * Formats a distance in nautical miles with kilometers alongside
+ *
+ * @param {number} meters - Distance in meters
+ * @returns {string} e.g. "1.24 nm (2.30 km)"
+ */
+export function formatMeasureDistance(meters) {
+  return `${(meters / METERS_PER_NAUTICAL_MILE).toFixed(2)} nm (${(meters / 1000).toFixed(2)} km)`;
+}
+
+/**
+ * Formats a true bearing
+ *
+ * @param {number} degrees - Bearing in degrees (0-360)
+ * @returns {string} e.g. "047° T"
+ */
+export function formatMeasureBearing(degrees) {
+  return `${String(Math.round(degrees) % 360).padStart(3, '0')}° T`;
+}
+
+/**
+ * Formats a travel time
+ *
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} e.g. "1 h 05 min", "12 min", "< 1 min"
+ */
+export function formatMeasureDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
+
+/**
+ * Draws the readout onto the label canvas
+ */
+function drawMeasureLabel(canvas, reading) {
+  const { width, height } = canvas;
+  const context = canvas.getContext('2d');
+  context.clearRect(0, 0, width, height);
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  context.beginPath();
+  context.roundRect(2, 2, width - 4, height - 4, 12);
+  context.fill();
+
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillStyle = '#FFEB3B';
+  context.font = 'bold 28px sans-serif';
+  context.fillText(formatMeasureDistance(reading.distanceMeters), width / 2, height * 0.32);
+
+  context.fillStyle = '#FFFFFF';
+  context.font = '22px sans-serif';
+  const eta = reading.eta ? ` • ETA ${formatMeasureDuration(reading.eta.seconds)}` : '';
+  context.fillText(`${formatMeasureBearing(reading.bearing)}${eta}`, width / 2, height * 0.7);
+}
+
+/**
+ * Creates the line, end markers and label (hidden until there is something to show)
+ */
+function createMeasureVisuals(group) {
+  const { color, markerRadius, labelCanvasWidth, labelCanvasHeight } = MEASURE_TOOL_CONFIG;
+
+  const line = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+    new THREE.LineDashedMaterial({ color, dashSize: 1, gapSize: 0.6, depthTest: false, transparent: true })
+  );
+  line.renderOrder = 4;
+  line.frustumCulled = false; // Ends move every frame
+  group.add(line);
+
+  const markerGeometry = new THREE.SphereGeometry(markerRadius, 12, 8);
+  const markerMaterial = new THREE.MeshBasicMaterial({ color, depthTest: false, transparent: true });
+  const markers = [0, 1].map(() => {
+    const marker = new THREE.Mesh(markerGeometry, markerMaterial);
+    marker.renderOrder = 4;
+    group.add(marker);
+    return marker;
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = labelCanvasWidth;
+  canvas.height = labelCanvasHeight;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+  label.center.set(0.5, 0);
+  label.renderOrder = 5;
+  label.raycast = () => {}; // Never block picking
+  group.add(label);
+
+  group.visible = false;
+  return { line, markers, label, canvas };
+}
+
+/**
+ * Scene position of an anchor this frame (null when its boat is gone)
+ */
+function resolveAnchor(anchor, boatMeshes) {
+  if (anchor.type === MEASURE_ANCHOR_TYPES.POINT) return anchor.scenePosition;
+  const boatMesh = boatMeshes[anchor.id];
+  return boatMesh ? { x: boatMesh.position.x, z: boatMesh.position.z } : null;
+}
+
+/**
+ * Time for the first moving vessel among the ends to cover the distance
+ */
+function estimateArrival(anchors, boatMeshes, meters) {
+  for (const anchor of anchors) {
+    if (anchor.type !== MEASURE_ANCHOR_TYPES.BOAT) continue;
+    const speedKnots = boatMeshes[anchor.id]?.userData.speedKnots;
+    if (speedKnots > 0) {
+      return { boatId: anchor.id, speedKnots, seconds: meters / (speedKnots * KNOTS_TO_METERS_PER_SECOND) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reports the current measurement to the owner
+ */
+function emitChange(tool) {
+  if (!tool.active) {
+    tool.onChange?.(null);
+    return;
+  }
+  tool.onChange?.({
+    anchors: tool.anchors.map(({ type, id, label }) => ({ type, id, label })),
+    reading: tool.reading,
+  });
+}
+
+/**
+ * Raycasts onto the ocean, returning the hit in scene coordinates
+ */
+function raycastOcean(tool, event) {
+  const rect = tool.domElement.getBoundingClientRect();
+  tool.pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  tool.raycaster.setFromCamera(tool.pointer, tool.camera);
+
+  const hit = intersectOceanPlane(tool.raycaster, tool.ocean);
+  return hit ? { x: hit.x, z: hit.z } : null;
+}
+
+/**
+ * Creates a measuring tool
+ * The tool is idle until startMeasuring is called; clicks are fed to it with
+ * addMeasureAnchor from the scene picker.
+ *
+ * @param {Object} params - Tool dependencies
+ * @param {THREE.Scene} params.scene - The Three.js scene
+ * @param {THREE.Camera} params.camera - Camera used for raycasting and label sizing
+ * @param {HTMLElement} params.domElement - The renderer's DOM element
+ * @param {THREE.Mesh} params.ocean - Ocean mesh for open-water points
+ * @param {Function} params.onChange - Called with { anchors, reading } while measuring, null when stopped
+ * @returns {Object} Measuring tool state
+ */
+export function createMeasureTool({ scene, camera, domElement, ocean, onChange }) {
+  const group = new THREE.Group();
+  group.name = 'measure-tool';
+  scene.add(group);
+
+  const tool = {
+    scene,
+    camera,
+    domElement,
+    ocean,
+    onChange,
+    group,
+    ...createMeasureVisuals(group),
+    raycaster: new THREE.Raycaster(),
+    pointer: new THREE.Vector2(),
+    active: false,
+    anchors: [],
+    hover: null,            // Open-water point under the pointer while placing the second end
+    reading: null,          // { distanceMeters, bearing, eta } once both ends are set
+    labelText: '',
+    lastRefresh: -Infinity,
+  };
+
+  const handlePointerMove = (event) => {
+    if (!tool.active || tool.anchors.length !== 1 || event.buttons !== 0) return;
+    tool.hover = raycastOcean(tool, event);
+  };
+
+  const handleKeyDown = (event) => {
+    if (!tool.active || event.key !== 'Escape') return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName)) return;
+    stopMeasuring(tool);
+  };
+
+  domElement.addEventListener('pointermove', handlePointerMove);
+  window.addEventListener('keydown', handleKeyDown);
+  tool.handlers = { handlePointerMove, handleKeyDown };
+
+  return tool;
+}
+
+/**
+ * Starts measuring (clears any previous measurement)
+ *
+ * @param {Object} tool - State from createMeasureTool
+ */
+export function startMeasuring(tool) {
+  tool.active = true;
+  tool.anchors = [];
+  tool.hover = null;
+  tool.reading = null;
+  emitChange(tool);
+}
+
+/**
+ * Stops measuring and hides the line
+ *
+ * @param {Object} tool - State from createMeasureTool
+ */
+export function stopMeasuring(tool) {
+  tool.active = false;
+  tool.anchors = [];
+  tool.hover = null;
+  tool.reading = null;
+  tool.group.visible = false;
+  emitChange(tool);
+}
+
+/**
+ * Sets the next end of the measurement from a scene click
+ * A third click starts a new measurement from the clicked point.
+ *
+ * @param {Object} tool - State from createMeasureTool
+ * @param {Object|null} pickable - Picked { type, id, label }, or null for open water
+ * @param {PointerEvent} event - The click
+ * @param {THREE.Object3D} [object] - Picked root object (fixed objects are measured from its position)
+ */
+export function addMeasureAnchor(tool, pickable, event, object) {
+  if (!tool.active) return;
+
+  let anchor;
+  if (pickable?.type === PICKABLE_TYPES.BOAT) {
+    anchor = { type: MEASURE_ANCHOR_TYPES.BOAT, id: pickable.id, label: pickable.id };
+  } else {
+    const world = pickable && object ? object.getWorldPosition(new THREE.Vector3()) : null;
+    const position = world ? { x: world.x, z: world.z } : raycastOcean(tool, event);
+    if (!position) return;
+    const { latitude, longitude } = CoordinateConverter.sceneToLatLon(position.x, position.z);
+    anchor = {
+      type: MEASURE_ANCHOR_TYPES.POINT,
+      id: pickable?.id ?? null,
+      label: pickable?.label ?? `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`,
+      scenePosition: position,
+    };
+  }
+
+  tool.anchors = tool.anchors.length >= 2 ? [anchor] : [...tool.anchors, anchor];
+  tool.hover = null;
+  tool.reading = null;
+  tool.labelText = '';
+  tool.lastRefresh = -Infinity; // Show the new reading right away
+  emitChange(tool);
+}
+
+/**
+ * Moves the line and markers to the current ends and refreshes the readout
+ * Call once per frame after boats have moved.
+ *
+ * @param {Object} tool - State from createMeasureTool
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {number} now - Current time (ms, performance.now)
+ */
+export function updateMeasurement(tool, boatMeshes, now) {
+  if (!tool?.active) return;
+
+  const ends = tool.anchors.map(anchor => resolveAnchor(anchor, boatMeshes));
+  if (ends.length === 1 && tool.hover) ends.push(tool.hover);
+  if (ends.length < 2 || ends.some(end => end === null)) {
+    tool.group.visible = false;
+    return;
+  }
+
+  const { height, labelClearance, labelPixelHeight, labelCanvasWidth, labelCanvasHeight, refreshInterval } = MEASURE_TOOL_CONFIG;
+  const [start, end] = ends.map(({ x, z }) => new THREE.Vector3(x, height, z));
+
+  const linePositions = tool.line.geometry.attributes.position;
+  linePositions.setXYZ(0, start.x, start.y, start.z);
+  linePositions.setXYZ(1, end.x, end.y, end.z);
+  linePositions.needsUpdate = true;
+  tool.line.computeLineDistances(); // Keeps the dash pattern even as the ends move
+  tool.markers[0].position.copy(start);
+  tool.markers[1].position.copy(end);
+  tool.markers[1].visible = tool.anchors.length === 2;
+
+  // Constant on-screen label size at the midpoint
+  const midpoint = start.clone().add(end).multiplyScalar(0.5);
+  midpoint.y += labelClearance;
+  tool.label.position.copy(midpoint);
+  const viewportHeight = tool.domElement.clientHeight || 1;
+  const unitsPerPixel = 2 * Math.tan(THREE.MathUtils.degToRad(tool.camera.fov) / 2) / viewportHeight;
+  const worldHeight = labelPixelHeight * tool.camera.position.distanceTo(midpoint) * unitsPerPixel;
+  tool.label.scale.set(worldHeight * (labelCanvasWidth / labelCanvasHeight), worldHeight, 1);
+  tool.group.visible = true;
+
+  if (now - tool.lastRefresh < refreshInterval) return;
+  tool.lastRefresh = now;
+
+  // Readout from true ground positions, not scene units
+  const [from, to] = ends.map(({ x, z }) => CoordinateConverter.sceneToLatLon(x, z));
+  const meters = distanceMeters(from, to);
+  const reading = {
+    distanceMeters: meters,
+    bearing: bearingDegrees(from, to),
+    eta: tool.anchors.length === 2 ? estimateArrival(tool.anchors, boatMeshes, meters) : null,
+  };
+
+  // Redraw and report only when the displayed values change
+  const labelText = `${formatMeasureDistance(reading.distanceMeters)}|${formatMeasureBearing(reading.bearing)}|${reading.eta ? formatMeasureDuration(reading.eta.seconds) : ''}`;
+  if (labelText === tool.labelText) return;
+  tool.labelText = labelText;
+  drawMeasureLabel(tool.canvas, reading);
+  tool.label.material.map.needsUpdate = true;
+
+  if (tool.anchors.length === 2) {
+    tool.reading = reading;
+    emitChange(tool);
+  }
+}
+
+/**
+ * Removes listeners and visuals
+ *
+ * @param {Object} tool - State from createMeasureTool
+ */
+export function disposeMeasureTool(tool) {
+  const { handlePointerMove, handleKeyDown } = tool.handlers;
+  tool.domElement.removeEventListener('pointermove', handlePointerMove);
+  window.removeEventListener('keydown', handleKeyDown);
+
+  tool.line.geometry.dispose();
+  tool.line.material.dispose();
+  tool.markers[0].geometry.dispose();
+  tool.markers[0].material.dispose();
+  tool.label.material.map.dispose();
+  tool.label.material.dispose();
+  tool.scene.remove(tool.group);
+}
+
+export default {
+  MEASURE_TOOL_CONFIG,
+  MEASURE_ANCHOR_TYPES,
+  formatMeasureDistance,
+  formatMeasureBearing,
+  formatMeasureDuration,
+  createMeasureTool,
+  startMeasuring,
+  stopMeasuring,
+  addMeasureAnchor,
+  updateMeasurement,
+  disposeMeasureTool,
+};
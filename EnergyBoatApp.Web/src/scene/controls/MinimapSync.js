@@ -0,0 +1,141 @@
+/**
+ * MinimapSync Module
+ *
+ * Links the 2D chart overlay to the 3D scene. Reads what the chart draws
+ * (boats, routes, buoys, dock and the camera's footprint on the water) in
+ * scene coordinates, and moves the OrbitControls target when the chart is
+ * clicked or dragged. The chart covers the active site's operating area.
+ */
+
+import * as THREE from 'three';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { getActiveSite } from '../../data/siteConfig.js';
+import { VESSEL_FILTER_STATES } from '../vessels/VesselLOD.js';
+
+/**
+ * Minimap configuration (scene units)
+ */
+export const MINIMAP_SYNC_CONFIG = {
+  margin: 10,                // Water shown around the operating area
+  footprintMaxDistance: 400, // Where view rays above the horizon are cut off
+};
+
+const WATER_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const FOOTPRINT_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]]; // NDC, counter-clockwise from bottom-left
+
+/**
+ * Scene-space rectangle shown by the chart (north is -Z)
+ *
+ * @returns {{minX: number, maxX: number, minZ: number, maxZ: number}} Chart extent
+ */
+export function getChartBounds() {
+  const { margin } = MINIMAP_SYNC_CONFIG;
+  const { bounds } = getActiveSite();
+  const southWest = CoordinateConverter.latLonToScene({ latitude: bounds.minLat, longitude: bounds.minLon });
+  const northEast = CoordinateConverter.latLonToScene({ latitude: bounds.maxLat, longitude: bounds.maxLon });
+  return {
+    minX: southWest.x - margin,
+    maxX: northEast.x + margin,
+    minZ: northEast.z - margin,
+    maxZ: southWest.z + margin,
+  };
+}
+
+/**
+ * Outline of what the camera sees on the water
+ * Corners looking above the horizon are cut off at footprintMaxDistance.
+ *
+ * @param {THREE.PerspectiveCamera} camera - Rendering camera
+ * @returns {Array<{x: number, z: number}>} Four corners on the water plane
+ */
+export function getCameraFootprint(camera) {
+  const ray = new THREE.Ray();
+  const hit = new THREE.Vector3();
+
+  return FOOTPRINT_CORNERS.map(([x, y]) => {
+    ray.origin.copy(camera.position);
+    ray.direction.set(x, y, 0.5).unproject(camera).sub(camera.position).normalize();
+
+    const distance = ray.distanceToPlane(WATER_PLANE);
+    if (distance !== null && distance <= MINIMAP_SYNC_CONFIG.footprintMaxDistance) {
+      ray.at(distance, hit);
+    } else {
+      // Looking at or above the horizon - go as far as the cut-off, flat on the water
+      ray.direction.y = 0;
+      ray.direction.normalize();
+      ray.at(MINIMAP_SYNC_CONFIG.footprintMaxDistance, hit);
+    }
+    return { x: hit.x, z: hit.z };
+  });
+}
+
+/**
+ * Collects everything the chart draws for the current frame
+ *
+ * @param {Object} sources - Scene state
+ * @param {THREE.PerspectiveCamera} sources.camera - Rendering camera
+ * @param {Object} sources.controls - OrbitControls instance
+ * @param {Object} sources.boatMeshes - Boat meshes by ID
+ * @param {Object} [sources.routeSystem] - State from createRouteSystem
+ * @returns {Object} Chart view: boats, routes, buoys, dock, footprint and target
+ */
+export function getMinimapView({ camera, controls, boatMeshes, routeSystem }) {
+  const boats = Object.entries(boatMeshes)
+    .filter(([, boatMesh]) => boatMesh?.visible) // Boats hidden by the fleet filter stay off the chart
+    .map(([id, boatMesh]) => ({
+      id,
+      x: boatMesh.position.x,
+      z: boatMesh.position.z,
+      yaw: boatMesh.rotation.y, // Bow is +X in the model
+      status: boatMesh.userData.status,
+      dimmed: boatMesh.userData.filterState === VESSEL_FILTER_STATES.DIMMED,
+    }));
+
+  const routes = routeSystem?.group.visible
+    ? Object.entries(routeSystem.routes)
+      .filter(([, route]) => route.group.visible)
+      .map(([boatId, route]) => ({
+        boatId,
+        points: route.points.map(point => ({ x: point.x, z: point.z })),
+        activeIndex: route.activeIndex,
+      }))
+    : [];
+
+  const { buoys: buoyPositions, dock } = getActiveSite();
+  const buoys = buoyPositions.map(position => CoordinateConverter.latLonToScene(position));
+
+  return {
+    boats,
+    routes,
+    buoys,
+    dock: { x: 0, z: 0, rotation: THREE.MathUtils.degToRad(dock.rotationDegrees) }, // Scene origin is the dock
+    footprint: camera ? getCameraFootprint(camera) : [],
+    target: controls ? { x: controls.target.x, z: controls.target.z } : null,
+  };
+}
+
+/**
+ * Moves the orbit target to a point on the water, keeping the view angle and distance
+ *
+ * @param {THREE.Camera} camera - Rendering camera
+ * @param {Object} controls - OrbitControls instance
+ * @param {number} x - Scene X of the new target
+ * @param {number} z - Scene Z of the new target
+ */
+export function panCameraTo(camera, controls, x, z) {
+  const dx = x - controls.target.x;
+  const dz = z - controls.target.z;
+  controls.target.x = x;
+  controls.target.z = z;
+  camera.position.x += dx;
+  camera.position.z += dz;
+  controls.update();
+}
+
+export default {
+  MINIMAP_SYNC_CONFIG,
+  getChartBounds,
+  getCameraFootprint,
+  getMinimapView,
+  panCameraTo,
+};
@@ -0,0 +1,539 @@
+/**
+ * RouteEditor Module
+ *
+ * Interactive waypoint editing on the ocean surface. Pointer events are
+ * raycast onto the still-water plane and converted back to lat/lon:
+ *   - Click open water to append a waypoint (or insert it when clicking on a leg)
+ *   - Drag a waypoint handle to move it
+ *   - Right-click a handle, or select it and press Delete, to remove it
+ *   - Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) to undo / redo
+ * Waypoints must stay inside the active site's bounds. Saving is left to the caller.
+ */
+
+import * as THREE from 'three';
+import { isWithinSiteBounds } from '../../data/siteConfig.js';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { createWaypointLabel } from '../overlays/RouteOverlay.js';
+import { intersectOceanPlane } from '../environment/OceanWaves.js';
+
+/**
+ * Route editor configuration
+ */
+export const ROUTE_EDITOR_CONFIG = {
+  height: 0.3,              // Draft sits above the saved route overlay
+  handleRadius: 0.9,
+  handleColor: 0xFFFFFF,
+  selectedColor: 0xFF4081,  // Pink - handle targeted by Delete
+  lineColor: 0xFF4081,
+  labelHeight: 2.4,
+  insertDistance: 1.5,      // Clicks this close to a leg (scene units) insert instead of append
+  clickTolerance: 5,        // Pointer travel (px) above which a press counts as a camera drag
+  historyLimit: 100,
+};
+
+/**
+ * Checks whether a position lies inside the operating area
+ *
+ * @param {Object} waypoint - Position to check
+ * @param {number} waypoint.latitude - Latitude in degrees
+ * @param {number} waypoint.longitude - Longitude in degrees
+ * @returns {boolean} True when inside the active site's bounds
+ */
+export function isWithinBounds(waypoint) {
+  return isWithinSiteBounds(waypoint);
+}
+
+/**
+ * Validates a draft route before saving
+ *
+ * @param {Array<{latitude: number, longitude: number}>} waypoints - Draft waypoints in sailing order
+ * @returns {string|null} Problem description, or null when the route can be saved
+ */
+export function validateRouteDraft(waypoints) {
+  if (waypoints.length === 0) {
+    return 'A route needs at least one waypoint';
+  }
+  const outside = waypoints.findIndex((waypoint) => !isWithinBounds(waypoint));
+  if (outside !== -1) {
+    return `Waypoint ${outside + 1} is outside the operating area`;
+  }
+  return null;
+}
+
+/**
+ * Distance from a point to a line segment on the XZ plane
+ */
+function distanceToSegment(point, a, b) {
+  const abX = b.x - a.x;
+  const abZ = b.z - a.z;
+  const lengthSq = abX * abX + abZ * abZ;
+  const t = lengthSq === 0
+    ? 0
+    : Math.max(0, Math.min(1, ((point.x - a.x) * abX + (point.z - a.z) * abZ) / lengthSq));
+  return Math.hypot(point.x - (a.x + abX * t), point.z - (a.z + abZ * t));
+}
+
+/**
+ * Finds the index a new waypoint should be inserted at when clicked near a leg
+ *
+ * @returns {number} Insert index, or -1 when the click is not on a leg
+ */
+function findInsertIndex(waypoints, point) {
+  if (waypoints.length < 2) return -1;
+
+  const scenePoints = waypoints.map((waypoint) => CoordinateConverter.latLonToScene(waypoint));
+  let bestIndex = -1;
+  let bestDistance = ROUTE_EDITOR_CONFIG.insertDistance;
+
+  // Routes loop, so the closing leg (last → first) is editable too
+  scenePoints.forEach((start, i) => {
+    const end = scenePoints[(i + 1) % scenePoints.length];
+    const distance = distanceToSegment(point, start, end);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = i + 1;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * Reports editor state to the owner
+ */
+function emitChange(editor) {
+  editor.onChange?.({
+    boatId: editor.boatId,
+    waypoints: editor.waypoints,
+    selectedIndex: editor.selectedIndex,
+    canUndo: editor.undoStack.length > 0,
+    canRedo: editor.redoStack.length > 0,
+    dirty: JSON.stringify(editor.waypoints) !== JSON.stringify(editor.savedWaypoints),
+    error: editor.error,
+  });
+}
+
+/**
+ * Disposes and removes all draft visuals
+ */
+function clearDraft(editor) {
+  editor.group.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+  editor.group.clear();
+  editor.line = null;
+  editor.handles = [];
+}
+
+/**
+ * Rebuilds the draft line and handles from the current waypoints
+ */
+function rebuildDraft(editor) {
+  clearDraft(editor);
+  if (editor.boatId === null || editor.waypoints.length === 0) return;
+
+  const line = new THREE.LineLoop(
+    new THREE.BufferGeometry(),
+    new THREE.LineBasicMaterial({ color: ROUTE_EDITOR_CONFIG.lineColor, depthWrite: false })
+  );
+  line.renderOrder = 3;
+  editor.group.add(line);
+  editor.line = line;
+
+  editor.handles = editor.waypoints.map((waypoint, i) => {
+    const handle = new THREE.Mesh(
+      new THREE.SphereGeometry(ROUTE_EDITOR_CONFIG.handleRadius, 16, 12),
+      new THREE.MeshBasicMaterial({ color: ROUTE_EDITOR_CONFIG.handleColor })
+    );
+    handle.userData.waypointIndex = i;
+
+    const label = createWaypointLabel(i);
+    label.position.set(0, ROUTE_EDITOR_CONFIG.labelHeight, 0);
+    handle.add(label);
+
+    editor.group.add(handle);
+    return handle;
+  });
+
+  updateDraftPositions(editor);
+}
+
+/**
+ * Moves existing draft visuals to match the waypoints (used while dragging)
+ */
+function updateDraftPositions(editor) {
+  const points = editor.waypoints.map((waypoint) => {
+    const { x, z } = CoordinateConverter.latLonToScene(waypoint);
+    return new THREE.Vector3(x, ROUTE_EDITOR_CONFIG.height, z);
+  });
+
+  editor.line?.geometry.setFromPoints(points);
+  editor.handles.forEach((handle, i) => {
+    handle.position.copy(points[i]);
+    handle.material.color.setHex(
+      i === editor.selectedIndex ? ROUTE_EDITOR_CONFIG.selectedColor : ROUTE_EDITOR_CONFIG.handleColor
+    );
+  });
+}
+
+/**
+ * Records the current waypoints for undo and applies a new set
+ */
+function commit(editor, waypoints, previous = editor.waypoints) {
+  editor.undoStack.push(previous);
+  if (editor.undoStack.length > ROUTE_EDITOR_CONFIG.historyLimit) {
+    editor.undoStack.shift();
+  }
+  editor.redoStack = [];
+  editor.waypoints = waypoints;
+  editor.error = null;
+  rebuildDraft(editor);
+  emitChange(editor);
+}
+
+/**
+ * Rejects an edit and tells the owner why
+ */
+function reject(editor, error) {
+  editor.error = error;
+  emitChange(editor);
+}
+
+/**
+ * Updates the raycaster from a pointer event
+ */
+function setRayFromEvent(editor, event) {
+  const rect = editor.domElement.getBoundingClientRect();
+  editor.pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  editor.raycaster.setFromCamera(editor.pointer, editor.camera);
+}
+
+/**
+ * Raycasts onto the ocean and converts the hit to lat/lon
+ *
+ * @returns {{latitude: number, longitude: number, x: number, z: number}|null} Hit position
+ */
+function raycastOcean(editor, event) {
+  setRayFromEvent(editor, event);
+  const hit = intersectOceanPlane(editor.raycaster, editor.ocean);
+  if (!hit) return null;
+
+  const { latitude, longitude } = CoordinateConverter.sceneToLatLon(hit.x, hit.z);
+  return { latitude, longitude, x: hit.x, z: hit.z };
+}
+
+/**
+ * Finds the waypoint handle under the pointer
+ *
+ * @returns {number} Waypoint index, or -1
+ */
+function pickHandle(editor, event) {
+  setRayFromEvent(editor, event);
+  const [hit] = editor.raycaster.intersectObjects(editor.handles, false);
+  return hit ? hit.object.userData.waypointIndex : -1;
+}
+
+/**
+ * Removes a waypoint, keeping at least one
+ */
+function deleteWaypoint(editor, index) {
+  if (editor.waypoints.length <= 1) {
+    reject(editor, 'A route needs at least one waypoint');
+    return;
+  }
+  editor.selectedIndex = null;
+  commit(editor, editor.waypoints.filter((_, i) => i !== index));
+}
+
+/**
+ * Creates pointer and keyboard handlers bound to an editor
+ */
+function createEditorHandlers(editor) {
+  const handlePointerDown = (event) => {
+    if (editor.boatId === null || event.button !== 0) return;
+
+    const index = pickHandle(editor, event);
+    if (index !== -1) {
+      // Take the gesture away from OrbitControls while dragging a handle
+      event.stopImmediatePropagation();
+      editor.controls.enabled = false;
+      editor.domElement.setPointerCapture(event.pointerId);
+      editor.selectedIndex = index;
+      editor.drag = { index, pointerId: event.pointerId, before: editor.waypoints, moved: false };
+      updateDraftPositions(editor);
+      emitChange(editor);
+      return;
+    }
+
+    editor.press = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerMove = (event) => {
+    const { drag } = editor;
+    if (!drag || event.pointerId !== drag.pointerId) return;
+
+    const hit = raycastOcean(editor, event);
+    if (!hit) return;
+
+    if (!isWithinBounds(hit)) {
+      if (editor.error === null) reject(editor, 'Waypoints must stay inside the operating area');
+      return;
+    }
+
+    editor.waypoints = editor.waypoints.map((waypoint, i) =>
+      i === drag.index ? { latitude: hit.latitude, longitude: hit.longitude } : waypoint
+    );
+    drag.moved = true;
+    editor.error = null;
+    updateDraftPositions(editor);
+  };
+
+  const handlePointerUp = (event) => {
+    const { drag, press } = editor;
+
+    if (drag && event.pointerId === drag.pointerId) {
+      editor.drag = null;
+      editor.controls.enabled = true;
+      if (editor.domElement.hasPointerCapture(event.pointerId)) {
+        editor.domElement.releasePointerCapture(event.pointerId);
+      }
+      if (drag.moved) {
+        commit(editor, editor.waypoints, drag.before);
+      } else {
+        emitChange(editor);
+      }
+      return;
+    }
+
+    editor.press = null;
+    if (!press || editor.boatId === null || event.button !== 0) return;
+
+    // Ignore presses that turned into a camera orbit
+    if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > ROUTE_EDITOR_CONFIG.clickTolerance) return;
+
+    const hit = raycastOcean(editor, event);
+    if (!hit) return;
+
+    if (!isWithinBounds(hit)) {
+      reject(editor, 'Waypoints must be placed inside the operating area');
+      return;
+    }
+
+    const waypoint = { latitude: hit.latitude, longitude: hit.longitude };
+    const insertIndex = findInsertIndex(editor.waypoints, hit);
+    const waypoints = [...editor.waypoints];
+    if (insertIndex === -1) {
+      waypoints.push(waypoint);
+    } else {
+      waypoints.splice(insertIndex, 0, waypoint);
+    }
+    editor.selectedIndex = insertIndex === -1 ? waypoints.length - 1 : insertIndex;
+    commit(editor, waypoints);
+  };
+
+  const handleContextMenu = (event) => {
+    if (editor.boatId === null) return;
+
+    const index = pickHandle(editor, event);
+    if (index === -1) return;
+
+    event.preventDefault();
+    deleteWaypoint(editor, index);
+  };
+
+  const handleKeyDown = (event) => {
+    if (editor.boatId === null) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName)) return;
+
+    const key = event.key.toLowerCase();
+    const modifier = event.ctrlKey || event.metaKey;
+
+    if (modifier && key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) {
+        redoRouteEdit(editor);
+      } else {
+        undoRouteEdit(editor);
+      }
+    } else if (modifier && key === 'y') {
+      event.preventDefault();
+      redoRouteEdit(editor);
+    } else if ((key === 'delete' || key === 'backspace') && editor.selectedIndex !== null) {
+      event.preventDefault();
+      deleteWaypoint(editor, editor.selectedIndex);
+    }
+  };
+
+  return { handlePointerDown, handlePointerMove, handlePointerUp, handleContextMenu, handleKeyDown };
+}
+
+/**
+ * Creates a route editor and attaches its input listeners
+ * The editor is idle until startRouteEditing is called.
+ *
+ * @param {Object} params - Editor dependencies
+ * @param {THREE.Scene} params.scene - The Three.js scene
+ * @param {THREE.Camera} params.camera - Camera used for raycasting
+ * @param {HTMLElement} params.domElement - The renderer's DOM element
+ * @param {THREE.Mesh} params.ocean - Ocean mesh (clicks land on its still-water plane)
+ * @param {Object} params.controls - OrbitControls instance (paused while dragging)
+ * @param {Function} params.onChange - Called with editor state after every change
+ * @returns {Object} Route editor state
+ */
+export function createRouteEditor({ scene, camera, domElement, ocean, controls, onChange }) {
+  const group = new THREE.Group();
+  group.name = 'route-editor';
+  scene.add(group);
+
+  const editor = {
+    scene,
+    camera,
+    domElement,
+    ocean,
+    controls,
+    onChange,
+    group,
+    raycaster: new THREE.Raycaster(),
+    pointer: new THREE.Vector2(),
+    line: null,
+    handles: [],
+    boatId: null,
+    waypoints: [],
+    savedWaypoints: [],
+    undoStack: [],
+    redoStack: [],
+    selectedIndex: null,
+    error: null,
+    drag: null,
+    press: null,
+  };
+
+  editor.handlers = createEditorHandlers(editor);
+  const { handlePointerDown, handlePointerMove, handlePointerUp, handleContextMenu, handleKeyDown } = editor.handlers;
+
+  // Capture phase so handle drags run before OrbitControls sees the pointer
+  domElement.addEventListener('pointerdown', handlePointerDown, true);
+  domElement.addEventListener('pointermove', handlePointerMove);
+  domElement.addEventListener('pointerup', handlePointerUp);
+  domElement.addEventListener('contextmenu', handleContextMenu);
+  window.addEventListener('keydown', handleKeyDown);
+
+  return editor;
+}
+
+/**
+ * Starts editing a boat's route
+ *
+ * @param {Object} editor - State from createRouteEditor
+ * @param {string} boatId - Boat whose route is edited
+ * @param {Array<{latitude: number, longitude: number}>} waypoints - Current route in sailing order
+ */
+export function startRouteEditing(editor, boatId, waypoints) {
+  editor.boatId = boatId;
+  editor.waypoints = waypoints.map(({ latitude, longitude }) => ({ latitude, longitude }));
+  editor.savedWaypoints = editor.waypoints;
+  editor.undoStack = [];
+  editor.redoStack = [];
+  editor.selectedIndex = null;
+  editor.error = null;
+  rebuildDraft(editor);
+  emitChange(editor);
+}
+
+/**
+ * Stops editing and removes the draft (unsaved changes are discarded)
+ *
+ * @param {Object} editor - State from createRouteEditor
+ */
+export function stopRouteEditing(editor) {
+  if (editor.drag) {
+    editor.controls.enabled = true;
+    editor.drag = null;
+  }
+  editor.boatId = null;
+  editor.waypoints = [];
+  editor.savedWaypoints = [];
+  editor.undoStack = [];
+  editor.redoStack = [];
+  editor.selectedIndex = null;
+  editor.error = null;
+  clearDraft(editor);
+}
+
+/**
+ * Reverts the last edit
+ *
+ * @param {Object} editor - State from createRouteEditor
+ */
+export function undoRouteEdit(editor) {
+  if (editor.undoStack.length === 0) return;
+  editor.redoStack.push(editor.waypoints);
+  editor.waypoints = editor.undoStack.pop();
+  editor.selectedIndex = null;
+  editor.error = null;
+  rebuildDraft(editor);
+  emitChange(editor);
+}
+
+/**
+ * Re-applies the last undone edit
+ *
+ * @param {Object} editor - State from createRouteEditor
+ */
+export function redoRouteEdit(editor) {
+  if (editor.redoStack.length === 0) return;
+  editor.undoStack.push(editor.waypoints);
+  editor.waypoints = editor.redoStack.pop();
+  editor.selectedIndex = null;
+  editor.error = null;
+  rebuildDraft(editor);
+  emitChange(editor);
+}
+
+/**
+ * Marks the current draft as saved (clears the dirty flag, keeps history)
+ *
+ * @param {Object} editor - State from createRouteEditor
+ */
+export function markRouteSaved(editor) {
+  editor.savedWaypoints = editor.waypoints;
+  editor.error = null;
+  emitChange(editor);
+}
+
+/**
+ * Removes listeners and draft visuals
+ *
+ * @param {Object} editor - State from createRouteEditor
+ */
+export function disposeRouteEditor(editor) {
+  const { handlePointerDown, handlePointerMove, handlePointerUp, handleContextMenu, handleKeyDown } = editor.handlers;
+  editor.domElement.removeEventListener('pointerdown', handlePointerDown, true);
+  editor.domElement.removeEventListener('pointermove', handlePointerMove);
+  editor.domElement.removeEventListener('pointerup', handlePointerUp);
+  editor.domElement.removeEventListener('contextmenu', handleContextMenu);
+  window.removeEventListener('keydown', handleKeyDown);
+
+  stopRouteEditing(editor);
+  editor.scene.remove(editor.group);
+}
+
+export default {
+  ROUTE_EDITOR_CONFIG,
+  isWithinBounds,
+  validateRouteDraft,
+  createRouteEditor,
+  startRouteEditing,
+  stopRouteEditing,
+  undoRouteEdit,
+  redoRouteEdit,
+  markRouteSaved,
+  disposeRouteEditor,
+};
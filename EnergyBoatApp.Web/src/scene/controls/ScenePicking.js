@@ -0,0 +1,240 @@
+/**
+ * ScenePicking Module
+ *
+ * Raycast picking for boats, the dock and buoys. Objects opt in with
+ * markPickable(); the picker reports hover (with pointer position for
+ * tooltips) and clicks, and draws a ring under the hovered object.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Kinds of pickable objects
+ */
+export const PICKABLE_TYPES = {
+  BOAT: 'boat',
+  DOCK: 'dock',
+  BUOY: 'buoy',
+};
+
+/**
+ * Picking configuration
+ */
+export const PICKING_CONFIG = {
+  clickTolerance: 5,        // Pointer travel (px) above which a press counts as a camera drag
+  highlightColor: 0xFFFFFF,
+  highlightOpacity: 0.8,
+  highlightPadding: 1.15,   // Ring radius relative to the object's horizontal extent
+};
+
+/**
+ * Tags an object (and therefore all its children) as pickable
+ *
+ * @param {THREE.Object3D} object - Root object to pick (boat group, dock group, buoy)
+ * @param {Object} info - Pick information reported to callbacks
+ * @param {string} info.type - One of PICKABLE_TYPES
+ * @param {string} info.id - Identifier (boat ID for boats)
+ * @param {string} info.label - Default tooltip text
+ */
+export function markPickable(object, { type, id, label }) {
+  object.userData.pickable = { type, id, label };
+}
+
+/**
+ * Walks up from a hit mesh to the object tagged with markPickable
+ * Instanced meshes can map each instance to its root with userData.instanceRoots.
+ *
+ * @returns {THREE.Object3D|null} Pickable root
+ */
+function findPickableRoot(object, instanceId) {
+  const instanceRoot = object.userData.instanceRoots?.[instanceId];
+  if (instanceRoot) return findPickableRoot(instanceRoot);
+
+  let current = object;
+  while (current) {
+    if (current.userData.pickable) return current;
+    current = current.parent;
+  }
+  return null;
+}
+
+/**
+ * Creates the flat ring drawn under the hovered object
+ */
+function createHighlightRing() {
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(0.9, 1, 48),
+    new THREE.MeshBasicMaterial({
+      color: PICKING_CONFIG.highlightColor,
+      transparent: true,
+      opacity: PICKING_CONFIG.highlightOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    })
+  );
+  ring.name = 'pick-highlight';
+  ring.rotation.x = -Math.PI / 2;
+  ring.raycast = () => {}; // Never pick the highlight itself
+  ring.visible = false;
+  return ring;
+}
+
+/**
+ * Moves the highlight ring under a pickable root (or hides it)
+ */
+function attachHighlight(picker, root) {
+  const { highlight } = picker;
+  highlight.parent?.remove(highlight);
+  highlight.visible = false;
+  if (!root) return;
+
+  // Size from the horizontal extent so tall masts don't inflate the ring
+  const box = new THREE.Box3().setFromObject(root);
+  const size = box.getSize(new THREE.Vector3());
+  const worldRadius = (Math.max(size.x, size.z) / 2) * PICKING_CONFIG.highlightPadding;
+  const rootScale = root.getWorldScale(new THREE.Vector3()).x || 1;
+  const radius = worldRadius / rootScale;
+
+  highlight.scale.set(radius, radius, 1);
+  // Sit just above the water regardless of the root's own height
+  highlight.position.set(0, (0.05 - root.getWorldPosition(new THREE.Vector3()).y) / rootScale, 0);
+  root.add(highlight);
+  highlight.visible = true;
+}
+
+/**
+ * Raycasts from a pointer event to the nearest pickable root
+ */
+function pickFromEvent(picker, event) {
+  const rect = picker.domElement.getBoundingClientRect();
+  picker.pointer.set(
+    ((event.clientX - rect.left) / rect.width) * 2 - 1,
+    -((event.clientY - rect.top) / rect.height) * 2 + 1
+  );
+  picker.raycaster.setFromCamera(picker.pointer, picker.camera);
+
+  const hits = picker.raycaster.intersectObjects(picker.getTargets(), true);
+  for (const hit of hits) {
+    const root = findPickableRoot(hit.object, hit.instanceId);
+    if (root) return root;
+  }
+  return null;
+}
+
+/**
+ * Creates a scene picker and attaches pointer listeners
+ *
+ * @param {Object} params - Picker dependencies
+ * @param {THREE.Camera} params.camera - Camera used for raycasting
+ * @param {HTMLElement} params.domElement - The renderer's DOM element
+ * @param {Function} params.getTargets - Returns the objects to test (boats, dock, buoys)
+ * @param {Function} params.onHover - Called with ({ type, id, label }, { x, y }) or (null) when nothing is hovered
+ * @param {Function} params.onPick - Called with ({ type, id, label }, event, root) on click, or (null, event) for a click on open water
+ * @returns {Object} Picker state
+ */
+export function createScenePicker({ camera, domElement, getTargets, onHover, onPick }) {
+  const picker = {
+    camera,
+    domElement,
+    getTargets,
+    onHover,
+    onPick,
+    raycaster: new THREE.Raycaster(),
+    pointer: new THREE.Vector2(),
+    highlight: createHighlightRing(),
+    hovered: null,
+    press: null,
+    enabled: true,
+  };
+
+  const setHovered = (root, event) => {
+    if (root !== picker.hovered) {
+      picker.hovered = root;
+      attachHighlight(picker, root);
+      domElement.style.cursor = root ? 'pointer' : 'grab';
+    }
+
+    if (root) {
+      const rect = domElement.getBoundingClientRect();
+      onHover?.(root.userData.pickable, { x: event.clientX - rect.left, y: event.clientY - rect.top });
+    } else {
+      onHover?.(null);
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    // Skip hover work while orbiting the camera
+    if (!picker.enabled || event.buttons !== 0) return;
+    setHovered(pickFromEvent(picker, event), event);
+  };
+
+  const handlePointerLeave = () => {
+    if (picker.hovered) {
+      picker.hovered = null;
+      attachHighlight(picker, null);
+      domElement.style.cursor = 'grab';
+    }
+    onHover?.(null);
+  };
+
+  const handlePointerDown = (event) => {
+    picker.press = event.button === 0 ? { x: event.clientX, y: event.clientY } : null;
+  };
+
+  const handlePointerUp = (event) => {
+    const { press } = picker;
+    picker.press = null;
+    if (!picker.enabled || !press || event.button !== 0) return;
+    if (Math.hypot(event.clientX - press.x, event.clientY - press.y) > PICKING_CONFIG.clickTolerance) return;
+
+    const root = pickFromEvent(picker, event);
+    onPick?.(root ? root.userData.pickable : null, event, root);
+  };
+
+  domElement.addEventListener('pointermove', handlePointerMove);
+  domElement.addEventListener('pointerleave', handlePointerLeave);
+  domElement.addEventListener('pointerdown', handlePointerDown);
+  domElement.addEventListener('pointerup', handlePointerUp);
+
+  picker.handlers = { handlePointerMove, handlePointerLeave, handlePointerDown, handlePointerUp };
+  return picker;
+}
+
+/**
+ * Enables or disables picking (e.g. while another tool owns the pointer)
+ *
+ * @param {Object} picker - State from createScenePicker
+ * @param {boolean} enabled - Whether hover and clicks are handled
+ */
+export function setPickingEnabled(picker, enabled) {
+  picker.enabled = enabled;
+  if (!enabled) {
+    picker.handlers.handlePointerLeave();
+  }
+}
+
+/**
+ * Removes listeners and the highlight ring
+ *
+ * @param {Object} picker - State from createScenePicker
+ */
+export function disposeScenePicker(picker) {
+  const { handlePointerMove, handlePointerLeave, handlePointerDown, handlePointerUp } = picker.handlers;
+  picker.domElement.removeEventListener('pointermove', handlePointerMove);
+  picker.domElement.removeEventListener('pointerleave', handlePointerLeave);
+  picker.domElement.removeEventListener('pointerdown', handlePointerDown);
+  picker.domElement.removeEventListener('pointerup', handlePointerUp);
+
+  attachHighlight(picker, null);
+  picker.highlight.geometry.dispose();
+  picker.highlight.material.dispose();
+}
+
+export default {
+  PICKABLE_TYPES,
+  PICKING_CONFIG,
+  markPickable,
+  createScenePicker,
+  setPickingEnabled,
+  disposeScenePicker,
+};
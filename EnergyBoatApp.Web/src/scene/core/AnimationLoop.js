@@ -3,80 +3,120 @@
  * 
  * Main animation loop handling water animation, boat movement, buoy bobbing,
  * keyboard controls, and rendering. Synchronized with speed multiplier.
+ * Boats and buoys float on the Gerstner surface from OceanWaves.js.
  * 
  * Phase 6 of refactoring - extracted from BoatScene.jsx
  */
 
 import * as THREE from 'three';
 import { updateCameraFromKeyboard } from '../controls/KeyboardControls.js';
+import { interpolateBoats } from './SnapshotInterpolation.js';
+import { updateTrails } from '../overlays/BoatTrails.js';
+import { updateAlertHighlights } from '../overlays/AlertHighlights.js';
+import { updateCameraRig } from '../controls/CameraModes.js';
+import { updateWeather } from '../environment/WeatherSystem.js';
+import { advanceWaves, getWaveHeight, getHullMotion } from '../environment/OceanWaves.js';
+import { updateVesselLOD } from '../vessels/VesselLOD.js';
+import { updateVesselStatusEffects } from '../vessels/VesselStatus.js';
+import { updateBoatLabels } from '../overlays/BoatLabels.js';
+import { updateMeasurement } from '../controls/MeasureTool.js';
+
+/**
+ * Hull sample spacing for wave motion (matches vessels/atoms/Hull.js)
+ * A boat can override it with userData.hullLength / userData.hullBeam.
+ */
+export const HULL_WAVE_SAMPLES = {
+  length: 9.5,
+  beam: 3.2,
+};
+
+/**
+ * How far buoys ride above the surface, and the step used to measure its slope
+ */
+const BUOY_FREEBOARD = 0.5;
+const BUOY_SLOPE_STEP = 0.5;
 
 /**
  * Animates water shader time uniform
  * 
  * @param {THREE.Mesh} ocean - Ocean mesh with Water material
  * @param {number} speedMultiplier - Current speed multiplier
+ * @param {number} [waveSpeed] - Wind-driven wave speed factor from WeatherSystem
  */
-export function animateWater(ocean, speedMultiplier) {
-  ocean.material.uniforms['time'].value += (1.0 / 60.0) * speedMultiplier;
+export function animateWater(ocean, speedMultiplier, waveSpeed = 1) {
+  const delta = (1.0 / 60.0) * speedMultiplier * waveSpeed;
+  ocean.material.uniforms['time'].value += delta;
+  advanceWaves(ocean, delta);
 }
 
 /**
- * Animates boat with bobbing and rocking motion
+ * Floats a boat on the wave surface: heave, pitch and roll from hull samples
  * 
- * @param {THREE.Group} boatMesh - Boat mesh to animate
- * @param {number} time - Current time in seconds
+ * @param {THREE.Group} boatMesh - Boat mesh to animate (origin at the waterline)
+ * @param {THREE.Mesh} ocean - Ocean mesh with waves applied
  */
-export function animateBoat(boatMesh, time) {
+export function animateBoat(boatMesh, ocean) {
   if (!boatMesh) return;
   
-  // Vertical bobbing motion
-  const bobbingOffset = Math.sin(time * 2 + boatMesh.position.x) * 0.15;
-  boatMesh.position.y = 1.5 + bobbingOffset;
+  // Heading first, then pitch about the beam, then roll about the keel
+  if (boatMesh.rotation.order !== 'YZX') {
+    boatMesh.rotation.order = 'YZX';
+  }
   
-  // Rocking motion synchronized with waves
-  boatMesh.rotation.z = Math.sin(time * 1.5 + boatMesh.position.x) * 0.05;
-  boatMesh.rotation.x = Math.cos(time * 1.2 + boatMesh.position.z) * 0.03;
+  const { heave, pitch, roll } = getHullMotion(
+    ocean,
+    boatMesh.position.x,
+    boatMesh.position.z,
+    boatMesh.rotation.y,
+    boatMesh.userData.hullLength ?? HULL_WAVE_SAMPLES.length,
+    boatMesh.userData.hullBeam ?? HULL_WAVE_SAMPLES.beam
+  );
+  boatMesh.position.y = heave;
+  boatMesh.rotation.z = pitch;
+  boatMesh.rotation.x = roll;
 }
 
 /**
  * Animates all boats in the scene
  * 
  * @param {Object} boatMeshes - Object containing boat meshes by ID
- * @param {number} time - Current time in seconds
+ * @param {THREE.Mesh} ocean - Ocean mesh with waves applied
  */
-export function animateAllBoats(boatMeshes, time) {
+export function animateAllBoats(boatMeshes, ocean) {
   Object.values(boatMeshes).forEach((boatMesh) => {
-    animateBoat(boatMesh, time);
+    animateBoat(boatMesh, ocean);
   });
 }
 
 /**
- * Animates buoy with bobbing and rotation
+ * Floats a buoy on the wave surface, leaning with its slope
  * 
  * @param {THREE.Object3D} buoy - Buoy object to animate
- * @param {number} time - Current time in seconds
+ * @param {THREE.Mesh} ocean - Ocean mesh with waves applied
  */
-export function animateBuoy(buoy, time) {
+export function animateBuoy(buoy, ocean) {
   if (buoy.userData.bobOffset === undefined) return;
   
-  // Vertical bobbing motion
-  const buoyBob = Math.sin(time * 1.5 + buoy.userData.bobOffset) * 0.2;
-  buoy.position.y = 0.5 + buoyBob;
+  const { x, z } = buoy.position;
+  const height = getWaveHeight(ocean, x, z);
+  const slopeX = (getWaveHeight(ocean, x + BUOY_SLOPE_STEP, z) - height) / BUOY_SLOPE_STEP;
+  const slopeZ = (getWaveHeight(ocean, x, z + BUOY_SLOPE_STEP) - height) / BUOY_SLOPE_STEP;
   
-  // Slight rotation with waves
-  buoy.rotation.z = Math.sin(time + buoy.userData.bobOffset) * 0.1;
+  buoy.position.y = height + BUOY_FREEBOARD;
+  buoy.rotation.z = Math.atan(slopeX);
+  buoy.rotation.x = -Math.atan(slopeZ);
 }
 
 /**
  * Animates all buoys in the scene
  * 
  * @param {THREE.Scene} scene - Scene containing buoys
- * @param {number} time - Current time in seconds
+ * @param {THREE.Mesh} ocean - Ocean mesh with waves applied
  */
-export function animateAllBuoys(scene, time) {
+export function animateAllBuoys(scene, ocean) {
   scene.traverse((object) => {
     if (object.userData.bobOffset !== undefined) {
-      animateBuoy(object, time);
+      animateBuoy(object, ocean);
     }
   });
 }
@@ -91,6 +131,14 @@ export function animateAllBuoys(scene, time) {
  * @param {Object} params.controls - OrbitControls instance
  * @param {THREE.Mesh} params.ocean - Ocean mesh
  * @param {Object} params.boatMeshes - Boat meshes by ID
+ * @param {Object} params.boatSnapshots - Per-boat API snapshots for interpolation
+ * @param {Object} params.trailSystem - Boat trail state from createTrailSystem
+ * @param {Object} params.alertHighlightSystem - Alert ring state from createAlertHighlightSystem
+ * @param {Object} params.cameraRig - Camera mode state from createCameraRig
+ * @param {Object} params.weatherSystem - Fog/rain/sea state from createWeatherSystem
+ * @param {Object} params.vesselLOD - Boat detail levels and icon layer from createVesselLODSystem
+ * @param {Object} params.boatLabels - Floating vessel labels from createBoatLabelSystem
+ * @param {Object} params.measureTool - Range/bearing measurement from createMeasureTool
  * @param {Object} params.keysPressed - Keyboard state ref
  * @param {Object} params.speedMultiplierRef - Speed multiplier ref
  * @returns {Function} Animation loop function
@@ -102,29 +150,52 @@ export function createAnimationLoop({
   controls,
   ocean,
   boatMeshes,
+  boatSnapshots,
+  trailSystem,
+  alertHighlightSystem,
+  cameraRig,
+  weatherSystem,
+  vesselLOD,
+  boatLabels,
+  measureTool,
   keysPressed,
   speedMultiplierRef,
 }) {
+  let frameId = null;
   const animate = () => {
-    requestAnimationFrame(animate);
+    frameId = requestAnimationFrame(animate);
+
+    // Blend weather first; it sets wave speed and rocking for this frame
+    const now = performance.now();
+    updateWeather(weatherSystem, camera, now);
 
     // Update water animation (read current speed from ref)
-    animateWater(ocean, speedMultiplierRef.current);
+    animateWater(ocean, speedMultiplierRef.current, weatherSystem?.waveSpeed);
 
     // Handle keyboard camera movement
     updateCameraFromKeyboard(camera, controls, keysPressed);
 
-    // Animate boats with bobbing motion
-    const time = performance.now() * 0.001; // Convert to seconds
-    animateAllBoats(boatMeshes, time);
+    // Tween boats between API snapshots, then float them on the waves
+    interpolateBoats(boatMeshes, boatSnapshots, now, speedMultiplierRef.current);
+    updateTrails(trailSystem, boatMeshes, now);
+    updateAlertHighlights(alertHighlightSystem, boatMeshes, now);
+    updateVesselStatusEffects(boatMeshes, now);
+    animateAllBoats(boatMeshes, ocean);
 
     // Animate buoys
-    animateAllBuoys(scene, time);
+    animateAllBuoys(scene, ocean);
+
+    // Track the selected boat (follow/chase/top-down/bridge modes)
+    updateCameraRig(cameraRig, boatMeshes, now);
 
-    // Update controls and render
+    // Update controls, then place detail levels, labels and the measurement for where the camera ended up, and render
     controls.update();
+    updateVesselLOD(vesselLOD, camera, boatMeshes);
+    updateBoatLabels(boatLabels, camera, boatMeshes, now);
+    updateMeasurement(measureTool, boatMeshes, now);
     renderer.render(scene, camera);
   };
+  animate.stop = () => cancelAnimationFrame(frameId);
 
   return animate;
 }
@@ -138,7 +209,17 @@ export function startAnimation(animateFunction) {
   animateFunction();
 }
 
+/**
+ * Stops an animation loop started with startAnimation
+ * 
+ * @param {Function} animateFunction - Animation function from createAnimationLoop
+ */
+export function stopAnimation(animateFunction) {
+  animateFunction.stop();
+}
+
 export default {
+  HULL_WAVE_SAMPLES,
   animateWater,
   animateBoat,
   animateAllBoats,
@@ -146,4 +227,5 @@ export default {
   animateAllBuoys,
   createAnimationLoop,
   startAnimation,
+  stopAnimation,
 };
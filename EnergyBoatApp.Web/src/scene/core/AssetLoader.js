@@ -0,0 +1,74 @@
+/**
+ * AssetLoader Module
+ *
+ * Registry and preloader for the scene's image assets. Files live in
+ * src/assets and are imported, so Vite fingerprints them and ships them with
+ * the build - nothing is fetched from other hosts, which keeps offline
+ * installs working. Every asset has a procedural fallback used when its file
+ * cannot be loaded.
+ */
+
+import * as THREE from 'three';
+import waterNormalsUrl from '../../assets/textures/waternormals.png';
+import { createProceduralWaterNormals } from '../utils/ProceduralTextures.js';
+
+/**
+ * Textures the scene needs before it is shown
+ * Each entry: url (bundled by Vite), configure(texture) after load, fallback() when loading fails.
+ */
+export const SCENE_ASSETS = {
+  waterNormals: {
+    url: waterNormalsUrl,
+    configure: (texture) => {
+      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+    },
+    fallback: createProceduralWaterNormals,
+  },
+};
+
+/**
+ * Loads every scene asset through one LoadingManager
+ * Never rejects: a file that fails is replaced by its fallback and logged.
+ *
+ * @param {Object} [options] - Loader options
+ * @param {Function} [options.onProgress] - Called with { loaded, total, url } as items finish (including failures)
+ * @returns {Promise<Object<string, THREE.Texture>>} Textures keyed like SCENE_ASSETS
+ */
+export function preloadSceneAssets({ onProgress } = {}) {
+  const entries = Object.entries(SCENE_ASSETS);
+  const manager = new THREE.LoadingManager();
+  manager.onProgress = (url, loaded, total) => onProgress?.({ loaded, total, url });
+
+  const loader = new THREE.TextureLoader(manager);
+  onProgress?.({ loaded: 0, total: entries.length, url: null });
+
+  return Promise.all(entries.map(async ([name, asset]) => {
+    try {
+      const texture = await loader.loadAsync(asset.url);
+      asset.configure?.(texture);
+      texture.name = name;
+      return [name, texture];
+    } catch (error) {
+      console.warn(`⚠️ Asset "${name}" failed to load from ${asset.url} - using procedural fallback`, error);
+      return [name, asset.fallback()];
+    }
+  })).then((loaded) => {
+    console.log(`📦 Scene assets ready (${loaded.length})`);
+    return Object.fromEntries(loaded);
+  });
+}
+
+/**
+ * Disposes textures returned by preloadSceneAssets
+ *
+ * @param {Object<string, THREE.Texture>} assets - Loaded assets
+ */
+export function disposeSceneAssets(assets) {
+  Object.values(assets).forEach(texture => texture.dispose());
+}
+
+export default {
+  SCENE_ASSETS,
+  preloadSceneAssets,
+  disposeSceneAssets,
+};
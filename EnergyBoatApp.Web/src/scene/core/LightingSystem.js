@@ -2,7 +2,7 @@
  * LightingSystem Module
  * 
  * Creates and manages scene lighting including ambient light, sun light, and fill light.
- * Synchronized with sky system for realistic day/night lighting.
+ * Synchronized with sky system for realistic day/night lighting; dock and buoy lamps switch on at dusk.
  * 
  * Phase 6 of refactoring - extracted from BoatScene.jsx
  */
@@ -114,6 +114,30 @@ export function updateSunIntensity(sunLight, intensity) {
   sunLight.intensity = intensity;
 }
 
+/**
+ * Switches lamps tagged with `userData.isNightLight` on or off
+ * Point lights drop to zero intensity (not hidden, which would recompile shaders)
+ * and glowing fixtures dim; original values are remembered on first use.
+ * 
+ * @param {THREE.Object3D} root - Scene or object to search
+ * @param {boolean} on - True at night
+ */
+export function setNightLights(root, on) {
+  root.traverse((object) => {
+    if (!object.userData.isNightLight) return;
+
+    if (object.isLight) {
+      object.userData.onIntensity ??= object.intensity;
+      object.intensity = on ? object.userData.onIntensity : 0;
+    } else if (object.material?.emissive) {
+      // Fixtures may share a material, so the original value lives on the material
+      const { material } = object;
+      material.userData.onEmissiveIntensity ??= material.emissiveIntensity;
+      material.emissiveIntensity = on ? material.userData.onEmissiveIntensity : material.userData.onEmissiveIntensity * 0.1;
+    }
+  });
+}
+
 export default {
   createAmbientLight,
   createSunLight,
@@ -122,4 +146,5 @@ export default {
   updateSunPosition,
   updateAmbientIntensity,
   updateSunIntensity,
+  setNightLights,
 };
@@ -0,0 +1,161 @@
+/**
+ * SnapshotInterpolation Module
+ *
+ * Smooths boat motion between API snapshots. Each boat keeps its last two
+ * timestamped samples; the animation loop tweens position and heading from
+ * the previously rendered pose toward the newest sample, and extrapolates
+ * briefly along the last known velocity when the next sample is late.
+ */
+
+import { headingToRotation } from '../utils/BoatHelpers.js';
+import { getPollingInterval } from '../../services/boatStream.js';
+
+/**
+ * Interpolation tuning
+ */
+export const INTERPOLATION_CONFIG = {
+  // Fraction of a sample interval we keep moving past the newest sample
+  maxExtrapolation: 0.5,
+  // Jumps larger than this (scene units) snap instead of tweening (e.g. reset)
+  teleportDistance: 25,
+  // Measured sample interval is clamped to this range of the expected interval
+  minIntervalFactor: 0.5,
+  maxIntervalFactor: 2.0,
+};
+
+/**
+ * Returns the signed shortest angular difference between two headings
+ *
+ * @param {number} from - Start heading in degrees
+ * @param {number} to - End heading in degrees
+ * @returns {number} Difference in degrees (-180 to 180)
+ */
+export function shortestHeadingDelta(from, to) {
+  return ((((to - from) % 360) + 540) % 360) - 180;
+}
+
+/**
+ * Interpolates heading along the shortest arc
+ *
+ * @param {number} from - Start heading in degrees
+ * @param {number} to - End heading in degrees
+ * @param {number} t - Interpolation factor (may exceed 1 for extrapolation)
+ * @returns {number} Heading in degrees (0-360)
+ */
+export function lerpHeading(from, to, t) {
+  const heading = from + shortestHeadingDelta(from, to) * t;
+  return ((heading % 360) + 360) % 360;
+}
+
+/**
+ * Records a new snapshot for a boat
+ *
+ * @param {Object} snapshots - Per-boat snapshot store (boatId → entry)
+ * @param {string} boatId - Boat identifier
+ * @param {Object} sample - Pose from the API in scene space
+ * @param {number} sample.x - Scene X coordinate
+ * @param {number} sample.z - Scene Z coordinate
+ * @param {number} sample.heading - Nautical heading in degrees
+ * @param {number} time - Arrival timestamp (performance.now() milliseconds)
+ */
+export function pushSnapshot(snapshots, boatId, sample, time) {
+  const entry = snapshots[boatId];
+  const snapshot = { x: sample.x, z: sample.z, heading: sample.heading, time };
+
+  if (!entry) {
+    snapshots[boatId] = { previous: null, current: snapshot, rendered: { ...snapshot } };
+    return;
+  }
+
+  const { current } = entry;
+  const jump = Math.hypot(snapshot.x - current.x, snapshot.z - current.z);
+  if (jump > INTERPOLATION_CONFIG.teleportDistance) {
+    // Reset or resync - snap rather than sweep across the scene
+    snapshots[boatId] = { previous: null, current: snapshot, rendered: { ...snapshot } };
+    return;
+  }
+
+  // Tween starts from whatever is on screen so extrapolation never causes a jump back
+  entry.previous = { ...entry.rendered, time: current.time };
+  entry.current = snapshot;
+}
+
+/**
+ * Removes snapshot history for boats no longer present
+ *
+ * @param {Object} snapshots - Per-boat snapshot store
+ * @param {Set<string>} activeIds - Boat IDs present in the latest update
+ */
+export function pruneSnapshots(snapshots, activeIds) {
+  Object.keys(snapshots).forEach((boatId) => {
+    if (!activeIds.has(boatId)) {
+      delete snapshots[boatId];
+    }
+  });
+}
+
+/**
+ * Samples the interpolated pose for one boat
+ *
+ * @param {Object} entry - Snapshot entry for the boat
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ * @param {number} speedMultiplier - Current simulation speed multiplier
+ * @returns {{x: number, z: number, heading: number}} Pose to render
+ */
+export function samplePose(entry, now, speedMultiplier) {
+  const { previous, current } = entry;
+  if (!previous) {
+    return current;
+  }
+
+  // Expected gap between samples follows the speed-dependent update cadence
+  const expectedInterval = getPollingInterval(speedMultiplier);
+  const interval = Math.min(
+    expectedInterval * INTERPOLATION_CONFIG.maxIntervalFactor,
+    Math.max(expectedInterval * INTERPOLATION_CONFIG.minIntervalFactor, current.time - previous.time)
+  );
+
+  const t = Math.min(
+    1 + INTERPOLATION_CONFIG.maxExtrapolation,
+    Math.max(0, (now - current.time) / interval)
+  );
+
+  return {
+    x: previous.x + (current.x - previous.x) * t,
+    z: previous.z + (current.z - previous.z) * t,
+    heading: lerpHeading(previous.heading, current.heading, t),
+  };
+}
+
+/**
+ * Applies interpolated poses to all boat meshes
+ * Should be called once per frame from the animation loop
+ *
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {Object} snapshots - Per-boat snapshot store
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ * @param {number} speedMultiplier - Current simulation speed multiplier
+ */
+export function interpolateBoats(boatMeshes, snapshots, now, speedMultiplier) {
+  Object.entries(boatMeshes).forEach(([boatId, boatMesh]) => {
+    const entry = snapshots[boatId];
+    if (!boatMesh || !entry) return;
+
+    const pose = samplePose(entry, now, speedMultiplier);
+    entry.rendered = { x: pose.x, z: pose.z, heading: pose.heading };
+
+    boatMesh.position.x = pose.x;
+    boatMesh.position.z = pose.z;
+    boatMesh.rotation.y = headingToRotation(pose.heading);
+  });
+}
+
+export default {
+  INTERPOLATION_CONFIG,
+  shortestHeadingDelta,
+  lerpHeading,
+  pushSnapshot,
+  pruneSnapshots,
+  samplePose,
+  interpolateBoats,
+};
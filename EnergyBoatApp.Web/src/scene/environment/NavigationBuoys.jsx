@@ -9,6 +9,7 @@
 
 import * as THREE from 'three';
 import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { getActiveSite } from '../../data/siteConfig.js';
 
 /**
  * Creates a single navigation buoy
@@ -50,38 +51,29 @@ export function createBuoy() {
   });
   const light = new THREE.Mesh(lightGeometry, lightMaterial);
   light.position.y = 1;
+  light.userData.isNightLight = true; // Switched on at dusk (see LightingSystem.setNightLights)
   buoyGroup.add(light);
 
   // Point light for atmospheric effect
   const pointLight = new THREE.PointLight(0xFFFFFF, 0.5, 10);
   pointLight.position.y = 1;
+  pointLight.userData.isNightLight = true;
   buoyGroup.add(pointLight);
 
   return buoyGroup;
 }
 
-/**
- * Default boundary points for North Sea area around London
- * Updated to match expanded BOUNDS in Constants.js
- */
-export const DEFAULT_BOUNDARY_POINTS = [
-  { lat: 51.48, lon: -0.16 },   // Southwest
-  { lat: 51.48, lon: -0.09 },   // Southeast (expanded from -0.10)
-  { lat: 51.53, lon: -0.16 },   // Northwest
-  { lat: 51.53, lon: -0.09 },   // Northeast (expanded from -0.10)
-];
-
 /**
  * Creates and places buoys at boundary corners
  * 
  * @param {THREE.Scene} scene - The Three.js scene
- * @param {Array} boundaryPoints - Array of {lat, lon} boundary points
+ * @param {Array} boundaryPoints - Array of {latitude, longitude} boundary points (defaults to the active site's buoys)
  * @param {Object} coordinateConfig - Coordinate conversion configuration
  * @returns {Array<THREE.Group>} Array of buoy groups
  */
 export function createBoundaryBuoys(
   scene,
-  boundaryPoints = DEFAULT_BOUNDARY_POINTS,
+  boundaryPoints = getActiveSite().buoys,
   coordinateConfig = {}
 ) {
   const buoys = [];
@@ -90,10 +82,7 @@ export function createBoundaryBuoys(
     const buoy = createBuoy();
     
     // Convert lat/lon to scene coordinates
-    const sceneCoords = CoordinateConverter.latLonToScene({
-      latitude: point.lat,
-      longitude: point.lon
-    });
+    const sceneCoords = CoordinateConverter.latLonToScene(point);
     
     buoy.position.x = sceneCoords.x;
     buoy.position.y = 0.5;  // Floating on water
@@ -147,5 +136,4 @@ export default {
   createBoundaryBuoys,
   animateBuoy,
   animateAllBuoys,
-  DEFAULT_BOUNDARY_POINTS,
 };
@@ -2,7 +2,8 @@
  * OceanEnvironment Component
  * 
  * Manages the ocean water surface with realistic Water shader.
- * Includes wave animations synchronized with speed multiplier.
+ * Includes wave animations synchronized with speed multiplier; the surface
+ * is displaced by the shared Gerstner waves from OceanWaves.js.
  * 
  * Phase 2 of refactoring - extracted from BoatScene.jsx
  */
@@ -10,6 +11,8 @@
 import { useEffect, useRef } from 'react';
 import * as THREE from 'three';
 import { Water } from 'three/examples/jsm/objects/Water.js';
+import { createOceanGeometry, applyWavesToWater, advanceWaves } from './OceanWaves.js';
+import { createProceduralWaterNormals } from '../utils/ProceduralTextures.js';
 
 /**
  * Creates and manages the ocean water surface
@@ -17,19 +20,11 @@ import { Water } from 'three/examples/jsm/objects/Water.js';
  * @param {THREE.Scene} scene - The Three.js scene to add ocean to
  * @param {THREE.Vector3} sunPosition - Sun position for water reflections
  * @param {number} speedMultiplier - Speed multiplier for wave animations
+ * @param {THREE.Texture} [waterNormals] - Normal map for wave details (procedural until assets are loaded)
  * @returns {THREE.Mesh} The ocean water mesh
  */
-export function createOcean(scene, sunPosition, speedMultiplier = 1.0) {
-  const waterGeometry = new THREE.PlaneGeometry(10000, 10000);
-  
-  // Load water normal map for realistic wave details
-  const textureLoader = new THREE.TextureLoader();
-  const waterNormals = textureLoader.load(
-    'https://threejs.org/examples/textures/waternormals.jpg',
-    (texture) => {
-      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-    }
-  );
+export function createOcean(scene, sunPosition, speedMultiplier = 1.0, waterNormals = createProceduralWaterNormals()) {
+  const waterGeometry = createOceanGeometry(10000);
 
   const water = new Water(waterGeometry, {
     textureWidth: 512,
@@ -38,18 +33,33 @@ export function createOcean(scene, sunPosition, speedMultiplier = 1.0) {
     sunDirection: sunPosition.clone().normalize(),
     sunColor: 0xffffff,
     waterColor: 0x2C7DA0,  // Ocean blue
-    distortionScale: 3.7,
-    fog: false,
+    distortionScale: 3.7,  // Driven by sea state once WeatherSystem is running
+    fog: true,             // Fades into WeatherSystem fog
     alpha: 1.0,
   });
 
   water.rotation.x = -Math.PI / 2;
   water.receiveShadow = true;
   water.userData.isOcean = true;
+  applyWavesToWater(water);
   
   return water;
 }
 
+/**
+ * Swaps the ocean's normal map (e.g. once preloaded assets arrive)
+ * 
+ * @param {THREE.Mesh} ocean - The ocean mesh
+ * @param {THREE.Texture} waterNormals - New repeating normal map
+ * @returns {THREE.Texture} The previous normal map, for the caller to dispose
+ */
+export function setOceanNormals(ocean, waterNormals) {
+  const uniform = ocean.material.uniforms['normalSampler'];
+  const previous = uniform.value;
+  uniform.value = waterNormals;
+  return previous;
+}
+
 /**
  * Updates ocean wave animation
  * Should be called in animation loop
@@ -62,7 +72,9 @@ export function updateOceanAnimation(ocean, speedMultiplier = 1.0) {
   
   // Update Water shader time uniform for animated waves
   // Multiply by speedMultiplier so water moves faster/slower with simulation speed
-  ocean.material.uniforms['time'].value += (1.0 / 60.0) * speedMultiplier;
+  const delta = (1.0 / 60.0) * speedMultiplier;
+  ocean.material.uniforms['time'].value += delta;
+  advanceWaves(ocean, delta);
 }
 
 /**
@@ -0,0 +1,301 @@
+/**
+ * OceanWaves Module
+ *
+ * One set of Gerstner waves shared by the GPU and the CPU. The wave components,
+ * time and amplitude live in the water material's uniforms; the vertex shader
+ * displaces the ocean with them and the sampling functions here read the same
+ * uniforms, so boats and buoys ride the surface that is actually drawn.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Wave configuration
+ * Component directions are offsets from the main wave direction (set from the
+ * wind by WeatherSystem). Steepness values must sum to less than 1 at the
+ * largest amplitude or crests loop over themselves.
+ */
+export const WAVE_CONFIG = {
+  components: [
+    { angle: 0, wavelength: 60, steepness: 0.12 },     // Long swell
+    { angle: 25, wavelength: 31, steepness: 0.1 },
+    { angle: -35, wavelength: 18, steepness: 0.08 },
+    { angle: 60, wavelength: 11, steepness: 0.05 },    // Short chop
+  ],
+  gravity: 9.8,              // Deep-water dispersion: speed = sqrt(g / k)
+  fadeStart: 300,            // Distance from the origin where waves start to flatten (beyond the operating area)
+  fadeEnd: 800,              // Flat beyond this, where the ocean grid is coarse
+  maxSteepness: 0.9,         // Cap on summed steepness × amplitude
+  normalStrength: 2.0,       // How much wave slopes tilt the shading normal
+  oceanSegments: 400,        // Grid resolution of the ocean plane
+  gridCoreFraction: 0.08,    // Share of the grid spread evenly; the rest packs cells towards the center
+  heightIterations: 2,       // Passes used to undo horizontal displacement when sampling height
+};
+
+const GLSL_WAVE_FUNCTIONS = /* glsl */`
+  #define WAVE_COUNT ${WAVE_CONFIG.components.length}
+  #define WAVE_GRAVITY ${WAVE_CONFIG.gravity.toFixed(2)}
+  uniform vec4 waveComponents[ WAVE_COUNT ]; // direction.xz, steepness, wavelength
+  uniform float waveTime;
+  uniform float waveAmplitude;
+  uniform vec2 waveFade;
+  varying vec3 vWaveNormal;
+
+  vec3 gerstnerDisplacement( vec2 p, out vec3 normal ) {
+    float scale = waveAmplitude * ( 1.0 - smoothstep( waveFade.x, waveFade.y, length( p ) ) );
+    vec3 displacement = vec3( 0.0 );
+    vec3 tangent = vec3( 1.0, 0.0, 0.0 );
+    vec3 binormal = vec3( 0.0, 0.0, 1.0 );
+    for ( int i = 0; i < WAVE_COUNT; i++ ) {
+      vec2 d = waveComponents[ i ].xy;
+      float steepness = waveComponents[ i ].z * scale;
+      float k = 6.28318530718 / waveComponents[ i ].w;
+      float f = k * ( dot( d, p ) - sqrt( WAVE_GRAVITY / k ) * waveTime );
+      float a = steepness / k;
+      displacement += vec3( d.x * a * cos( f ), a * sin( f ), d.y * a * cos( f ) );
+      tangent += vec3( -d.x * d.x * steepness * sin( f ), d.x * steepness * cos( f ), -d.x * d.y * steepness * sin( f ) );
+      binormal += vec3( -d.x * d.y * steepness * sin( f ), d.y * steepness * cos( f ), -d.y * d.y * steepness * sin( f ) );
+    }
+    normal = normalize( cross( binormal, tangent ) );
+    return displacement;
+  }
+`;
+
+/**
+ * Creates the ocean plane with cells packed towards the center
+ * Waves need small cells where boats are; far water only needs to reach the horizon.
+ *
+ * @param {number} size - Plane width and depth in scene units
+ * @returns {THREE.PlaneGeometry} Plane geometry (XY plane, rotate to lie flat)
+ */
+export function createOceanGeometry(size) {
+  const { oceanSegments, gridCoreFraction } = WAVE_CONFIG;
+  const geometry = new THREE.PlaneGeometry(size, size, oceanSegments, oceanSegments);
+  const half = size / 2;
+
+  // Linear near the center, quartic towards the edges; still reaches ±half
+  const remap = (value) => {
+    const t = Math.abs(value) / half;
+    return Math.sign(value) * half * (gridCoreFraction * t + (1 - gridCoreFraction) * t ** 4);
+  };
+
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    positions.setXY(i, remap(positions.getX(i)), remap(positions.getY(i)));
+  }
+  positions.needsUpdate = true;
+  geometry.computeBoundingSphere();
+
+  return geometry;
+}
+
+/**
+ * Adds Gerstner displacement to a three.js Water material
+ *
+ * @param {THREE.Mesh} water - Water mesh from createOcean
+ */
+export function applyWavesToWater(water) {
+  const { material } = water;
+
+  material.uniforms.waveComponents = { value: WAVE_CONFIG.components.map(() => new THREE.Vector4()) };
+  material.uniforms.waveTime = { value: 0 };
+  material.uniforms.waveAmplitude = { value: 1 };
+  material.uniforms.waveFade = { value: new THREE.Vector2(WAVE_CONFIG.fadeStart, WAVE_CONFIG.fadeEnd) };
+  setWaveDirection(water, 0);
+
+  // Depth comes from the undisplaced plane so overlays drawn just above sea level stay visible over crests
+  const vertexShader = material.vertexShader
+    .replace('void main() {', `${GLSL_WAVE_FUNCTIONS}\nvoid main() {`)
+    .replace(
+      'mirrorCoord = modelMatrix * vec4( position, 1.0 );',
+      `vec4 flatWorld = modelMatrix * vec4( position, 1.0 );
+      mirrorCoord = flatWorld + vec4( gerstnerDisplacement( flatWorld.xz, vWaveNormal ), 0.0 );`
+    )
+    .replace(
+      /vec4 mvPosition =\s+modelViewMatrix \* vec4\( position, 1\.0 \);\s+gl_Position = projectionMatrix \* mvPosition;/,
+      `vec4 mvPosition = viewMatrix * worldPosition;
+      gl_Position = projectionMatrix * mvPosition;
+      vec4 flatClip = projectionMatrix * viewMatrix * flatWorld;
+      gl_Position.z = flatClip.z / flatClip.w * gl_Position.w;`
+    );
+
+  const fragmentShader = material.fragmentShader
+    .replace('varying vec4 worldPosition;', 'varying vec4 worldPosition;\nvarying vec3 vWaveNormal;')
+    .replace(
+      'vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );',
+      `vec3 surfaceNormal = normalize( noise.xzy * vec3( 1.5, 1.0, 1.5 ) );
+      surfaceNormal = normalize( surfaceNormal + vec3( vWaveNormal.x, 0.0, vWaveNormal.z ) * ${WAVE_CONFIG.normalStrength.toFixed(2)} );`
+    );
+
+  if (!vertexShader.includes('gerstnerDisplacement( flatWorld.xz') || !vertexShader.includes('flatClip')) {
+    console.warn('⚠️ Water shader layout not recognised - ocean waves are disabled');
+    material.uniforms.waveAmplitude.value = 0;
+    return;
+  }
+
+  material.vertexShader = vertexShader;
+  material.fragmentShader = fragmentShader;
+  material.needsUpdate = true;
+}
+
+/**
+ * Points every wave component relative to a main direction of travel
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} bearing - Compass bearing the main swell travels TOWARDS (degrees)
+ */
+export function setWaveDirection(water, bearing) {
+  const components = water.material.uniforms.waveComponents?.value;
+  if (!components) return;
+
+  WAVE_CONFIG.components.forEach((component, index) => {
+    // Scene north is -Z and east is +X
+    const angle = THREE.MathUtils.degToRad(bearing + component.angle);
+    components[index].set(Math.sin(angle), -Math.cos(angle), component.steepness, component.wavelength);
+  });
+}
+
+/**
+ * Sets the wave amplitude multiplier (clamped so crests never loop)
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} amplitude - 1 uses the configured steepness as-is
+ */
+export function setWaveAmplitude(water, amplitude) {
+  const uniform = water.material.uniforms.waveAmplitude;
+  if (!uniform) return;
+  const totalSteepness = WAVE_CONFIG.components.reduce((sum, component) => sum + component.steepness, 0);
+  uniform.value = THREE.MathUtils.clamp(amplitude, 0, WAVE_CONFIG.maxSteepness / totalSteepness);
+}
+
+/**
+ * Advances wave time (call with the same step as the water's own time uniform)
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} deltaSeconds - Simulated seconds to advance
+ */
+export function advanceWaves(water, deltaSeconds) {
+  const uniform = water.material.uniforms.waveTime;
+  if (uniform) uniform.value += deltaSeconds;
+}
+
+/**
+ * Gerstner displacement of the flat-plane point (x, z), matching the vertex shader
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} x - Scene X of the undisplaced point
+ * @param {number} z - Scene Z of the undisplaced point
+ * @param {THREE.Vector3} target - Receives the displacement
+ * @returns {THREE.Vector3} The target vector
+ */
+export function getWaveDisplacement(water, x, z, target) {
+  target.set(0, 0, 0);
+  const uniforms = water?.material.uniforms;
+  if (!uniforms?.waveComponents) return target;
+
+  const fade = uniforms.waveFade.value;
+  const distance = Math.hypot(x, z);
+  const scale = uniforms.waveAmplitude.value * (1 - THREE.MathUtils.smoothstep(distance, fade.x, fade.y));
+  if (scale === 0) return target;
+
+  const time = uniforms.waveTime.value;
+  uniforms.waveComponents.value.forEach(({ x: dx, y: dz, z: steepness, w: wavelength }) => {
+    const k = (2 * Math.PI) / wavelength;
+    const f = k * (dx * x + dz * z - Math.sqrt(WAVE_CONFIG.gravity / k) * time);
+    const a = (steepness * scale) / k;
+    target.x += dx * a * Math.cos(f);
+    target.y += a * Math.sin(f);
+    target.z += dz * a * Math.cos(f);
+  });
+
+  return target;
+}
+
+// Scratch vector for height sampling (avoids allocating every frame)
+const displacement = new THREE.Vector3();
+
+/**
+ * Height of the displaced surface above the world point (x, z)
+ * Gerstner waves also move water sideways, so the source point is found by
+ * subtracting the horizontal displacement a couple of times.
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} x - Scene X
+ * @param {number} z - Scene Z
+ * @returns {number} Surface height (0 on a flat sea)
+ */
+export function getWaveHeight(water, x, z) {
+  let sourceX = x;
+  let sourceZ = z;
+  for (let i = 0; i < WAVE_CONFIG.heightIterations; i++) {
+    getWaveDisplacement(water, sourceX, sourceZ, displacement);
+    sourceX = x - displacement.x;
+    sourceZ = z - displacement.z;
+  }
+  return getWaveDisplacement(water, sourceX, sourceZ, displacement).y;
+}
+
+// Still-water surface; waves are displaced in the shader, so the CPU mesh is flat too
+const waterPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+/**
+ * Intersects a ray with the ocean's still-water plane
+ * Use this for pointer tools instead of raycasting the ocean mesh: the grid has
+ * hundreds of thousands of triangles and would stall every pointermove.
+ *
+ * @param {THREE.Raycaster} raycaster - Raycaster set from the pointer
+ * @param {THREE.Mesh} water - Ocean mesh from createOcean (limits hits to its extent)
+ * @param {THREE.Vector3} [target] - Receives the hit point
+ * @returns {THREE.Vector3|null} Hit point in scene coordinates, or null when the ray misses the ocean
+ */
+export function intersectOceanPlane(raycaster, water, target = new THREE.Vector3()) {
+  const hit = raycaster.ray.intersectPlane(waterPlane, target);
+  const half = water.geometry.parameters.width / 2;
+  if (!hit || Math.abs(hit.x) > half || Math.abs(hit.z) > half) return null;
+  return hit;
+}
+
+/**
+ * Heave, pitch and roll for a hull floating at (x, z)
+ * Samples the surface at bow, stern, port and starboard; the hull's length
+ * and beam average out chop shorter than the vessel.
+ *
+ * @param {THREE.Mesh} water - Water mesh with waves applied
+ * @param {number} x - Scene X of the hull center
+ * @param {number} z - Scene Z of the hull center
+ * @param {number} yaw - Hull rotation about Y (bow is local +X, see headingToRotation)
+ * @param {number} length - Distance between bow and stern sample points
+ * @param {number} beam - Distance between port and starboard sample points
+ * @returns {{heave: number, pitch: number, roll: number}} Height and angles (radians; bow up and port up are positive)
+ */
+export function getHullMotion(water, x, z, yaw, length, beam) {
+  const cos = Math.cos(yaw);
+  const sin = Math.sin(yaw);
+  const halfLength = length / 2;
+  const halfBeam = beam / 2;
+
+  // Local +X (bow) is world (cos, -sin); local +Z (starboard) is world (sin, cos)
+  const bow = getWaveHeight(water, x + cos * halfLength, z - sin * halfLength);
+  const stern = getWaveHeight(water, x - cos * halfLength, z + sin * halfLength);
+  const starboard = getWaveHeight(water, x + sin * halfBeam, z + cos * halfBeam);
+  const port = getWaveHeight(water, x - sin * halfBeam, z - cos * halfBeam);
+
+  return {
+    heave: (bow + stern + port + starboard) / 4,
+    pitch: Math.atan2(bow - stern, length),
+    roll: Math.atan2(port - starboard, beam),
+  };
+}
+
+export default {
+  WAVE_CONFIG,
+  createOceanGeometry,
+  applyWavesToWater,
+  setWaveDirection,
+  setWaveAmplitude,
+  advanceWaves,
+  getWaveDisplacement,
+  getWaveHeight,
+  getHullMotion,
+  intersectOceanPlane,
+};
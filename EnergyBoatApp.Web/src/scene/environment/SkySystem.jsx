@@ -2,13 +2,16 @@
  * SkySystem Component
  * 
  * Manages the procedural sky using Preetham atmospheric scattering.
- * Includes day/night toggle functionality with smooth transitions.
+ * The sun follows the simulated clock: updateSkyForTime() computes its real
+ * position over the dock and blends the day and night presets through twilight.
  * 
  * Phase 2 of refactoring - extracted from BoatScene.jsx
  */
 
 import * as THREE from 'three';
 import { Sky } from 'three/examples/jsm/objects/Sky.js';
+import { getActiveSite } from '../../data/siteConfig.js';
+import { getSolarPosition, directionFromSolarAngles } from '../utils/SolarPosition.js';
 
 /**
  * Sky configuration presets
@@ -23,6 +26,7 @@ export const SKY_PRESETS = {
     sunAzimuth: 180,      // South-facing sun
     sunLightIntensity: 1.5,
     toneMappingExposure: 0.5,
+    ambientIntensity: 0.6,
   },
   NIGHTTIME: {
     turbidity: 2,
@@ -33,6 +37,7 @@ export const SKY_PRESETS = {
     sunAzimuth: 180,
     sunLightIntensity: 0.2,
     toneMappingExposure: 0.45, // Increased from 0.2 for better nighttime visibility
+    ambientIntensity: 0.35,
   }
 };
 
@@ -161,60 +166,77 @@ function createMoon(scene, sun) {
 }
 
 /**
- * Toggles between day and night
- * 
- * @param {Sky} sky - The Sky mesh
- * @param {THREE.DirectionalLight} sunLight - The main sun light
- * @param {THREE.WebGLRenderer} renderer - The renderer for tone mapping
- * @param {THREE.Vector3} sun - The sun position vector
- * @param {THREE.Mesh} moon - The moon mesh
- * @param {boolean} currentIsDaytime - Current daytime state
- * @returns {boolean} New daytime state (toggled)
+ * Solar sky configuration
  */
-export function toggleDayNight(sky, sunLight, renderer, sun, moon, currentIsDaytime) {
-  const newIsDaytime = !currentIsDaytime;
-  const preset = newIsDaytime ? SKY_PRESETS.DAYTIME : SKY_PRESETS.NIGHTTIME;
+export const SOLAR_SKY_CONFIG = {
+  nightElevation: -8,           // Sun elevation (degrees) at and below which the NIGHTTIME preset applies
+  dayElevation: 8,              // Sun elevation at and above which the DAYTIME preset applies
+  lightsOnElevation: -2,        // Navigation/dock lights switch on below this (just after sunset)
+  moonMinElevation: 12,         // Moon sits opposite the sun, kept where the default camera can see it
+  moonMaxElevation: 40,
+  celestialDistance: 5000,      // Sun light and moon distance from the origin
+};
 
-  // Apply sky preset
-  applySkyPreset(sky, sun, preset);
+// Scratch vector for the moon direction (avoids allocating every update)
+const moonDirection = new THREE.Vector3();
+
+/**
+ * Moves the sun, moon and sky to match a moment in time
+ * Sky uniforms, sun light intensity and exposure blend between the NIGHTTIME and
+ * DAYTIME presets through twilight. The moon is placed opposite the sun (no lunar
+ * ephemeris) and takes over as the directional light once the sun has set.
+ *
+ * @param {Object} skySystem - Objects from createSkySystem
+ * @param {Sky} skySystem.sky - The Sky mesh
+ * @param {THREE.Vector3} skySystem.sun - The sun direction vector (updated in place)
+ * @param {THREE.DirectionalLight} skySystem.sunLight - The main sun light
+ * @param {THREE.Mesh} skySystem.moon - The moon mesh
+ * @param {THREE.WebGLRenderer} renderer - The renderer for tone mapping
+ * @param {THREE.Mesh} [ocean] - Water mesh whose reflections follow the light
+ * @param {Date|number} time - Moment to show (Date or epoch milliseconds)
+ * @returns {Object} { elevation, azimuth, daylight (0-1), lightsOn, lightDirection, ambientIntensity }
+ */
+export function updateSkyForTime({ sky, sun, sunLight, moon }, renderer, ocean, time) {
+  const config = SOLAR_SKY_CONFIG;
+  const { dock } = getActiveSite(); // Sun position is computed for the dock
+  const { elevation, azimuth } = getSolarPosition(time, dock.latitude, dock.longitude);
+  const daylight = THREE.MathUtils.smoothstep(elevation, config.nightElevation, config.dayElevation);
+  const blend = (key) => THREE.MathUtils.lerp(SKY_PRESETS.NIGHTTIME[key], SKY_PRESETS.DAYTIME[key], daylight);
 
-  // Update sun light
-  sunLight.intensity = preset.sunLightIntensity;
-  sunLight.position.copy(sun).multiplyScalar(5000); // Match moon distance (was 100)
+  const skyUniforms = sky.material.uniforms;
+  skyUniforms['turbidity'].value = blend('turbidity');
+  skyUniforms['rayleigh'].value = blend('rayleigh');
+  skyUniforms['mieCoefficient'].value = blend('mieCoefficient');
+  skyUniforms['mieDirectionalG'].value = blend('mieDirectionalG');
 
-  // Update tone mapping
-  renderer.toneMappingExposure = preset.toneMappingExposure;
+  directionFromSolarAngles(sun, elevation, azimuth);
+  skyUniforms['sunPosition'].value.copy(sun);
 
-  // Toggle moon visibility and update position
+  const moonElevation = THREE.MathUtils.clamp(-elevation, config.moonMinElevation, config.moonMaxElevation);
+  directionFromSolarAngles(moonDirection, moonElevation, (azimuth + 180) % 360);
   if (moon) {
-    moon.visible = !newIsDaytime; // Visible at night only
-    
-    console.log('🌙🌙🌙 TOGGLING - newIsDaytime:', newIsDaytime, 'moon.visible:', moon.visible);
-    
-    // Update moon position opposite to current sun position
-    if (!newIsDaytime) {
-      // At night, position moon on SAME side as sun (south) so light direction matches visual
-      const moonElevation = 15; // Low elevation - camera looks at horizon, not up!
-      const moonAzimuth = 180; // South - SAME side as sun (was 0/North)
-      const moonDistance = 5000; // Match initial moon distance (was 1000)
-      
-      const phi = THREE.MathUtils.degToRad(90 - moonElevation);
-      const theta = THREE.MathUtils.degToRad(moonAzimuth);
-      moon.position.setFromSphericalCoords(moonDistance, phi, theta);
-      
-      console.log('🌙 Moon repositioned to:', {x: moon.position.x.toFixed(2), y: moon.position.y.toFixed(2), z: moon.position.z.toFixed(2)});
-    }
-    
-    // Force material to update
-    moon.material.needsUpdate = true;
-    
-    console.log('🌙 Moon visibility after toggle:', moon.visible, 'isDaytime:', newIsDaytime);
-    console.log('🌙 Moon position:', {x: moon.position.x.toFixed(2), y: moon.position.y.toFixed(2), z: moon.position.z.toFixed(2)});
-    console.log('🌙 Moon in scene:', moon.parent !== null);
-    console.log('🌙 Moon material emissiveIntensity:', moon.material.emissiveIntensity);
+    moon.position.copy(moonDirection).multiplyScalar(config.celestialDistance);
+    moon.visible = elevation < 0;
+  }
+
+  // Sunlight by day, moonlight by night
+  const lightDirection = elevation > 0 ? sun : moonDirection;
+  sunLight.position.copy(lightDirection).multiplyScalar(config.celestialDistance);
+  sunLight.intensity = blend('sunLightIntensity');
+  renderer.toneMappingExposure = blend('toneMappingExposure');
+
+  if (ocean?.material.uniforms['sunDirection']) {
+    ocean.material.uniforms['sunDirection'].value.copy(lightDirection);
   }
 
-  return newIsDaytime;
+  return {
+    elevation,
+    azimuth,
+    daylight,
+    lightsOn: elevation < config.lightsOnElevation,
+    lightDirection,
+    ambientIntensity: blend('ambientIntensity'),
+  };
 }
 
 /**
@@ -237,7 +259,8 @@ export function createSceneLights(scene) {
 
 export default {
   createSkySystem,
-  toggleDayNight,
+  updateSkyForTime,
   createSceneLights,
   SKY_PRESETS,
+  SOLAR_SKY_CONFIG,
 };
@@ -0,0 +1,230 @@
+/**
+ * WeatherSystem Module
+ *
+ * Turns structured weather (see data/weather.js) into scene effects: water
+ * distortion, wave height, direction and speed (boats and buoys follow the
+ * waves), exponential fog, and wind-blown rain streaks around the camera.
+ * Changes blend in over a few seconds rather than snapping.
+ */
+
+import * as THREE from 'three';
+import { WEATHER_PRESETS } from '../../data/weather.js';
+import { setWaveAmplitude, setWaveDirection } from './OceanWaves.js';
+
+/**
+ * Weather effect configuration
+ */
+export const WEATHER_CONFIG = {
+  maxWaveHeight: 6,           // Wave height (m) at which water effects peak
+  maxWindSpeed: 50,           // Wind speed (knots) at which wave speed peaks
+  distortionScale: { min: 1.5, max: 8 },   // Water shader distortion (createOcean uses 3.7)
+  waveSpeed: { min: 0.6, max: 2.2 },       // Multiplier on the water time uniform
+  waveAmplitude: { min: 0.15, max: 2.5 },  // Multiplier on OceanWaves steepness
+  clearVisibility: 15,        // Visibility (km) at and above which there is no fog
+  fogDensityPerKm: 0.01,      // FogExp2 density is this divided by visibility
+  maxFogDensity: 0.04,
+  fogColorDay: 0xB8C4CC,
+  fogColorNight: 0x0B1119,
+  rainDropCount: 3000,        // Drops at full intensity
+  rainArea: { width: 120, height: 60 },    // Box around the camera that rain fills
+  rainFallSpeed: 35,          // Units per second
+  rainWindDrift: 0.4,         // Horizontal units per second per knot of wind
+  rainStreakLength: 1.2,
+  rainColor: 0xAEBBC8,
+  rainOpacity: 0.45,
+  transitionRate: 0.6,        // Higher blends to new weather faster
+};
+
+const NUMERIC_FIELDS = ['waveHeight', 'windSpeed', 'visibility', 'rain'];
+
+/**
+ * Linear map of a value from [0, inMax] onto a { min, max } range
+ */
+function mapRange(value, inMax, range) {
+  return THREE.MathUtils.lerp(range.min, range.max, THREE.MathUtils.clamp(value / inMax, 0, 1));
+}
+
+/**
+ * Rain streaks (two vertices per drop), scattered through the rain box
+ */
+function createRain(scene) {
+  const { rainDropCount, rainArea, rainColor, rainOpacity } = WEATHER_CONFIG;
+  const drops = new Float32Array(rainDropCount * 3);
+  for (let i = 0; i < rainDropCount; i++) {
+    drops[i * 3] = (Math.random() - 0.5) * rainArea.width;
+    drops[i * 3 + 1] = Math.random() * rainArea.height;
+    drops[i * 3 + 2] = (Math.random() - 0.5) * rainArea.width;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(rainDropCount * 6), 3));
+  geometry.setDrawRange(0, 0);
+
+  const rain = new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({ color: rainColor, transparent: true, opacity: rainOpacity, depthWrite: false })
+  );
+  rain.name = 'weather-rain';
+  rain.frustumCulled = false; // Positions follow the camera every frame
+  rain.visible = false;
+  rain.userData.drops = drops;
+  scene.add(rain);
+
+  return rain;
+}
+
+/**
+ * Creates the weather system and adds fog and rain to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {THREE.Mesh} ocean - Water mesh from createOcean
+ * @returns {Object} Weather system state
+ */
+export function createWeatherSystem(scene, ocean) {
+  scene.fog = new THREE.FogExp2(WEATHER_CONFIG.fogColorDay, 0);
+
+  return {
+    scene,
+    ocean,
+    rain: createRain(scene),
+    target: { ...WEATHER_PRESETS.calm },
+    current: { ...WEATHER_PRESETS.calm },
+    daylight: 1,
+    waveSpeed: 1,
+    swellBearing: WEATHER_PRESETS.calm.windDirection + 180,
+    lastTime: null,
+    fogColorDay: new THREE.Color(WEATHER_CONFIG.fogColorDay),
+    fogColorNight: new THREE.Color(WEATHER_CONFIG.fogColorNight),
+  };
+}
+
+/**
+ * Sets the weather to blend towards
+ *
+ * @param {Object} system - State from createWeatherSystem
+ * @param {import('../../data/weather.js').Weather} weather - Target weather
+ */
+export function setWeather(system, weather) {
+  system.target = { ...weather };
+}
+
+/**
+ * Sets how much daylight colors the fog (0 night - 1 day)
+ *
+ * @param {Object} system - State from createWeatherSystem
+ * @param {number} daylight - Daylight factor from updateSkyForTime
+ */
+export function setWeatherDaylight(system, daylight) {
+  system.daylight = daylight;
+}
+
+/**
+ * Moves rain streaks down and downwind, wrapping them inside the box around the camera
+ */
+function updateRain(system, camera, deltaSeconds) {
+  const { rain, current } = system;
+  const { rainDropCount, rainArea, rainFallSpeed, rainWindDrift, rainStreakLength } = WEATHER_CONFIG;
+
+  const activeDrops = Math.round(rainDropCount * current.rain);
+  rain.visible = activeDrops > 0;
+  rain.geometry.setDrawRange(0, activeDrops * 2);
+  if (!rain.visible) return;
+
+  // Wind blows FROM windDirection; scene north is -Z and east is +X
+  const downwind = THREE.MathUtils.degToRad(current.windDirection + 180);
+  const drift = current.windSpeed * rainWindDrift;
+  const velocity = new THREE.Vector3(Math.sin(downwind) * drift, -rainFallSpeed, -Math.cos(downwind) * drift);
+  const streak = velocity.clone().normalize().multiplyScalar(rainStreakLength);
+
+  const { drops } = rain.userData;
+  const positions = rain.geometry.attributes.position.array;
+  const half = rainArea.width / 2;
+  const wrap = (value, size) => ((value % size) + size) % size;
+
+  for (let i = 0; i < activeDrops; i++) {
+    const d = i * 3;
+    drops[d] = wrap(drops[d] + velocity.x * deltaSeconds + half, rainArea.width) - half;
+    drops[d + 1] = wrap(drops[d + 1] + velocity.y * deltaSeconds, rainArea.height);
+    drops[d + 2] = wrap(drops[d + 2] + velocity.z * deltaSeconds + half, rainArea.width) - half;
+
+    const x = camera.position.x + drops[d];
+    const y = drops[d + 1];
+    const z = camera.position.z + drops[d + 2];
+    const p = i * 6;
+    positions[p] = x;
+    positions[p + 1] = y;
+    positions[p + 2] = z;
+    positions[p + 3] = x + streak.x;
+    positions[p + 4] = y + streak.y;
+    positions[p + 5] = z + streak.z;
+  }
+  rain.geometry.attributes.position.needsUpdate = true;
+}
+
+/**
+ * Blends towards the target weather and applies it to the scene
+ * Should be called in the animation loop before water and boats are animated.
+ *
+ * @param {Object} system - State from createWeatherSystem
+ * @param {THREE.Camera} camera - Camera the rain follows
+ * @param {number} now - Current time in milliseconds (performance.now())
+ */
+export function updateWeather(system, camera, now) {
+  if (!system) return;
+  const deltaSeconds = system.lastTime === null ? 0 : Math.min((now - system.lastTime) / 1000, 0.1);
+  system.lastTime = now;
+
+  const { current, target } = system;
+  const blend = 1 - Math.exp(-WEATHER_CONFIG.transitionRate * deltaSeconds);
+  NUMERIC_FIELDS.forEach((field) => {
+    current[field] += (target[field] - current[field]) * blend;
+  });
+  // Direction and sea state are not blended; a wind shift swings the rain at once
+  current.windDirection = target.windDirection;
+  current.seaState = target.seaState;
+
+  // The swell turns gradually (shortest way round) so the surface doesn't jump
+  const swellTurn = ((current.windDirection + 180 - system.swellBearing) % 360 + 540) % 360 - 180;
+  system.swellBearing += swellTurn * blend;
+
+  const config = WEATHER_CONFIG;
+  system.waveSpeed = mapRange(current.windSpeed, config.maxWindSpeed, config.waveSpeed);
+
+  const { ocean } = system;
+  if (ocean) {
+    ocean.material.uniforms['distortionScale'].value = mapRange(current.waveHeight, config.maxWaveHeight, config.distortionScale);
+    setWaveAmplitude(ocean, mapRange(current.waveHeight, config.maxWaveHeight, config.waveAmplitude));
+    setWaveDirection(ocean, system.swellBearing); // Swell runs downwind
+  }
+
+  const fog = system.scene.fog;
+  if (fog) {
+    fog.density = current.visibility >= config.clearVisibility
+      ? 0
+      : Math.min(config.fogDensityPerKm / Math.max(current.visibility, 0.01), config.maxFogDensity);
+    fog.color.lerpColors(system.fogColorNight, system.fogColorDay, system.daylight);
+  }
+
+  updateRain(system, camera, deltaSeconds);
+}
+
+/**
+ * Removes fog and rain from the scene
+ *
+ * @param {Object} system - State from createWeatherSystem
+ */
+export function disposeWeatherSystem(system) {
+  system.scene.remove(system.rain);
+  system.rain.geometry.dispose();
+  system.rain.material.dispose();
+  system.scene.fog = null;
+}
+
+export default {
+  WEATHER_CONFIG,
+  createWeatherSystem,
+  setWeather,
+  setWeatherDaylight,
+  updateWeather,
+  disposeWeatherSystem,
+};
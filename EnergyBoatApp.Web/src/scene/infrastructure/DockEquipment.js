@@ -108,11 +108,13 @@ export function createDockLights(poleMaterial, fixtureMaterial) {
     const fixtureGeometry = new THREE.SphereGeometry(0.2, 16, 16);
     const fixture = new THREE.Mesh(fixtureGeometry, fixtureMaterial);
     fixture.position.set(-4 + i * 4, 3.1, -3.8);
+    fixture.userData.isNightLight = true;
     lightsGroup.add(fixture);
     
     // Point light for atmospheric effect
     const dockLight = new THREE.PointLight(0xFFFFAA, 0.8, 15);
     dockLight.position.copy(fixture.position);
+    dockLight.userData.isNightLight = true;
     pointLightsGroup.add(dockLight);
   }
   
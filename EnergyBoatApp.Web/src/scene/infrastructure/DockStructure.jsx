@@ -9,6 +9,7 @@
 
 import * as THREE from 'three';
 import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { getActiveSite } from '../../data/siteConfig.js';
 import { createCompleteDockPlatform } from './DockPlatform.js';
 import { createCompleteDockEquipment } from './DockEquipment.js';
 import { createCompleteDockBuilding } from './DockBuilding.js';
@@ -106,13 +107,11 @@ export function createCompleteDock() {
   const building = createCompleteDockBuilding(materials);
   dockGroup.add(building);
   
-  // Position dock at London coordinates
-  const dockLatLon = { latitude: 51.5100, longitude: -0.1350 };
-  const dockPos = CoordinateConverter.latLonToScene(dockLatLon);
+  // Position and orient dock as configured for the active site (the scene origin)
+  const { dock } = getActiveSite();
+  const dockPos = CoordinateConverter.latLonToScene(dock);
   dockGroup.position.set(dockPos.x, 0, dockPos.z);
-  
-  // Rotate for visual interest
-  dockGroup.rotation.y = Math.PI / 4;
+  dockGroup.rotation.y = THREE.MathUtils.degToRad(dock.rotationDegrees);
   
   return dockGroup;
 }
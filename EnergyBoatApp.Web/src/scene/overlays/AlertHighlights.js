@@ -0,0 +1,119 @@
+/**
+ * AlertHighlights Module
+ *
+ * Pulsing rings on the water around boats with unacknowledged alerts, colored
+ * by the most severe alert. Rings follow the interpolated boat meshes every
+ * frame; the alert engine decides which boats get one.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Highlight configuration
+ */
+export const ALERT_HIGHLIGHT_CONFIG = {
+  radius: 6,             // Scene units (boat hull is ~8 long)
+  height: 0.12,          // Just above the water, below trail lines
+  pulsePeriod: 1200,     // ms per pulse
+  pulseScale: 0.35,      // Extra radius at the peak of a pulse
+  colors: {
+    info: 0x42A5F5,
+    warning: 0xFFAA00,
+    critical: 0xFF1744,
+  },
+};
+
+/**
+ * Creates the highlight system and adds it to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Highlight system state
+ */
+export function createAlertHighlightSystem(scene) {
+  const group = new THREE.Group();
+  group.name = 'alert-highlights';
+  scene.add(group);
+
+  return {
+    group,
+    geometry: new THREE.RingGeometry(0.8, 1, 48),
+    rings: {}, // boatId → THREE.Mesh
+  };
+}
+
+/**
+ * Creates a ring for one boat
+ */
+function createRing(system, severity) {
+  const ring = new THREE.Mesh(
+    system.geometry,
+    new THREE.MeshBasicMaterial({
+      color: ALERT_HIGHLIGHT_CONFIG.colors[severity],
+      transparent: true,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    })
+  );
+  ring.rotation.x = -Math.PI / 2;
+  ring.raycast = () => {}; // Never intercept picking
+  ring.userData.severity = severity;
+  return ring;
+}
+
+/**
+ * Shows rings for exactly the given boats
+ *
+ * @param {Object} system - State from createAlertHighlightSystem
+ * @param {Object<string, string>} alertedBoats - boatId → severity (from getAlertedBoats)
+ */
+export function setAlertedBoats(system, alertedBoats) {
+  Object.entries(system.rings).forEach(([boatId, ring]) => {
+    if (!alertedBoats[boatId]) {
+      system.group.remove(ring);
+      ring.material.dispose();
+      delete system.rings[boatId];
+    }
+  });
+
+  Object.entries(alertedBoats).forEach(([boatId, severity]) => {
+    const ring = system.rings[boatId];
+    if (!ring) {
+      system.rings[boatId] = createRing(system, severity);
+      system.group.add(system.rings[boatId]);
+    } else if (ring.userData.severity !== severity) {
+      ring.material.color.setHex(ALERT_HIGHLIGHT_CONFIG.colors[severity]);
+      ring.userData.severity = severity;
+    }
+  });
+}
+
+/**
+ * Moves rings to their boats and animates the pulse
+ * Should be called once per frame from the animation loop
+ *
+ * @param {Object} system - State from createAlertHighlightSystem
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ */
+export function updateAlertHighlights(system, boatMeshes, now) {
+  const { radius, height, pulsePeriod, pulseScale } = ALERT_HIGHLIGHT_CONFIG;
+  const phase = (now % pulsePeriod) / pulsePeriod;
+
+  Object.entries(system.rings).forEach(([boatId, ring]) => {
+    const boatMesh = boatMeshes[boatId];
+    ring.visible = Boolean(boatMesh?.visible); // No ring for boats hidden by the fleet filter
+    if (!ring.visible) return;
+
+    const scale = radius * (1 + pulseScale * phase);
+    ring.position.set(boatMesh.position.x, height, boatMesh.position.z);
+    ring.scale.set(scale, scale, 1);
+    ring.material.opacity = 0.9 * (1 - phase);
+  });
+}
+
+export default {
+  ALERT_HIGHLIGHT_CONFIG,
+  createAlertHighlightSystem,
+  setAlertedBoats,
+  updateAlertHighlights,
+};
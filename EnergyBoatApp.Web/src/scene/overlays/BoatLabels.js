@@ -0,0 +1,359 @@
+/**
+ * BoatLabels Module
+ *
+ * Floating labels above each boat with its ID, vessel name, energy gauge and
+ * speed. Labels keep a readable size on screen (shrinking gently with
+ * distance), fade when the dock or another boat is in front of them, and are
+ * decluttered so overlapping labels give way to the selected boat and then
+ * to the nearest ones. Boats dimmed by the fleet filter get faint labels that
+ * give way to the rest; hidden boats get none.
+ */
+
+import * as THREE from 'three';
+import { getBoatColor } from '../utils/BoatHelpers.js';
+import { getVesselDefinition } from '../vessels/VesselRegistry.js';
+import { VESSEL_FILTER_STATES } from '../vessels/VesselLOD.js';
+
+/**
+ * Label configuration (sizes in screen pixels, distances in scene units)
+ */
+export const BOAT_LABEL_CONFIG = {
+  canvasWidth: 384,
+  canvasHeight: 128,
+  clearance: 1.5,            // Above the vessel's masthead
+  nearDistance: 20,          // Labels are largest this close...
+  farDistance: 200,          // ...and smallest this far
+  maxPixelHeight: 64,
+  minPixelHeight: 36,
+  maxDistance: 300,          // Hidden beyond this
+  declutterPadding: 4,       // Gap kept between labels on screen
+  occlusionInterval: 150,    // ms between occlusion raycasts
+  occludedOpacity: 0.25,
+  dimmedOpacity: 0.35,       // Boats outside the fleet filter
+  fadeTime: 250,             // ms to fade in or out
+};
+
+// Energy thresholds match the fleet dashboard (getEnergyColor in App.jsx)
+function getEnergyColor(level) {
+  if (level > 70) return '#00FF00';
+  if (level > 30) return '#FFAA00';
+  return '#FF0000';
+}
+
+/**
+ * Shortens text with an ellipsis to fit a width
+ */
+function fitText(context, text, maxWidth) {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Draws a boat's label onto its canvas
+ *
+ * @param {HTMLCanvasElement} canvas - Label canvas
+ * @param {import('../../data/boatSchema.js').Boat} boat - Boat to describe
+ */
+export function drawBoatLabel(canvas, boat) {
+  const { width, height } = canvas;
+  const context = canvas.getContext('2d');
+  const padding = 14;
+  const energy = THREE.MathUtils.clamp(boat.energyLevel, 0, 100);
+
+  context.clearRect(0, 0, width, height);
+  context.fillStyle = 'rgba(0, 0, 0, 0.65)';
+  context.beginPath();
+  context.roundRect(0, 0, width, height, 14);
+  context.fill();
+
+  // Status stripe down the left edge
+  context.fillStyle = `#${getBoatColor(boat.status).toString(16).padStart(6, '0')}`;
+  context.fillRect(0, 12, 6, height - 24);
+
+  context.textBaseline = 'middle';
+  context.fillStyle = '#FFFFFF';
+  context.font = 'bold 26px sans-serif';
+  const idText = boat.id;
+  context.fillText(idText, padding, 26);
+  const nameX = padding + context.measureText(idText).width + 12;
+  context.font = '24px sans-serif';
+  context.fillStyle = '#CFD8DC';
+  context.fillText(fitText(context, boat.vesselName, width - nameX - padding), nameX, 26);
+
+  // Energy gauge
+  const barY = 54;
+  const barWidth = width - padding * 2 - 72;
+  context.fillStyle = 'rgba(255, 255, 255, 0.2)';
+  context.fillRect(padding, barY, barWidth, 16);
+  context.fillStyle = getEnergyColor(energy);
+  context.fillRect(padding, barY, barWidth * energy / 100, 16);
+  context.font = 'bold 22px sans-serif';
+  context.fillText(`${energy.toFixed(0)}%`, padding + barWidth + 10, barY + 8);
+
+  context.fillStyle = '#FFFFFF';
+  context.font = '22px sans-serif';
+  context.fillText(fitText(context, `${boat.status} • ${boat.speed}`, width - padding * 2), padding, 102);
+}
+
+/**
+ * Creates a label sprite for one boat
+ */
+function createLabel() {
+  const { canvasWidth, canvasHeight } = BOAT_LABEL_CONFIG;
+  const canvas = document.createElement('canvas');
+  canvas.width = canvasWidth;
+  canvas.height = canvasHeight;
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  // Drawn over everything; occlusion is shown by fading instead
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+    opacity: 0,
+  }));
+  sprite.center.set(0.5, 0); // Anchored at the bottom middle, above the boat
+  sprite.renderOrder = 10;
+  sprite.raycast = () => {}; // Never intercept picking
+  sprite.visible = false;
+  sprite.userData = { canvas, texture, key: null, occluded: false, targetOpacity: 0 };
+  return sprite;
+}
+
+/**
+ * Redraws a label when the fields it shows have changed
+ */
+function updateLabelContent(sprite, boat) {
+  const key = [boat.id, boat.vesselName, boat.status, boat.energyLevel.toFixed(0), boat.speed].join('|');
+  if (key === sprite.userData.key) return;
+  drawBoatLabel(sprite.userData.canvas, boat);
+  sprite.userData.texture.needsUpdate = true;
+  sprite.userData.key = key;
+}
+
+/**
+ * Creates the label system and adds it to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @param {Object} options - Label options
+ * @param {HTMLElement} options.domElement - Renderer canvas (for the viewport size)
+ * @param {Function} options.getOccluders - Returns objects that can hide a label (boats, dock)
+ * @returns {Object} Label system state
+ */
+export function createBoatLabelSystem(scene, { domElement, getOccluders }) {
+  const group = new THREE.Group();
+  group.name = 'boat-labels';
+  scene.add(group);
+
+  return {
+    group,
+    domElement,
+    getOccluders,
+    labels: {}, // boatId → THREE.Sprite
+    selectedId: null,
+    lastUpdate: null,
+    lastOcclusionCheck: -Infinity,
+    raycaster: new THREE.Raycaster(),
+    anchor: new THREE.Vector3(),
+    projected: new THREE.Vector3(),
+    direction: new THREE.Vector3(),
+  };
+}
+
+/**
+ * Adds, refreshes and removes labels to match the current boats
+ *
+ * @param {Object} system - State from createBoatLabelSystem
+ * @param {Array<import('../../data/boatSchema.js').Boat>} boats - Boats currently reported
+ */
+export function setBoatLabels(system, boats) {
+  const ids = new Set(boats.map(boat => boat.id));
+  Object.entries(system.labels).forEach(([boatId, sprite]) => {
+    if (ids.has(boatId)) return;
+    system.group.remove(sprite);
+    sprite.userData.texture.dispose();
+    sprite.material.dispose();
+    delete system.labels[boatId];
+  });
+
+  boats.forEach((boat) => {
+    if (!system.labels[boat.id]) {
+      system.labels[boat.id] = createLabel();
+      system.group.add(system.labels[boat.id]);
+    }
+    updateLabelContent(system.labels[boat.id], boat);
+  });
+}
+
+/**
+ * Shows or hides every label
+ *
+ * @param {Object} system - State from createBoatLabelSystem
+ * @param {boolean} visible - Whether labels are shown
+ */
+export function setBoatLabelsVisible(system, visible) {
+  system.group.visible = visible;
+}
+
+/**
+ * Gives a boat's label priority when labels overlap
+ *
+ * @param {Object} system - State from createBoatLabelSystem
+ * @param {string|null} boatId - Selected boat (null for none)
+ */
+export function setSelectedBoatLabel(system, boatId) {
+  system.selectedId = boatId;
+}
+
+/**
+ * Whether an object and all of its ancestors are visible
+ * (the raycaster also hits hidden objects, such as inactive LOD levels)
+ */
+function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+function isPartOf(object, root) {
+  for (let current = object; current; current = current.parent) {
+    if (current === root) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether something visible sits between the camera and a label's anchor
+ */
+function isOccluded(system, camera, boatMesh, distance) {
+  const { raycaster, anchor, direction } = system;
+  direction.subVectors(anchor, camera.position).normalize();
+  raycaster.set(camera.position, direction);
+  raycaster.far = distance;
+
+  return raycaster
+    .intersectObjects(system.getOccluders(), true)
+    .some(hit => !isPartOf(hit.object, boatMesh) && isShown(hit.object));
+}
+
+/**
+ * Rectangles overlap (with padding)
+ */
+function overlaps(a, b, padding) {
+  return a.left < b.right + padding && b.left < a.right + padding
+    && a.top < b.bottom + padding && b.top < a.bottom + padding;
+}
+
+/**
+ * Places labels above their boats, sizes them for their distance, fades occluded
+ * ones and hides those that would overlap a label with higher priority
+ * Should be called once per frame from the animation loop, after boats have moved.
+ *
+ * @param {Object} system - State from createBoatLabelSystem
+ * @param {THREE.PerspectiveCamera} camera - Rendering camera
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ */
+export function updateBoatLabels(system, camera, boatMeshes, now) {
+  if (!system?.group.visible) return;
+
+  const config = BOAT_LABEL_CONFIG;
+  const { anchor, projected } = system;
+  const viewportWidth = system.domElement.clientWidth || 1;
+  const viewportHeight = system.domElement.clientHeight || 1;
+  const unitsPerPixelAtUnitDistance = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / viewportHeight;
+  const aspect = config.canvasWidth / config.canvasHeight;
+  const checkOcclusion = now - system.lastOcclusionCheck >= config.occlusionInterval;
+  if (checkOcclusion) system.lastOcclusionCheck = now;
+
+  const candidates = [];
+  Object.entries(system.labels).forEach(([boatId, sprite]) => {
+    const boatMesh = boatMeshes[boatId];
+    sprite.userData.targetOpacity = 0;
+    if (!boatMesh?.visible) return;
+
+    const masthead = getVesselDefinition(boatMesh.userData.vesselType).navLights.mastheadY;
+    anchor.copy(boatMesh.position);
+    anchor.y += (masthead + config.clearance) * boatMesh.scale.y;
+    sprite.position.copy(anchor);
+
+    const distance = anchor.distanceTo(camera.position);
+    projected.copy(anchor).project(camera);
+    if (distance > config.maxDistance || projected.z > 1) return;
+
+    // Shrink from max to min pixel height between the near and far distances
+    const t = THREE.MathUtils.smoothstep(distance, config.nearDistance, config.farDistance);
+    const pixelHeight = THREE.MathUtils.lerp(config.maxPixelHeight, config.minPixelHeight, t);
+    const worldHeight = pixelHeight * distance * unitsPerPixelAtUnitDistance;
+    sprite.scale.set(worldHeight * aspect, worldHeight, 1);
+
+    if (checkOcclusion) {
+      sprite.userData.occluded = isOccluded(system, camera, boatMesh, distance);
+    }
+
+    const x = (projected.x + 1) / 2 * viewportWidth;
+    const y = (1 - projected.y) / 2 * viewportHeight;
+    const halfWidth = pixelHeight * aspect / 2;
+    candidates.push({
+      sprite,
+      distance,
+      selected: boatId === system.selectedId,
+      dimmed: boatMesh.userData.filterState === VESSEL_FILTER_STATES.DIMMED,
+      rect: { left: x - halfWidth, right: x + halfWidth, top: y - pixelHeight, bottom: y },
+    });
+  });
+
+  // Selected boat first, then filter matches, then nearest; a label that overlaps one already placed is hidden
+  candidates.sort((a, b) => (b.selected - a.selected) || (a.dimmed - b.dimmed) || (a.distance - b.distance));
+  const placed = [];
+  candidates.forEach(({ sprite, selected, dimmed, rect }) => {
+    if (!selected && placed.some(other => overlaps(rect, other, config.declutterPadding))) return;
+    placed.push(rect);
+    if (selected) {
+      sprite.userData.targetOpacity = 1;
+    } else {
+      const opacity = dimmed ? config.dimmedOpacity : 1;
+      sprite.userData.targetOpacity = sprite.userData.occluded ? Math.min(opacity, config.occludedOpacity) : opacity;
+    }
+  });
+
+  // Ease towards the target opacity
+  const elapsed = system.lastUpdate === null ? config.fadeTime : now - system.lastUpdate;
+  const step = Math.min(1, elapsed / config.fadeTime);
+  system.lastUpdate = now;
+  Object.values(system.labels).forEach((sprite) => {
+    const { material, userData } = sprite;
+    material.opacity += (userData.targetOpacity - material.opacity) * step;
+    if (userData.targetOpacity === 0 && material.opacity < 0.01) material.opacity = 0;
+    sprite.visible = material.opacity > 0;
+  });
+}
+
+/**
+ * Removes all labels and frees their textures
+ *
+ * @param {Object} system - State from createBoatLabelSystem
+ */
+export function disposeBoatLabelSystem(system) {
+  setBoatLabels(system, []);
+  system.group.parent?.remove(system.group);
+}
+
+export default {
+  BOAT_LABEL_CONFIG,
+  drawBoatLabel,
+  createBoatLabelSystem,
+  setBoatLabels,
+  setBoatLabelsVisible,
+  setSelectedBoatLabel,
+  updateBoatLabels,
+  disposeBoatLabelSystem,
+};
@@ -0,0 +1,232 @@
+/**
+ * BoatTrails Module
+ *
+ * Breadcrumb trails showing where each vessel has been. Points are sampled
+ * from the (interpolated) boat meshes every frame, colored by status or
+ * energy level at the time they were recorded, and fade out with age.
+ */
+
+import * as THREE from 'three';
+import { STATUS_LIGHT_COLORS } from '../utils/Constants.js';
+import { INTERPOLATION_CONFIG } from '../core/SnapshotInterpolation.js';
+
+/**
+ * Trail configuration
+ */
+export const TRAIL_CONFIG = {
+  maxPoints: 400,        // Cap per boat (oldest points dropped first)
+  minSpacing: 0.3,       // Scene units between recorded points
+  maxAge: 10 * 60 * 1000, // Points older than 10 minutes are dropped
+  height: 0.15,          // Just above the water surface
+  minOpacity: 0.05,      // Opacity of the oldest point
+};
+
+/**
+ * Trail color modes
+ */
+export const TRAIL_COLOR_MODES = {
+  STATUS: 'status',
+  ENERGY: 'energy',
+};
+
+// Energy thresholds match the fleet dashboard (getEnergyColor in App.jsx)
+const ENERGY_COLORS = {
+  high: new THREE.Color(0x00FF00),
+  medium: new THREE.Color(0xFFAA00),
+  low: new THREE.Color(0xFF0000),
+};
+
+/**
+ * Picks the color for a trail point
+ *
+ * @param {Object} userData - Boat mesh userData (status, energyLevel)
+ * @param {string} colorMode - One of TRAIL_COLOR_MODES
+ * @returns {THREE.Color} Point color
+ */
+export function getTrailColor(userData, colorMode) {
+  if (colorMode === TRAIL_COLOR_MODES.ENERGY) {
+    const level = userData.energyLevel ?? 0;
+    if (level > 70) return ENERGY_COLORS.high;
+    if (level > 30) return ENERGY_COLORS.medium;
+    return ENERGY_COLORS.low;
+  }
+
+  return new THREE.Color(STATUS_LIGHT_COLORS[userData.status] ?? STATUS_LIGHT_COLORS.default);
+}
+
+/**
+ * Creates the line object for a single boat trail
+ *
+ * @returns {THREE.Line} Line with preallocated RGBA vertex colors
+ */
+function createTrailLine() {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_CONFIG.maxPoints * 3), 3));
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(TRAIL_CONFIG.maxPoints * 4), 4));
+  geometry.setDrawRange(0, 0);
+
+  const material = new THREE.LineBasicMaterial({
+    vertexColors: true,
+    transparent: true,
+    depthWrite: false,
+  });
+
+  const line = new THREE.Line(geometry, material);
+  line.frustumCulled = false; // Bounds change every frame
+  line.renderOrder = 1;
+  return line;
+}
+
+/**
+ * Creates the trail system and adds it to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Trail system state
+ */
+export function createTrailSystem(scene) {
+  const group = new THREE.Group();
+  group.name = 'boat-trails';
+  scene.add(group);
+
+  return {
+    group,
+    trails: {}, // boatId → { line, points: [{ x, z, time, color }] }
+    colorMode: TRAIL_COLOR_MODES.STATUS,
+  };
+}
+
+/**
+ * Writes a trail's points into its geometry, fading opacity with age
+ */
+function writeTrailGeometry(trail, now) {
+  const { line, points } = trail;
+  const positions = line.geometry.attributes.position.array;
+  const colors = line.geometry.attributes.color.array;
+
+  points.forEach((point, i) => {
+    const age = Math.min(1, (now - point.time) / TRAIL_CONFIG.maxAge);
+    positions[i * 3] = point.x;
+    positions[i * 3 + 1] = TRAIL_CONFIG.height;
+    positions[i * 3 + 2] = point.z;
+    colors[i * 4] = point.color.r;
+    colors[i * 4 + 1] = point.color.g;
+    colors[i * 4 + 2] = point.color.b;
+    colors[i * 4 + 3] = Math.max(TRAIL_CONFIG.minOpacity, 1 - age);
+  });
+
+  line.geometry.attributes.position.needsUpdate = true;
+  line.geometry.attributes.color.needsUpdate = true;
+  line.geometry.setDrawRange(0, points.length);
+}
+
+/**
+ * Records new trail points from boat meshes and refreshes fading
+ * Should be called once per frame from the animation loop
+ *
+ * @param {Object} trailSystem - State from createTrailSystem
+ * @param {Object} boatMeshes - Boat meshes by ID
+ * @param {number} now - Current timestamp (performance.now() milliseconds)
+ */
+export function updateTrails(trailSystem, boatMeshes, now) {
+  Object.entries(boatMeshes).forEach(([boatId, boatMesh]) => {
+    if (!boatMesh) return;
+
+    let trail = trailSystem.trails[boatId];
+    if (!trail) {
+      trail = { line: createTrailLine(), points: [] };
+      trail.line.name = `trail-${boatId}`;
+      trailSystem.group.add(trail.line);
+      trailSystem.trails[boatId] = trail;
+    }
+    trail.line.visible = boatMesh.visible; // Boats hidden by the fleet filter keep recording but aren't drawn
+
+    const { x, z } = boatMesh.position;
+    const last = trail.points[trail.points.length - 1];
+    const distance = last ? Math.hypot(x - last.x, z - last.z) : Infinity;
+
+    if (last && distance > INTERPOLATION_CONFIG.teleportDistance) {
+      // Boat was reset or resynced - start a fresh trail instead of drawing a jump
+      trail.points = [];
+    }
+
+    if (distance >= TRAIL_CONFIG.minSpacing) {
+      trail.points.push({ x, z, time: now, color: getTrailColor(boatMesh.userData, trailSystem.colorMode) });
+    }
+
+    // Drop expired points and enforce the length cap
+    const cutoff = now - TRAIL_CONFIG.maxAge;
+    while (trail.points.length > 0 && trail.points[0].time < cutoff) {
+      trail.points.shift();
+    }
+    if (trail.points.length > TRAIL_CONFIG.maxPoints) {
+      trail.points.splice(0, trail.points.length - TRAIL_CONFIG.maxPoints);
+    }
+
+    writeTrailGeometry(trail, now);
+  });
+
+  // Remove trails for boats no longer in the scene
+  Object.keys(trailSystem.trails).forEach((boatId) => {
+    if (!boatMeshes[boatId]) {
+      const { line } = trailSystem.trails[boatId];
+      trailSystem.group.remove(line);
+      line.geometry.dispose();
+      line.material.dispose();
+      delete trailSystem.trails[boatId];
+    }
+  });
+}
+
+/**
+ * Shows or hides all trails (points keep accumulating while hidden)
+ *
+ * @param {Object} trailSystem - State from createTrailSystem
+ * @param {boolean} visible - Whether trails are drawn
+ */
+export function setTrailsVisible(trailSystem, visible) {
+  trailSystem.group.visible = visible;
+}
+
+/**
+ * Switches trail coloring and recolors existing points
+ *
+ * @param {Object} trailSystem - State from createTrailSystem
+ * @param {string} colorMode - One of TRAIL_COLOR_MODES
+ * @param {Object} boatMeshes - Boat meshes by ID (current status/energy used for recoloring)
+ */
+export function setTrailColorMode(trailSystem, colorMode, boatMeshes) {
+  trailSystem.colorMode = colorMode;
+
+  // History of the other metric isn't recorded, so existing points take the current value
+  Object.entries(trailSystem.trails).forEach(([boatId, trail]) => {
+    const boatMesh = boatMeshes[boatId];
+    if (!boatMesh) return;
+    const color = getTrailColor(boatMesh.userData, colorMode);
+    trail.points.forEach((point) => {
+      point.color = color;
+    });
+  });
+}
+
+/**
+ * Clears all recorded trail points (used on scene reset)
+ *
+ * @param {Object} trailSystem - State from createTrailSystem
+ */
+export function clearTrails(trailSystem) {
+  Object.values(trailSystem.trails).forEach((trail) => {
+    trail.points = [];
+    trail.line.geometry.setDrawRange(0, 0);
+  });
+}
+
+export default {
+  TRAIL_CONFIG,
+  TRAIL_COLOR_MODES,
+  getTrailColor,
+  createTrailSystem,
+  updateTrails,
+  setTrailsVisible,
+  setTrailColorMode,
+  clearTrails,
+};
@@ -0,0 +1,142 @@
+/**
+ * GeofenceOverlay Module
+ *
+ * Draws geofence zones as translucent fills with a solid outline on the
+ * water, colored by zone type. Zones with boats inside are drawn brighter.
+ */
+
+import * as THREE from 'three';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+import { GEOFENCE_TYPES, getGeofenceOutline } from '../../data/geofences.js';
+
+/**
+ * Geofence styling
+ */
+export const GEOFENCE_OVERLAY_CONFIG = {
+  height: 0.06,             // Below trails, alert rings and routes
+  fillOpacity: 0.15,
+  occupiedFillOpacity: 0.3,
+  outlineOpacity: 0.8,
+  colors: {
+    [GEOFENCE_TYPES.EXCLUSION]: 0xFF1744,      // Red
+    [GEOFENCE_TYPES.SURVEY]: 0x00E676,         // Green
+    [GEOFENCE_TYPES.DOCK_APPROACH]: 0x40C4FF,  // Light blue
+  },
+};
+
+/**
+ * Creates the geofence system and adds it to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Geofence system state
+ */
+export function createGeofenceSystem(scene) {
+  const group = new THREE.Group();
+  group.name = 'geofences';
+  scene.add(group);
+
+  return {
+    group,
+    zones: {}, // zoneId → { group, fill }
+  };
+}
+
+/**
+ * Disposes every geometry and material under a zone group
+ */
+function disposeZoneGroup(zoneGroup) {
+  zoneGroup.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+}
+
+/**
+ * Builds the fill and outline for one zone
+ */
+function createZoneGroup(zone) {
+  const { height, fillOpacity, outlineOpacity, colors } = GEOFENCE_OVERLAY_CONFIG;
+  const color = colors[zone.type];
+  const points = getGeofenceOutline(zone).map(position => CoordinateConverter.latLonToScene(position));
+
+  const zoneGroup = new THREE.Group();
+  zoneGroup.name = `geofence-${zone.id}`;
+  zoneGroup.visible = zone.visible;
+
+  // Shape is drawn in the XY plane and laid flat: shape y maps to -z
+  const shape = new THREE.Shape(points.map(({ x, z }) => new THREE.Vector2(x, -z)));
+  const fill = new THREE.Mesh(
+    new THREE.ShapeGeometry(shape),
+    new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity: fillOpacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+    })
+  );
+  fill.rotation.x = -Math.PI / 2;
+  fill.position.y = height;
+  fill.raycast = () => {}; // Never intercept picking or route editing
+  zoneGroup.add(fill);
+
+  const outline = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(points.map(({ x, z }) => new THREE.Vector3(x, height + 0.01, z))),
+    new THREE.LineBasicMaterial({ color, transparent: true, opacity: outlineOpacity, depthWrite: false })
+  );
+  outline.raycast = () => {};
+  zoneGroup.add(outline);
+
+  return { group: zoneGroup, fill };
+}
+
+/**
+ * Replaces the drawn zones with the given definitions
+ *
+ * @param {Object} geofenceSystem - State from createGeofenceSystem
+ * @param {Array<import('../../data/geofences.js').Geofence>} zones - Zones to draw
+ */
+export function setGeofences(geofenceSystem, zones) {
+  Object.values(geofenceSystem.zones).forEach(({ group }) => {
+    geofenceSystem.group.remove(group);
+    disposeZoneGroup(group);
+  });
+  geofenceSystem.zones = {};
+
+  zones.forEach((zone) => {
+    const built = createZoneGroup(zone);
+    geofenceSystem.group.add(built.group);
+    geofenceSystem.zones[zone.id] = built;
+  });
+}
+
+/**
+ * Brightens zones that currently contain boats
+ *
+ * @param {Object} geofenceSystem - State from createGeofenceSystem
+ * @param {Object<string, Array<string>>} occupancy - zoneId → boat IDs inside
+ */
+export function setGeofenceOccupancy(geofenceSystem, occupancy) {
+  const { fillOpacity, occupiedFillOpacity } = GEOFENCE_OVERLAY_CONFIG;
+  Object.entries(geofenceSystem.zones).forEach(([zoneId, { fill }]) => {
+    fill.material.opacity = occupancy[zoneId]?.length > 0 ? occupiedFillOpacity : fillOpacity;
+  });
+}
+
+/**
+ * Shows or hides all zones (per-zone visibility still applies)
+ *
+ * @param {Object} geofenceSystem - State from createGeofenceSystem
+ * @param {boolean} visible - Whether zones should be drawn
+ */
+export function setGeofencesVisible(geofenceSystem, visible) {
+  geofenceSystem.group.visible = visible;
+}
+
+export default {
+  GEOFENCE_OVERLAY_CONFIG,
+  createGeofenceSystem,
+  setGeofences,
+  setGeofenceOccupancy,
+  setGeofencesVisible,
+};
@@ -0,0 +1,235 @@
+/**
+ * RouteOverlay Module
+ *
+ * Draws each boat's survey route: a closed polyline through the waypoints,
+ * numbered waypoint markers, and a highlight on the waypoint the boat is
+ * sailing toward together with the leg that leads to it.
+ */
+
+import * as THREE from 'three';
+import { CoordinateConverter } from '../utils/CoordinateConverter.js';
+
+/**
+ * Route styling
+ */
+export const ROUTE_CONFIG = {
+  height: 0.2,              // Just above trails so the two don't z-fight
+  lineColor: 0x4FC3F7,      // Light blue
+  lineOpacity: 0.6,
+  activeColor: 0xFFD54F,    // Amber - target waypoint and current leg
+  markerRadius: 0.6,
+  activeMarkerScale: 1.6,
+  labelHeight: 2.2,
+  labelSize: 1.6,
+};
+
+/**
+ * Creates a sprite showing a waypoint's sequence number
+ *
+ * @param {number} sequence - Waypoint sequence (shown 1-based)
+ * @returns {THREE.Sprite} Camera-facing label
+ */
+export function createWaypointLabel(sequence) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext('2d');
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.beginPath();
+  context.arc(32, 32, 28, 0, Math.PI * 2);
+  context.fill();
+
+  context.fillStyle = '#FFFFFF';
+  context.font = 'bold 34px sans-serif';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(String(sequence + 1), 32, 34);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+  sprite.scale.set(ROUTE_CONFIG.labelSize, ROUTE_CONFIG.labelSize, 1);
+  return sprite;
+}
+
+/**
+ * Creates the route system and adds it to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} Route system state
+ */
+export function createRouteSystem(scene) {
+  const group = new THREE.Group();
+  group.name = 'boat-routes';
+  scene.add(group);
+
+  return {
+    group,
+    routes: {}, // boatId → { route, group, points, markers, activeLeg, activeIndex }
+  };
+}
+
+/**
+ * Disposes every geometry, material and texture under a route group
+ */
+function disposeRouteGroup(routeGroup) {
+  routeGroup.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+}
+
+/**
+ * Builds (or rebuilds) the route for one boat
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {string} boatId - Boat identifier
+ * @param {import('../../data/boatSchema.js').BoatRoute} route - Parsed route
+ */
+export function setBoatRoute(routeSystem, boatId, route) {
+  removeBoatRoute(routeSystem, boatId);
+  if (route.waypoints.length === 0) return;
+
+  const routeGroup = new THREE.Group();
+  routeGroup.name = `route-${boatId}`;
+
+  const points = route.waypoints.map(({ latitude, longitude }) => {
+    const { x, z } = CoordinateConverter.latLonToScene({ latitude, longitude });
+    return new THREE.Vector3(x, ROUTE_CONFIG.height, z);
+  });
+
+  // Boats loop back to the first waypoint after the last
+  const line = new THREE.LineLoop(
+    new THREE.BufferGeometry().setFromPoints(points),
+    new THREE.LineDashedMaterial({
+      color: ROUTE_CONFIG.lineColor,
+      transparent: true,
+      opacity: ROUTE_CONFIG.lineOpacity,
+      dashSize: 1.5,
+      gapSize: 1,
+      depthWrite: false,
+    })
+  );
+  line.computeLineDistances();
+  routeGroup.add(line);
+
+  // Leg currently being sailed - geometry is filled in by setRouteProgress
+  const activeLeg = new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints([points[0], points[0]]),
+    new THREE.LineBasicMaterial({ color: ROUTE_CONFIG.activeColor, depthWrite: false })
+  );
+  activeLeg.renderOrder = 2;
+  routeGroup.add(activeLeg);
+
+  const markers = points.map((point, i) => {
+    const marker = new THREE.Mesh(
+      new THREE.CylinderGeometry(ROUTE_CONFIG.markerRadius, ROUTE_CONFIG.markerRadius, 0.2, 16),
+      new THREE.MeshBasicMaterial({ color: ROUTE_CONFIG.lineColor, transparent: true, opacity: 0.85 })
+    );
+    marker.position.copy(point);
+
+    const label = createWaypointLabel(route.waypoints[i].sequence);
+    label.position.set(0, ROUTE_CONFIG.labelHeight, 0);
+    marker.add(label);
+
+    routeGroup.add(marker);
+    return marker;
+  });
+
+  routeSystem.group.add(routeGroup);
+  routeSystem.routes[boatId] = { route, group: routeGroup, points, markers, activeLeg, activeIndex: null };
+
+  setRouteProgress(routeSystem, boatId, route.currentWaypointIndex);
+}
+
+/**
+ * Highlights the waypoint a boat is sailing toward and the leg leading to it
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {string} boatId - Boat identifier
+ * @param {number|null} currentWaypointIndex - Target waypoint index (ignored when null)
+ */
+export function setRouteProgress(routeSystem, boatId, currentWaypointIndex) {
+  const route = routeSystem.routes[boatId];
+  if (!route || currentWaypointIndex === null || currentWaypointIndex === undefined) return;
+
+  const count = route.points.length;
+  const activeIndex = ((currentWaypointIndex % count) + count) % count;
+  if (route.activeIndex === activeIndex) return;
+  route.activeIndex = activeIndex;
+
+  route.markers.forEach((marker, i) => {
+    const isActive = i === activeIndex;
+    marker.material.color.setHex(isActive ? ROUTE_CONFIG.activeColor : ROUTE_CONFIG.lineColor);
+    const scale = isActive ? ROUTE_CONFIG.activeMarkerScale : 1;
+    marker.scale.set(scale, 1, scale);
+  });
+
+  const previousIndex = (activeIndex - 1 + count) % count;
+  route.activeLeg.geometry.setFromPoints([route.points[previousIndex], route.points[activeIndex]]);
+}
+
+/**
+ * Returns the route currently drawn for a boat
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {string} boatId - Boat identifier
+ * @returns {import('../../data/boatSchema.js').BoatRoute|null} Route, or null when not loaded
+ */
+export function getBoatRoute(routeSystem, boatId) {
+  return routeSystem.routes[boatId]?.route ?? null;
+}
+
+/**
+ * Shows or hides a single boat's route (e.g. while it is being edited)
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {string} boatId - Boat identifier
+ * @param {boolean} visible - Whether the route is drawn
+ */
+export function setBoatRouteVisible(routeSystem, boatId, visible) {
+  const route = routeSystem.routes[boatId];
+  if (route) route.group.visible = visible;
+}
+
+/**
+ * Removes a boat's route from the scene
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {string} boatId - Boat identifier
+ */
+export function removeBoatRoute(routeSystem, boatId) {
+  const route = routeSystem.routes[boatId];
+  if (!route) return;
+
+  routeSystem.group.remove(route.group);
+  disposeRouteGroup(route.group);
+  delete routeSystem.routes[boatId];
+}
+
+/**
+ * Shows or hides all routes
+ *
+ * @param {Object} routeSystem - State from createRouteSystem
+ * @param {boolean} visible - Whether routes are drawn
+ */
+export function setRoutesVisible(routeSystem, visible) {
+  routeSystem.group.visible = visible;
+}
+
+export default {
+  ROUTE_CONFIG,
+  createWaypointLabel,
+  createRouteSystem,
+  setBoatRoute,
+  setRouteProgress,
+  getBoatRoute,
+  setBoatRouteVisible,
+  removeBoatRoute,
+  setRoutesVisible,
+};
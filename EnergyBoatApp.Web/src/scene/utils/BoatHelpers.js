@@ -3,8 +3,9 @@
  */
 
 import * as THREE from 'three';
-import { BOAT_COLORS, STATUS_LIGHT_COLORS, DOCK_LAT, DOCK_LON, DOCK_ROTATION, CENTER_LAT, CENTER_LON, SCALE_FACTOR_LAT, SCALE_FACTOR_LON } from './Constants';
+import { BOAT_COLORS, STATUS_LIGHT_COLORS } from './Constants';
 import { latLonToSceneCoords } from './CoordinateConverter';
+import { parseBoat } from '../../data/boatSchema.js';
 
 /**
  * Convert nautical heading (degrees) to Three.js Y-axis rotation (radians)
@@ -46,19 +47,14 @@ export function getStatusLightColor(status) {
 
 /**
  * Calculate boat position in scene
- * Handles special case for maintenance boats moored at dock
- * @param {object} boat - Boat data from API
+ * @param {import('../../data/boatSchema.js').Boat} boat - Parsed boat
  * @returns {{x: number, y: number, z: number, rotationY: number}} Position and rotation
  */
 export function calculateBoatPosition(boat) {
-  const boatId = boat.id || boat.Id;
-  const latitude = boat.latitude || boat.Latitude;
-  const longitude = boat.longitude || boat.Longitude;
-  const status = boat.status || boat.Status;
-  const heading = boat.heading || boat.Heading || 0;
+  const { latitude, longitude, heading } = boat;
 
   // All boats: use geographic coordinates and heading
-  const coords = latLonToSceneCoords(latitude, longitude);
+  const coords = latLonToSceneCoords({ latitude, longitude });
   
   return {
     x: coords.x,
@@ -70,19 +66,11 @@ export function calculateBoatPosition(boat) {
 
 /**
  * Normalize boat data (handle both lowercase and PascalCase API responses)
+ * Thin wrapper over the central model in data/boatSchema.js
  * @param {object} boat - Raw boat data from API
- * @returns {object} Normalized boat data
+ * @returns {import('../../data/boatSchema.js').Boat} Normalized boat data
+ * @throws {import('../../data/boatSchema.js').BoatValidationError} When required fields are invalid
  */
 export function normalizeBoatData(boat) {
-  return {
-    id: boat.id || boat.Id,
-    latitude: boat.latitude || boat.Latitude,
-    longitude: boat.longitude || boat.Longitude,
-    status: boat.status || boat.Status,
-    heading: boat.heading || boat.Heading || 0,
-    energyLevel: boat.energyLevel || boat.EnergyLevel,
-    vesselName: boat.vesselName || boat.VesselName,
-    speed: boat.speed || boat.Speed,
-    speedKnots: boat.speedKnots || boat.SpeedKnots,
-  };
+  return parseBoat(boat).boat;
 }
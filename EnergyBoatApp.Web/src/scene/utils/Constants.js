@@ -2,28 +2,8 @@
  * Scene-wide constants for the 3D maritime visualization
  */
 
-// Geographic center point (London)
-export const CENTER_LAT = 51.5074;
-export const CENTER_LON = -0.1278;
-
-// Map boundaries (North Sea area)
-// Expanded to give waypoints buffer zone (boats navigate to edges of this area)
-export const BOUNDS = {
-  minLat: 51.48,
-  maxLat: 51.53,
-  minLon: -0.16,
-  maxLon: -0.09,  // Expanded from -0.10 to give BOAT-001 waypoint buffer room
-};
-
-// Scale factors for lat/lon to 3D coordinates
-// 1 degree difference = 2000 units in scene
-export const SCALE_FACTOR_LAT = 2000;
-export const SCALE_FACTOR_LON = 2000;
-
-// Dock location and orientation
-export const DOCK_LAT = 51.5100;
-export const DOCK_LON = -0.1350;
-export const DOCK_ROTATION = Math.PI / 4; // 45 degrees
+// Dock position, operating bounds, buoys and scene scale depend on the site
+// the app is pointed at - see data/siteConfig.js (getActiveSite)
 
 // Camera initial position
 export const CAMERA_INITIAL_POSITION = { x: 30, y: 25, z: 30 };
@@ -1,26 +1,48 @@
 /**
  * Geographic coordinate to 3D scene coordinate conversion utilities
- * 
+ *
  * IMPORTANT: Scene is centered on the DOCK position for proper camera framing.
  * Dock is at origin (0,0,0), all other objects positioned relative to it.
+ *
+ * Positions are projected onto the WGS84 tangent plane at the dock (east/north
+ * in meters, see data/geodesy.js) and divided by the site's metersPerSceneUnit,
+ * so one scene unit is the same ground distance in every direction. The dock and
+ * scale come from the active site (data/siteConfig.js).
  */
 
-import { DOCK_LAT, DOCK_LON, SCALE_FACTOR_LAT, SCALE_FACTOR_LON } from './Constants';
+import { createEnuProjection, distanceMeters } from '../../data/geodesy.js';
+import { getActiveSite } from '../../data/siteConfig.js';
+
+let projectedSite = null;
+let dockProjection = null;
+
+/**
+ * Projection around the active site's dock (rebuilt when the site changes)
+ */
+function getDockProjection() {
+  const site = getActiveSite();
+  if (site !== projectedSite) {
+    projectedSite = site;
+    dockProjection = createEnuProjection(site.dock);
+  }
+  return dockProjection;
+}
 
 /**
  * Convert latitude/longitude to 3D scene coordinates
- * Scene is centered on the dock (DOCK_LAT, DOCK_LON) which maps to origin (0,0,0)
+ * Scene is centered on the active site's dock, which maps to origin (0,0,0)
  * @param {Object} coords - Coordinate object
  * @param {number} coords.latitude - Geographic latitude
  * @param {number} coords.longitude - Geographic longitude
  * @returns {{x: number, z: number}} Scene coordinates
  */
 export function latLonToSceneCoords({ latitude, longitude }) {
-  // Center scene on dock position instead of arbitrary center point
-  const x = (longitude - DOCK_LON) * SCALE_FACTOR_LON;
-  const z = -(latitude - DOCK_LAT) * SCALE_FACTOR_LAT; // Negative Z for north
-  
-  return { x, z };
+  const { east, north } = getDockProjection().toLocal({ latitude, longitude });
+
+  return {
+    x: metersToSceneUnits(east),
+    z: -metersToSceneUnits(north), // Negative Z for north
+  };
 }
 
 /**
@@ -30,15 +52,31 @@ export function latLonToSceneCoords({ latitude, longitude }) {
  * @returns {{latitude: number, longitude: number}} Geographic coordinates
  */
 export function sceneCoordsToLatLon(x, z) {
-  // Reverse conversion: scene is centered on dock
-  const longitude = (x / SCALE_FACTOR_LON) + DOCK_LON;
-  const latitude = -(z / SCALE_FACTOR_LAT) + DOCK_LAT;
-  
-  return { latitude, longitude };
+  return getDockProjection().toGeodetic(sceneUnitsToMeters(x), -sceneUnitsToMeters(z));
+}
+
+/**
+ * Convert a ground distance to scene units
+ * @param {number} meters - Distance in meters
+ * @returns {number} Distance in scene units
+ */
+export function metersToSceneUnits(meters) {
+  return meters / getActiveSite().metersPerSceneUnit;
+}
+
+/**
+ * Convert a scene distance to meters on the ground
+ * @param {number} units - Distance in scene units
+ * @returns {number} Distance in meters
+ */
+export function sceneUnitsToMeters(units) {
+  return units * getActiveSite().metersPerSceneUnit;
 }
 
 /**
  * Calculate distance between two geographic points (in scene units)
+ * Uses the ellipsoidal ground distance; for meters or nautical miles use
+ * distanceMeters / distanceNauticalMiles from data/geodesy.js.
  * @param {number} lat1 - First latitude
  * @param {number} lon1 - First longitude
  * @param {number} lat2 - Second latitude
@@ -46,19 +84,16 @@ export function sceneCoordsToLatLon(x, z) {
  * @returns {number} Distance in scene units
  */
 export function geoDistance(lat1, lon1, lat2, lon2) {
-  const coord1 = latLonToSceneCoords({ latitude: lat1, longitude: lon1 });
-  const coord2 = latLonToSceneCoords({ latitude: lat2, longitude: lon2 });
-  
-  const dx = coord2.x - coord1.x;
-  const dz = coord2.z - coord1.z;
-  
-  return Math.sqrt(dx * dx + dz * dz);
+  const meters = distanceMeters({ latitude: lat1, longitude: lon1 }, { latitude: lat2, longitude: lon2 });
+  return metersToSceneUnits(meters);
 }
 
 // Export as object for convenience
 export const CoordinateConverter = {
   latLonToScene: latLonToSceneCoords,
   sceneToLatLon: sceneCoordsToLatLon,
+  metersToScene: metersToSceneUnits,
+  sceneToMeters: sceneUnitsToMeters,
   geoDistance,
 };
 
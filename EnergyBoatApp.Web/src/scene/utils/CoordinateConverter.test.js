@@ -0,0 +1,59 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  latLonToSceneCoords,
+  sceneCoordsToLatLon,
+  metersToSceneUnits,
+  sceneUnitsToMeters,
+  geoDistance,
+} from './CoordinateConverter.js';
+import { createEnuProjection, distanceMeters } from '../../data/geodesy.js';
+import { DEFAULT_SITE, getActiveSite, setActiveSite } from '../../data/siteConfig.js';
+
+const previousSite = getActiveSite();
+
+// Same dock as the default site at a different scale
+const COARSE_SITE = { ...DEFAULT_SITE, id: 'coarse-test', metersPerSceneUnit: 250 };
+
+describe('CoordinateConverter', () => {
+  afterEach(() => {
+    setActiveSite(previousSite);
+  });
+
+  it('puts the dock at the scene origin', () => {
+    setActiveSite(DEFAULT_SITE);
+    const { x, z } = latLonToSceneCoords(DEFAULT_SITE.dock);
+    assert.ok(Math.abs(x) < 1e-9);
+    assert.ok(Math.abs(z) < 1e-9);
+  });
+
+  it('divides east/north meters by the site\'s metersPerSceneUnit (north is -z)', () => {
+    const corner = { latitude: DEFAULT_SITE.bounds.maxLat, longitude: DEFAULT_SITE.bounds.maxLon };
+    const { east, north } = createEnuProjection(DEFAULT_SITE.dock).toLocal(corner);
+
+    [DEFAULT_SITE, COARSE_SITE].forEach((site) => {
+      setActiveSite(site);
+      const { x, z } = latLonToSceneCoords(corner);
+      assert.ok(Math.abs(x - east / site.metersPerSceneUnit) < 1e-9, site.id);
+      assert.ok(Math.abs(z + north / site.metersPerSceneUnit) < 1e-9, site.id);
+    });
+  });
+
+  it('round-trips scene coordinates at any scale', () => {
+    [DEFAULT_SITE, COARSE_SITE].forEach((site) => {
+      setActiveSite(site);
+      const position = { latitude: DEFAULT_SITE.bounds.minLat, longitude: DEFAULT_SITE.bounds.maxLon };
+      const { x, z } = latLonToSceneCoords(position);
+      assert.ok(distanceMeters(position, sceneCoordsToLatLon(x, z)) < 1e-6, site.id);
+    });
+  });
+
+  it('converts distances with the active scale', () => {
+    setActiveSite(COARSE_SITE);
+    assert.equal(metersToSceneUnits(1000), 4);
+    assert.equal(sceneUnitsToMeters(4), 1000);
+
+    const [a, b] = DEFAULT_SITE.buoys;
+    assert.ok(Math.abs(geoDistance(a.latitude, a.longitude, b.latitude, b.longitude) - distanceMeters(a, b) / 250) < 1e-9);
+  });
+});
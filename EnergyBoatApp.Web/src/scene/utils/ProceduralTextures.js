@@ -0,0 +1,114 @@
+/**
+ * Procedural texture utilities
+ *
+ * Generated stand-ins for image assets. The water normal map is a sum of
+ * sine ripples with whole-number frequencies across the tile, so it repeats
+ * seamlessly, and a fixed seed makes every build and fallback identical.
+ * `src/assets/textures/waternormals.png` was rendered from
+ * generateWaterNormalData() with the defaults below.
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Water normal map generation settings
+ */
+export const WATER_NORMAL_CONFIG = {
+  size: 256,               // Tile width and height in pixels
+  seed: 20231,
+  rippleCount: 48,
+  minFrequency: 2,         // Ripple cycles per tile
+  maxFrequency: 28,
+  strength: 2.2,           // Slope scale; higher gives choppier normals
+};
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ *
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates tileable tangent-space normals for water
+ * Pure function (no DOM), so it also runs in Node to regenerate the shipped PNG.
+ *
+ * @param {Object} [options] - Overrides for WATER_NORMAL_CONFIG
+ * @returns {{data: Uint8Array, width: number, height: number}} RGBA pixels
+ */
+export function generateWaterNormalData(options = {}) {
+  const { size, seed, rippleCount, minFrequency, maxFrequency, strength } = { ...WATER_NORMAL_CONFIG, ...options };
+  const random = createRandom(seed);
+
+  const ripples = [];
+  while (ripples.length < rippleCount) {
+    const kx = Math.round((random() * 2 - 1) * maxFrequency);
+    const ky = Math.round((random() * 2 - 1) * maxFrequency);
+    const frequency = Math.hypot(kx, ky);
+    if (frequency < minFrequency || frequency > maxFrequency) continue;
+    ripples.push({ kx, ky, amplitude: 1 / frequency, phase: random() * Math.PI * 2 });
+  }
+
+  // Height is Σ a·sin(2π(kx·u + ky·v) + φ); normals come from its analytic slope
+  const totalAmplitude = ripples.reduce((sum, ripple) => sum + ripple.amplitude, 0);
+  const data = new Uint8Array(size * size * 4);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let slopeX = 0;
+      let slopeY = 0;
+      ripples.forEach(({ kx, ky, amplitude, phase }) => {
+        const derivative = amplitude * 2 * Math.PI * Math.cos(2 * Math.PI * (kx * x + ky * y) / size + phase);
+        slopeX += derivative * kx;
+        slopeY += derivative * ky;
+      });
+
+      const scale = strength / (totalAmplitude * maxFrequency);
+      const nx = -slopeX * scale;
+      const ny = -slopeY * scale;
+      const length = Math.hypot(nx, ny, 1);
+
+      const i = (y * size + x) * 4;
+      data[i] = Math.round(((nx / length) * 0.5 + 0.5) * 255);
+      data[i + 1] = Math.round(((ny / length) * 0.5 + 0.5) * 255);
+      data[i + 2] = Math.round(((1 / length) * 0.5 + 0.5) * 255);
+      data[i + 3] = 255;
+    }
+  }
+
+  return { data, width: size, height: size };
+}
+
+/**
+ * Creates a repeating water normal texture without loading any file
+ *
+ * @param {Object} [options] - Overrides for WATER_NORMAL_CONFIG
+ * @returns {THREE.DataTexture} Normal map ready for the Water shader
+ */
+export function createProceduralWaterNormals(options = {}) {
+  const { data, width, height } = generateWaterNormalData(options);
+  const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat);
+  texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+  texture.magFilter = THREE.LinearFilter;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.generateMipmaps = true;
+  texture.name = 'procedural-water-normals';
+  texture.needsUpdate = true;
+  return texture;
+}
+
+export default {
+  WATER_NORMAL_CONFIG,
+  generateWaterNormalData,
+  createProceduralWaterNormals,
+};
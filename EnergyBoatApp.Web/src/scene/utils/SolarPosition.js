@@ -0,0 +1,94 @@
+/**
+ * Solar position utilities
+ *
+ * Low-precision sun ephemeris (about 0.01° over a few centuries, far more
+ * than a sky needs) giving elevation and azimuth for any moment and place.
+ * Azimuth is a compass bearing: 0 = north, 90 = east.
+ */
+
+import * as THREE from 'three';
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400000;
+const J2000_DAYS_SINCE_EPOCH = 10957.5; // 2000-01-01 12:00 UTC
+
+/**
+ * Sun position for a moment and place
+ *
+ * @param {Date|number} date - Moment (Date or epoch milliseconds)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees (east positive)
+ * @returns {{elevation: number, azimuth: number}} Degrees above the horizon and compass bearing
+ */
+export function getSolarPosition(date, latitude, longitude) {
+  const d = (typeof date === 'number' ? date : date.getTime()) / MS_PER_DAY - J2000_DAYS_SINCE_EPOCH;
+
+  // Ecliptic longitude of the sun from its mean anomaly and mean longitude
+  const meanAnomaly = (357.529 + 0.98560028 * d) * DEG;
+  const meanLongitude = 280.459 + 0.98564736 * d;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.00000036 * d) * DEG;
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  // Local hour angle from Greenwich mean sidereal time
+  const siderealDegrees = (18.697374558 + 24.06570982441908 * d) * 15 + longitude;
+  const hourAngle = siderealDegrees * DEG - rightAscension;
+
+  const lat = latitude * DEG;
+  const elevation = Math.asin(
+    Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.cos(declination) * Math.sin(hourAngle),
+    Math.sin(declination) * Math.cos(lat) - Math.cos(declination) * Math.sin(lat) * Math.cos(hourAngle)
+  );
+
+  return {
+    elevation: elevation / DEG,
+    azimuth: ((azimuth / DEG) + 360) % 360,
+  };
+}
+
+/**
+ * Finds the next sunrise or sunset after a moment
+ *
+ * @param {Date|number} date - Start moment (Date or epoch milliseconds)
+ * @param {number} latitude - Observer latitude in degrees
+ * @param {number} longitude - Observer longitude in degrees
+ * @returns {{type: string, time: number}|null} 'sunrise' or 'sunset' and when (epoch ms), or null in polar day/night
+ */
+export function findNextSunEvent(date, latitude, longitude) {
+  const start = typeof date === 'number' ? date : date.getTime();
+  const step = 5 * 60 * 1000;
+  const wasUp = getSolarPosition(start, latitude, longitude).elevation > 0;
+
+  for (let time = start + step; time <= start + 2 * MS_PER_DAY; time += step) {
+    if ((getSolarPosition(time, latitude, longitude).elevation > 0) !== wasUp) {
+      return { type: wasUp ? 'sunset' : 'sunrise', time };
+    }
+  }
+  return null;
+}
+
+/**
+ * Sets a scene direction vector from elevation and compass azimuth
+ * Scene north is -Z and east is +X (see CoordinateConverter).
+ *
+ * @param {THREE.Vector3} target - Vector to write (unit length)
+ * @param {number} elevation - Degrees above the horizon
+ * @param {number} azimuth - Compass bearing in degrees
+ * @returns {THREE.Vector3} The target vector
+ */
+export function directionFromSolarAngles(target, elevation, azimuth) {
+  const phi = THREE.MathUtils.degToRad(90 - elevation);
+  const theta = THREE.MathUtils.degToRad(180 - azimuth);
+  return target.setFromSphericalCoords(1, phi, theta);
+}
+
+export default {
+  getSolarPosition,
+  findNextSunEvent,
+  directionFromSolarAngles,
+};
@@ -163,6 +163,17 @@ export function createRailingMaterial() {
   });
 }
 
+export function createSolarPanelMaterial() {
+  return new THREE.MeshStandardMaterial({
+    color: 0x1A2A5A, // Deep blue cells
+    metalness: 0.6,
+    roughness: 0.25,
+    emissive: 0x3A7BFF, // Glows while charging
+    emissiveIntensity: 0,
+    flatShading: true,
+  });
+}
+
 /**
  * Navigation Light Materials
  */
@@ -449,6 +460,7 @@ export default {
   createAntennaMaterial,
   createCraneMaterial,
   createRailingMaterial,
+  createSolarPanelMaterial,
   createPortLightMaterial,
   createStarboardLightMaterial,
   createMastheadLightMaterial,
@@ -23,7 +23,7 @@ import { getStatusLightColor } from '../utils/BoatHelpers.js';
  */
 export function createBoat(boatData) {
   const boatGroup = new THREE.Group();
-  const status = boatData.status || boatData.Status || 'Active';
+  const status = boatData.status || 'Active';
   
   // Store boat data for reference
   boatGroup.userData.boatData = boatData;
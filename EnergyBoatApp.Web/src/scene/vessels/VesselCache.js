@@ -0,0 +1,99 @@
+/**
+ * VesselCache Module
+ *
+ * Shared geometries and materials for vessel models. Every boat of the same
+ * design reuses one set of GPU resources instead of building its own, so a
+ * large fleet costs memory and shader compiles once. Anything returned from
+ * here is shared: change a boat's look by swapping its mesh.material (see
+ * getHighlightMaterial), never by editing the cached object.
+ */
+
+import * as THREE from 'three';
+
+const geometries = new Map();
+const materials = new Map();
+const highlightMaterials = new Map();
+
+/**
+ * Emissive intensity of highlighted (selected) materials
+ */
+const HIGHLIGHT_EMISSIVE_INTENSITY = 1.5;
+
+/**
+ * Returns the cached geometry for a key, creating it on first use
+ *
+ * @param {string} key - Cache key (e.g. 'hull')
+ * @param {Function} create - Returns a new THREE.BufferGeometry
+ * @returns {THREE.BufferGeometry} Shared geometry
+ */
+export function getSharedGeometry(key, create) {
+  if (!geometries.has(key)) {
+    geometries.set(key, create());
+  }
+  return geometries.get(key);
+}
+
+/**
+ * Returns the cached material for a key, creating it on first use
+ *
+ * @param {string} key - Cache key (e.g. 'hull-Active')
+ * @param {Function} create - Returns a new THREE.Material
+ * @returns {THREE.Material} Shared material
+ */
+export function getSharedMaterial(key, create) {
+  if (!materials.has(key)) {
+    materials.set(key, create());
+  }
+  return materials.get(key);
+}
+
+/**
+ * Returns a brighter copy of a shared material for the selected boat
+ * One copy per source material, so highlighting never touches other boats.
+ *
+ * @param {THREE.Material} material - Shared material
+ * @returns {THREE.Material} Highlight variant
+ */
+export function getHighlightMaterial(material) {
+  if (!highlightMaterials.has(material)) {
+    const highlight = material.clone();
+    if (highlight.emissive) {
+      highlight.emissiveIntensity = HIGHLIGHT_EMISSIVE_INTENSITY;
+    }
+    highlightMaterials.set(material, highlight);
+  }
+  return highlightMaterials.get(material);
+}
+
+/**
+ * Counts cached resources (for debugging fleet performance)
+ *
+ * @returns {{geometries: number, materials: number}} Cache sizes
+ */
+export function getVesselCacheStats() {
+  return {
+    geometries: geometries.size,
+    materials: materials.size + highlightMaterials.size,
+  };
+}
+
+/**
+ * Disposes every cached geometry and material
+ * Only call once no boat uses them (e.g. when the scene unmounts).
+ */
+export function disposeVesselCache() {
+  geometries.forEach(geometry => geometry.dispose());
+  materials.forEach(material => material.dispose());
+  highlightMaterials.forEach(material => material.dispose());
+  geometries.clear();
+  materials.clear();
+  highlightMaterials.clear();
+}
+
+export default {
+  getSharedGeometry,
+  getSharedMaterial,
+  getHighlightMaterial,
+  getVesselCacheStats,
+  disposeVesselCache,
+};
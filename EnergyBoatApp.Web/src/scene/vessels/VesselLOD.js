@@ -0,0 +1,496 @@
+/**
+ * VesselLOD Module
+ *
+ * Level-of-detail rendering so large fleets stay smooth. Each boat group holds
+ * a full-detail model (its VesselRegistry model baked into one mesh per
+ * material) and a simplified hull with emissive navigation lights; boats beyond mid range
+ * hide both and are drawn as a single InstancedMesh of heading icons. All
+ * geometry and materials come from VesselCache, so a boat costs a handful of
+ * draw calls up close and none of its own far away. The hull, status beacon
+ * and solar panels stay separate named meshes at every level so VesselStatus
+ * can swap their materials. Boats outside the dashboard filter are drawn as
+ * muted icons at any distance, or left out entirely.
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import { resolveVesselVariant, createVesselModel, getVesselDefinition } from './VesselRegistry.js';
+import { createHullGeometry } from './atoms/Hull.js';
+import { createHullMaterial, createStatusLightMaterial } from './BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial, getHighlightMaterial, disposeVesselCache } from './VesselCache.js';
+import { STATUS_PARTS } from './VesselStatus.js';
+import { getBoatColor } from '../utils/BoatHelpers.js';
+import { getVariantKey } from '../../data/vesselTypes.js';
+
+/**
+ * Detail levels, finest first
+ */
+export const LOD_LEVELS = {
+  FULL: 0,
+  MID: 1,
+  ICON: 2,
+};
+
+/**
+ * How a boat is drawn relative to the fleet dashboard filter
+ */
+export const VESSEL_FILTER_STATES = {
+  MATCH: 'match',     // Normal detail levels
+  DIMMED: 'dimmed',   // Always a muted icon
+  HIDDEN: 'hidden',   // Not drawn or pickable
+};
+
+/**
+ * LOD configuration (distances in scene units from the camera)
+ */
+export const VESSEL_LOD_CONFIG = {
+  fullDetailDistance: 80,     // Closer than this: every part of the model
+  midDetailDistance: 250,     // Closer than this: simplified hull + lights; beyond: instanced icon
+  hysteresis: 0.1,            // Fraction past a threshold before switching, so boats don't flicker
+  midHullSegments: 3,         // Hull spline points in the simplified model (full model uses 12)
+  midParts: ['deck', 'accommodation', 'bridge', 'wheelhouse', 'sensor-housing', 'fender'],   // Named meshes merged into the mid-range body
+  navLightRadius: 0.35,       // Oversized so the lights still read at mid range
+  navLightColors: { port: 0xFF0000, starboard: 0x00FF00, masthead: 0xFFFFFF },
+  iconScaleDistance: 250,     // Icons are boat-sized here and keep their screen size further out
+  iconHeight: 1.5,            // Above the waterline so wave crests don't cover them
+  selectedScale: 1.3,         // Selected boats (and their icons) are drawn larger
+  initialIconCapacity: 256,   // Grows by doubling when the fleet is larger
+  dimmedColor: 0x5A6B7D,      // Icon color that dimmed boats are blended towards
+  dimmedColorMix: 0.8,        // 0 keeps the status color, 1 is fully muted
+};
+
+// Baked full-detail parts per variant key
+const fullDetailParts = new Map();
+
+/**
+ * Merges mesh geometries into one, in the coordinates of the template root
+ * Indexed and non-indexed geometries are both flattened so they can merge.
+ *
+ * @param {Array<THREE.Mesh>} meshes - Meshes from an updated template
+ * @param {Function} [getColor] - Per-mesh THREE.Color written to a `color` attribute
+ * @returns {THREE.BufferGeometry} Merged geometry
+ */
+function mergeMeshes(meshes, getColor) {
+  const pieces = meshes.map((mesh) => {
+    const source = mesh.userData.lodGeometry ?? mesh.geometry;
+    const indexed = source.clone().applyMatrix4(mesh.matrixWorld);
+    const piece = indexed.index ? indexed.toNonIndexed() : indexed;
+    if (piece !== indexed) indexed.dispose();
+
+    if (getColor) {
+      const color = getColor(mesh);
+      const colors = new Float32Array(piece.attributes.position.count * 3);
+      for (let i = 0; i < colors.length; i += 3) {
+        colors[i] = color.r;
+        colors[i + 1] = color.g;
+        colors[i + 2] = color.b;
+      }
+      piece.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    }
+    return piece;
+  });
+
+  const merged = mergeGeometries(pieces);
+  pieces.forEach(piece => piece.dispose());
+  return merged;
+}
+
+/**
+ * Builds a template model of a variant with world matrices ready for merging
+ */
+function createTemplate(variant) {
+  const template = createVesselModel(variant);
+  template.updateMatrixWorld(true);
+  return template;
+}
+
+/**
+ * Full-detail parts: the variant's template baked into one geometry per shared material
+ *
+ * @param {import('../../data/vesselTypes.js').VesselVariant} variant - Vessel type and equipment
+ * @returns {Array<{name: string, geometry: THREE.BufferGeometry, material: THREE.Material, castShadow: boolean, receiveShadow: boolean}>}
+ */
+function getFullDetailParts(variant) {
+  const key = getVariantKey(variant);
+  if (fullDetailParts.has(key)) return fullDetailParts.get(key);
+
+  const byMaterial = new Map();
+  createTemplate(variant).traverse((child) => {
+    if (!child.isMesh) return;
+    if (!byMaterial.has(child.material)) byMaterial.set(child.material, []);
+    byMaterial.get(child.material).push(child);
+  });
+
+  const parts = [...byMaterial].map(([material, meshes], index) => ({
+    name: meshes.every(mesh => mesh.name === meshes[0].name) ? meshes[0].name : '', // e.g. 'hull' for VesselStatus
+    geometry: getSharedGeometry(`lod-full-${key}-${index}`, () => mergeMeshes(meshes)),
+    material,
+    castShadow: meshes.some(mesh => mesh.castShadow),
+    receiveShadow: meshes.some(mesh => mesh.receiveShadow),
+  }));
+  fullDetailParts.set(key, parts);
+  return parts;
+}
+
+/**
+ * Named meshes of a vessel type's template, without equipment
+ */
+function getTemplateMeshes(type, names) {
+  const meshes = [];
+  createTemplate({ type, equipment: [] }).traverse((child) => {
+    if (child.isMesh && names.includes(child.name)) meshes.push(child);
+  });
+  return meshes;
+}
+
+/**
+ * Simplified body: deck and superstructure blocks, colored per vertex
+ */
+function createMidBodyGeometry(type) {
+  return mergeMeshes(
+    getTemplateMeshes(type, VESSEL_LOD_CONFIG.midParts),
+    mesh => mesh.material.color ?? new THREE.Color(0xFFFFFF)
+  );
+}
+
+/**
+ * Low-poly hull (catamarans contribute both hulls)
+ */
+function createMidHullGeometry(type) {
+  const lowPolyHull = createHullGeometry(VESSEL_LOD_CONFIG.midHullSegments);
+  const meshes = getTemplateMeshes(type, [STATUS_PARTS.HULL]);
+  meshes.forEach((mesh) => { mesh.userData.lodGeometry = lowPolyHull; });
+
+  const geometry = mergeMeshes(meshes);
+  lowPolyHull.dispose();
+  return geometry;
+}
+
+/**
+ * Navigation light dots for a vessel type, colored per vertex
+ */
+function createNavLightGeometry(type) {
+  const { navLightRadius, navLightColors } = VESSEL_LOD_CONFIG;
+  const { x, y, halfBeam, mastheadY } = getVesselDefinition(type).navLights;
+  const navLights = [
+    { position: [x, y, -halfBeam], color: navLightColors.port },       // Bow is +X, so port is -Z
+    { position: [x, y, halfBeam], color: navLightColors.starboard },
+    { position: [x, mastheadY, 0], color: navLightColors.masthead },
+  ];
+  const meshes = navLights.map(({ position, color }) => {
+    const light = new THREE.Mesh(new THREE.SphereGeometry(navLightRadius, 6, 4));
+    light.position.set(...position);
+    light.updateMatrixWorld(true);
+    light.userData.color = new THREE.Color(color);
+    return light;
+  });
+
+  const geometry = mergeMeshes(meshes, mesh => mesh.userData.color);
+  meshes.forEach(mesh => mesh.geometry.dispose());
+  return geometry;
+}
+
+/**
+ * Creates the mid-range model (four draw calls, no shadows)
+ */
+function createMidDetail(variant) {
+  const mid = new THREE.Group();
+  mid.name = 'lod-mid';
+  const { navLightRadius } = VESSEL_LOD_CONFIG;
+
+  // Hull and beacon keep their own meshes so status colors apply at this range too
+  const hull = new THREE.Mesh(
+    getSharedGeometry(`lod-mid-hull-${variant.type}`, () => createMidHullGeometry(variant.type)),
+    getSharedMaterial('hull-Active', () => createHullMaterial('Active'))
+  );
+  hull.name = STATUS_PARTS.HULL;
+
+  const beacon = new THREE.Mesh(
+    getSharedGeometry('lod-mid-beacon', () => new THREE.SphereGeometry(navLightRadius, 6, 4)),
+    getSharedMaterial('status-light-Active', () => createStatusLightMaterial('Active'))
+  );
+  beacon.name = STATUS_PARTS.STATUS_LIGHT;
+  const { x, y } = getVesselDefinition(variant.type).statusLight;
+  beacon.position.set(x, y, 0);
+
+  const body = new THREE.Mesh(
+    getSharedGeometry(`lod-mid-body-${variant.type}`, () => createMidBodyGeometry(variant.type)),
+    getSharedMaterial('lod-mid-body', () => new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      metalness: 0.5,
+      roughness: 0.5,
+      flatShading: true,
+    }))
+  );
+  body.name = 'lod-mid-body';
+
+  // Basic material ignores scene lighting, so the lights stay bright at night
+  const lights = new THREE.Mesh(
+    getSharedGeometry(`lod-mid-lights-${variant.type}`, () => createNavLightGeometry(variant.type)),
+    getSharedMaterial('lod-mid-lights', () => new THREE.MeshBasicMaterial({ vertexColors: true }))
+  );
+  lights.name = 'lod-mid-lights';
+
+  mid.add(hull, body, lights, beacon);
+  return mid;
+}
+
+/**
+ * Creates the full-detail model from the baked template parts
+ */
+function createFullDetail(variant) {
+  const full = new THREE.Group();
+  full.name = 'lod-full';
+  getFullDetailParts(variant).forEach(({ name, geometry, material, castShadow, receiveShadow }) => {
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    mesh.castShadow = castShadow;
+    mesh.receiveShadow = receiveShadow;
+    full.add(mesh);
+  });
+  return full;
+}
+
+/**
+ * Creates a boat with full and mid detail levels
+ * Use in place of createBoatModel; the vessel type and equipment come from the
+ * boat's metadata, and boats of the same variant share every resource.
+ *
+ * @param {object} boat - The boat data object from the API
+ * @returns {THREE.Group} Boat group (origin at the waterline, bow along +X)
+ */
+export function createVesselLOD(boat) {
+  const variant = resolveVesselVariant(boat);
+  const definition = getVesselDefinition(variant.type);
+
+  const vessel = new THREE.Group();
+  vessel.name = `boat-${boat.id}`;
+
+  const full = createFullDetail(variant);
+  const mid = createMidDetail(variant);
+  mid.visible = false;
+  vessel.add(full, mid);
+
+  vessel.userData.lod = { full, mid };
+  vessel.userData.lodLevel = LOD_LEVELS.FULL;
+  vessel.userData.filterState = VESSEL_FILTER_STATES.MATCH;
+  vessel.userData.vesselType = variant.type;
+  vessel.userData.equipment = variant.equipment;
+  vessel.userData.hullLength = definition.hullLength; // Wave sampling in AnimationLoop
+  vessel.userData.hullBeam = definition.hullBeam;
+  return vessel;
+}
+
+/**
+ * Shows one detail level of a boat (both hidden for ICON)
+ *
+ * @param {THREE.Group} vessel - Group from createVesselLOD
+ * @param {number} level - One of LOD_LEVELS
+ */
+export function setVesselLODLevel(vessel, level) {
+  const { full, mid } = vessel.userData.lod;
+  full.visible = level === LOD_LEVELS.FULL;
+  mid.visible = level === LOD_LEVELS.MID;
+  vessel.userData.lodLevel = level;
+}
+
+/**
+ * Dims or hides a boat that doesn't match the fleet filter
+ * Dimmed boats drop to a muted icon at every distance, which leaves the shared
+ * and status materials alone; hidden boats are skipped by the icon layer,
+ * labels and picking.
+ *
+ * @param {THREE.Group} vessel - Group from createVesselLOD
+ * @param {string} state - One of VESSEL_FILTER_STATES
+ */
+export function setVesselFilterState(vessel, state) {
+  if (vessel.userData.filterState === state) return;
+  vessel.userData.filterState = state;
+  vessel.visible = state !== VESSEL_FILTER_STATES.HIDDEN;
+  if (state !== VESSEL_FILTER_STATES.MATCH) {
+    setVesselLODLevel(vessel, LOD_LEVELS.ICON);
+  }
+}
+
+/**
+ * Picks a level for a camera distance, favoring the current one near thresholds
+ */
+function chooseLevel(currentLevel, distance) {
+  const { fullDetailDistance, midDetailDistance, hysteresis } = VESSEL_LOD_CONFIG;
+  const boundary = (threshold, finerLevel) => threshold * (currentLevel <= finerLevel ? 1 + hysteresis : 1 - hysteresis);
+
+  if (distance < boundary(fullDetailDistance, LOD_LEVELS.FULL)) return LOD_LEVELS.FULL;
+  if (distance < boundary(midDetailDistance, LOD_LEVELS.MID)) return LOD_LEVELS.MID;
+  return LOD_LEVELS.ICON;
+}
+
+/**
+ * Flat chevron pointing along +X, one boat length long
+ */
+function createIconGeometry() {
+  const shape = new THREE.Shape();
+  shape.moveTo(4.75, 0);
+  shape.lineTo(-4.75, 2.6);
+  shape.lineTo(-2.4, 0);
+  shape.lineTo(-4.75, -2.6);
+  shape.closePath();
+
+  const geometry = new THREE.ShapeGeometry(shape);
+  geometry.rotateX(-Math.PI / 2); // Lie flat on the water
+  return geometry;
+}
+
+/**
+ * (Re)creates the icon InstancedMesh with room for `capacity` boats
+ */
+function allocateIcons(system, capacity) {
+  if (system.icons) {
+    system.scene.remove(system.icons);
+    system.icons.dispose();
+  }
+
+  const icons = new THREE.InstancedMesh(
+    getSharedGeometry('lod-icon', createIconGeometry),
+    getSharedMaterial('lod-icon', () => new THREE.MeshBasicMaterial({ color: 0xFFFFFF, side: THREE.DoubleSide })),
+    capacity
+  );
+  icons.name = 'vessel-icons';
+  icons.count = 0;
+  icons.frustumCulled = false; // Instances move every frame; the geometry's own bounds don't cover them
+  icons.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  icons.setColorAt(0, new THREE.Color(0xFFFFFF)); // Allocates instanceColor
+  icons.userData.instanceRoots = [];
+  system.scene.add(icons);
+
+  system.icons = icons;
+  system.capacity = capacity;
+}
+
+/**
+ * Creates the fleet LOD system and adds the icon layer to the scene
+ *
+ * @param {THREE.Scene} scene - The Three.js scene
+ * @returns {Object} LOD system state
+ */
+export function createVesselLODSystem(scene) {
+  const system = {
+    scene,
+    icons: null,
+    capacity: 0,
+    counts: { full: 0, mid: 0, icon: 0 },
+    matrix: new THREE.Matrix4(),
+    quaternion: new THREE.Quaternion(),
+    euler: new THREE.Euler(),
+    position: new THREE.Vector3(),
+    scale: new THREE.Vector3(),
+    color: new THREE.Color(),
+    dimmedTint: new THREE.Color(),
+  };
+  allocateIcons(system, VESSEL_LOD_CONFIG.initialIconCapacity);
+  return system;
+}
+
+/**
+ * Chooses each boat's detail level from its camera distance and fills the icon layer
+ * Call once per frame after boats have moved.
+ *
+ * @param {Object} system - State from createVesselLODSystem
+ * @param {THREE.Camera} camera - Rendering camera
+ * @param {Object} boatMeshes - Boat groups by ID (from createVesselLOD)
+ */
+export function updateVesselLOD(system, camera, boatMeshes) {
+  if (!system) return;
+
+  const vessels = Object.values(boatMeshes).filter(vessel => vessel?.userData.lod && vessel.visible);
+  if (vessels.length > system.capacity) {
+    allocateIcons(system, Math.max(system.capacity * 2, vessels.length));
+  }
+
+  const { icons, counts, matrix, quaternion, euler, position, scale, color, dimmedTint } = system;
+  const { iconScaleDistance, iconHeight, dimmedColor, dimmedColorMix } = VESSEL_LOD_CONFIG;
+  const roots = icons.userData.instanceRoots;
+  counts.full = counts.mid = counts.icon = 0;
+  roots.length = 0;
+
+  vessels.forEach((vessel) => {
+    const distance = vessel.position.distanceTo(camera.position);
+    const isDimmed = vessel.userData.filterState === VESSEL_FILTER_STATES.DIMMED;
+    const level = isDimmed ? LOD_LEVELS.ICON : chooseLevel(vessel.userData.lodLevel, distance);
+    if (level !== vessel.userData.lodLevel) {
+      setVesselLODLevel(vessel, level);
+    }
+
+    if (level === LOD_LEVELS.FULL) counts.full++;
+    if (level === LOD_LEVELS.MID) counts.mid++;
+    if (level !== LOD_LEVELS.ICON) return;
+
+    // Grow with distance so icons keep roughly the same size on screen
+    const size = Math.max(1, distance / iconScaleDistance) * vessel.scale.x;
+    position.set(vessel.position.x, vessel.position.y + iconHeight, vessel.position.z);
+    quaternion.setFromEuler(euler.set(0, vessel.rotation.y, 0));
+    scale.set(size, 1, size);
+    icons.setMatrixAt(counts.icon, matrix.compose(position, quaternion, scale));
+    // Follows the hull through status transitions (VesselStatus)
+    const hullColor = vessel.userData.hullColor;
+    if (hullColor) color.copy(hullColor);
+    else color.setHex(getBoatColor(vessel.userData.status));
+    if (isDimmed) color.lerp(dimmedTint.setHex(dimmedColor), dimmedColorMix);
+    icons.setColorAt(counts.icon, color);
+    roots.push(vessel);
+    counts.icon++;
+  });
+
+  icons.count = counts.icon;
+  icons.instanceMatrix.needsUpdate = true;
+  icons.instanceColor.needsUpdate = true;
+  icons.boundingSphere = null; // Recomputed from the new instances on the next raycast
+}
+
+/**
+ * Enlarges and brightens a boat without touching the shared materials
+ * Status parts are left alone so VesselStatus can keep animating them.
+ *
+ * @param {THREE.Group} vessel - Group from createVesselLOD
+ * @param {boolean} highlighted - Whether the boat is selected
+ */
+export function setVesselHighlighted(vessel, highlighted) {
+  const factor = highlighted ? VESSEL_LOD_CONFIG.selectedScale : 1;
+  vessel.scale.set(factor, factor, factor);
+
+  vessel.traverse((child) => {
+    if (!child.isMesh || child.name === 'pick-highlight' || Object.values(STATUS_PARTS).includes(child.name)) return;
+    if (highlighted && !child.userData.baseMaterial) {
+      child.userData.baseMaterial = child.material;
+      child.material = getHighlightMaterial(child.material);
+    } else if (!highlighted && child.userData.baseMaterial) {
+      child.material = child.userData.baseMaterial;
+      delete child.userData.baseMaterial;
+    }
+  });
+}
+
+/**
+ * Removes the icon layer and frees all shared vessel resources
+ * Call when the scene unmounts, after boats are removed.
+ *
+ * @param {Object} system - State from createVesselLODSystem
+ */
+export function disposeVesselLODSystem(system) {
+  system.scene.remove(system.icons);
+  system.icons.dispose();
+  fullDetailParts.clear();
+  disposeVesselCache();
+}
+
+export default {
+  LOD_LEVELS,
+  VESSEL_FILTER_STATES,
+  VESSEL_LOD_CONFIG,
+  createVesselLOD,
+  setVesselLODLevel,
+  setVesselFilterState,
+  createVesselLODSystem,
+  updateVesselLOD,
+  setVesselHighlighted,
+  disposeVesselLODSystem,
+};
@@ -0,0 +1,136 @@
+/**
+ * VesselRegistry Module
+ *
+ * Maps vessel types and equipment from data/vesselTypes.js to the organisms
+ * and molecules that build them. Each type lists its hull size (used for wave
+ * motion), where equipment mounts, where its navigation lights, status
+ * beacon and solar panels sit, and which equipment it can carry. To add a
+ * type, add an organism and an entry here.
+ */
+
+import * as THREE from 'three';
+import { VESSEL_TYPES, EQUIPMENT_TYPES, classifyVessel } from '../../data/vesselTypes.js';
+import { createSurveyVessel } from './organisms/SurveyVessel.js';
+import { createCrewTransferVessel } from './organisms/CrewTransferVessel.js';
+import { createUncrewedVessel } from './organisms/UncrewedVessel.js';
+import { createTug } from './organisms/Tug.js';
+import { createMultibeamSonar, createMagnetometerTowfish, createAFrame } from './molecules/SurveyEquipment.js';
+import { createStatusLight } from './atoms/StatusLight.js';
+import { createSolarPanels } from './atoms/SolarPanels.js';
+
+const ALL_EQUIPMENT = Object.values(EQUIPMENT_TYPES);
+
+/**
+ * Vessel type definitions
+ * create(status) builds the organism; mounts feed the equipment builders;
+ * navLights place the mid-range light dots (port/starboard at ±halfBeam);
+ * statusLight and solarPanels sit on the highest roof, clear of the mast.
+ */
+export const VESSEL_REGISTRY = {
+  [VESSEL_TYPES.SURVEY]: {
+    create: createSurveyVessel,
+    hullLength: 9.5,
+    hullBeam: 3.2,
+    mounts: { sternX: -4.55, sonarX: 1.5, deckY: 1.6, beam: 3.2 },
+    navLights: { x: -0.8, y: 3.5, halfBeam: 1.4, mastheadY: 4.3 },
+    statusLight: { x: 0.25, y: 4.1 },
+    solarPanels: { x: -1.0, y: 3.9, length: 1.6, width: 2.3 },
+    equipment: ALL_EQUIPMENT,
+  },
+  [VESSEL_TYPES.CREW_TRANSFER]: {
+    create: createCrewTransferVessel,
+    hullLength: 8,
+    hullBeam: 3.6,
+    mounts: { sternX: -3.75, sonarX: -1.5, deckY: 1.2, beam: 3.6 },
+    navLights: { x: 1.2, y: 2.1, halfBeam: 1.45, mastheadY: 2.8 },
+    statusLight: { x: 2.2, y: 2.7 },
+    solarPanels: { x: 0.8, y: 2.5, length: 1.4, width: 2.5 },
+    equipment: [EQUIPMENT_TYPES.MULTIBEAM],
+  },
+  [VESSEL_TYPES.UNCREWED]: {
+    create: createUncrewedVessel,
+    hullLength: 4.5,
+    hullBeam: 1.8,
+    mounts: { sternX: -2.3, sonarX: 0.8, deckY: 0.8, beam: 1.4 },
+    navLights: { x: -0.3, y: 1.1, halfBeam: 0.6, mastheadY: 1.5 },
+    statusLight: { x: 0.6, y: 1.45 },
+    solarPanels: { x: -0.5, y: 1.3, length: 1.6, width: 1.0 },
+    equipment: [EQUIPMENT_TYPES.MULTIBEAM, EQUIPMENT_TYPES.MAGNETOMETER],
+  },
+  [VESSEL_TYPES.TUG]: {
+    create: createTug,
+    hullLength: 6.8,
+    hullBeam: 5,
+    mounts: { sternX: -3.2, sonarX: -1.8, deckY: 1.75, beam: 4.6 },
+    navLights: { x: 0.9, y: 3.7, halfBeam: 1.75, mastheadY: 4.2 },
+    statusLight: { x: 1.8, y: 4.25 },
+    solarPanels: { x: 0.6, y: 4.05, length: 1.2, width: 3.0 },
+    equipment: [EQUIPMENT_TYPES.MAGNETOMETER, EQUIPMENT_TYPES.A_FRAME],
+  },
+};
+
+/**
+ * Builders for equipment attachments, each taking a type's mounts
+ */
+export const EQUIPMENT_REGISTRY = {
+  [EQUIPMENT_TYPES.MULTIBEAM]: createMultibeamSonar,
+  [EQUIPMENT_TYPES.MAGNETOMETER]: createMagnetometerTowfish,
+  [EQUIPMENT_TYPES.A_FRAME]: createAFrame,
+};
+
+/**
+ * Definition for a vessel type (survey vessel when unknown)
+ *
+ * @param {string} type - One of VESSEL_TYPES
+ * @returns {Object} Registry entry
+ */
+export function getVesselDefinition(type) {
+  return VESSEL_REGISTRY[type] ?? VESSEL_REGISTRY[VESSEL_TYPES.SURVEY];
+}
+
+/**
+ * Classifies a boat and keeps only equipment its hull type can carry
+ *
+ * @param {import('../../data/boatSchema.js').Boat} boat - Parsed boat
+ * @returns {import('../../data/vesselTypes.js').VesselVariant} Buildable variant
+ */
+export function resolveVesselVariant(boat) {
+  const { type, equipment } = classifyVessel(boat);
+  const definition = getVesselDefinition(type);
+  return {
+    type: VESSEL_REGISTRY[type] ? type : VESSEL_TYPES.SURVEY,
+    equipment: equipment.filter(item => definition.equipment.includes(item) && EQUIPMENT_REGISTRY[item]),
+  };
+}
+
+/**
+ * Builds the model for a variant: the type's organism, status beacon, solar panels and equipment
+ *
+ * @param {import('../../data/vesselTypes.js').VesselVariant} variant - From resolveVesselVariant
+ * @param {string} [status='Active'] - Boat status for the hull color
+ * @returns {THREE.Group} Vessel model, bow along +X, origin at the waterline
+ */
+export function createVesselModel(variant, status = 'Active') {
+  const definition = getVesselDefinition(variant.type);
+  const model = new THREE.Group();
+  model.add(definition.create(status));
+  model.add(createStatusLight({ ...definition.statusLight, status }));
+  model.add(createSolarPanels(definition.solarPanels));
+  variant.equipment.forEach((item) => {
+    model.add(EQUIPMENT_REGISTRY[item](definition.mounts));
+  });
+
+  model.userData.vesselType = variant.type;
+  model.userData.equipment = [...variant.equipment];
+  model.userData.hullLength = definition.hullLength;
+  model.userData.hullBeam = definition.hullBeam;
+  return model;
+}
+
+export default {
+  VESSEL_REGISTRY,
+  EQUIPMENT_REGISTRY,
+  getVesselDefinition,
+  resolveVesselVariant,
+  createVesselModel,
+};
@@ -0,0 +1,202 @@
+/**
+ * VesselStatus Module
+ *
+ * Keeps each boat's look in step with its live status and energy level. A
+ * change crossfades the hull and status beacon to their new colors; charging
+ * boats' solar panels pulse, maintenance beacons blink red, and active boats
+ * low on energy blink amber. Steady states use the shared per-status
+ * materials from VesselCache, animated once per frame for the whole fleet;
+ * only a boat that is mid-transition holds private materials.
+ */
+
+import * as THREE from 'three';
+import { createHullMaterial, createStatusLightMaterial, createSolarPanelMaterial } from './BoatMaterials.js';
+import { getSharedMaterial } from './VesselCache.js';
+
+/**
+ * Mesh names whose materials follow the boat's status
+ */
+export const STATUS_PARTS = {
+  HULL: 'hull',
+  STATUS_LIGHT: 'status-light',
+  SOLAR_PANELS: 'solar-panels',
+};
+
+/**
+ * Status effect configuration (times in milliseconds)
+ */
+export const STATUS_VISUAL_CONFIG = {
+  transitionDuration: 1500,   // Hull and beacon crossfade
+  lowEnergyThreshold: 20,     // Active boats below this (%) blink amber, like the critical-energy alert
+  lowEnergyColor: 0xFF8800,
+  maintenanceBlinkPeriod: 1200,
+  lowEnergyBlinkPeriod: 600,
+  blinkDutyCycle: 0.35,       // Fraction of each blink cycle the beacon is lit
+  blinkOffLevel: 0.15,        // Beacon brightness between flashes
+  solarPulsePeriod: 2400,     // Charging glow cycle
+  solarGlow: { min: 0.25, max: 1.2 },   // Panel emissive intensity range while charging
+};
+
+const LOW_ENERGY = 'LowEnergy';
+
+/**
+ * Beacon state: the status, or LOW_ENERGY for active boats running flat
+ */
+function getBeaconState(status, energyLevel) {
+  return status === 'Active' && energyLevel < STATUS_VISUAL_CONFIG.lowEnergyThreshold ? LOW_ENERGY : status;
+}
+
+function getHullMaterial(status) {
+  return getSharedMaterial(`hull-${status}`, () => createHullMaterial(status));
+}
+
+function getBeaconMaterial(state) {
+  return getSharedMaterial(`status-light-${state}`, () => {
+    const material = createStatusLightMaterial(state);
+    if (state === LOW_ENERGY) {
+      material.color.setHex(STATUS_VISUAL_CONFIG.lowEnergyColor);
+      material.emissive.setHex(STATUS_VISUAL_CONFIG.lowEnergyColor);
+    }
+    return material;
+  });
+}
+
+function getSolarMaterial(status) {
+  return getSharedMaterial(status === 'Charging' ? 'solar-panel-charging' : 'solar-panel-idle', createSolarPanelMaterial);
+}
+
+/**
+ * Assigns a material to every mesh with the given name (all detail levels)
+ */
+function setPartMaterial(vessel, name, material) {
+  vessel.traverse((child) => {
+    if (child.isMesh && child.name === name) child.material = material;
+  });
+}
+
+/**
+ * Material currently on the first mesh with the given name
+ */
+function getPartMaterial(vessel, name) {
+  let found = null;
+  vessel.traverse((child) => {
+    if (!found && child.isMesh && child.name === name) found = child.material;
+  });
+  return found;
+}
+
+/**
+ * Ends a crossfade on the target materials and frees its private copies
+ */
+function finishTransition(vessel) {
+  const transition = vessel.userData.statusTransition;
+  if (!transition) return;
+
+  setPartMaterial(vessel, STATUS_PARTS.HULL, transition.hull.to);
+  setPartMaterial(vessel, STATUS_PARTS.STATUS_LIGHT, transition.beacon.to);
+  vessel.userData.hullColor.copy(transition.hull.to.color);
+  transition.hull.material.dispose();
+  transition.beacon.material.dispose();
+  delete vessel.userData.statusTransition;
+}
+
+/**
+ * Applies a boat's status and energy level to its materials
+ * The first call sets them directly; later changes crossfade over
+ * STATUS_VISUAL_CONFIG.transitionDuration. Safe to call on every update.
+ *
+ * @param {THREE.Group} vessel - Group from createVesselLOD
+ * @param {string} status - Boat status (Active, Charging, Maintenance)
+ * @param {number} energyLevel - Battery level percentage
+ * @param {number} [now] - Current time in milliseconds (performance.now())
+ */
+export function setVesselStatus(vessel, status, energyLevel, now = performance.now()) {
+  const beacon = getBeaconState(status, energyLevel);
+  const previous = vessel.userData.statusVisual;
+  if (previous && previous.status === status && previous.beacon === beacon) return;
+  vessel.userData.statusVisual = { status, beacon };
+
+  const hullTarget = getHullMaterial(status);
+  const beaconTarget = getBeaconMaterial(beacon);
+  setPartMaterial(vessel, STATUS_PARTS.SOLAR_PANELS, getSolarMaterial(status));
+
+  if (!previous) {
+    setPartMaterial(vessel, STATUS_PARTS.HULL, hullTarget);
+    setPartMaterial(vessel, STATUS_PARTS.STATUS_LIGHT, beaconTarget);
+    vessel.userData.hullColor = hullTarget.color.clone();
+    return;
+  }
+
+  // Start from whatever is on screen, including part-way through another change
+  const hullFrom = getPartMaterial(vessel, STATUS_PARTS.HULL)?.color.clone() ?? hullTarget.color.clone();
+  const beaconFrom = getPartMaterial(vessel, STATUS_PARTS.STATUS_LIGHT)?.emissive.clone() ?? beaconTarget.emissive.clone();
+  const hullMaterial = hullTarget.clone();
+  const beaconMaterial = beaconTarget.clone();
+  hullMaterial.color.copy(hullFrom);
+  beaconMaterial.color.copy(beaconFrom);
+  beaconMaterial.emissive.copy(beaconFrom);
+
+  const running = vessel.userData.statusTransition;
+  if (running) {
+    running.hull.material.dispose();
+    running.beacon.material.dispose();
+  }
+
+  vessel.userData.statusTransition = {
+    start: now,
+    hull: { material: hullMaterial, from: hullFrom, to: hullTarget },
+    beacon: { material: beaconMaterial, from: beaconFrom, to: beaconTarget },
+  };
+  setPartMaterial(vessel, STATUS_PARTS.HULL, hullMaterial);
+  setPartMaterial(vessel, STATUS_PARTS.STATUS_LIGHT, beaconMaterial);
+}
+
+/**
+ * Blinks a shared beacon material (lit for the duty cycle, dim otherwise)
+ */
+function blinkBeacon(material, period, now) {
+  const { blinkDutyCycle, blinkOffLevel } = STATUS_VISUAL_CONFIG;
+  const lit = (now % period) / period < blinkDutyCycle;
+  material.userData.baseColor ??= material.color.clone();
+  material.emissiveIntensity = lit ? 1 : blinkOffLevel;
+  material.color.copy(material.userData.baseColor).multiplyScalar(lit ? 1 : blinkOffLevel);
+}
+
+/**
+ * Advances status effects: fleet-wide blinking and glow, then per-boat crossfades
+ * Should be called once per frame.
+ *
+ * @param {Object} boatMeshes - Boat groups by ID
+ * @param {number} now - Current time in milliseconds (performance.now())
+ */
+export function updateVesselStatusEffects(boatMeshes, now) {
+  const config = STATUS_VISUAL_CONFIG;
+
+  blinkBeacon(getBeaconMaterial('Maintenance'), config.maintenanceBlinkPeriod, now);
+  blinkBeacon(getBeaconMaterial(LOW_ENERGY), config.lowEnergyBlinkPeriod, now);
+
+  const pulse = 0.5 - 0.5 * Math.cos((now / config.solarPulsePeriod) * Math.PI * 2);
+  getSolarMaterial('Charging').emissiveIntensity = THREE.MathUtils.lerp(config.solarGlow.min, config.solarGlow.max, pulse);
+
+  Object.values(boatMeshes).forEach((vessel) => {
+    const transition = vessel?.userData.statusTransition;
+    if (!transition) return;
+
+    const progress = THREE.MathUtils.clamp((now - transition.start) / config.transitionDuration, 0, 1);
+    const eased = THREE.MathUtils.smoothstep(progress, 0, 1);
+    const { hull, beacon } = transition;
+    hull.material.color.lerpColors(hull.from, hull.to.color, eased);
+    beacon.material.emissive.lerpColors(beacon.from, beacon.to.emissive, eased);
+    beacon.material.color.copy(beacon.material.emissive);
+    vessel.userData.hullColor.copy(hull.material.color);
+
+    if (progress >= 1) finishTransition(vessel);
+  });
+}
+
+export default {
+  STATUS_PARTS,
+  STATUS_VISUAL_CONFIG,
+  setVesselStatus,
+  updateVesselStatusEffects,
+};
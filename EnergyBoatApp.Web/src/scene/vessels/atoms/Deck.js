@@ -3,16 +3,26 @@
  * Defines the basic deck geometry for the vessel.
  */
 import * as THREE from 'three';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
 
-export function createDeck() {
-    const geometry = new THREE.BoxGeometry(8.5, 0.2, 3.2); // Swapped width and depth
-    const material = new THREE.MeshStandardMaterial({
+/**
+ * Creates a deck platform.
+ * @param {object} [size] - Deck dimensions; defaults fit the survey hull.
+ * @param {number} [size.length=8.5] - Along the keel (X).
+ * @param {number} [size.width=3.2] - Across the hull (Z).
+ * @param {number} [size.y=1.5] - Height of the deck center above the waterline.
+ * @returns {THREE.Mesh} Deck mesh named 'deck'.
+ */
+export function createDeck({ length = 8.5, width = 3.2, y = 1.5 } = {}) {
+    const geometry = getSharedGeometry(`deck-${length}x${width}`, () => new THREE.BoxGeometry(length, 0.2, width)); // Swapped width and depth
+    const material = getSharedMaterial('deck', () => new THREE.MeshStandardMaterial({
         color: 0x777777, // Grey
         metalness: 0.5,
         roughness: 0.7
-    });
+    }));
     const deck = new THREE.Mesh(geometry, material);
-    deck.position.y = 1.5; // Position it on top of the hull
+    deck.name = 'deck';
+    deck.position.y = y; // Position it on top of the hull
     deck.receiveShadow = true;
     return deck;
 }
@@ -0,0 +1,85 @@
+/**
+ * @file Fittings atoms
+ * Small hull fittings used by workboats: fenders, funnels and towing bitts.
+ */
+import * as THREE from 'three';
+
+import { createFenderMaterial, createFunnelMaterial, createFunnelCapMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
+
+/**
+ * Rubber fender block, e.g. across a bow that pushes against turbines or barges.
+ * @param {object} size - Placement and dimensions.
+ * @param {number} size.x - Center along the keel.
+ * @param {number} size.y - Center height.
+ * @param {number} size.width - Across the hull (Z).
+ * @param {number} [size.depth=0.5] - Thickness along the keel.
+ * @param {number} [size.height=0.6] - Vertical extent.
+ * @returns {THREE.Mesh} Fender mesh named 'fender'.
+ */
+export function createFender({ x, y, width, depth = 0.5, height = 0.6 }) {
+    const geometry = getSharedGeometry(`fender-${depth}x${height}x${width}`, () => new THREE.BoxGeometry(depth, height, width));
+    const fender = new THREE.Mesh(geometry, getSharedMaterial('fender', createFenderMaterial));
+    fender.name = 'fender';
+    fender.position.set(x, y, 0);
+    fender.castShadow = true;
+    return fender;
+}
+
+/**
+ * Exhaust funnel with a dark cap.
+ * @param {object} placement - Where the funnel stands.
+ * @param {number} placement.x - Position along the keel.
+ * @param {number} placement.baseY - Height of the deck it stands on.
+ * @param {number} [placement.height=1.6] - Funnel height including the cap.
+ * @returns {THREE.Group} Funnel group named 'funnel'.
+ */
+export function createFunnel({ x, baseY, height = 1.6 }) {
+    const funnel = new THREE.Group();
+    funnel.name = 'funnel';
+
+    const capHeight = 0.2;
+    const body = new THREE.Mesh(
+        getSharedGeometry(`funnel-${height}`, () => new THREE.CylinderGeometry(0.35, 0.42, height - capHeight, 12)),
+        getSharedMaterial('funnel', createFunnelMaterial)
+    );
+    body.position.y = (height - capHeight) / 2;
+    body.castShadow = true;
+    funnel.add(body);
+
+    const cap = new THREE.Mesh(
+        getSharedGeometry('funnel-cap', () => new THREE.CylinderGeometry(0.37, 0.37, capHeight, 12)),
+        getSharedMaterial('funnel-cap', createFunnelCapMaterial)
+    );
+    cap.position.y = height - capHeight / 2;
+    funnel.add(cap);
+
+    funnel.position.set(x, baseY, 0);
+    return funnel;
+}
+
+/**
+ * Towing bitt: a short post with a crossbar for the tow line.
+ * @param {object} placement - Where the bitt stands.
+ * @param {number} placement.x - Position along the keel.
+ * @param {number} placement.baseY - Height of the deck it stands on.
+ * @returns {THREE.Group} Bitt group named 'towing-bitt'.
+ */
+export function createBitt({ x, baseY }) {
+    const bitt = new THREE.Group();
+    bitt.name = 'towing-bitt';
+    const material = getSharedMaterial('funnel-cap', createFunnelCapMaterial);
+
+    const post = new THREE.Mesh(getSharedGeometry('bitt-post', () => new THREE.CylinderGeometry(0.2, 0.22, 0.7, 10)), material);
+    post.position.y = 0.35;
+    post.castShadow = true;
+    bitt.add(post);
+
+    const crossbar = new THREE.Mesh(getSharedGeometry('bitt-crossbar', () => new THREE.CylinderGeometry(0.07, 0.07, 0.9, 8)), material);
+    crossbar.rotation.x = Math.PI / 2; // Across the deck
+    crossbar.position.y = 0.5;
+    bitt.add(crossbar);
+
+    bitt.position.set(x, baseY, 0);
+    return bitt;
+}
@@ -5,8 +5,14 @@
 import * as THREE from 'three';
 
 import { createHullMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
 
-export function createHull() {
+/**
+ * Builds the hull geometry; shared by every boat through VesselCache.
+ * @param {number} [curveSegments=12] - Points per spline; lower values give a cheaper silhouette.
+ * @returns {THREE.ExtrudeGeometry} Hull running along the X-axis, centered on the origin.
+ */
+export function createHullGeometry(curveSegments = 12) {
     const hullShape = new THREE.Shape();
     
     // A more realistic hull shape for the cross-section
@@ -24,6 +30,7 @@ export function createHull() {
     ]);
 
     const extrudeSettings = {
+        curveSegments,
         steps: 2,
         depth: 9.5, // This is the length of the boat
         bevelEnabled: true,
@@ -40,10 +47,26 @@ export function createHull() {
     geometry.rotateY(Math.PI / 2);
     geometry.center(); // Center it after rotation
 
-    const material = createHullMaterial();
+    return geometry;
+}
+
+/**
+ * Creates a hull mesh. Other vessel types reuse the same geometry, scaled.
+ * @param {string} [status='Active'] - Boat status for the hull color.
+ * @param {object} [proportions] - Scale factors relative to the 9.5 x 3.2 survey hull.
+ * @param {number} [proportions.length=1] - Along the keel (X).
+ * @param {number} [proportions.beam=1] - Across the hull (Z).
+ * @param {number} [proportions.height=1] - Keel to sheer line (Y).
+ * @returns {THREE.Mesh} Hull mesh named 'hull'.
+ */
+export function createHull(status = 'Active', { length = 1, beam = 1, height = 1 } = {}) {
+    const geometry = getSharedGeometry('hull', () => createHullGeometry());
+    const material = getSharedMaterial(`hull-${status}`, () => createHullMaterial(status));
 
     const hull = new THREE.Mesh(geometry, material);
-    hull.position.y = -0.5; // Adjust vertical position to sit IN the water
+    hull.name = 'hull';
+    hull.scale.set(length, height, beam);
+    hull.position.y = -0.5 * height; // Adjust vertical position to sit IN the water
     hull.castShadow = true;
     hull.receiveShadow = true;
     
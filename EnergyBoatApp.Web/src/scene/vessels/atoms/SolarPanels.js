@@ -0,0 +1,34 @@
+/**
+ * @file SolarPanels atom
+ * A pair of roof-mounted solar panels either side of the centerline.
+ */
+import * as THREE from 'three';
+
+import { createSolarPanelMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
+
+/**
+ * Creates the panels, leaving a gap on the centerline for the mast.
+ * @param {object} size - Placement and dimensions.
+ * @param {number} size.x - Center along the keel.
+ * @param {number} size.y - Height of the roof they lie on.
+ * @param {number} size.length - Along the keel (X).
+ * @param {number} size.width - Total width across both panels (Z).
+ * @returns {THREE.Group} Group of two meshes named 'solar-panels'.
+ */
+export function createSolarPanels({ x, y, length, width }) {
+    const panels = new THREE.Group();
+    const gap = 0.3;
+    const panelWidth = (width - gap) / 2;
+    const geometry = getSharedGeometry(`solar-panel-${length}x${panelWidth}`, () => new THREE.BoxGeometry(length, 0.05, panelWidth));
+    const material = getSharedMaterial('solar-panel-idle', createSolarPanelMaterial);
+
+    [-1, 1].forEach((side) => {
+        const panel = new THREE.Mesh(geometry, material);
+        panel.name = 'solar-panels';
+        panel.position.set(x, y + 0.03, side * (gap + panelWidth) / 2);
+        panels.add(panel);
+    });
+
+    return panels;
+}
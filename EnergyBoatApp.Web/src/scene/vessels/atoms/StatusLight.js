@@ -0,0 +1,26 @@
+/**
+ * @file StatusLight atom
+ * Beacon that shows the boat's status (green active, yellow charging, red maintenance).
+ */
+import * as THREE from 'three';
+
+import { createStatusLightMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
+
+/**
+ * Creates the status beacon. VesselStatus.js recolors and blinks it as the status changes.
+ * @param {object} placement - Where the beacon sits.
+ * @param {number} placement.x - Position along the keel.
+ * @param {number} placement.y - Height above the waterline.
+ * @param {string} [placement.status='Active'] - Initial status color.
+ * @returns {THREE.Mesh} Beacon mesh named 'status-light'.
+ */
+export function createStatusLight({ x, y, status = 'Active' }) {
+    const geometry = getSharedGeometry('status-light', () => new THREE.SphereGeometry(0.18, 10, 8));
+    const material = getSharedMaterial(`status-light-${status}`, () => createStatusLightMaterial(status));
+
+    const light = new THREE.Mesh(geometry, material);
+    light.name = 'status-light';
+    light.position.set(x, y, 0);
+    return light;
+}
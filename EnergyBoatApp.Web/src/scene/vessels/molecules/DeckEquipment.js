@@ -4,20 +4,21 @@
  */
 import * as THREE from 'three';
 import { createRailingMaterial, createCraneMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
 
 // Helper function to create a single railing section
 function createRailingSection(length, orientation) {
     const railing = new THREE.Group();
-    const railMaterial = createRailingMaterial();
+    const railMaterial = getSharedMaterial('railing', createRailingMaterial);
     
     // Use a BoxGeometry for rails for a cleaner, more modern look.
-    const railGeom = new THREE.BoxGeometry(length, 0.05, 0.05);
+    const railGeom = getSharedGeometry(`rail-${length}`, () => new THREE.BoxGeometry(length, 0.05, 0.05));
     const topRail = new THREE.Mesh(railGeom, railMaterial);
     topRail.position.y = 0.5; // Height of the railing
     railing.add(topRail);
 
     // Vertical posts
-    const postGeom = new THREE.CylinderGeometry(0.03, 0.03, 0.5, 6);
+    const postGeom = getSharedGeometry('railing-post', () => new THREE.CylinderGeometry(0.03, 0.03, 0.5, 6));
     const numPosts = Math.max(2, Math.floor(length / 0.8)); // Ensure at least 2 posts
 
     for (let i = 0; i <= numPosts; i++) {
@@ -73,13 +74,13 @@ export function createDeckEquipment() {
 
     // 2. Create Crane
     const crane = new THREE.Group();
-    const baseMaterial = createCraneMaterial();
-    const armMaterial = new THREE.MeshStandardMaterial({ color: 0xBBAA00, metalness: 0.8, roughness: 0.4 });
+    const baseMaterial = getSharedMaterial('crane', createCraneMaterial);
+    const armMaterial = getSharedMaterial('crane-arm', () => new THREE.MeshStandardMaterial({ color: 0xBBAA00, metalness: 0.8, roughness: 0.4 }));
 
     // Base of the crane (cylinder height = 0.8)
     const baseHeight = 0.8;
     const base = new THREE.Mesh(
-        new THREE.CylinderGeometry(0.25, 0.3, baseHeight, 12), 
+        getSharedGeometry('crane-base', () => new THREE.CylinderGeometry(0.25, 0.3, baseHeight, 12)), 
         baseMaterial
     );
     // Position base so its BOTTOM sits at y=0 (the crane group origin, which is on the deck)
@@ -91,7 +92,7 @@ export function createDeckEquipment() {
     const armLength = 1.8;
     const armWidth = 0.15;
     const arm = new THREE.Mesh(
-        new THREE.BoxGeometry(armWidth, armLength, armWidth), 
+        getSharedGeometry('crane-arm', () => new THREE.BoxGeometry(armWidth, armLength, armWidth)), 
         armMaterial
     );
     
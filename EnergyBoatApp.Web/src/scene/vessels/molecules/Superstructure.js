@@ -4,26 +4,29 @@
  */
 import * as THREE from 'three';
 import { createAccommodationMaterial, createBridgeMaterial, createWindowMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
 
 function createBlock(width, height, depth, material) {
-    const geometry = new THREE.BoxGeometry(width, height, depth);
+    const geometry = getSharedGeometry(`box-${width}x${height}x${depth}`, () => new THREE.BoxGeometry(width, height, depth));
     return new THREE.Mesh(geometry, material);
 }
 
 export function createSuperstructure() {
     const superstructure = new THREE.Group();
-    const accomMaterial = createAccommodationMaterial();
-    const bridgeMaterial = createBridgeMaterial();
-    const windowMaterial = createWindowMaterial();
+    const accomMaterial = getSharedMaterial('accommodation', createAccommodationMaterial);
+    const bridgeMaterial = getSharedMaterial('bridge', createBridgeMaterial);
+    const windowMaterial = getSharedMaterial('window', createWindowMaterial);
 
     // Main accommodation block
     const mainBlock = createBlock(3.0, 1.5, 2.8, accomMaterial);
+    mainBlock.name = 'accommodation';
     mainBlock.position.set(-1.0, 1.95, 0); // Positioned on the main deck
     mainBlock.castShadow = true;
     superstructure.add(mainBlock);
 
     // Bridge level
     const bridge = createBlock(2.5, 1.2, 2.5, bridgeMaterial);
+    bridge.name = 'bridge';
     bridge.position.set(-0.8, 3.3, 0);
     bridge.castShadow = true;
     superstructure.add(bridge);
@@ -35,3 +38,32 @@ export function createSuperstructure() {
 
     return superstructure;
 }
+
+/**
+ * Compact deckhouse with a band of windows, for smaller craft.
+ * @param {object} size - Placement and dimensions.
+ * @param {number} size.x - Center along the keel.
+ * @param {number} size.deckY - Height of the deck it stands on.
+ * @param {number} size.length - Along the keel (X).
+ * @param {number} size.width - Across the hull (Z).
+ * @param {number} size.height - Deck to roof.
+ * @returns {THREE.Group} Wheelhouse; its main block is named 'wheelhouse'.
+ */
+export function createWheelhouse({ x, deckY, length, width, height }) {
+    const wheelhouse = new THREE.Group();
+    const accomMaterial = getSharedMaterial('accommodation', createAccommodationMaterial);
+    const windowMaterial = getSharedMaterial('window', createWindowMaterial);
+
+    const block = createBlock(length, height, width, accomMaterial);
+    block.name = 'wheelhouse';
+    block.position.set(x, deckY + height / 2, 0);
+    block.castShadow = true;
+    wheelhouse.add(block);
+
+    // Windows wrap the upper part of the block, slightly proud of its faces
+    const windows = createBlock(length + 0.05, height * 0.35, width + 0.05, windowMaterial);
+    windows.position.set(x, deckY + height * 0.7, 0);
+    wheelhouse.add(windows);
+
+    return wheelhouse;
+}
@@ -0,0 +1,139 @@
+/**
+ * @file SurveyEquipment molecule
+ * Attachments for survey payloads: a pole-mounted multibeam sonar, a towed
+ * magnetometer and a stern A-frame for launching ROVs and samplers.
+ * Each takes the vessel's mount points so any hull type can carry it.
+ */
+import * as THREE from 'three';
+import { createMastMaterial, createAntennaMaterial, createCraneMaterial, createFunnelCapMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
+
+/**
+ * @typedef {object} EquipmentMounts
+ * @property {number} sternX - Position of the transom along the keel.
+ * @property {number} sonarX - Where an over-the-side sonar pole stands.
+ * @property {number} deckY - Height of the working deck.
+ * @property {number} beam - Deck width.
+ */
+
+const UP = new THREE.Vector3(0, 1, 0);
+
+// Thin cylinder between two points (for poles and cables)
+function createStrut(key, radius, from, to, material) {
+    const span = new THREE.Vector3().subVectors(to, from);
+    const strut = new THREE.Mesh(
+        getSharedGeometry(`strut-${key}`, () => new THREE.CylinderGeometry(radius, radius, span.length(), 6)),
+        material
+    );
+    strut.position.copy(from).addScaledVector(span, 0.5);
+    strut.quaternion.setFromUnitVectors(UP, span.normalize());
+    return strut;
+}
+
+/**
+ * Multibeam sonar head on a pole over the starboard side.
+ * @param {EquipmentMounts} mounts - Vessel mount points.
+ * @returns {THREE.Group} Group named 'multibeam'.
+ */
+export function createMultibeamSonar({ sonarX, deckY, beam }) {
+    const sonar = new THREE.Group();
+    sonar.name = 'multibeam';
+    const poleMaterial = getSharedMaterial('mast', createMastMaterial);
+    const headMaterial = getSharedMaterial('antenna', createAntennaMaterial);
+
+    const side = beam / 2 + 0.15; // Just outboard of the deck edge
+    const headY = -1.6;           // Below the keel so the swath is clear of the hull
+    const pole = createStrut(`sonar-${deckY}`, 0.06, new THREE.Vector3(0, deckY + 0.6, 0), new THREE.Vector3(0, headY, 0), poleMaterial);
+    pole.castShadow = true;
+    sonar.add(pole);
+
+    const head = new THREE.Mesh(getSharedGeometry('sonar-head', () => new THREE.BoxGeometry(0.6, 0.25, 0.4)), headMaterial);
+    head.position.y = headY;
+    sonar.add(head);
+
+    // Bracket clamping the pole to the deck edge
+    const bracket = new THREE.Mesh(getSharedGeometry('sonar-bracket', () => new THREE.BoxGeometry(0.3, 0.15, 0.35)), poleMaterial);
+    bracket.position.set(0, deckY + 0.1, -0.15);
+    sonar.add(bracket);
+
+    sonar.position.set(sonarX, 0, side);
+    return sonar;
+}
+
+/**
+ * Magnetometer towfish trailing astern on its cable.
+ * @param {EquipmentMounts} mounts - Vessel mount points.
+ * @returns {THREE.Group} Group named 'magnetometer'.
+ */
+export function createMagnetometerTowfish({ sternX, deckY }) {
+    const towfish = new THREE.Group();
+    towfish.name = 'magnetometer';
+    const fishMaterial = getSharedMaterial('crane', createCraneMaterial);
+    const cableMaterial = getSharedMaterial('funnel-cap', createFunnelCapMaterial);
+
+    const towLength = 8;    // Stern to towfish
+    const fishLength = 1.4;
+    const fishX = sternX - towLength;
+
+    // Body runs along the keel with the nose toward the boat
+    const body = new THREE.Mesh(getSharedGeometry('towfish-body', () => new THREE.CylinderGeometry(0.12, 0.12, fishLength, 10)), fishMaterial);
+    body.rotation.z = Math.PI / 2;
+    body.position.set(fishX, 0.05, 0);
+    towfish.add(body);
+
+    const nose = new THREE.Mesh(getSharedGeometry('towfish-nose', () => new THREE.ConeGeometry(0.12, 0.35, 10)), fishMaterial);
+    nose.rotation.z = -Math.PI / 2;
+    nose.position.set(fishX + fishLength / 2 + 0.17, 0.05, 0);
+    towfish.add(nose);
+
+    const fins = new THREE.Mesh(getSharedGeometry('towfish-fins', () => new THREE.BoxGeometry(0.3, 0.02, 0.6)), fishMaterial);
+    fins.position.set(fishX - fishLength / 2 + 0.15, 0.05, 0);
+    towfish.add(fins);
+
+    const cable = createStrut(
+        `tow-${sternX}-${deckY}`,
+        0.02,
+        new THREE.Vector3(sternX, deckY + 0.2, 0),
+        new THREE.Vector3(fishX + fishLength / 2 + 0.3, 0.05, 0),
+        cableMaterial
+    );
+    towfish.add(cable);
+
+    return towfish;
+}
+
+/**
+ * Stern A-frame gantry, raked aft, with a sheave block for the lift wire.
+ * @param {EquipmentMounts} mounts - Vessel mount points.
+ * @returns {THREE.Group} Group named 'a-frame'.
+ */
+export function createAFrame({ sternX, deckY, beam }) {
+    const aFrame = new THREE.Group();
+    aFrame.name = 'a-frame';
+    const frameMaterial = getSharedMaterial('crane', createCraneMaterial);
+    const blockMaterial = getSharedMaterial('funnel-cap', createFunnelCapMaterial);
+
+    const height = 2.6;
+    const span = beam - 0.6;
+
+    [-1, 1].forEach((side) => {
+        const leg = new THREE.Mesh(getSharedGeometry(`aframe-leg-${height}`, () => new THREE.BoxGeometry(0.15, height, 0.15)), frameMaterial);
+        leg.position.set(0, height / 2, side * span / 2);
+        leg.castShadow = true;
+        aFrame.add(leg);
+    });
+
+    const beamTop = new THREE.Mesh(getSharedGeometry(`aframe-beam-${span}`, () => new THREE.BoxGeometry(0.2, 0.2, span + 0.15)), frameMaterial);
+    beamTop.position.y = height;
+    beamTop.castShadow = true;
+    aFrame.add(beamTop);
+
+    const sheave = new THREE.Mesh(getSharedGeometry('aframe-sheave', () => new THREE.BoxGeometry(0.25, 0.35, 0.2)), blockMaterial);
+    sheave.position.y = height - 0.35;
+    aFrame.add(sheave);
+
+    // Raked aft (toward -X) from its foot on the transom
+    aFrame.rotation.z = THREE.MathUtils.degToRad(20);
+    aFrame.position.set(sternX, deckY, 0);
+    return aFrame;
+}
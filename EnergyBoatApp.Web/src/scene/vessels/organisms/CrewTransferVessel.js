@@ -0,0 +1,35 @@
+/**
+ * @file CrewTransferVessel organism
+ * Fast catamaran for moving technicians: twin slim hulls, a forward
+ * wheelhouse and a bow fender for pushing onto turbine boat landings.
+ */
+import * as THREE from 'three';
+import { createHull } from '../atoms/Hull.js';
+import { createDeck } from '../atoms/Deck.js';
+import { createFender } from '../atoms/Fittings.js';
+import { createWheelhouse } from '../molecules/Superstructure.js';
+import { createMastAssembly } from './Mast.js';
+
+/**
+ * Creates a crew transfer vessel.
+ * @param {string} [status='Active'] - Boat status for the hull color.
+ * @returns {THREE.Group} Crew transfer vessel, bow along +X, origin at the waterline.
+ */
+export function createCrewTransferVessel(status = 'Active') {
+    const vessel = new THREE.Group();
+    const deckY = 1.1;
+
+    // Twin demi-hulls either side of the centerline
+    [-1.3, 1.3].forEach((z) => {
+        const hull = createHull(status, { length: 0.85, beam: 0.3, height: 0.7 });
+        hull.position.z = z;
+        vessel.add(hull);
+    });
+
+    vessel.add(createDeck({ length: 7.5, width: 3.6, y: deckY }));
+    vessel.add(createWheelhouse({ x: 1.2, deckY, length: 2.6, width: 2.8, height: 1.4 }));
+    vessel.add(createFender({ x: 4.5, y: deckY - 0.2, width: 3.4 }));
+    vessel.add(createMastAssembly({ x: 1.2, baseY: deckY + 1.4, scale: 0.5 }));
+
+    return vessel;
+}
@@ -4,35 +4,47 @@
  */
 import * as THREE from 'three';
 import { createMastMaterial, createRadarMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
 
-// The mast will be assembled at the origin and then placed.
-export function createMastAssembly() {
+const POLE_HEIGHT = 3.5;
+
+/**
+ * Assembles the mast at the origin, then places it with its foot at (x, baseY).
+ * @param {object} [placement] - Where the mast stands; defaults sit it on the survey vessel's bridge.
+ * @param {number} [placement.x=-0.8] - Position along the keel.
+ * @param {number} [placement.baseY=3.65] - Height of the foot of the pole.
+ * @param {number} [placement.scale=1] - Uniform size factor for smaller craft.
+ * @returns {THREE.Group} Mast assembly.
+ */
+export function createMastAssembly({ x = -0.8, baseY = 3.65, scale = 1 } = {}) {
     const mastAssembly = new THREE.Group();
-    const mastMaterial = createMastMaterial();
-    const radarMaterial = createRadarMaterial();
+    mastAssembly.name = 'mast';
+    const mastMaterial = getSharedMaterial('mast', createMastMaterial);
+    const radarMaterial = getSharedMaterial('radar', createRadarMaterial);
 
     // Main vertical pole
-    const poleGeom = new THREE.CylinderGeometry(0.08, 0.12, 3.5, 10);
+    const poleGeom = getSharedGeometry('mast-pole', () => new THREE.CylinderGeometry(0.08, 0.12, POLE_HEIGHT, 10));
     const pole = new THREE.Mesh(poleGeom, mastMaterial);
     pole.castShadow = true;
     mastAssembly.add(pole);
 
     // Cross-arm for antennas/lights
-    const armGeom = new THREE.BoxGeometry(1.5, 0.1, 0.1);
+    const armGeom = getSharedGeometry('mast-arm', () => new THREE.BoxGeometry(1.5, 0.1, 0.1));
     const crossArm = new THREE.Mesh(armGeom, mastMaterial);
     crossArm.position.y = 1.0; // Position on the pole
     crossArm.castShadow = true;
     mastAssembly.add(crossArm);
 
     // Radar dome on top
-    const radarGeom = new THREE.SphereGeometry(0.35, 16, 12);
+    const radarGeom = getSharedGeometry('mast-radar', () => new THREE.SphereGeometry(0.35, 16, 12));
     const radar = new THREE.Mesh(radarGeom, radarMaterial);
     radar.position.y = 1.9; // Position on top of the pole
     radar.castShadow = true;
     mastAssembly.add(radar);
 
-    // Position the entire assembly on top of the bridge
-    mastAssembly.position.set(-0.8, 5.4, 0);
+    // Position the entire assembly with the foot of the pole at baseY
+    mastAssembly.scale.setScalar(scale);
+    mastAssembly.position.set(x, baseY + (POLE_HEIGHT / 2) * scale, 0);
 
     return mastAssembly;
 }
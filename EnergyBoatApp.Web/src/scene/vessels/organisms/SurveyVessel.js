@@ -0,0 +1,33 @@
+/**
+ * @file SurveyVessel organism
+ * The monohull survey ship: hull, deck, superstructure, railings, crane and mast.
+ */
+import * as THREE from 'three';
+import { createHull } from '../atoms/Hull.js';
+import { createDeck } from '../atoms/Deck.js';
+import { createSuperstructure } from '../molecules/Superstructure.js';
+import { createDeckEquipment } from '../molecules/DeckEquipment.js';
+import { createMastAssembly } from './Mast.js';
+
+/**
+ * Creates the survey vessel hull and topsides (no survey payload).
+ * @param {string} [status='Active'] - Boat status for the hull color.
+ * @returns {THREE.Group} Survey vessel, bow along +X, origin at the waterline.
+ */
+export function createSurveyVessel(status = 'Active') {
+    const vessel = new THREE.Group();
+
+    // Atoms
+    const hull = createHull(status);
+    const deck = createDeck();
+
+    // Molecules
+    const superstructure = createSuperstructure();
+    const { railings, crane } = createDeckEquipment();
+
+    // Organisms
+    const mast = createMastAssembly(); // Defaults stand it on the bridge roof
+
+    vessel.add(hull, deck, superstructure, railings, crane, mast);
+    return vessel;
+}
@@ -0,0 +1,35 @@
+/**
+ * @file Tug organism
+ * Short, beamy workboat with a two-tier wheelhouse forward, a funnel, a bow
+ * fender for pushing and a towing bitt on the open after deck.
+ */
+import * as THREE from 'three';
+import { createHull } from '../atoms/Hull.js';
+import { createDeck } from '../atoms/Deck.js';
+import { createFender, createFunnel, createBitt } from '../atoms/Fittings.js';
+import { createWheelhouse } from '../molecules/Superstructure.js';
+import { createMastAssembly } from './Mast.js';
+
+/**
+ * Creates a tug.
+ * @param {string} [status='Active'] - Boat status for the hull color.
+ * @returns {THREE.Group} Tug, bow along +X, origin at the waterline.
+ */
+export function createTug(status = 'Active') {
+    const vessel = new THREE.Group();
+    const deckY = 1.65;
+
+    vessel.add(createHull(status, { length: 0.72, beam: 1.25, height: 1.1 }));
+    vessel.add(createDeck({ length: 6.4, width: 4.6, y: deckY }));
+
+    // Lower house with the bridge stacked on top
+    vessel.add(createWheelhouse({ x: 0.9, deckY, length: 2.8, width: 3.2, height: 1.3 }));
+    vessel.add(createWheelhouse({ x: 0.9, deckY: deckY + 1.3, length: 2.2, width: 3.4, height: 1.1 }));
+
+    vessel.add(createFunnel({ x: -1.1, baseY: deckY }));
+    vessel.add(createBitt({ x: -2.5, baseY: deckY }));
+    vessel.add(createFender({ x: 3.9, y: deckY - 0.3, width: 3.6, height: 0.8 }));
+    vessel.add(createMastAssembly({ x: 0.9, baseY: deckY + 2.4, scale: 0.6 }));
+
+    return vessel;
+}
@@ -0,0 +1,38 @@
+/**
+ * @file UncrewedVessel organism
+ * Small uncrewed surface vessel (USV) or surfaced ROV: a low hull with a
+ * bright sensor housing and a short sensor mast instead of a wheelhouse.
+ */
+import * as THREE from 'three';
+import { createHull } from '../atoms/Hull.js';
+import { createDeck } from '../atoms/Deck.js';
+import { createCraneMaterial } from '../BoatMaterials.js';
+import { getSharedGeometry, getSharedMaterial } from '../VesselCache.js';
+import { createMastAssembly } from './Mast.js';
+
+/**
+ * Creates an uncrewed vessel.
+ * @param {string} [status='Active'] - Boat status for the hull color.
+ * @returns {THREE.Group} Uncrewed vessel, bow along +X, origin at the waterline.
+ */
+export function createUncrewedVessel(status = 'Active') {
+    const vessel = new THREE.Group();
+    const deckY = 0.7;
+
+    vessel.add(createHull(status, { length: 0.5, beam: 0.45, height: 0.45 }));
+    vessel.add(createDeck({ length: 4.0, width: 1.4, y: deckY }));
+
+    // High-visibility housing over the electronics and battery bay
+    const housing = new THREE.Mesh(
+        getSharedGeometry('usv-housing', () => new THREE.BoxGeometry(2.2, 0.5, 1.1)),
+        getSharedMaterial('crane', createCraneMaterial)
+    );
+    housing.name = 'sensor-housing';
+    housing.position.set(-0.3, deckY + 0.35, 0);
+    housing.castShadow = true;
+    vessel.add(housing);
+
+    vessel.add(createMastAssembly({ x: -0.3, baseY: deckY + 0.6, scale: 0.4 }));
+
+    return vessel;
+}
@@ -0,0 +1,48 @@
+/**
+ * BoatHistory Module
+ *
+ * Loads recorded boat states (GET /api/boats/history) for timeline playback.
+ * The API samples every boat on a fixed cadence and keeps a rolling window,
+ * so a playback session fetches its whole window once and scrubs locally.
+ */
+
+import { getBoatsApiUrl } from './boatStream.js';
+import { parseBoatHistory, reportBoatValidationErrors, BoatValidationError } from '../data/boatSchema.js';
+
+/**
+ * Fetches and parses recorded samples for a time window
+ *
+ * @param {Object} options - Query options
+ * @param {Date} options.from - Window start
+ * @param {Date} options.to - Window end
+ * @param {string} [options.boatId] - Only return samples for this boat
+ * @returns {Promise<import('../data/boatSchema.js').BoatHistory>} Parsed history
+ * @throws {Error} When the request fails or the payload is invalid
+ */
+export async function fetchBoatHistory({ from, to, boatId }) {
+  const params = new URLSearchParams({ from: from.toISOString(), to: to.toISOString() });
+  if (boatId) params.set('boatId', boatId);
+
+  const response = await fetch(`${getBoatsApiUrl()}/history?${params}`);
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch boat history');
+  }
+
+  const data = await response.json();
+
+  try {
+    const { history, errors } = parseBoatHistory(data);
+    reportBoatValidationErrors(errors, 'history');
+    return history;
+  } catch (err) {
+    if (err instanceof BoatValidationError) {
+      reportBoatValidationErrors([err], 'history');
+    }
+    throw err;
+  }
+}
+
+export default {
+  fetchBoatHistory,
+};
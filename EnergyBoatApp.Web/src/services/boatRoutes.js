@@ -0,0 +1,68 @@
+/**
+ * BoatRoutes Module
+ *
+ * Loads and saves survey routes (GET/PUT /api/boats/{id}/route) and parses
+ * them into the client BoatRoute model. Routes change rarely, so callers fetch
+ * once per boat and follow progress through the live `currentWaypointIndex`.
+ */
+
+import { getBoatsApiUrl } from './boatStream.js';
+import { parseBoatRoute, reportBoatValidationErrors, BoatValidationError } from '../data/boatSchema.js';
+
+/**
+ * Fetches and parses the route for one boat
+ *
+ * @param {string} boatId - Boat identifier (e.g., "BOAT-001")
+ * @returns {Promise<import('../data/boatSchema.js').BoatRoute>} Parsed route
+ * @throws {Error} When the request fails or the payload is invalid
+ */
+export async function fetchBoatRoute(boatId) {
+  const response = await fetch(`${getBoatsApiUrl()}/${encodeURIComponent(boatId)}/route`);
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch route for ${boatId}`);
+  }
+
+  const data = await response.json();
+
+  try {
+    return parseBoatRoute(data);
+  } catch (err) {
+    if (err instanceof BoatValidationError) {
+      reportBoatValidationErrors([err], 'route');
+    }
+    throw err;
+  }
+}
+
+/**
+ * Replaces a boat's route (PUT /api/boats/{id}/route)
+ *
+ * @param {string} boatId - Boat identifier
+ * @param {Array<{latitude: number, longitude: number}>} waypoints - Waypoints in sailing order
+ * @returns {Promise<import('../data/boatSchema.js').BoatRoute>} Route as stored by the API
+ * @throws {Error} With the API's validation messages when the route is rejected
+ */
+export async function saveBoatRoute(boatId, waypoints) {
+  const response = await fetch(`${getBoatsApiUrl()}/${encodeURIComponent(boatId)}/route`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      waypoints: waypoints.map(({ latitude, longitude }) => ({ latitude, longitude })),
+    }),
+  });
+
+  if (!response.ok) {
+    // Validation failures come back as ProblemDetails with per-field messages
+    const problem = await response.json().catch(() => null);
+    const messages = problem?.errors ? Object.values(problem.errors).flat() : [];
+    throw new Error(messages.length > 0 ? messages.join('; ') : `Failed to save route for ${boatId}`);
+  }
+
+  return parseBoatRoute(await response.json());
+}
+
+export default {
+  fetchBoatRoute,
+  saveBoatRoute,
+};
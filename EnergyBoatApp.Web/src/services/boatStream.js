@@ -0,0 +1,188 @@
+/**
+ * BoatStream Module
+ *
+ * Subscribes to live boat data from the API. Prefers the Server-Sent Events
+ * stream (GET /api/boats/stream) and falls back to polling GET /api/boats
+ * while the stream is unavailable, reconnecting with exponential backoff.
+ * Payloads are parsed into the client Boat model before delivery.
+ */
+
+import { parseBoatList, reportBoatValidationErrors } from '../data/boatSchema.js';
+
+// Reconnect backoff for the event stream (milliseconds)
+export const STREAM_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+};
+
+/**
+ * Connection modes reported through onModeChange
+ */
+export const CONNECTION_MODES = {
+  CONNECTING: 'connecting',
+  STREAMING: 'streaming',
+  POLLING: 'polling',
+};
+
+/**
+ * Resolves the boats API base URL (Aspire service discovery or dev proxy)
+ *
+ * @returns {string} Base URL for the boats endpoints
+ */
+export function getBoatsApiUrl() {
+  return import.meta.env.VITE_API_URL || '/api/boats';
+}
+
+/**
+ * Calculates polling interval for the fallback path
+ * Faster speed = more frequent updates for smoothness
+ *
+ * @param {number} speedMultiplier - Current simulation speed multiplier
+ * @returns {number} Interval in milliseconds (50ms - 2000ms)
+ */
+export function getPollingInterval(speedMultiplier) {
+  const baseInterval = 200; // 200ms base (5 Hz)
+  return Math.max(50, Math.min(2000, baseInterval / Math.sqrt(speedMultiplier)));
+}
+
+/**
+ * Fetches a single snapshot of all boats
+ *
+ * @param {number} speedMultiplier - Simulation speed multiplier passed to the API
+ * @returns {Promise<Array>} Boat status array from the API
+ */
+export async function fetchBoats(speedMultiplier) {
+  const response = await fetch(`${getBoatsApiUrl()}?speed=${speedMultiplier}`);
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch boat data');
+  }
+
+  return response.json();
+}
+
+/**
+ * Subscribes to boat updates
+ *
+ * @param {Object} options - Subscription options
+ * @param {number} options.speedMultiplier - Simulation speed multiplier
+ * @param {Function} options.onBoats - Called with each parsed Boat array received
+ * @param {Function} [options.onError] - Called with an Error when polling fails
+ * @param {Function} [options.onModeChange] - Called with a CONNECTION_MODES value
+ * @returns {Function} Unsubscribe function that closes the stream and stops polling
+ */
+export function subscribeToBoats({ speedMultiplier, onBoats, onError, onModeChange }) {
+  let eventSource = null;
+  let pollTimer = null;
+  let reconnectTimer = null;
+  let reconnectDelay = STREAM_BACKOFF.initialDelay;
+  let mode = null;
+  let closed = false;
+
+  const setMode = (newMode) => {
+    if (mode === newMode) return;
+    mode = newMode;
+    console.log(`📡 Boat data connection: ${newMode} (speed: ${speedMultiplier}x)`);
+    onModeChange?.(newMode);
+  };
+
+  const deliver = (data, source) => {
+    const { boats, errors } = parseBoatList(data);
+    reportBoatValidationErrors(errors, source);
+    onBoats(boats);
+  };
+
+  const poll = async () => {
+    try {
+      const data = await fetchBoats(speedMultiplier);
+      if (!closed && mode === CONNECTION_MODES.POLLING) {
+        deliver(data, CONNECTION_MODES.POLLING);
+      }
+    } catch (err) {
+      if (!closed) onError?.(err);
+    }
+  };
+
+  const startPolling = () => {
+    if (pollTimer) return;
+    setMode(CONNECTION_MODES.POLLING);
+    poll();
+    pollTimer = setInterval(poll, getPollingInterval(speedMultiplier));
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    console.warn(`⚠️ Boat stream unavailable, retrying in ${reconnectDelay}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(STREAM_BACKOFF.maxDelay, reconnectDelay * STREAM_BACKOFF.factor);
+  };
+
+  const connect = () => {
+    if (closed) return;
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+      return;
+    }
+
+    if (!pollTimer) setMode(CONNECTION_MODES.CONNECTING);
+
+    eventSource = new EventSource(`${getBoatsApiUrl()}/stream?speed=${speedMultiplier}`);
+
+    eventSource.addEventListener('boats', (event) => {
+      if (closed) return;
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (err) {
+        console.error('❌ Invalid boat stream payload:', err);
+        return;
+      }
+      deliver(data, CONNECTION_MODES.STREAMING);
+    });
+
+    eventSource.onopen = () => {
+      reconnectDelay = STREAM_BACKOFF.initialDelay;
+      stopPolling();
+      setMode(CONNECTION_MODES.STREAMING);
+    };
+
+    eventSource.onerror = () => {
+      // Take over reconnection from the browser so backoff applies
+      eventSource.close();
+      eventSource = null;
+      startPolling();
+      scheduleReconnect();
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    stopPolling();
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+  };
+}
+
+export default {
+  STREAM_BACKOFF,
+  CONNECTION_MODES,
+  getBoatsApiUrl,
+  getPollingInterval,
+  fetchBoats,
+  subscribeToBoats,
+};
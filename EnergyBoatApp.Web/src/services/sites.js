@@ -0,0 +1,40 @@
+/**
+ * Sites Module
+ *
+ * Loads the operating sites the frontend can be pointed at. The list comes
+ * from VITE_SITES_URL when set (e.g. an API endpoint), otherwise from the
+ * static sites.json served next to the app, so harbours can be added by
+ * editing configuration instead of code.
+ */
+
+import { parseSites } from '../data/siteConfig.js';
+
+/**
+ * Resolves the site list URL
+ *
+ * @returns {string} URL of the site list JSON
+ */
+export function getSitesUrl() {
+  return import.meta.env.VITE_SITES_URL || `${import.meta.env.BASE_URL}sites.json`;
+}
+
+/**
+ * Fetches and parses the site list
+ *
+ * @returns {Promise<Array<import('../data/siteConfig.js').OperatingSite>>} Usable sites
+ * @throws {Error} When the request fails or the list holds no usable site
+ */
+export async function fetchSites() {
+  const response = await fetch(getSitesUrl());
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch site list');
+  }
+
+  return parseSites(await response.json());
+}
+
+export default {
+  getSitesUrl,
+  fetchSites,
+};